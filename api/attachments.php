@@ -0,0 +1,85 @@
+<?php
+// Geometry attachments, uploaded in chunks by api/upload.php
+// (assets/js/attachment-upload.js) under the schema's attachment limits. An
+// upload is named by its client-chosen id: <id>.part while chunks arrive,
+// then <id>.<extension> with <id>.json holding its name and size. The
+// contact endpoint only takes references to complete uploads, and marks the
+// ones a sent message refers to; starting an upload clears out partial
+// uploads left idle for part_max_age and unreferenced ones older than max_age.
+
+function contact_attachment_directory(array $config)
+{
+    $directory = $config['uploads']['directory'];
+    if (!is_dir($directory)) {
+        @mkdir($directory, 0700, true);
+    }
+    return $directory;
+}
+
+function contact_attachment_extension($name)
+{
+    return preg_match('/\.([^.\/\\\\]+)$/D', $name, $match) ? strtolower($match[1]) : '';
+}
+
+function contact_attachment_id_valid($id)
+{
+    return is_string($id) && preg_match('/^[a-f0-9]{32}$/D', $id) === 1;
+}
+
+// Metadata of a complete upload, or null
+function contact_attachment_meta(array $config, $id)
+{
+    if (!contact_attachment_id_valid($id)) {
+        return null;
+    }
+    $file = contact_attachment_directory($config) . '/' . $id . '.json';
+    $meta = is_file($file) ? json_decode(file_get_contents($file), true) : null;
+    return is_array($meta) ? $meta : null;
+}
+
+// Keeps a complete upload, as the attachment of a sent message
+function contact_attachment_reference(array $config, $id, $now)
+{
+    $meta = contact_attachment_meta($config, $id);
+    if ($meta === null) {
+        return;
+    }
+    $meta['referenced'] = $now;
+    @file_put_contents(contact_attachment_directory($config) . '/' . $id . '.json', json_encode($meta), LOCK_EX);
+}
+
+// Removes abandoned uploads; $now in s
+function contact_attachment_cleanup(array $config, $now)
+{
+    $uploads = $config['uploads'];
+    $directory = contact_attachment_directory($config);
+    foreach (glob($directory . '/*.part') ?: [] as $part) {
+        if (@filemtime($part) < $now - $uploads['part_max_age']) {
+            @unlink($part);
+        }
+    }
+    foreach (glob($directory . '/*.json') ?: [] as $file) {
+        $meta = json_decode((string) @file_get_contents($file), true);
+        if (!is_array($meta) || isset($meta['referenced']) || !isset($meta['uploaded'], $meta['file'])) {
+            continue;
+        }
+        if ($meta['uploaded'] < $now - $uploads['max_age']) {
+            @unlink($directory . '/' . basename($meta['file']));
+            @unlink($file);
+        }
+    }
+}
+
+// The reference a submission carries, { id, name, size }, matches a complete
+// upload; returns its metadata or null
+function contact_attachment_find(array $config, $reference)
+{
+    if (!is_array($reference) || !isset($reference['id'], $reference['name'], $reference['size'])) {
+        return null;
+    }
+    $meta = contact_attachment_meta($config, $reference['id']);
+    if ($meta === null || $meta['name'] !== $reference['name'] || $meta['size'] !== $reference['size']) {
+        return null;
+    }
+    return $meta;
+}
@@ -0,0 +1,41 @@
+<?php
+// Contact endpoint settings - CHANGE THE RECIPIENT TO YOUR EMAIL
+return [
+    'recipient' => 'info@multi-flows.com',
+    'subject' => 'New Contact Form Submission - Multi-Flows.com',
+    // Names and addresses of senders; keep it out of the web root
+    'log_file' => sys_get_temp_dir() . '/multi-flows-contact-log/contact_log.txt',
+
+    // Key for hashing client addresses; set CONTACT_SECRET on the server
+    'secret' => getenv('CONTACT_SECRET') ?: 'change-this-secret',
+
+    // Messages per client address within the window
+    'rate_limit' => [
+        'max' => 5,
+        'window' => 3600, // s
+        'directory' => sys_get_temp_dir() . '/multi-flows-contact',
+    ],
+
+    // Plain form posts from browsers without JavaScript carry no proof of
+    // work; they are mailed flagged for review, and fewer are let through
+    'held' => [
+        'subject_prefix' => '[Held for review] ',
+        // Held messages per client address within the rate_limit window
+        'rate_limit' => [
+            'max' => 2,
+            'window' => 3600, // s
+        ],
+    ],
+
+    // Geometry attachments (api/upload.php); keep them out of the web root
+    'uploads' => [
+        'directory' => sys_get_temp_dir() . '/multi-flows-uploads',
+        // Uploads started per client address within the window
+        'rate_limit' => [
+            'max' => 10,
+            'window' => 3600, // s
+        ],
+        'part_max_age' => 86400, // s without a new chunk before a partial upload is removed
+        'max_age' => 604800, // s before a finished upload no message refers to is removed
+    ],
+];
@@ -0,0 +1,38 @@
+<?php
+// Start token for the contact form (ContactClient.start() in
+// assets/js/contact-client.js), fetched when the form is opened and sent back
+// with the message, so contact.php can measure the fill time itself. Answers
+// GET with { status, token }; see protection.php for the format. With
+// ?cookie=1 (index.html's <noscript> image, for browsers without JavaScript)
+// the token is set as the schema's startCookie instead, with no body.
+
+require_once __DIR__ . '/validation.php';
+require_once __DIR__ . '/protection.php';
+$config = require __DIR__ . '/config.php';
+
+header('Content-Type: application/json');
+header('Cache-Control: no-store');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    http_response_code(405);
+    header('Allow: GET');
+    echo json_encode(['status' => 'error', 'message' => 'Invalid request method.']);
+    exit;
+}
+
+$token = contact_start_token($config, (int) round(microtime(true) * 1000));
+
+if (isset($_GET['cookie'])) {
+    $schema = contact_schema();
+    setcookie($schema['protection']['startCookie'], $token, [
+        'expires' => time() + (int) ($schema['protection']['startMaxAge'] / 1000),
+        'path' => '/',
+        'secure' => !empty($_SERVER['HTTPS']),
+        'httponly' => true,
+        'samesite' => 'Lax',
+    ]);
+    http_response_code(204);
+    exit;
+}
+
+echo json_encode(['status' => 'success', 'token' => $token]);
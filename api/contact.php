@@ -0,0 +1,179 @@
+<?php
+// Contact endpoint for the contact form (assets/js/contact-client.js).
+// Takes the form as JSON, or as a plain form post when JavaScript is off, and
+// mails it. JSON requests get { status, message, errors } back with an HTTP
+// status to match - 200 sent, 400 unreadable body, 405 wrong method, 422
+// invalid fields (errors maps field names to messages) or failed spam checks,
+// 429 rate limited (with Retry-After), 500 mail failure - and the client
+// retries the 5xx answers.
+//
+// Spam checks, in order (protection.php): the rate limit, the honeypot -
+// answered as if sent, so bots learn nothing - then after validation the
+// start token from contact-start.php, the minimum fill time it gives and the
+// proof of work.
+//
+// Plain form posts without a proof, from browsers without JavaScript or sent
+// before the page's scripts loaded, take a fallback instead of the proof:
+// the start token may come from the cookie index.html's <noscript> image
+// set, a tighter rate limit of their own applies, and the message is mailed
+// flagged as held for review. Plain posts are redirected back to
+// index.html?contact=<status>#contact-<status>; main.js reports the status,
+// and without JavaScript the notice with that id in the <noscript> shows.
+//
+// An attachment comes as a reference to a finished upload (api/upload.php),
+// { id, name, size }; one that does not match is a field error. So are
+// scoping wizard answers (scope) that do not fit the schema's questions.
+
+require_once __DIR__ . '/validation.php';
+require_once __DIR__ . '/protection.php';
+require_once __DIR__ . '/attachments.php';
+require_once __DIR__ . '/scoping.php';
+$config = require __DIR__ . '/config.php';
+
+$contentType = isset($_SERVER['CONTENT_TYPE']) ? $_SERVER['CONTENT_TYPE'] : '';
+$accept = isset($_SERVER['HTTP_ACCEPT']) ? $_SERVER['HTTP_ACCEPT'] : '';
+$isJson = stripos($contentType, 'application/json') !== false;
+$wantsJson = $isJson || stripos($accept, 'application/json') !== false;
+
+function contact_respond($code, $status, $message, array $errors = [])
+{
+    global $wantsJson;
+
+    http_response_code($code);
+    if (!$wantsJson) {
+        header('Location: ../index.html?contact=' . $status . '#contact-' . $status, true, 303);
+        exit;
+    }
+
+    header('Content-Type: application/json');
+    $body = ['status' => $status, 'message' => $message];
+    if ($errors) {
+        $body['errors'] = $errors;
+    }
+    echo json_encode($body);
+    exit;
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    header('Allow: POST');
+    contact_respond(405, 'error', 'Invalid request method.');
+}
+
+if ($isJson) {
+    $input = json_decode(file_get_contents('php://input'), true);
+    if (!is_array($input)) {
+        contact_respond(400, 'error', 'The request could not be read. Please try again.');
+    }
+} else {
+    $input = $_POST;
+}
+
+$schema = contact_schema();
+$protection = $schema['protection'];
+$address = $_SERVER['REMOTE_ADDR'];
+$now = time();
+$success = 'Thank you! Your message has been sent successfully. We will get back to you soon.';
+$held = !$isJson && !isset($input['proof']);
+
+$wait = contact_rate_limit_wait($config, $address, $now);
+if ($held) {
+    $wait = max($wait, contact_rate_limit_wait($config, $address, $now, 'held'));
+}
+if ($wait > 0) {
+    header('Retry-After: ' . $wait);
+    contact_respond(429, 'error', strtr($protection['messages']['rateLimit'], ['{minutes}' => (string) ceil($wait / 60)]));
+}
+
+if (contact_honeypot_filled($schema, $input)) {
+    contact_record_message($config, $address, $now);
+    contact_respond(200, 'success', $success);
+}
+
+list($data, $errors) = contact_validate($input);
+$attachment = null;
+if (isset($input['attachment'])) {
+    $attachment = contact_attachment_find($config, $input['attachment']);
+    if ($attachment === null) {
+        $errors['attachment'] = $schema['attachment']['messages']['incomplete'];
+    }
+}
+$scope = null;
+if (isset($input['scope'])) {
+    $scope = contact_scope_validate($schema['scoping'], $input['scope']);
+    if ($scope === null) {
+        $errors['scope'] = $schema['scoping']['messages']['invalid'];
+    }
+}
+if ($errors) {
+    contact_respond(422, 'error', 'Please correct the errors below.', $errors);
+}
+
+$nowMs = (int) round(microtime(true) * 1000);
+if ($held) {
+    $start = contact_fallback_start($schema, $input);
+} else {
+    $start = isset($input['start']) ? $input['start'] : null;
+}
+$startedAt = contact_start_time($schema, $config, $start, $nowMs);
+if ($startedAt === null) {
+    contact_respond(422, 'error', $protection['messages']['proof']);
+}
+if ($nowMs - $startedAt < $protection['minFillTime']) {
+    contact_respond(422, 'error', $protection['messages']['tooFast']);
+}
+if (!$held && !contact_proof_valid($schema, $data, $start, isset($input['proof']) ? $input['proof'] : null, $nowMs)) {
+    contact_respond(422, 'error', $protection['messages']['proof']);
+}
+
+contact_record_message($config, $address, $now);
+if ($held) {
+    contact_record_message($config, $address, $now, 'held');
+}
+
+// Email content
+$email_body = "New contact form submission from Multi-Flows.com website:\n\n";
+if ($held) {
+    $email_body .= "HELD FOR REVIEW: sent without JavaScript, so without a proof of work. Check it is genuine before replying.\n\n";
+}
+$email_body .= "Name: {$data['name']}\n";
+$email_body .= "Email: {$data['email']}\n";
+$email_body .= "Company: {$data['company']}\n";
+$email_body .= "Industry: {$data['industry']}\n\n";
+$email_body .= "Message:\n{$data['message']}\n\n";
+if ($scope !== null) {
+    $email_body .= "Project scope:\n" . contact_scope_summary($schema['scoping'], $scope) . "\n";
+}
+if ($attachment !== null) {
+    $email_body .= "Attachment: {$attachment['name']} ({$attachment['size']} bytes)\n";
+    $email_body .= "Stored as: " . contact_attachment_directory($config) . "/{$attachment['file']}\n\n";
+}
+$email_body .= "---\n";
+$email_body .= "Submitted on: " . date('Y-m-d H:i:s') . "\n";
+
+// Email headers; the address matched the schema's pattern, so no line breaks
+$headers = "From: noreply@" . $_SERVER['HTTP_HOST'] . "\r\n";
+$headers .= "Reply-To: {$data['email']}\r\n";
+$headers .= "Content-Type: text/plain; charset=UTF-8\r\n";
+$headers .= "X-Mailer: PHP/" . phpversion();
+
+$subject = ($held ? $config['held']['subject_prefix'] : '') . $config['subject'];
+if (!mail($config['recipient'], $subject, $email_body, $headers)) {
+    contact_respond(500, 'error', 'Sorry, there was an error sending your message. Please try again or contact us directly at info@multi-flows.com');
+}
+
+// Kept with the message rather than cleared out as abandoned
+if ($attachment !== null) {
+    contact_attachment_reference($config, $input['attachment']['id'], $now);
+}
+
+// Log the submission
+if (!is_dir(dirname($config['log_file']))) {
+    @mkdir(dirname($config['log_file']), 0700, true);
+}
+$log_entry = date('Y-m-d H:i:s') . " | {$data['name']} | {$data['email']} | {$data['company']} | {$data['industry']}" . ($held ? ' | held' : '') . "\n";
+@file_put_contents($config['log_file'], $log_entry, FILE_APPEND | LOCK_EX);
+
+if ($held) {
+    contact_respond(200, 'held', $protection['messages']['held']);
+}
+contact_respond(200, 'success', $success);
@@ -0,0 +1,145 @@
+<?php
+// Spam checks for the contact endpoint, on top of validation.php: the
+// honeypot, the minimum fill time and the proof of work from the schema's
+// protection section (as ContactProof in assets/js/contact-proof.js), and a
+// per-address rate limit. Addresses are only kept as keyed hashes.
+//
+// The fill time is measured here, not taken from the client: opening the
+// form fetches a start token from contact-start.php, "issued.signature" with
+// issued the server's time in ms and signature an HMAC of it under the
+// config secret, and the submission sends it back. Without JavaScript the
+// token comes as the schema's startCookie instead, and the plain post that
+// follows has no proof of work: it is let through the fallback checks
+// (contact_fallback_start() and its own rate limit) and held for review.
+
+function contact_honeypot_filled(array $schema, array $input)
+{
+    $name = $schema['protection']['honeypot'];
+    return isset($input[$name]) && (!is_string($input[$name]) || contact_normalize($input[$name]) !== '');
+}
+
+function contact_start_signature(array $config, $issued)
+{
+    return hash_hmac('sha256', 'contact-start:' . $issued, $config['secret']);
+}
+
+// $now in ms
+function contact_start_token(array $config, $now)
+{
+    return $now . '.' . contact_start_signature($config, $now);
+}
+
+// When the token was issued (ms), or null if it is not one of ours, from the
+// future or older than the schema's startMaxAge
+function contact_start_time(array $schema, array $config, $token, $now)
+{
+    if (!is_string($token) || !preg_match('/^(\d{1,15})\.([a-f0-9]{64})$/D', $token, $match)) {
+        return null;
+    }
+    $issued = (int) $match[1];
+    if (!hash_equals(contact_start_signature($config, $issued), $match[2])) {
+        return null;
+    }
+    if ($issued > $now || $now - $issued > $schema['protection']['startMaxAge']) {
+        return null;
+    }
+    return $issued;
+}
+
+// Start token of a plain form post: the one posted, else the cookie that
+// contact-start.php?cookie=1 set for a browser without JavaScript
+function contact_fallback_start(array $schema, array $input)
+{
+    if (isset($input['start'])) {
+        return $input['start'];
+    }
+    $cookie = $schema['protection']['startCookie'];
+    return isset($_COOKIE[$cookie]) ? $_COOKIE[$cookie] : null;
+}
+
+function contact_leading_zero_bits($hex)
+{
+    $bits = 0;
+    for ($i = 0; $i < strlen($hex); $i++) {
+        $nibble = hexdec($hex[$i]);
+        if ($nibble !== 0) {
+            return $bits + 4 - strlen(decbin($nibble));
+        }
+        $bits += 4;
+    }
+    return $bits;
+}
+
+// As ContactProof.verify; $data holds the normalized fields, $start the
+// start token as sent, $now is in ms
+function contact_proof_valid(array $schema, array $data, $start, $proof, $now)
+{
+    $protection = $schema['protection'];
+    if (!is_string($proof) || !preg_match('/^(\d{1,15}):(\d{1,15})$/D', $proof, $match) || !is_string($start)) {
+        return false;
+    }
+
+    $timestamp = (int) $match[1];
+    if (abs($now - $timestamp) > $protection['proofMaxAge']) {
+        return false;
+    }
+
+    $values = [$schema['version'], $timestamp, $start];
+    foreach (array_keys($schema['fields']) as $name) {
+        $values[] = $data[$name];
+    }
+    $challenge = hash('sha256', implode("\n", $values));
+    return contact_leading_zero_bits(hash('sha256', $challenge . ':' . $match[2])) >= $protection['proofDifficulty'];
+}
+
+// What is counted per address: 'messages', 'held' messages (plain posts
+// without a proof) or 'uploads' started
+function contact_rate_limit(array $config, $kind)
+{
+    if ($kind === 'uploads') {
+        return $config['uploads']['rate_limit'];
+    }
+    return $kind === 'held' ? $config['held']['rate_limit'] : $config['rate_limit'];
+}
+
+function contact_rate_limit_file(array $config, $address, $kind = 'messages')
+{
+    $directory = $config['rate_limit']['directory'];
+    if (!is_dir($directory)) {
+        @mkdir($directory, 0700, true);
+    }
+    $suffix = $kind === 'messages' ? '' : '.' . $kind;
+    return $directory . '/' . hash_hmac('sha256', $address, $config['secret']) . $suffix . '.json';
+}
+
+// Times (s) of the address's messages within the window
+function contact_recent_messages($file, $window, $now)
+{
+    $times = is_file($file) ? json_decode(file_get_contents($file), true) : [];
+    if (!is_array($times)) {
+        $times = [];
+    }
+    return array_values(array_filter($times, function ($time) use ($window, $now) {
+        return is_int($time) && $time > $now - $window;
+    }));
+}
+
+// Seconds until the address may send (or start an upload) again, 0 if it may now
+function contact_rate_limit_wait(array $config, $address, $now, $kind = 'messages')
+{
+    $limit = contact_rate_limit($config, $kind);
+    $times = contact_recent_messages(contact_rate_limit_file($config, $address, $kind), $limit['window'], $now);
+    if (count($times) < $limit['max']) {
+        return 0;
+    }
+    sort($times);
+    return $times[count($times) - $limit['max']] + $limit['window'] - $now;
+}
+
+function contact_record_message(array $config, $address, $now, $kind = 'messages')
+{
+    $file = contact_rate_limit_file($config, $address, $kind);
+    $times = contact_recent_messages($file, contact_rate_limit($config, $kind)['window'], $now);
+    $times[] = $now;
+    @file_put_contents($file, json_encode($times), LOCK_EX);
+}
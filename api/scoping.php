@@ -0,0 +1,103 @@
+<?php
+// Project scope answers from the scoping wizard (assets/js/scoping-wizard.js),
+// checked against the schema's scoping questions, and the indicative estimate
+// from its rules table. Mirrors ProjectScope in assets/js/project-scope.js,
+// the arithmetic in the same order, so the mail shows the estimate the
+// visitor saw.
+
+// The answer if the question allows it, otherwise null
+function contact_scope_clean_answer(array $question, $answer)
+{
+    $values = array_column($question['options'], 'value');
+    if (empty($question['multiple'])) {
+        return is_string($answer) && in_array($answer, $values, true) ? $answer : null;
+    }
+    if (!is_array($answer) || array_values($answer) !== $answer) {
+        return null;
+    }
+    foreach ($answer as $value) {
+        if (!in_array($value, $values, true)) {
+            return null;
+        }
+    }
+    // Unique, in the order of the options
+    return array_values(array_filter($values, function ($value) use ($answer) {
+        return in_array($value, $answer, true);
+    }));
+}
+
+// Complete answers with nothing else in them, cleaned; null otherwise
+function contact_scope_validate(array $scoping, $answers)
+{
+    if (!is_array($answers)) {
+        return null;
+    }
+    $names = array_column($scoping['questions'], 'name');
+    foreach (array_keys($answers) as $name) {
+        if (!in_array($name, $names, true)) {
+            return null;
+        }
+    }
+
+    $cleaned = [];
+    foreach ($scoping['questions'] as $question) {
+        $answer = isset($answers[$question['name']]) ? $answers[$question['name']] : null;
+        if ($answer === null && !empty($question['multiple'])) {
+            $answer = [];
+        }
+        $answer = contact_scope_clean_answer($question, $answer);
+        if ($answer === null) {
+            return null;
+        }
+        $cleaned[$question['name']] = $answer;
+    }
+    return $cleaned;
+}
+
+function contact_scope_estimate(array $scoping, array $answers)
+{
+    $estimate = $scoping['estimate'];
+    $days = $estimate['baseDays'];
+    $factor = 1;
+    foreach ($estimate['rules'] as $rule) {
+        $answer = $answers[$rule['question']];
+        $matches = is_array($answer) ? in_array($rule['value'], $answer, true) : $answer === $rule['value'];
+        if (!$matches) {
+            continue;
+        }
+        $days += isset($rule['add']) ? $rule['add'] : 0;
+        $factor *= isset($rule['factor']) ? $rule['factor'] : 1;
+    }
+    $days *= $factor;
+
+    $price = function ($value) use ($estimate) {
+        return (int) (round($value * $estimate['dayRate'] / $estimate['priceStep']) * $estimate['priceStep']);
+    };
+    return [
+        'days' => ['low' => max(1, (int) round($days * (1 - $estimate['spread']))), 'high' => (int) round($days * (1 + $estimate['spread']))],
+        'price' => ['low' => $price($days * (1 - $estimate['spread'])), 'high' => $price($days * (1 + $estimate['spread']))],
+        'currency' => $estimate['currency'],
+    ];
+}
+
+// Plain-text summary of the answers and the estimate, for the mail
+function contact_scope_summary(array $scoping, array $answers)
+{
+    $text = '';
+    foreach ($scoping['questions'] as $question) {
+        $labels = [];
+        foreach ((array) $answers[$question['name']] as $value) {
+            foreach ($question['options'] as $option) {
+                if ($option['value'] === $value) {
+                    $labels[] = $option['label'];
+                }
+            }
+        }
+        $text .= "{$question['label']} " . ($labels ? implode(', ', $labels) : 'None') . "\n";
+    }
+
+    $estimate = contact_scope_estimate($scoping, $answers);
+    $text .= "Indicative effort: {$estimate['days']['low']}-{$estimate['days']['high']} engineer-days, about "
+        . $estimate['currency'] . ' ' . number_format($estimate['price']['low']) . '-' . number_format($estimate['price']['high']) . "\n";
+    return $text;
+}
@@ -0,0 +1,136 @@
+<?php
+// Chunked upload endpoint for contact form attachments
+// (assets/js/attachment-upload.js). Each chunk is one POST with the raw bytes
+// as body:
+//   api/upload.php?id=&index=&count=&name=&size=
+// Chunks must come in order; one that already arrived is acknowledged again,
+// so the client can retry freely. The first chunk of a new upload also
+// carries &start=, the contact form's start token (protection.php), and
+// counts against the per-address upload limit; starting an upload clears out
+// abandoned ones (attachments.php). Answers { status, message, received,
+// complete } with 200 stored, 400 bad parameters, 403 no valid start token,
+// 405 wrong method, 409 chunk out of order, 413 too large, 429 rate limited
+// (with Retry-After) or 500 storage failure.
+
+require_once __DIR__ . '/validation.php';
+require_once __DIR__ . '/protection.php';
+require_once __DIR__ . '/attachments.php';
+$config = require __DIR__ . '/config.php';
+
+function upload_respond($code, $message, $received = 0, $complete = false)
+{
+    http_response_code($code);
+    header('Content-Type: application/json');
+    echo json_encode([
+        'status' => $code < 300 ? 'success' : 'error',
+        'message' => $message,
+        'received' => $received,
+        'complete' => $complete,
+    ]);
+    exit;
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    header('Allow: POST');
+    upload_respond(405, 'Invalid request method.');
+}
+
+$schema = contact_schema();
+$attachment = $schema['attachment'];
+$id = isset($_GET['id']) ? $_GET['id'] : '';
+$name = isset($_GET['name']) ? basename((string) $_GET['name']) : '';
+$size = isset($_GET['size']) && ctype_digit((string) $_GET['size']) ? (int) $_GET['size'] : -1;
+$index = isset($_GET['index']) && ctype_digit((string) $_GET['index']) ? (int) $_GET['index'] : -1;
+$count = isset($_GET['count']) && ctype_digit((string) $_GET['count']) ? (int) $_GET['count'] : -1;
+$extension = contact_attachment_extension($name);
+
+if (!contact_attachment_id_valid($id) || $name === '' || $size < 1 || $index < 0) {
+    upload_respond(400, 'The upload could not be read. Please try again.');
+}
+if (!in_array($extension, $attachment['extensions'], true)) {
+    upload_respond(400, $attachment['messages']['type']);
+}
+if ($size > $attachment['maxSize']) {
+    upload_respond(413, $attachment['messages']['size']);
+}
+
+$chunkSize = $attachment['chunkSize'];
+if ($count !== (int) ceil($size / $chunkSize) || $index >= $count) {
+    upload_respond(400, 'The upload could not be read. Please try again.');
+}
+
+$chunk = file_get_contents('php://input');
+$expected = $index < $count - 1 ? $chunkSize : $size - $index * $chunkSize;
+if ($chunk === false || strlen($chunk) !== $expected) {
+    upload_respond(400, 'The upload could not be read. Please try again.');
+}
+
+$directory = contact_attachment_directory($config);
+$part = $directory . '/' . $id . '.part';
+$done = $directory . '/' . $id . '.' . $extension;
+
+// A retried last chunk after the upload completed
+if (contact_attachment_meta($config, $id) !== null) {
+    upload_respond(200, 'Upload complete.', $size, true);
+}
+
+if (!is_file($part)) {
+    if ($index !== 0) {
+        upload_respond(409, 'The upload is out of order. Please attach the file again.');
+    }
+
+    // A new upload
+    $address = $_SERVER['REMOTE_ADDR'];
+    $now = time();
+    $start = isset($_GET['start']) ? (string) $_GET['start'] : null;
+    if (contact_start_time($schema, $config, $start, (int) round(microtime(true) * 1000)) === null) {
+        upload_respond(403, $attachment['messages']['start']);
+    }
+    $wait = contact_rate_limit_wait($config, $address, $now, 'uploads');
+    if ($wait > 0) {
+        header('Retry-After: ' . $wait);
+        upload_respond(429, strtr($attachment['messages']['rateLimit'], ['{minutes}' => (string) ceil($wait / 60)]));
+    }
+    contact_record_message($config, $address, $now, 'uploads');
+    contact_attachment_cleanup($config, $now);
+}
+
+$handle = @fopen($part, 'c');
+if ($handle === false || !flock($handle, LOCK_EX)) {
+    upload_respond(500, 'The file could not be stored. Please try again.');
+}
+clearstatcache(true, $part);
+$received = filesize($part);
+$offset = $index * $chunkSize;
+
+if ($offset + $expected <= $received) {
+    // Already stored; the acknowledgement was lost
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    upload_respond(200, 'Chunk received.', $received, false);
+}
+if ($offset !== $received) {
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    upload_respond(409, 'The upload is out of order. Please attach the file again.', $received);
+}
+
+fseek($handle, $offset);
+$written = fwrite($handle, $chunk);
+fflush($handle);
+flock($handle, LOCK_UN);
+fclose($handle);
+if ($written !== $expected) {
+    upload_respond(500, 'The file could not be stored. Please try again.', $received);
+}
+
+$received += $written;
+if ($index < $count - 1) {
+    upload_respond(200, 'Chunk received.', $received, false);
+}
+
+$meta = ['name' => $name, 'size' => $size, 'file' => basename($done), 'uploaded' => time()];
+if (!rename($part, $done) || @file_put_contents($directory . '/' . $id . '.json', json_encode($meta), LOCK_EX) === false) {
+    upload_respond(500, 'The file could not be stored. Please try again.', $received);
+}
+upload_respond(200, 'Upload complete.', $size, true);
@@ -0,0 +1,89 @@
+<?php
+// Contact form validation from api/contact-schema.json, the schema
+// assets/js/contact-form.js validates the form with in the browser
+// (exported by scripts/export-contact-schema.js). Mirrors ContactForm rule
+// for rule, so both sides accept and reject exactly the same input:
+// ASCII-whitespace trim, lengths in code points, whole-value patterns.
+
+function contact_schema()
+{
+    static $schema = null;
+    if ($schema === null) {
+        $schema = json_decode(file_get_contents(__DIR__ . '/contact-schema.json'), true);
+    }
+    return $schema;
+}
+
+// As ContactForm.normalize
+function contact_normalize($value)
+{
+    return trim($value, " \t\n\r\0\x0B");
+}
+
+function contact_message(array $schema, $name, $rule)
+{
+    $field = $schema['fields'][$name];
+    $template = isset($field['messages'][$rule]) ? $field['messages'][$rule] : $schema['messages'][$rule];
+    return strtr($template, [
+        '{label}' => isset($field['label']) ? $field['label'] : $name,
+        '{minLength}' => isset($field['minLength']) ? $field['minLength'] : '',
+        '{maxLength}' => isset($field['maxLength']) ? $field['maxLength'] : '',
+    ]);
+}
+
+// Message for the first rule the value breaks, or null if it is valid
+function contact_validate_field(array $schema, $name, $value)
+{
+    if (!isset($schema['fields'][$name])) {
+        return null;
+    }
+    $field = $schema['fields'][$name];
+
+    if ($value === null) {
+        $value = '';
+    }
+    if (!is_string($value) || !mb_check_encoding($value, 'UTF-8')) {
+        return contact_message($schema, $name, 'type');
+    }
+
+    $value = contact_normalize($value);
+    if ($value === '') {
+        return !empty($field['required']) ? contact_message($schema, $name, 'required') : null;
+    }
+
+    $length = mb_strlen($value, 'UTF-8');
+    if (isset($field['minLength']) && $length < $field['minLength']) {
+        return contact_message($schema, $name, 'minLength');
+    }
+    if (isset($field['maxLength']) && $length > $field['maxLength']) {
+        return contact_message($schema, $name, 'maxLength');
+    }
+    // D: $ only at the very end, as in JavaScript
+    if (isset($field['pattern']) && !preg_match('~^(?:' . $field['pattern'] . ')$~uD', $value)) {
+        return contact_message($schema, $name, 'pattern');
+    }
+    if (isset($field['enum']) && !in_array($value, $field['enum'], true)) {
+        return contact_message($schema, $name, 'enum');
+    }
+    return null;
+}
+
+// [data, errors]: data holds the schema's fields, normalized; errors maps
+// invalid field names to messages
+function contact_validate(array $input)
+{
+    $schema = contact_schema();
+    $data = [];
+    $errors = [];
+
+    foreach (array_keys($schema['fields']) as $name) {
+        $value = array_key_exists($name, $input) ? $input[$name] : null;
+        $error = contact_validate_field($schema, $name, $value);
+        if ($error !== null) {
+            $errors[$name] = $error;
+        }
+        $data[$name] = is_string($value) ? contact_normalize($value) : '';
+    }
+
+    return [$data, $errors];
+}
@@ -0,0 +1,183 @@
+// Attachment Field
+// Turns the contact form's file input into a drop zone for a geometry file.
+// The file is checked against the schema's attachment limits (type by
+// extension, size) as soon as it is picked or dropped; STL and OBJ files are
+// parsed and shown as a rotatable MeshPreview with their bounding-box
+// dimensions, STEP files are listed by name only. The chosen file stays in
+// field.file - drops cannot be put into the input - until it is removed or
+// the form is cleared, and setProgress() shows its upload.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.ContactForm = require('./contact-form');
+    globalThis.MeshFile = require('./mesh-file');
+    globalThis.MeshPreview = require('./mesh-preview');
+}
+
+class AttachmentField {
+    constructor(input, options = {}) {
+        this.input = input;
+        this.options = {
+            zone: options.zone || input.parentNode, // element taking drops
+            attachment: options.attachment || ContactForm.SCHEMA.attachment,
+            ...options
+        };
+
+        this.file = null;
+        this.mesh = null;
+        this.preview = null;
+
+        this.onChange = () => this.select(this.input.files && this.input.files[0]);
+        this.onDragOver = (e) => {
+            e.preventDefault();
+            this.options.zone.classList.add('attachment-dragover');
+        };
+        this.onDragLeave = () => this.options.zone.classList.remove('attachment-dragover');
+        this.onDrop = (e) => {
+            e.preventDefault();
+            this.options.zone.classList.remove('attachment-dragover');
+            this.select(e.dataTransfer && e.dataTransfer.files[0]);
+        };
+        this.onClick = (e) => {
+            if (e.target.closest && e.target.closest('[data-attachment-remove]')) {
+                this.clear();
+            }
+        };
+
+        this.createElement();
+    }
+
+    createElement() {
+        const zone = this.options.zone;
+        zone.classList.add('attachment-drop');
+
+        this.details = document.createElement('div');
+        this.details.className = 'attachment-details';
+        this.details.setAttribute('aria-live', 'polite');
+        zone.appendChild(this.details);
+
+        this.previewContainer = document.createElement('div');
+        this.previewContainer.className = 'attachment-preview';
+        zone.appendChild(this.previewContainer);
+
+        this.progress = document.createElement('div');
+        this.progress.className = 'progress mt-2';
+        this.progress.style.display = 'none';
+        this.progress.setAttribute('role', 'progressbar');
+        this.progress.setAttribute('aria-label', 'Upload progress');
+        this.progress.setAttribute('aria-valuemin', '0');
+        this.progress.setAttribute('aria-valuemax', '100');
+        this.progress.innerHTML = '<div class="progress-bar" style="width: 0%;"></div>';
+        zone.appendChild(this.progress);
+
+        this.input.addEventListener('change', this.onChange);
+        zone.addEventListener('dragover', this.onDragOver);
+        zone.addEventListener('dragleave', this.onDragLeave);
+        zone.addEventListener('drop', this.onDrop);
+        this.details.addEventListener('click', this.onClick);
+    }
+
+    static escape(text) {
+        return String(text).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+    }
+
+    static formatBytes(bytes) {
+        if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${bytes} bytes`;
+    }
+
+    // Message if the file breaks the schema's limits, null if it may go
+    static check(file, attachment = ContactForm.SCHEMA.attachment) {
+        if (!attachment.extensions.includes(MeshFile.extension(file.name))) return attachment.messages.type;
+        if (file.size === 0) return attachment.messages.empty;
+        if (file.size > attachment.maxSize) return attachment.messages.size;
+        return null;
+    }
+
+    // Check, read and preview a file; resolves to the error message or null
+    async select(file) {
+        this.clear();
+        if (!file) return null;
+
+        const error = AttachmentField.check(file, this.options.attachment);
+        if (error) {
+            this.showError(error);
+            return error;
+        }
+
+        if (this.options.attachment.preview.includes(MeshFile.extension(file.name))) {
+            try {
+                this.mesh = MeshFile.parse(file.name, await file.arrayBuffer());
+            } catch (parseError) {
+                const message = `This file could not be read: ${parseError.message}`;
+                this.showError(message);
+                return message;
+            }
+            this.preview = new MeshPreview(this.previewContainer, this.mesh);
+        }
+
+        this.file = file;
+        this.input.classList.remove('is-invalid');
+        this.renderDetails();
+        return null;
+    }
+
+    renderDetails() {
+        const file = this.file;
+        const mesh = this.mesh;
+        this.details.className = 'attachment-details small mt-2';
+        this.details.innerHTML = `
+            <div class="d-flex align-items-center gap-2">
+                <i class="fas fa-cube" aria-hidden="true"></i>
+                <span><strong>${AttachmentField.escape(file.name)}</strong>, ${AttachmentField.formatBytes(file.size)}</span>
+                <button type="button" class="btn btn-sm btn-link ms-auto" data-attachment-remove>Remove</button>
+            </div>
+            ${mesh ? `<div class="text-muted">${mesh.triangleCount.toLocaleString()} triangles, bounding box ${MeshFile.formatSize(mesh.bounds)} (file units)</div>` :
+                '<div class="text-muted">No preview for this file type</div>'}
+        `;
+    }
+
+    showError(message) {
+        this.input.classList.add('is-invalid');
+        this.details.className = 'attachment-details field-error text-danger small mt-1';
+        this.details.textContent = message;
+    }
+
+    setProgress(loaded, total) {
+        const percent = total > 0 ? Math.round(100 * loaded / total) : 100;
+        this.progress.style.display = '';
+        this.progress.setAttribute('aria-valuenow', String(percent));
+        this.progress.querySelector('.progress-bar').style.width = `${percent}%`;
+    }
+
+    clear() {
+        if (this.preview) {
+            this.preview.destroy();
+            this.preview = null;
+        }
+        this.file = null;
+        this.mesh = null;
+        this.input.value = '';
+        this.input.classList.remove('is-invalid');
+        this.details.className = 'attachment-details';
+        this.details.innerHTML = '';
+        this.progress.style.display = 'none';
+    }
+
+    destroy() {
+        this.clear();
+        this.input.removeEventListener('change', this.onChange);
+        const zone = this.options.zone;
+        zone.removeEventListener('dragover', this.onDragOver);
+        zone.removeEventListener('dragleave', this.onDragLeave);
+        zone.removeEventListener('drop', this.onDrop);
+        [this.details, this.previewContainer, this.progress].forEach(element => zone.removeChild(element));
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttachmentField;
+} else {
+    window.AttachmentField = AttachmentField;
+}
@@ -0,0 +1,132 @@
+// Attachment Upload
+// Sends a file to api/upload.php in chunks of the schema's attachment
+// chunkSize, one POST per chunk:
+//   api/upload.php?id=&index=&count=&name=&size=   body: the chunk's bytes
+// The first chunk also carries &start=, the contact form's start token (see
+// ContactClient.start()), without which the server does not begin an upload.
+// The id is random and names the upload on the server, which answers
+// { status, message, received, complete } and takes a repeated chunk without
+// harm, so each chunk is retried like a contact submission (see
+// ContactClient). upload() resolves to { id, name, size }, the reference the
+// contact submission carries in place of the file; onProgress(loaded, total)
+// follows along in bytes.
+//
+// Rejections are ContactClient.failure() errors with attachment set;
+// retryable ones mean the server could not be reached. The upload limit's 429
+// is not retried: its message says how long to wait.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.ContactForm = require('./contact-form');
+    globalThis.ContactClient = require('./contact-client');
+}
+
+class AttachmentUpload {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.options = {
+            endpoint: options.endpoint || 'api/upload.php',
+            chunkSize: options.chunkSize || ContactForm.SCHEMA.attachment.chunkSize, // bytes
+            start: options.start || null, // the form's start token
+            retries: options.retries !== undefined ? options.retries : 3, // per chunk, after the first attempt
+            retryDelay: options.retryDelay || 1000, // ms, doubled after each retry
+            fetch: options.fetch || ((...args) => fetch(...args)),
+            onProgress: options.onProgress || (() => {}), // (loaded, total) in bytes
+            ...options
+        };
+    }
+
+    // 32 hex digits
+    static createId() {
+        const bytes = new Uint8Array(16);
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            crypto.getRandomValues(bytes);
+        } else {
+            bytes.forEach((value, i) => {
+                bytes[i] = Math.floor(Math.random() * 256);
+            });
+        }
+        return Array.from(bytes, value => value.toString(16).padStart(2, '0')).join('');
+    }
+
+    get chunkCount() {
+        return Math.max(1, Math.ceil(this.file.size / this.options.chunkSize));
+    }
+
+    url(id, index) {
+        const query = new URLSearchParams({
+            id,
+            index: String(index),
+            count: String(this.chunkCount),
+            name: this.file.name,
+            size: String(this.file.size)
+        });
+        if (index === 0 && this.options.start) {
+            query.set('start', this.options.start);
+        }
+        return `${this.options.endpoint}?${query}`;
+    }
+
+    static failure(message, retryable) {
+        const error = ContactClient.failure(message, retryable);
+        error.attachment = true;
+        return error;
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async upload() {
+        const id = AttachmentUpload.createId();
+        const { chunkSize } = this.options;
+        const size = this.file.size;
+
+        this.options.onProgress(0, size);
+        for (let index = 0; index < this.chunkCount; index++) {
+            const end = Math.min(size, (index + 1) * chunkSize);
+            await this.sendChunk(id, index, this.file.slice(index * chunkSize, end));
+            this.options.onProgress(end, size);
+        }
+        return { id, name: this.file.name, size };
+    }
+
+    async sendChunk(id, index, chunk) {
+        for (let attempt = 1; ; attempt++) {
+            let retryable = true;
+            let message = 'Could not reach the server';
+            try {
+                const response = await this.options.fetch(this.url(id, index), {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/octet-stream',
+                        Accept: 'application/json'
+                    },
+                    body: chunk
+                });
+                const body = await ContactClient.parseBody(response);
+                if (response.ok && body && body.status === 'success') {
+                    return body;
+                }
+                retryable = ContactClient.RETRY_STATUSES.includes(response.status) && response.status !== 429;
+                message = body && body.message ? body.message : `The upload failed (${response.status})`;
+            } catch (error) {
+                // Network failure; retried below
+            }
+
+            if (!retryable) {
+                throw AttachmentUpload.failure(message, false);
+            }
+            if (attempt > this.options.retries) {
+                throw AttachmentUpload.failure(message, true);
+            }
+            await this.wait(this.options.retryDelay * Math.pow(2, attempt - 1));
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttachmentUpload;
+} else {
+    window.AttachmentUpload = AttachmentUpload;
+}
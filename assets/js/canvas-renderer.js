@@ -0,0 +1,234 @@
+// Canvas 2D Renderer
+// Draws a FlowSimulation onto a 2D canvas. It only reads simulation state, so
+// the same simulation can be stepped headless and drawn by any renderer.
+// Particles are drawn in one batch per phase; above spriteThreshold they are
+// stamped from pre-rendered sprites instead of filled as paths. Particles and
+// shocks are in m and drawn at 1 / options.lengthScale px per m.
+
+// Fill per phase code, at the alpha of a particle of average density
+const PHASE_STYLES = [
+    { color: 'rgba(0, 170, 255, 0.23)', glow: 0 }, // gas
+    { color: 'rgba(0, 100, 200, 0.53)', glow: 0 }, // liquid
+    { color: 'rgba(200, 200, 255, 0.15)', glow: 10 } // vapor
+];
+
+const SPRITE_RADIUS = 16;
+
+// px a bubble collapse ring grows to over its lifetime
+const SHOCK_RADIUS = 15;
+
+class CanvasRenderer {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.simulation = null;
+        this.options = {
+            spriteThreshold: options.spriteThreshold || 5000,
+            ...options
+        };
+        this.sprites = null;
+    }
+
+    attach(simulation) {
+        this.simulation = simulation;
+        this.resize(simulation.width, simulation.height);
+    }
+
+    detach() {
+        this.simulation = null;
+    }
+
+    resize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+    }
+
+    render() {
+        const simulation = this.simulation;
+        if (!simulation) return;
+
+        // Clear canvas
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Draw particles
+        if (simulation.particles.count > this.options.spriteThreshold) {
+            this.drawParticleSprites();
+        } else {
+            this.drawParticleBatches();
+        }
+
+        // Draw flow lines
+        this.drawFlowField();
+
+        this.drawGeometry();
+        this.drawShocks();
+    }
+
+    // One path and one fill per phase
+    drawParticleBatches() {
+        const ctx = this.ctx;
+        const { x, y, size, life, phase, count } = this.simulation.particles;
+        const scale = 1 / this.simulation.options.lengthScale;
+
+        PHASE_STYLES.forEach((style, code) => {
+            ctx.beginPath();
+            let drawn = 0;
+            for (let i = 0; i < count; i++) {
+                if (phase[i] !== code) continue;
+                const radius = size[i] * life[i] * scale;
+                ctx.moveTo(x[i] * scale + radius, y[i] * scale);
+                ctx.arc(x[i] * scale, y[i] * scale, radius, 0, Math.PI * 2);
+                drawn++;
+            }
+            if (drawn === 0) return;
+
+            ctx.fillStyle = style.color;
+            if (style.glow) {
+                // Add glow effect for vapor
+                ctx.shadowBlur = style.glow;
+                ctx.shadowColor = style.color;
+            }
+            ctx.fill();
+            ctx.shadowBlur = 0;
+        });
+    }
+
+    drawParticleSprites() {
+        const ctx = this.ctx;
+        const { x, y, size, life, phase, count } = this.simulation.particles;
+        const scale = 1 / this.simulation.options.lengthScale;
+        const sprites = this.getSprites();
+
+        for (let i = 0; i < count; i++) {
+            const sprite = sprites[phase[i]];
+            // Sprites carry a margin for the glow, so scale by the full extent
+            const half = size[i] * life[i] * sprite.scale * scale;
+            ctx.drawImage(sprite.canvas, x[i] * scale - half, y[i] * scale - half, half * 2, half * 2);
+        }
+    }
+
+    getSprites() {
+        if (!this.sprites) {
+            this.sprites = PHASE_STYLES.map(style => {
+                const extent = SPRITE_RADIUS + style.glow;
+                const canvas = this.createCanvas(extent * 2, extent * 2);
+                const ctx = canvas.getContext('2d');
+
+                ctx.beginPath();
+                ctx.arc(extent, extent, SPRITE_RADIUS, 0, Math.PI * 2);
+                ctx.fillStyle = style.color;
+                if (style.glow) {
+                    ctx.shadowBlur = style.glow;
+                    ctx.shadowColor = style.color;
+                }
+                ctx.fill();
+
+                return { canvas, scale: extent / SPRITE_RADIUS };
+            });
+        }
+        return this.sprites;
+    }
+
+    createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    // RGBA bytes of the drawn frame, top row first
+    readPixels() {
+        return new Uint8Array(this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height).data.buffer);
+    }
+
+    drawGeometry() {
+        const ctx = this.ctx;
+
+        ctx.fillStyle = 'rgba(60, 70, 90, 0.85)';
+        this.simulation.obstacles.forEach(obstacle => {
+            obstacle.draw(ctx);
+            ctx.fill();
+        });
+
+        // Walls are drawn solid, inlets in the accent colour
+        const corners = {
+            left: [0, 0, 0, this.canvas.height],
+            right: [this.canvas.width, 0, this.canvas.width, this.canvas.height],
+            top: [0, 0, this.canvas.width, 0],
+            bottom: [0, this.canvas.height, this.canvas.width, this.canvas.height]
+        };
+        ctx.lineWidth = 4;
+        Object.keys(corners).forEach(side => {
+            const type = this.simulation.boundaries[side].type;
+            if (type !== 'wall' && type !== 'inlet') return;
+
+            const [x1, y1, x2, y2] = corners[side];
+            ctx.strokeStyle = type === 'wall' ? 'rgba(60, 70, 90, 0.85)' : 'rgba(0, 170, 255, 0.6)';
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+        });
+    }
+
+    // Expanding, fading rings where cavitation bubbles collapsed
+    drawShocks() {
+        const shocks = this.simulation.shocks;
+        if (shocks.length === 0) return;
+
+        const ctx = this.ctx;
+        const { shockLifetime, lengthScale } = this.simulation.options;
+        ctx.lineWidth = 1.5;
+        shocks.forEach(shock => {
+            const progress = shock.age / shockLifetime;
+            ctx.strokeStyle = `rgba(255, 255, 255, ${(1 - progress).toFixed(3)})`;
+            ctx.beginPath();
+            ctx.arc(shock.x / lengthScale, shock.y / lengthScale, 2 + progress * SHOCK_RADIUS, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    }
+
+    drawFlowField() {
+        const gridSize = 50;
+        this.ctx.strokeStyle = 'rgba(0, 170, 255, 0.1)';
+        this.ctx.lineWidth = 1;
+
+        for (let x = 0; x < this.canvas.width; x += gridSize) {
+            for (let y = 0; y < this.canvas.height; y += gridSize) {
+                const { flowX, flowY } = this.simulation.getFlowVector(x, y);
+                if (flowX === 0 && flowY === 0) continue;
+
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, y);
+                this.ctx.lineTo(x + flowX, y + flowY);
+                this.ctx.stroke();
+
+                // Arrow head
+                const angle = Math.atan2(flowY, flowX);
+                const arrowLength = 5;
+                this.ctx.beginPath();
+                this.ctx.moveTo(x + flowX, y + flowY);
+                this.ctx.lineTo(
+                    x + flowX - arrowLength * Math.cos(angle - Math.PI / 6),
+                    y + flowY - arrowLength * Math.sin(angle - Math.PI / 6)
+                );
+                this.ctx.moveTo(x + flowX, y + flowY);
+                this.ctx.lineTo(
+                    x + flowX - arrowLength * Math.cos(angle + Math.PI / 6),
+                    y + flowY - arrowLength * Math.sin(angle + Math.PI / 6)
+                );
+                this.ctx.stroke();
+            }
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CanvasRenderer;
+} else {
+    window.CanvasRenderer = CanvasRenderer;
+}
@@ -0,0 +1,366 @@
+// Canvas Tools
+// Pointer interaction with a FlowSimulation (or WorkerFlowSimulation). A
+// toolbar picks the mode:
+//   probe  - tap to place a probe that reports the local velocity,
+//            temperature and phase over time
+//   inject - drag from where particles should appear in the direction they
+//            should go; the drag length sets their speed
+//   stir   - drag to push the fluid along the pointer path
+// Pointer Events cover mouse, pen and touch alike, and each pointer is
+// tracked on its own so several fingers can stir at once. While a mode is
+// active the canvas takes pointer input, with touch-action: none so a finger
+// on the canvas does not scroll the page. Pointers are tracked in canvas px
+// and handed to the simulation in m and m/s.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.ParticleStore = require('./particle-store');
+}
+
+const CANVAS_TOOL_MODES = [
+    { mode: 'probe', label: 'Probe', icon: 'fa-crosshairs' },
+    { mode: 'inject', label: 'Inject', icon: 'fa-syringe' },
+    { mode: 'stir', label: 'Stir', icon: 'fa-hand-pointer' }
+];
+
+class CanvasTools {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.options = {
+            canvas: options.canvas || simulation.canvas,
+            container: options.container || simulation.container,
+            interval: options.interval || 250, // ms between probe readout updates
+            injectorPhase: options.injectorPhase || 'gas',
+            injectorRate: options.injectorRate || 30, // particles per second
+            injectorSpeed: options.injectorSpeed || 0.05, // px/step of emission speed per px dragged
+            ...options
+        };
+
+        if (!this.options.canvas || !this.options.container) {
+            throw new Error('Canvas tools need the simulation canvas and container');
+        }
+
+        this.mode = null;
+        this.pointers = new Map(); // pointerId -> { x, y, startX, startY } in canvas px
+        this.markers = new Map(); // probe or injector id -> { type, element, ... }
+        this.timer = null;
+
+        this.onPointerDown = (e) => this.handlePointerDown(e);
+        this.onPointerMove = (e) => this.handlePointerMove(e);
+        this.onPointerUp = (e) => this.handlePointerUp(e);
+        this.onPointerCancel = (e) => this.pointers.delete(e.pointerId);
+
+        this.createToolbar();
+        this.bindPointerEvents();
+        this.start();
+    }
+
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'flow-tools';
+        toolbar.setAttribute('role', 'toolbar');
+        toolbar.setAttribute('aria-label', 'Canvas tools');
+        toolbar.style.cssText = `
+            position: absolute;
+            top: 10px;
+            left: 10px;
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 6px;
+            padding: 8px;
+            background: rgba(255, 255, 255, 0.9);
+            border-radius: 8px;
+            z-index: 10;
+        `;
+
+        toolbar.innerHTML = `
+            ${CANVAS_TOOL_MODES.map(({ mode, label, icon }) => `
+                <button type="button" class="btn btn-sm btn-outline-primary" data-mode="${mode}" aria-pressed="false">
+                    <i class="fas ${icon} me-1"></i>${label}
+                </button>
+            `).join('')}
+            <select class="form-select form-select-sm" data-control="injectorPhase" aria-label="Injected phase" style="width: auto;">
+                ${ParticleStore.PHASES.map(phase => `
+                    <option value="${phase}"${phase === this.options.injectorPhase ? ' selected' : ''}>${phase}</option>
+                `).join('')}
+            </select>
+            <input type="number" class="form-control form-control-sm" data-control="injectorRate" aria-label="Injection rate (particles per second)"
+                min="1" max="500" step="1" value="${this.options.injectorRate}" style="width: 5em;">
+        `;
+
+        this.options.container.appendChild(toolbar);
+        this.toolbar = toolbar;
+
+        CANVAS_TOOL_MODES.forEach(({ mode }) => {
+            toolbar.querySelector(`[data-mode="${mode}"]`).addEventListener('click', () => {
+                this.setMode(this.mode === mode ? null : mode);
+            });
+        });
+        toolbar.querySelector('[data-control="injectorPhase"]').addEventListener('change', (e) => {
+            this.options.injectorPhase = e.target.value;
+        });
+        toolbar.querySelector('[data-control="injectorRate"]').addEventListener('change', (e) => {
+            this.options.injectorRate = parseFloat(e.target.value) || this.options.injectorRate;
+        });
+    }
+
+    bindPointerEvents() {
+        const canvas = this.options.canvas;
+        canvas.addEventListener('pointerdown', this.onPointerDown);
+        canvas.addEventListener('pointermove', this.onPointerMove);
+        canvas.addEventListener('pointerup', this.onPointerUp);
+        canvas.addEventListener('pointercancel', this.onPointerCancel);
+    }
+
+    // 'probe', 'inject', 'stir', or null to hand the canvas back to the page
+    setMode(mode) {
+        if (mode !== null && !CANVAS_TOOL_MODES.some(tool => tool.mode === mode)) {
+            throw new Error(`Unknown canvas tool: ${mode}`);
+        }
+        this.mode = mode;
+        this.pointers.clear();
+
+        CANVAS_TOOL_MODES.forEach(tool => {
+            const button = this.toolbar.querySelector(`[data-mode="${tool.mode}"]`);
+            button.setAttribute('aria-pressed', String(tool.mode === mode));
+        });
+
+        const style = this.options.canvas.style;
+        style.pointerEvents = mode ? 'auto' : 'none';
+        style.touchAction = mode ? 'none' : '';
+        style.cursor = mode ? 'crosshair' : '';
+    }
+
+    // Canvas coordinates (px) of a pointer event
+    toSimulation(event) {
+        const rect = this.options.canvas.getBoundingClientRect();
+        const width = this.simulation.width || this.options.container.offsetWidth;
+        const height = this.simulation.height || this.options.container.offsetHeight;
+        return {
+            x: (event.clientX - rect.left) * width / rect.width,
+            y: (event.clientY - rect.top) * height / rect.height
+        };
+    }
+
+    handlePointerDown(event) {
+        if (!this.mode) return;
+        event.preventDefault();
+        if (this.options.canvas.setPointerCapture) {
+            this.options.canvas.setPointerCapture(event.pointerId);
+        }
+
+        const point = this.toSimulation(event);
+        this.pointers.set(event.pointerId, { x: point.x, y: point.y, startX: point.x, startY: point.y });
+        if (this.mode === 'probe') {
+            this.addProbe(point.x, point.y);
+        }
+    }
+
+    handlePointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        event.preventDefault();
+
+        const point = this.toSimulation(event);
+        if (this.mode === 'stir') {
+            const scale = this.simulation.options.lengthScale;
+            this.simulation.stir(pointer.x * scale, pointer.y * scale, point.x * scale, point.y * scale);
+        }
+        pointer.x = point.x;
+        pointer.y = point.y;
+    }
+
+    handlePointerUp(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        this.pointers.delete(event.pointerId);
+
+        if (this.mode === 'inject') {
+            const point = this.toSimulation(event);
+            const speed = this.options.injectorSpeed;
+            this.addInjector({
+                x: pointer.startX,
+                y: pointer.startY,
+                vx: (point.x - pointer.startX) * speed,
+                vy: (point.y - pointer.startY) * speed,
+                phase: this.options.injectorPhase,
+                rate: this.options.injectorRate
+            });
+        }
+    }
+
+    // (x, y) in px
+    addProbe(x, y) {
+        const scale = this.simulation.options.lengthScale;
+        const id = this.simulation.addProbe(x * scale, y * scale);
+        const element = this.createMarker(x, y, 'Remove probe', () => this.removeProbe(id));
+
+        const readout = document.createElement('div');
+        readout.className = 'flow-probe-readout';
+        readout.setAttribute('aria-live', 'off');
+        readout.textContent = 'Reading...';
+        element.appendChild(readout);
+
+        const sparkline = document.createElement('canvas');
+        sparkline.width = 80;
+        sparkline.height = 20;
+        sparkline.setAttribute('aria-hidden', 'true');
+        element.appendChild(sparkline);
+
+        this.markers.set(id, { type: 'probe', element, readout, sparkline });
+        this.update();
+        return id;
+    }
+
+    removeProbe(id) {
+        this.simulation.removeProbe(id);
+        this.removeMarker(id);
+    }
+
+    // Position in px and velocity in px/step
+    addInjector(injector) {
+        const { lengthScale, timeStep } = this.simulation.options;
+        const id = this.simulation.addInjector({
+            ...injector,
+            x: injector.x * lengthScale,
+            y: injector.y * lengthScale,
+            vx: injector.vx * lengthScale / timeStep,
+            vy: injector.vy * lengthScale / timeStep
+        });
+        const element = this.createMarker(injector.x, injector.y, 'Remove injector', () => this.removeInjector(id));
+
+        const label = document.createElement('div');
+        label.textContent = `${injector.phase} ${injector.rate}/s`;
+        element.appendChild(label);
+
+        this.markers.set(id, { type: 'injector', element });
+        return id;
+    }
+
+    removeInjector(id) {
+        this.simulation.removeInjector(id);
+        this.removeMarker(id);
+    }
+
+    // Label pinned to a point of the canvas, with a button that removes it
+    createMarker(x, y, removeLabel, onRemove) {
+        const width = this.simulation.width || this.options.container.offsetWidth;
+        const height = this.simulation.height || this.options.container.offsetHeight;
+
+        const element = document.createElement('div');
+        element.className = 'flow-tool-marker';
+        element.style.cssText = `
+            position: absolute;
+            left: ${x / width * 100}%;
+            top: ${y / height * 100}%;
+            transform: translate(-6px, -6px);
+            padding: 2px 6px 4px 16px;
+            background: rgba(10, 20, 35, 0.8);
+            border-radius: 6px;
+            color: #e6f0ff;
+            font-size: 11px;
+            pointer-events: none;
+            z-index: 9;
+        `;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn-close btn-close-white';
+        remove.setAttribute('aria-label', removeLabel);
+        remove.style.cssText = 'float: right; margin-left: 6px; font-size: 8px; pointer-events: auto;';
+        remove.addEventListener('click', onRemove);
+        element.appendChild(remove);
+
+        this.options.container.appendChild(element);
+        return element;
+    }
+
+    removeMarker(id) {
+        const marker = this.markers.get(id);
+        if (!marker) return;
+        if (marker.element.parentNode) {
+            marker.element.parentNode.removeChild(marker.element);
+        }
+        this.markers.delete(id);
+    }
+
+    start() {
+        if (this.timer === null) {
+            this.timer = setInterval(() => this.update(), this.options.interval);
+        }
+    }
+
+    stop() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Refresh the probe readouts from their latest samples
+    update() {
+        const probes = this.simulation.getProbes() || [];
+        probes.forEach(probe => {
+            const marker = this.markers.get(probe.id);
+            const sample = probe.samples[probe.samples.length - 1];
+            if (!marker || !sample) return;
+
+            marker.readout.textContent = `${sample.speed.toFixed(2)} m/s · ${sample.temperature.toFixed(1)} K · ` +
+                `${sample.phase || 'no particles'}`;
+            this.drawSparkline(marker.sparkline, probe.samples.map(entry => entry.speed));
+        });
+    }
+
+    // Speed history, scaled to its own maximum
+    drawSparkline(canvas, values) {
+        const ctx = canvas.getContext('2d');
+        const max = Math.max(...values, 1e-9);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.strokeStyle = 'rgb(0, 170, 255)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        values.forEach((value, index) => {
+            const x = values.length > 1 ? index / (values.length - 1) * canvas.width : 0;
+            const y = canvas.height - value / max * (canvas.height - 2) - 1;
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }
+
+    // Remove every probe and injector placed through the tools
+    clear() {
+        Array.from(this.markers.keys()).forEach(id => {
+            if (this.markers.get(id).type === 'probe') {
+                this.removeProbe(id);
+            } else {
+                this.removeInjector(id);
+            }
+        });
+    }
+
+    destroy() {
+        this.stop();
+        this.clear();
+        this.setMode(null);
+
+        const canvas = this.options.canvas;
+        canvas.removeEventListener('pointerdown', this.onPointerDown);
+        canvas.removeEventListener('pointermove', this.onPointerMove);
+        canvas.removeEventListener('pointerup', this.onPointerUp);
+        canvas.removeEventListener('pointercancel', this.onPointerCancel);
+        if (this.toolbar.parentNode) {
+            this.toolbar.parentNode.removeChild(this.toolbar);
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CanvasTools;
+} else {
+    window.CanvasTools = CanvasTools;
+}
@@ -0,0 +1,234 @@
+// Conservation Ledger
+// Mass and energy budget of a FlowSimulation. Particle velocities are SI, but
+// masses are relative (density x area); the ledger converts through the
+// simulation's unit scales (see getUnitScales) and reports in SI: kg, J.
+//
+// Every change to the totals is booked against a term, so that
+//   total = initial + inflow - outflow + sum of terms
+// holds to rounding, and the residual shows anything left unbooked:
+//   kinetic energy - work (flow forces, plugins, stirring), damping, walls
+//                    (restitution at walls and obstacles), merges (inelastic
+//                    coalescence), breakup (daughters pushed apart)
+//   thermal energy - surroundings (exchange with options.temperature),
+//                    cavitation (flashing without latent heat), properties
+//                    (changes of fluid, pressure or saturation temperature)
+// Mass has no terms: phase changes keep the particle mass, and merges and
+// breakup share it out. Particles entering or leaving the domain, respawning
+// or injected are booked as inflow and outflow, by cause.
+//
+// Thermal energy is the enthalpy m h with
+//   gas    h = cp_gas T
+//   liquid h = cp_liquid T + x L
+//   vapor  h = cp_liquid T_sat + x L + cp_vapor (T - T_sat)
+// (x the vapor quality, L the latent heat), which evaporation and
+// condensation leave unchanged.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.FluidProperties = require('./fluid-properties');
+    globalThis.ParticleStore = require('./particle-store');
+}
+
+// Phase codes as stored in ParticleStore
+const LEDGER_PHASE_GAS = 0;
+const LEDGER_PHASE_LIQUID = 1;
+const LEDGER_PHASE_VAPOR = 2;
+
+const LEDGER_TERMS = {
+    kineticEnergy: ['work', 'damping', 'walls', 'merges', 'breakup'],
+    thermalEnergy: ['surroundings', 'cavitation', 'properties']
+};
+
+class ConservationLedger {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.heatCapacities = new Float64Array(ParticleStore.PHASES.length);
+        this.saturationTemperature = 0;
+        this.latentHeat = 0;
+        this.fluid = null;
+    }
+
+    // Start the budget from the current state
+    reset() {
+        this.refresh();
+        this.initial = this.measure();
+        this.inflow = ConservationLedger.createFlows();
+        this.outflow = ConservationLedger.createFlows();
+        this.terms = {};
+        Object.keys(LEDGER_TERMS).forEach(quantity => {
+            this.terms[quantity] = {};
+            LEDGER_TERMS[quantity].forEach(term => {
+                this.terms[quantity][term] = 0;
+            });
+        });
+    }
+
+    static createFlows() {
+        return {
+            mass: new Float64Array(ParticleStore.PHASES.length),
+            kineticEnergy: 0,
+            thermalEnergy: 0,
+            causes: {} // cause -> mass
+        };
+    }
+
+    // Copy the fluid properties the enthalpy is measured with; changes show
+    // up as the 'properties' term of the step that picks them up
+    refresh() {
+        const simulation = this.simulation;
+        simulation.updateHeatCapacities();
+        this.heatCapacities.set(simulation.heatCapacities);
+        this.saturationTemperature = simulation.saturationTemperature;
+        this.latentHeat = FluidProperties.get(simulation.options.fluid).latentHeat;
+        this.fluid = simulation.options.fluid;
+    }
+
+    // Called every step: books a change of fluid or saturation temperature
+    // as the 'properties' term. Steps without one skip the two passes over
+    // the particles that measuring it takes.
+    updateProperties() {
+        const simulation = this.simulation;
+        if (simulation.options.fluid === this.fluid && simulation.saturationTemperature === this.saturationTemperature) {
+            return;
+        }
+        this.measureThermal('properties', () => {});
+    }
+
+    // Per-particle quantities in simulation units: mass density x m^2,
+    // kinetic energy mass x (m/s)^2, enthalpy mass x J/kg
+    mass(i) {
+        const p = this.simulation.particles;
+        return p.density[i] * p.size[i] * p.size[i];
+    }
+
+    kinetic(i) {
+        const p = this.simulation.particles;
+        return 0.5 * this.mass(i) * (p.vx[i] * p.vx[i] + p.vy[i] * p.vy[i]);
+    }
+
+    thermal(i) {
+        const p = this.simulation.particles;
+        const phase = p.phase[i];
+        const temperature = p.temperature[i];
+        const cp = this.heatCapacities;
+        let enthalpy;
+        if (phase === LEDGER_PHASE_GAS) {
+            enthalpy = cp[LEDGER_PHASE_GAS] * temperature;
+        } else if (phase === LEDGER_PHASE_LIQUID) {
+            enthalpy = cp[LEDGER_PHASE_LIQUID] * temperature + p.quality[i] * this.latentHeat;
+        } else {
+            const saturation = this.saturationTemperature;
+            enthalpy = cp[LEDGER_PHASE_LIQUID] * saturation + p.quality[i] * this.latentHeat +
+                cp[LEDGER_PHASE_VAPOR] * (temperature - saturation);
+        }
+        return this.mass(i) * enthalpy;
+    }
+
+    // Totals over the particles, simulation units
+    measure() {
+        const p = this.simulation.particles;
+        const mass = new Float64Array(ParticleStore.PHASES.length);
+        let kineticEnergy = 0;
+        let thermalEnergy = 0;
+        for (let i = 0; i < p.count; i++) {
+            mass[p.phase[i]] += this.mass(i);
+            kineticEnergy += this.kinetic(i);
+            thermalEnergy += this.thermal(i);
+        }
+        return { mass, kineticEnergy, thermalEnergy };
+    }
+
+    add(quantity, term, amount) {
+        this.terms[quantity][term] += amount;
+    }
+
+    recordInflow(i, cause) {
+        this.recordFlow(this.inflow, i, cause);
+    }
+
+    recordOutflow(i, cause) {
+        this.recordFlow(this.outflow, i, cause);
+    }
+
+    recordFlow(flows, i, cause) {
+        const mass = this.mass(i);
+        flows.mass[this.simulation.particles.phase[i]] += mass;
+        flows.kineticEnergy += this.kinetic(i);
+        flows.thermalEnergy += this.thermal(i);
+        flows.causes[cause] = (flows.causes[cause] || 0) + mass;
+    }
+
+    // Book the thermal energy change over fn(), including a change of the
+    // properties it is measured with
+    measureThermal(term, fn) {
+        const before = this.measure().thermalEnergy;
+        fn();
+        this.refresh();
+        this.add('thermalEnergy', term, this.measure().thermalEnergy - before);
+    }
+
+    // Budget in SI units
+    report() {
+        const scales = this.simulation.getUnitScales();
+        const massScale = scales.mass;
+        const energyScale = scales.energy;
+        const current = this.measure();
+        const sum = values => values.reduce((total, value) => total + value, 0);
+        const byPhase = values => {
+            const phases = {};
+            ParticleStore.PHASES.forEach((name, code) => {
+                phases[name] = values[code] * massScale;
+            });
+            return phases;
+        };
+        const causes = flows => {
+            const result = {};
+            Object.keys(flows.causes).forEach(cause => {
+                result[cause] = flows.causes[cause] * massScale;
+            });
+            return result;
+        };
+
+        const budget = (quantity, scale, total, initial, inflow, outflow) => {
+            const terms = {};
+            let booked = 0;
+            (LEDGER_TERMS[quantity] || []).forEach(term => {
+                terms[term] = this.terms[quantity][term] * scale;
+                booked += this.terms[quantity][term];
+            });
+            return {
+                total: total * scale,
+                initial: initial * scale,
+                inflow: inflow * scale,
+                outflow: outflow * scale,
+                terms,
+                residual: (total - initial - inflow + outflow - booked) * scale
+            };
+        };
+
+        return {
+            time: this.simulation.time * this.simulation.options.timeStep, // s
+            units: { mass: 'kg', energy: 'J' },
+            mass: {
+                ...budget('mass', massScale, sum(current.mass), sum(this.initial.mass), sum(this.inflow.mass), sum(this.outflow.mass)),
+                byPhase: byPhase(current.mass),
+                inflowByPhase: byPhase(this.inflow.mass),
+                outflowByPhase: byPhase(this.outflow.mass),
+                inflowByCause: causes(this.inflow),
+                outflowByCause: causes(this.outflow)
+            },
+            kineticEnergy: budget('kineticEnergy', energyScale, current.kineticEnergy, this.initial.kineticEnergy,
+                this.inflow.kineticEnergy, this.outflow.kineticEnergy),
+            thermalEnergy: budget('thermalEnergy', massScale, current.thermalEnergy, this.initial.thermalEnergy,
+                this.inflow.thermalEnergy, this.outflow.thermalEnergy)
+        };
+    }
+}
+
+ConservationLedger.TERMS = LEDGER_TERMS;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConservationLedger;
+} else {
+    window.ConservationLedger = ConservationLedger;
+}
@@ -0,0 +1,250 @@
+// Contact Client
+// Posts the contact form to api/contact.php as JSON. The endpoint answers
+// { status: 'success' | 'error', message, errors } with errors mapping field
+// names to messages; submit() resolves with that answer, or with
+// { status: 'queued' } when the submission was saved to send later.
+//
+// Network failures, timeouts and 408/429/5xx answers are retried with
+// exponential backoff, honouring Retry-After. When the retries run out, or
+// straight away while the browser is offline, the submission goes into the
+// ContactQueue; flush() sends the queue once the connection returns.
+//
+// options.prepare(data) runs before each submission is sent, queued ones
+// included, e.g. to add a proof of work fresh enough for the server.
+//
+// start() asks api/contact-start.php for the signed start token the form
+// sends along, from which the server measures how long it took to fill in.
+// The token carries the server's time of issue, so it also tells how far the
+// visitor's clock is off; serverNow() reads the server's clock from that, for
+// timestamps the server checks against its own.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.ContactQueue = require('./contact-queue');
+}
+
+// HTTP statuses worth another attempt
+const CONTACT_RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const CONTACT_QUEUED_MESSAGE = 'You appear to be offline. Your message has been saved and will be sent when the connection returns.';
+
+class ContactClient {
+    constructor(options = {}) {
+        this.options = {
+            endpoint: options.endpoint || 'api/contact.php',
+            startEndpoint: options.startEndpoint || 'api/contact-start.php',
+            retries: options.retries !== undefined ? options.retries : 3, // after the first attempt
+            retryDelay: options.retryDelay || 1000, // ms before the first retry, doubled after each
+            maxRetryDelay: options.maxRetryDelay || 30000, // ms; longer Retry-After waits are not retried
+            timeout: options.timeout || 15000, // ms per attempt
+            queue: options.queue !== undefined ? options.queue : new ContactQueue(), // null to never queue
+            fetch: options.fetch || ((...args) => fetch(...args)),
+            prepare: options.prepare || (data => data), // (data) => data to send, may be async
+            ...options
+        };
+
+        this.flushing = null;
+        this.clockOffset = null; // ms the server's clock is ahead of this one, from the last start token
+    }
+
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    // Error for a failed attempt; retryable ones may succeed later
+    static failure(message, retryable, retryAfter = null) {
+        const error = new Error(message);
+        error.retryable = retryable;
+        error.retryAfter = retryAfter; // ms, from the Retry-After header
+        return error;
+    }
+
+    // Retry-After in ms, as seconds or an HTTP date
+    static parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    static async parseBody(response) {
+        try {
+            const body = await response.json();
+            return body && typeof body === 'object' && typeof body.status === 'string' ? body : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Start token for a form opened now, or null if the server cannot be reached
+    async start() {
+        try {
+            const response = await this.options.fetch(this.options.startEndpoint, {
+                method: 'GET',
+                headers: { Accept: 'application/json' },
+                cache: 'no-store'
+            });
+            const body = await ContactClient.parseBody(response);
+            const token = response.ok && body && typeof body.token === 'string' ? body.token : null;
+            const issued = ContactClient.tokenTime(token);
+            if (issued !== null) {
+                this.clockOffset = issued - Date.now();
+            }
+            return token;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Server time (ms) a start token was issued at, null if it has none
+    static tokenTime(token) {
+        const match = typeof token === 'string' && token.match(/^(\d{1,15})\./);
+        return match ? Number(match[1]) : null;
+    }
+
+    // The server's clock in ms, as far as the last start token tells; one is
+    // fetched first if none has been. Falls back to this clock offline.
+    async serverNow() {
+        if (this.clockOffset === null) {
+            await this.start();
+        }
+        return Date.now() + (this.clockOffset || 0);
+    }
+
+    // One attempt. Resolves with the endpoint's answer, rejects with a
+    // failure() when there is none to show
+    async send(data) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.options.timeout) : null;
+
+        let response;
+        try {
+            response = await this.options.fetch(this.options.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Accept: 'application/json'
+                },
+                body: JSON.stringify(data),
+                signal: controller ? controller.signal : undefined
+            });
+        } catch (error) {
+            throw ContactClient.failure(error && error.name === 'AbortError' ?
+                'The server took too long to answer' : 'Could not reach the server', true);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const body = await ContactClient.parseBody(response);
+        const headers = response.headers;
+        const retryAfter = ContactClient.parseRetryAfter(headers && headers.get ? headers.get('Retry-After') : null);
+
+        if (CONTACT_RETRY_STATUSES.includes(response.status)) {
+            // Told to wait longer than we would: show the answer instead
+            if (body && retryAfter !== null && retryAfter > this.options.maxRetryDelay) {
+                return ContactClient.result(body, false);
+            }
+            throw ContactClient.failure(body && body.message ? body.message : `Server error ${response.status}`, true, retryAfter);
+        }
+        if (!body) {
+            throw ContactClient.failure(`Unexpected response from the server (${response.status})`, false);
+        }
+        return ContactClient.result(body, response.ok);
+    }
+
+    static result(body, ok) {
+        return {
+            status: ok && body.status === 'success' ? 'success' : 'error',
+            message: body.message || '',
+            errors: body.errors && typeof body.errors === 'object' ? body.errors : {}
+        };
+    }
+
+    getRetryDelay(attempt, retryAfter = null) {
+        const backoff = this.options.retryDelay * Math.pow(2, attempt - 1);
+        return Math.min(this.options.maxRetryDelay, retryAfter !== null ? retryAfter : backoff);
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Send with retries, queueing what cannot be delivered now
+    async submit(data) {
+        if (!this.isOnline() && this.options.queue) {
+            return this.enqueue(data);
+        }
+
+        let prepared;
+        try {
+            prepared = await this.options.prepare(data);
+        } catch (error) {
+            // e.g. an attachment upload that could not get through
+            if (!error.retryable || !this.options.queue) throw error;
+            return this.enqueue(data);
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.send(prepared);
+            } catch (error) {
+                if (!error.retryable) throw error;
+                if (attempt > this.options.retries || !this.isOnline()) {
+                    if (!this.options.queue) throw error;
+                    return this.enqueue(data);
+                }
+                await this.wait(this.getRetryDelay(attempt, error.retryAfter));
+            }
+        }
+    }
+
+    async enqueue(data) {
+        const id = await this.options.queue.add(data);
+        return { status: 'queued', id, message: CONTACT_QUEUED_MESSAGE, errors: {} };
+    }
+
+    // Send the queued submissions, oldest first, one attempt each. Stops at
+    // the first that still cannot get through; answered ones leave the queue
+    // as sent or rejected. Resolves to { sent, rejected, remaining } with the
+    // entries and their answers.
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.flushQueue().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async flushQueue() {
+        const queue = this.options.queue;
+        const sent = [];
+        const rejected = [];
+        if (!queue) return { sent, rejected, remaining: 0 };
+
+        if (this.isOnline()) {
+            for (const entry of await queue.all()) {
+                let result;
+                try {
+                    result = await this.send(await this.options.prepare(entry.data));
+                } catch (error) {
+                    if (error.retryable) break;
+                    result = { status: 'error', message: error.message, errors: {} };
+                }
+                await queue.remove(entry.id);
+                (result.status === 'success' ? sent : rejected).push({ ...entry, result });
+            }
+        }
+
+        return { sent, rejected, remaining: await queue.count() };
+    }
+}
+
+ContactClient.RETRY_STATUSES = CONTACT_RETRY_STATUSES;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactClient;
+} else {
+    window.ContactClient = ContactClient;
+}
@@ -0,0 +1,307 @@
+// Contact Form
+// Validation of the contact form from one declarative schema, shared with the
+// server: scripts/export-contact-schema.js writes it to
+// api/contact-schema.json, which api/validation.php interprets the same way,
+// so the browser and the endpoint accept and reject exactly the same input.
+//
+// Each field may have
+//   label      - used in the default messages
+//   required   - true if it may not be empty
+//   minLength, maxLength - in characters (code points), after trimming
+//   pattern    - regular expression the whole value must match; keep to the
+//                syntax JavaScript ('u' flag) and PCRE read alike, no '~'
+//   enum       - allowed values
+//   messages   - per rule (type, required, minLength, maxLength, pattern,
+//                enum), overriding the schema's default messages; {label},
+//                {minLength} and {maxLength} are filled in
+// Values are trimmed of ASCII whitespace first. Empty optional fields pass;
+// otherwise the first failing rule, in the order above, gives the message.
+// Fields outside the schema are dropped.
+//
+// The protection section holds the spam checks both sides apply on top (see
+// contact-proof.js): the honeypot field people leave empty, the minimum fill
+// time in ms - measured by the server from the signed start token it issued
+// when the form was opened, which is accepted for startMaxAge ms - the
+// proof-of-work difficulty in leading zero bits of SHA-256 and how far the
+// proof's timestamp may be from the server's clock, with their messages
+// ({minutes} is the wait before another message). Browsers without
+// JavaScript get the start token as the startCookie cookie instead, from an
+// image in index.html's <noscript>; their plain posts have no proof and are
+// held for review (the held message).
+//
+// The attachment section limits the geometry file sent with a message (see
+// attachment-field.js and attachment-upload.js): size in bytes, the chunk size
+// it is uploaded in, the extensions accepted and those with a preview. An
+// upload is started with the form's start token and counts against a limit
+// per address of its own ({minutes} as above).
+//
+// The scoping section holds the project questions of the scoping wizard and
+// the rules table its indicative estimate comes from (see project-scope.js);
+// the server checks the answers against the same questions.
+
+const CONTACT_SCHEMA = {
+    version: 2,
+    // Default messages per rule
+    messages: {
+        type: '{label} must be text',
+        required: '{label} is required',
+        minLength: '{label} must be at least {minLength} characters',
+        maxLength: '{label} must be at most {maxLength} characters',
+        pattern: '{label} is not valid',
+        enum: '{label} must be one of the listed options'
+    },
+    fields: {
+        name: {
+            label: 'Name',
+            required: true,
+            minLength: 2,
+            maxLength: 100,
+            messages: {
+                required: 'Name must be at least 2 characters'
+            }
+        },
+        email: {
+            label: 'Email',
+            required: true,
+            maxLength: 254,
+            pattern: "[A-Za-z0-9._%+'-]+@[A-Za-z0-9-]+(\\.[A-Za-z0-9-]+)*\\.[A-Za-z]{2,}",
+            messages: {
+                required: 'Please enter a valid email address',
+                pattern: 'Please enter a valid email address'
+            }
+        },
+        company: {
+            label: 'Company',
+            maxLength: 100
+        },
+        industry: {
+            label: 'Industry',
+            enum: [
+                'Chemical Processing',
+                'Oil & Gas',
+                'Power Generation',
+                'Pharmaceutical',
+                'Automotive',
+                'Marine',
+                'Other'
+            ],
+            messages: {
+                enum: 'Please select an industry from the list'
+            }
+        },
+        message: {
+            label: 'Message',
+            required: true,
+            minLength: 10,
+            maxLength: 5000,
+            messages: {
+                required: 'Message must be at least 10 characters'
+            }
+        }
+    },
+    protection: {
+        honeypot: 'website',
+        minFillTime: 3000, // ms
+        startMaxAge: 604800000, // ms, a week: messages queued offline still count
+        proofDifficulty: 16, // bits
+        proofMaxAge: 900000, // ms either side of the server's clock
+        startCookie: 'contact_start',
+        messages: {
+            tooFast: 'That was quick! Please check your message and send it again.',
+            proof: 'Your browser could not be verified. Please reload the page and try again.',
+            rateLimit: 'Too many messages from your network. Please try again in {minutes} minutes or email us at info@multi-flows.com.',
+            held: 'Thank you! Your message has been received. As it was sent without JavaScript, we will check it before we reply.'
+        }
+    },
+    attachment: {
+        maxSize: 52428800, // bytes, 50 MB
+        chunkSize: 1048576, // bytes per upload request
+        extensions: ['stl', 'obj', 'step', 'stp'],
+        preview: ['stl', 'obj'],
+        messages: {
+            type: 'Please attach an STL, OBJ or STEP file',
+            size: 'The file is larger than 50 MB',
+            empty: 'The file is empty',
+            incomplete: 'The attachment did not finish uploading. Please attach it again.',
+            start: 'The upload could not be started. Please reload the page and try again.',
+            rateLimit: 'Too many uploads from your connection. Please try again in {minutes} minutes.'
+        }
+    },
+    scoping: {
+        // Single choice unless multiple; flowType values are the services of
+        // the cards' presets (flow-presets.js)
+        questions: [
+            {
+                name: 'flowType',
+                label: 'Which flow is your project about?',
+                options: [
+                    { value: 'gas-liquid-flow', label: 'Gas-liquid flow: bubbles, slugs or annular flow' },
+                    { value: 'boiling-condensation', label: 'Boiling and condensation' },
+                    { value: 'cavitation-analysis', label: 'Cavitation in pumps, valves or turbines' },
+                    { value: 'droplet-dynamics', label: 'Sprays and droplets' },
+                    { value: 'other', label: 'Something else' }
+                ]
+            },
+            {
+                name: 'phases',
+                label: 'How many phases are involved?',
+                options: [
+                    { value: 'two', label: 'Two, e.g. gas and liquid' },
+                    { value: 'three', label: 'Three or more, e.g. oil, water and gas, or solid particles' }
+                ]
+            },
+            {
+                name: 'geometry',
+                label: 'How complex is the geometry?',
+                options: [
+                    { value: 'simple', label: 'Simple: a pipe, channel or vessel' },
+                    { value: 'moderate', label: 'A single component such as a valve, nozzle or pump' },
+                    { value: 'complex', label: 'An assembly or a detailed CAD model' }
+                ]
+            },
+            {
+                name: 'timeDependence',
+                label: 'Do you need steady or transient results?',
+                options: [
+                    { value: 'steady', label: 'Steady: time-averaged behaviour' },
+                    { value: 'transient', label: 'Transient: start-up, slugging, sloshing or other time histories' }
+                ]
+            },
+            {
+                name: 'deliverables',
+                label: 'What should we deliver besides a summary of results?',
+                multiple: true,
+                options: [
+                    { value: 'report', label: 'Full technical report' },
+                    { value: 'animations', label: 'Animations and visualisations' },
+                    { value: 'parametric', label: 'Parametric study of operating conditions' },
+                    { value: 'model', label: 'Simulation setup and model files' },
+                    { value: 'optimisation', label: 'Design optimisation' }
+                ]
+            }
+        ],
+        // Effort = (baseDays + added days) x factors of the matching rules,
+        // shown as a band of +/- spread
+        estimate: {
+            baseDays: 8, // engineer-days
+            spread: 0.25,
+            dayRate: 950, // per engineer-day
+            currency: 'EUR',
+            priceStep: 500, // prices are rounded to this
+            rules: [
+                { question: 'flowType', value: 'boiling-condensation', factor: 1.3 },
+                { question: 'flowType', value: 'cavitation-analysis', factor: 1.2 },
+                { question: 'flowType', value: 'droplet-dynamics', factor: 1.2 },
+                { question: 'flowType', value: 'other', factor: 1.2 },
+                { question: 'phases', value: 'three', factor: 1.4 },
+                { question: 'geometry', value: 'simple', factor: 0.7 },
+                { question: 'geometry', value: 'complex', factor: 1.6 },
+                { question: 'timeDependence', value: 'transient', factor: 1.5 },
+                { question: 'deliverables', value: 'report', add: 2 },
+                { question: 'deliverables', value: 'animations', add: 2 },
+                { question: 'deliverables', value: 'parametric', add: 8 },
+                { question: 'deliverables', value: 'model', add: 3 },
+                { question: 'deliverables', value: 'optimisation', add: 12 }
+            ]
+        },
+        messages: {
+            required: 'Please choose an answer',
+            invalid: 'The project scope could not be read. Please go through the questions again.'
+        }
+    }
+};
+
+class ContactForm {
+    constructor(schema = CONTACT_SCHEMA) {
+        this.schema = schema;
+        this.patterns = {};
+        Object.keys(schema.fields).forEach(name => {
+            const pattern = schema.fields[name].pattern;
+            if (pattern) {
+                this.patterns[name] = new RegExp(`^(?:${pattern})$`, 'u');
+            }
+        });
+    }
+
+    // Trim spaces, tabs, line breaks, NUL and vertical tabs, as PHP's trim()
+    static normalize(value) {
+        return value.replace(/^[ \t\n\r\0\x0B]+|[ \t\n\r\0\x0B]+$/g, '');
+    }
+
+    // Length in code points, as mb_strlen()
+    static length(value) {
+        return Array.from(value).length;
+    }
+
+    get fieldNames() {
+        return Object.keys(this.schema.fields);
+    }
+
+    message(name, rule) {
+        const field = this.schema.fields[name];
+        const template = (field.messages && field.messages[rule]) || this.schema.messages[rule];
+        return template.replace(/\{(label|minLength|maxLength)\}/g, (match, key) =>
+            key === 'label' ? field.label || name : field[key]);
+    }
+
+    // Message for the first rule the value breaks, or null if it is valid.
+    // Missing values (undefined, null) count as empty.
+    validateField(name, value) {
+        const field = this.schema.fields[name];
+        if (!field) return null;
+
+        if (value === undefined || value === null) {
+            value = '';
+        }
+        if (typeof value !== 'string') {
+            return this.message(name, 'type');
+        }
+
+        value = ContactForm.normalize(value);
+        if (value === '') {
+            return field.required ? this.message(name, 'required') : null;
+        }
+
+        const length = ContactForm.length(value);
+        if (field.minLength !== undefined && length < field.minLength) {
+            return this.message(name, 'minLength');
+        }
+        if (field.maxLength !== undefined && length > field.maxLength) {
+            return this.message(name, 'maxLength');
+        }
+        if (this.patterns[name] && !this.patterns[name].test(value)) {
+            return this.message(name, 'pattern');
+        }
+        if (field.enum && !field.enum.includes(value)) {
+            return this.message(name, 'enum');
+        }
+        return null;
+    }
+
+    // { valid, data, errors }: data holds the schema's fields, normalized;
+    // errors maps invalid field names to messages
+    validate(input = {}) {
+        const data = {};
+        const errors = {};
+
+        this.fieldNames.forEach(name => {
+            const value = input[name];
+            const error = this.validateField(name, value);
+            if (error) {
+                errors[name] = error;
+            }
+            data[name] = typeof value === 'string' ? ContactForm.normalize(value) : '';
+        });
+
+        return { valid: Object.keys(errors).length === 0, data, errors };
+    }
+}
+
+ContactForm.SCHEMA = CONTACT_SCHEMA;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactForm;
+} else {
+    window.ContactForm = ContactForm;
+}
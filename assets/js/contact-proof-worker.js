@@ -0,0 +1,22 @@
+// Contact Proof Worker
+// Solves contact form proofs of work off the main thread for ContactProof.
+// Messages in are { id, challenge, difficulty }, answers { id, nonce }.
+
+if (typeof importScripts === 'function') {
+    // The modules register themselves on window
+    self.window = self;
+    importScripts('contact-form.js', 'contact-proof.js');
+} else if (typeof module !== 'undefined' && module.exports) {
+    globalThis.ContactProof = require('./contact-proof');
+}
+
+function solveProofMessage({ id, challenge, difficulty }) {
+    return { id, nonce: ContactProof.solve(challenge, difficulty) };
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { solveProofMessage };
+} else {
+    self.onmessage = (event) => self.postMessage(solveProofMessage(event.data));
+}
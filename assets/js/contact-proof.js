@@ -0,0 +1,202 @@
+// Contact Proof
+// Proof-of-work for contact submissions: a few hundred milliseconds of
+// hashing per message is nothing to a person and adds up for a spam run.
+//
+// The proof is bound to what is sent. The challenge is
+//   SHA-256(schema version \n timestamp \n start \n field values...)
+// over the start token the server issued when the form was opened (see
+// ContactClient.start()) and the normalized values of the schema's fields,
+// in schema order. The proof "timestamp:nonce" is valid when
+// SHA-256(challenge + ':' + nonce) starts with protection.proofDifficulty
+// zero bits and the timestamp (ms) is within protection.proofMaxAge of the
+// server's clock. The timestamp is taken from the server's clock too
+// (ContactClient.serverNow()), as the visitor's may be off by hours.
+// api/protection.php and the stub endpoint
+// (scripts/contact-stub.js) verify it the same way; checking the start token
+// itself, and the fill time it gives, needs the server's secret.
+//
+// SHA-256 is done in plain JavaScript rather than crypto.subtle, which is
+// asynchronous per hash and missing outside secure contexts. sign() solves
+// in contact-proof-worker.js where workers are available, so the page stays
+// responsive, and on this thread otherwise.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.ContactForm = require('./contact-form');
+}
+
+const PROOF_ROUND_CONSTANTS = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const PROOF_INITIAL_HASH = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+class ContactProof {
+    constructor(options = {}) {
+        this.options = {
+            schema: options.schema || ContactForm.SCHEMA,
+            worker: options.worker !== undefined ? options.worker : typeof Worker !== 'undefined', // false to solve on this thread
+            workerUrl: options.workerUrl || 'assets/js/contact-proof-worker.js',
+            ...options
+        };
+
+        this.worker = null;
+        this.pending = new Map(); // request id -> { resolve, reject }
+        this.nextId = 1;
+    }
+
+    // Hex SHA-256 of the UTF-8 encoding of text
+    static sha256(text) {
+        const bytes = new TextEncoder().encode(text);
+        const length = bytes.length;
+        const words = new Uint32Array(((length + 9 + 63) >> 6) * 16);
+        for (let i = 0; i < length; i++) {
+            words[i >> 2] |= bytes[i] << (24 - (i & 3) * 8);
+        }
+        words[length >> 2] |= 0x80 << (24 - (length & 3) * 8);
+        words[words.length - 1] = length * 8;
+
+        const hash = Uint32Array.from(PROOF_INITIAL_HASH);
+        const w = new Uint32Array(64);
+        for (let block = 0; block < words.length; block += 16) {
+            for (let t = 0; t < 16; t++) {
+                w[t] = words[block + t];
+            }
+            for (let t = 16; t < 64; t++) {
+                const x = w[t - 15];
+                const y = w[t - 2];
+                const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+                const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+                w[t] = w[t - 16] + s0 + w[t - 7] + s1;
+            }
+
+            let a = hash[0], b = hash[1], c = hash[2], d = hash[3];
+            let e = hash[4], f = hash[5], g = hash[6], h = hash[7];
+            for (let t = 0; t < 64; t++) {
+                const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+                const choice = (e & f) ^ (~e & g);
+                const t1 = (h + S1 + choice + PROOF_ROUND_CONSTANTS[t] + w[t]) | 0;
+                const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+                const majority = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (S0 + majority) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+            hash[0] += a;
+            hash[1] += b;
+            hash[2] += c;
+            hash[3] += d;
+            hash[4] += e;
+            hash[5] += f;
+            hash[6] += g;
+            hash[7] += h;
+        }
+
+        return Array.from(hash, word => word.toString(16).padStart(8, '0')).join('');
+    }
+
+    static leadingZeroBits(hex) {
+        let bits = 0;
+        for (let i = 0; i < hex.length; i++) {
+            const nibble = parseInt(hex[i], 16);
+            if (nibble !== 0) {
+                return bits + 4 - nibble.toString(2).length;
+            }
+            bits += 4;
+        }
+        return bits;
+    }
+
+    static challenge(schema, data, timestamp) {
+        const values = Object.keys(schema.fields).map(name =>
+            (typeof data[name] === 'string' ? ContactForm.normalize(data[name]) : ''));
+        return ContactProof.sha256([schema.version, timestamp, data.start, ...values].join('\n'));
+    }
+
+    // Smallest nonce meeting the difficulty
+    static solve(challenge, difficulty) {
+        for (let nonce = 0; ; nonce++) {
+            if (ContactProof.leadingZeroBits(ContactProof.sha256(`${challenge}:${nonce}`)) >= difficulty) {
+                return nonce;
+            }
+        }
+    }
+
+    static verify(schema, data, now = Date.now()) {
+        const protection = schema.protection;
+        const match = typeof data.proof === 'string' && data.proof.match(/^(\d{1,15}):(\d{1,15})$/);
+        if (!match || typeof data.start !== 'string') return false;
+
+        const timestamp = Number(match[1]);
+        if (Math.abs(now - timestamp) > protection.proofMaxAge) return false;
+
+        const challenge = ContactProof.challenge(schema, data, timestamp);
+        return ContactProof.leadingZeroBits(ContactProof.sha256(`${challenge}:${match[2]}`)) >= protection.proofDifficulty;
+    }
+
+    // The submission with its proof added; data.start must be set and now
+    // should be the server's time
+    async sign(data, now = Date.now()) {
+        const challenge = ContactProof.challenge(this.options.schema, data, now);
+        const difficulty = this.options.schema.protection.proofDifficulty;
+        const nonce = this.options.worker ?
+            await this.solveInWorker(challenge, difficulty) :
+            ContactProof.solve(challenge, difficulty);
+        return { ...data, proof: `${now}:${nonce}` };
+    }
+
+    solveInWorker(challenge, difficulty) {
+        if (!this.worker) {
+            this.worker = new Worker(this.options.workerUrl);
+            this.worker.onmessage = (event) => {
+                const { id, nonce } = event.data;
+                this.pending.get(id).resolve(nonce);
+                this.pending.delete(id);
+            };
+            this.worker.onerror = (event) => {
+                // Finish what was asked on this thread
+                this.options.worker = false;
+                this.worker = null;
+                this.pending.forEach(({ resolve, challenge: pendingChallenge, difficulty: pendingDifficulty }) => {
+                    resolve(ContactProof.solve(pendingChallenge, pendingDifficulty));
+                });
+                this.pending.clear();
+                if (event.preventDefault) event.preventDefault();
+            };
+        }
+
+        const id = this.nextId++;
+        return new Promise(resolve => {
+            this.pending.set(id, { resolve, challenge, difficulty });
+            this.worker.postMessage({ id, challenge, difficulty });
+        });
+    }
+
+    destroy() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactProof;
+} else {
+    window.ContactProof = ContactProof;
+}
@@ -0,0 +1,90 @@
+// Contact Queue
+// Contact form submissions waiting to be sent, kept in IndexedDB so they
+// survive a reload or a closed tab while the browser is offline. Entries are
+// { id, data, queuedAt } and come back oldest first. Where IndexedDB is
+// missing or refuses to open (private windows, Node) the queue lives in
+// memory for the page's lifetime instead.
+
+const CONTACT_QUEUE_VERSION = 1;
+
+class ContactQueue {
+    constructor(options = {}) {
+        this.options = {
+            name: options.name || 'multi-flows-contact', // database
+            store: options.store || 'submissions',
+            indexedDB: options.indexedDB !== undefined ? options.indexedDB :
+                (typeof indexedDB !== 'undefined' ? indexedDB : null),
+            ...options
+        };
+
+        this.database = null;
+        this.memory = new Map(); // id -> entry, without IndexedDB
+        this.nextId = 1;
+    }
+
+    // Resolve an IDBRequest
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // The open database, or null to use memory
+    async open() {
+        if (this.database || !this.options.indexedDB) return this.database;
+
+        const request = this.options.indexedDB.open(this.options.name, CONTACT_QUEUE_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(this.options.store, { keyPath: 'id', autoIncrement: true });
+        };
+        try {
+            this.database = await ContactQueue.request(request);
+        } catch (error) {
+            this.options.indexedDB = null;
+        }
+        return this.database;
+    }
+
+    async transaction(mode, operation) {
+        const database = await this.open();
+        if (!database) return null;
+        const store = database.transaction(this.options.store, mode).objectStore(this.options.store);
+        return ContactQueue.request(operation(store));
+    }
+
+    // Queue a submission, resolves to its id
+    async add(data) {
+        const entry = { data, queuedAt: Date.now() };
+        const id = await this.transaction('readwrite', store => store.add(entry));
+        if (id !== null) return id;
+
+        const memoryId = this.nextId++;
+        this.memory.set(memoryId, { id: memoryId, ...entry });
+        return memoryId;
+    }
+
+    async all() {
+        const entries = await this.transaction('readonly', store => store.getAll());
+        return entries !== null ? entries : Array.from(this.memory.values());
+    }
+
+    async remove(id) {
+        const removed = await this.transaction('readwrite', store => store.delete(id));
+        if (removed === null) {
+            this.memory.delete(id);
+        }
+    }
+
+    async count() {
+        const count = await this.transaction('readonly', store => store.count());
+        return count !== null ? count : this.memory.size;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactQueue;
+} else {
+    window.ContactQueue = ContactQueue;
+}
@@ -0,0 +1,228 @@
+// Diagnostics Panel
+// Overlay of Chart.js plots for a FlowSimulation (or WorkerFlowSimulation):
+// rolling time series of void fraction, mean temperature per phase, kinetic
+// energy and phase-change events per second, plus a particle size histogram.
+// It polls getDiagnostics() and getSizeHistogram() on a timer, so it works
+// the same whether the physics runs on the main thread or in a worker. The
+// panel stacks below the control panel in the container's dock (see
+// FlowControls.dock()).
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.FlowControls = require('./flow-controls');
+}
+
+const DIAGNOSTIC_COLORS = {
+    gas: 'rgb(0, 170, 255)',
+    liquid: 'rgb(0, 100, 200)',
+    vapor: 'rgb(200, 200, 255)',
+    accent: 'rgb(255, 170, 0)'
+};
+
+class DiagnosticsPanel {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.options = {
+            container: options.container || simulation.container,
+            Chart: options.Chart || (typeof Chart !== 'undefined' ? Chart : null),
+            interval: options.interval || 500, // ms between samples
+            history: options.history || 120, // samples kept per series
+            histogramBins: options.histogramBins || 10,
+            ...options
+        };
+
+        if (!this.options.Chart) {
+            throw new Error('Chart.js is required for the diagnostics panel');
+        }
+        if (!this.options.container) {
+            throw new Error('The diagnostics panel needs a container element');
+        }
+
+        this.charts = {};
+        this.lastSample = null;
+        this.timer = null;
+
+        this.createElement();
+        this.createCharts();
+        this.start();
+    }
+
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'flow-diagnostics';
+        this.element.style.cssText = `
+            ${FlowControls.DOCK_PANEL_STYLE}
+            width: 320px;
+            padding: 10px;
+            background: rgba(10, 20, 35, 0.85);
+            border-radius: 8px;
+            color: #e6f0ff;
+            font-size: 12px;
+        `;
+        FlowControls.dock(this.options.container).appendChild(this.element);
+    }
+
+    createCanvas(title) {
+        const heading = document.createElement('div');
+        heading.textContent = title;
+        heading.style.cssText = 'margin: 6px 0 2px; font-weight: 600;';
+        this.element.appendChild(heading);
+
+        // Chart.js sizes responsive charts from their parent
+        const wrapper = document.createElement('div');
+        wrapper.style.cssText = 'position: relative; height: 110px;';
+        this.element.appendChild(wrapper);
+
+        const canvas = document.createElement('canvas');
+        wrapper.appendChild(canvas);
+        return canvas;
+    }
+
+    createCharts() {
+        const series = (label, color) => ({
+            label,
+            data: [],
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 1.5,
+            pointRadius: 0,
+            spanGaps: true
+        });
+
+        this.charts.voidFraction = this.createLineChart('Void fraction', [
+            series('Void fraction', DIAGNOSTIC_COLORS.gas)
+        ], { min: 0, max: 1 });
+        this.charts.temperature = this.createLineChart('Mean temperature (K)', [
+            series('Gas', DIAGNOSTIC_COLORS.gas),
+            series('Liquid', DIAGNOSTIC_COLORS.liquid),
+            series('Vapor', DIAGNOSTIC_COLORS.vapor)
+        ]);
+        this.charts.kineticEnergy = this.createLineChart('Kinetic energy', [
+            series('Kinetic energy', DIAGNOSTIC_COLORS.accent)
+        ], { min: 0 });
+        this.charts.phaseChanges = this.createLineChart('Phase changes per second', [
+            series('Evaporation', DIAGNOSTIC_COLORS.accent),
+            series('Condensation', DIAGNOSTIC_COLORS.liquid)
+        ], { min: 0 });
+
+        const Chart = this.options.Chart;
+        this.charts.sizes = new Chart(this.createCanvas('Particle size (radius, mm)'), {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [{ label: 'Particles', data: [], backgroundColor: DIAGNOSTIC_COLORS.gas }]
+            },
+            options: this.chartOptions()
+        });
+    }
+
+    createLineChart(title, datasets, yRange = {}) {
+        const Chart = this.options.Chart;
+        const options = this.chartOptions();
+        options.scales.y = { ...options.scales.y, ...yRange };
+
+        return new Chart(this.createCanvas(title), {
+            type: 'line',
+            data: { labels: [], datasets },
+            options
+        });
+    }
+
+    chartOptions() {
+        const ticks = { color: '#9fb3c8', maxTicksLimit: 5, font: { size: 10 } };
+        return {
+            animation: false,
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { labels: { color: '#e6f0ff', boxWidth: 10, font: { size: 10 } } } },
+            scales: {
+                x: { ticks, grid: { color: 'rgba(255, 255, 255, 0.05)' } },
+                y: { ticks, grid: { color: 'rgba(255, 255, 255, 0.05)' } }
+            }
+        };
+    }
+
+    start() {
+        if (this.timer === null) {
+            this.timer = setInterval(() => this.update(), this.options.interval);
+        }
+    }
+
+    stop() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Take one sample and redraw
+    update() {
+        const diagnostics = this.simulation.getDiagnostics();
+        if (!diagnostics) return;
+
+        // Rates need a previous sample over a positive time span; a reset
+        // rewinds the time and starts over
+        const last = this.lastSample;
+        let rates = { evaporation: null, condensation: null };
+        if (last && diagnostics.time > last.time) {
+            const elapsed = diagnostics.time - last.time;
+            rates = {
+                evaporation: (diagnostics.phaseChanges.evaporation - last.phaseChanges.evaporation) / elapsed,
+                condensation: (diagnostics.phaseChanges.condensation - last.phaseChanges.condensation) / elapsed
+            };
+        }
+        this.lastSample = diagnostics;
+
+        const label = diagnostics.time.toFixed(1);
+        const { meanTemperature } = diagnostics;
+        this.pushSample(this.charts.voidFraction, label, [diagnostics.voidFraction]);
+        this.pushSample(this.charts.temperature, label, [meanTemperature.gas, meanTemperature.liquid, meanTemperature.vapor]);
+        this.pushSample(this.charts.kineticEnergy, label, [diagnostics.kineticEnergy]);
+        this.pushSample(this.charts.phaseChanges, label, [rates.evaporation, rates.condensation]);
+
+        const histogram = this.simulation.getSizeHistogram(this.options.histogramBins);
+        if (histogram) {
+            const sizes = this.charts.sizes;
+            sizes.data.labels = histogram.counts.map((_, bin) =>
+                `${(histogram.edges[bin] * 1000).toFixed(1)}-${(histogram.edges[bin + 1] * 1000).toFixed(1)}`
+            );
+            sizes.data.datasets[0].data = histogram.counts;
+            sizes.update('none');
+        }
+    }
+
+    // Append one value per dataset, dropping the oldest beyond the history
+    pushSample(chart, label, values) {
+        chart.data.labels.push(label);
+        chart.data.datasets.forEach((dataset, index) => dataset.data.push(values[index]));
+
+        if (chart.data.labels.length > this.options.history) {
+            chart.data.labels.shift();
+            chart.data.datasets.forEach(dataset => dataset.data.shift());
+        }
+        chart.update('none');
+    }
+
+    show() {
+        this.element.style.display = '';
+        this.start();
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+        this.stop();
+    }
+
+    destroy() {
+        this.stop();
+        Object.keys(this.charts).forEach(name => this.charts[name].destroy());
+        this.charts = {};
+        FlowControls.undock(this.element);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiagnosticsPanel;
+} else {
+    window.DiagnosticsPanel = DiagnosticsPanel;
+}
@@ -0,0 +1,190 @@
+// Flow Comparison
+// Runs two (or more) FlowSimulation configurations side by side in lock
+// step: one animation loop advances every simulation by the same fixed steps
+// from the same seed, so differences on screen come from the configurations
+// alone. The simulations are built without their own control panels; the
+// comparison has one Start / Stop / Reset bar for all of them. Needs the
+// simulations on this thread, so the worker option is ignored.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.FlowSimulation = require('./flow-simulation');
+    globalThis.SeededRandom = require('./random');
+}
+
+class FlowComparison {
+    // configurations: [{ label, options }], options passed to FlowSimulation
+    constructor(container, configurations, options = {}) {
+        if (!container) {
+            throw new Error('The comparison needs a container element');
+        }
+        if (!Array.isArray(configurations) || configurations.length < 2) {
+            throw new Error('A comparison needs at least two configurations');
+        }
+
+        this.container = container;
+        this.options = {
+            seed: options.seed !== undefined ? options.seed : SeededRandom.randomSeed(), // shared by every simulation
+            timeStep: options.timeStep || 1 / 60, // s per fixed step, shared
+            maxSubSteps: options.maxSubSteps || 5,
+            height: options.height || container.offsetHeight || 400, // px per simulation
+            ...options
+        };
+
+        this.isRunning = false;
+        this.animationId = null;
+        this.lastFrameTime = null;
+        this.accumulator = 0;
+
+        this.createElement(configurations);
+    }
+
+    createElement(configurations) {
+        this.element = document.createElement('div');
+        this.element.className = 'flow-comparison';
+
+        this.controls = document.createElement('div');
+        this.controls.className = 'd-flex align-items-center gap-2 mb-2';
+        this.controls.innerHTML = `
+            <button type="button" class="btn btn-sm btn-primary" data-control="start">Start</button>
+            <button type="button" class="btn btn-sm btn-secondary" data-control="stop">Stop</button>
+            <button type="button" class="btn btn-sm btn-outline-primary" data-control="reset">Reset</button>
+            <span class="small text-muted" data-control="time" aria-live="off">0.00 s</span>
+        `;
+        this.element.appendChild(this.controls);
+
+        const panes = document.createElement('div');
+        panes.style.cssText = 'display: flex; gap: 10px;';
+        this.element.appendChild(panes);
+        this.container.appendChild(this.element);
+
+        this.simulations = configurations.map(({ label, options = {} }, index) => {
+            const pane = document.createElement('div');
+            pane.className = 'flow-comparison-pane';
+            pane.style.cssText = `
+                position: relative;
+                flex: 1 1 0;
+                min-width: 0;
+                height: ${this.options.height}px;
+                overflow: hidden;
+            `;
+            pane.setAttribute('aria-label', label || `Configuration ${index + 1}`);
+
+            const caption = document.createElement('div');
+            caption.className = 'flow-comparison-label';
+            caption.style.cssText = `
+                position: absolute;
+                bottom: 10px;
+                right: 10px;
+                padding: 2px 8px;
+                background: rgba(10, 20, 35, 0.8);
+                border-radius: 6px;
+                color: #e6f0ff;
+                font-size: 12px;
+                z-index: 10;
+            `;
+            caption.textContent = label || `Configuration ${index + 1}`;
+            panes.appendChild(pane);
+
+            const simulation = new FlowSimulation(pane, {
+                ...options,
+                seed: this.options.seed,
+                timeStep: this.options.timeStep,
+                controls: false
+            });
+            pane.appendChild(caption);
+            return simulation;
+        });
+
+        this.controls.querySelector('[data-control="start"]').addEventListener('click', () => this.start());
+        this.controls.querySelector('[data-control="stop"]').addEventListener('click', () => this.stop());
+        this.controls.querySelector('[data-control="reset"]').addEventListener('click', () => this.reset());
+        this.timeLabel = this.controls.querySelector('[data-control="time"]');
+    }
+
+    // Advance every simulation by the same whole number of fixed steps
+    step(dt = this.options.timeStep) {
+        const timeStep = this.options.timeStep;
+        let steps = 0;
+
+        this.accumulator += dt;
+        while (this.accumulator + 1e-9 >= timeStep && steps < this.options.maxSubSteps) {
+            this.simulations.forEach(simulation => simulation.advance());
+            this.accumulator -= timeStep;
+            steps++;
+        }
+
+        if (steps === this.options.maxSubSteps) {
+            this.accumulator = 0;
+        }
+        return steps;
+    }
+
+    run(nSteps) {
+        for (let i = 0; i < nSteps; i++) {
+            this.simulations.forEach(simulation => simulation.advance());
+        }
+        return this;
+    }
+
+    render() {
+        this.simulations.forEach(simulation => simulation.render());
+        this.timeLabel.textContent = `${(this.simulations[0].time * this.options.timeStep).toFixed(2)} s`;
+    }
+
+    animate(timestamp) {
+        if (!this.isRunning) return;
+
+        const elapsed = this.lastFrameTime !== null && timestamp !== undefined ?
+            (timestamp - this.lastFrameTime) / 1000 : this.options.timeStep;
+        this.lastFrameTime = timestamp !== undefined ? timestamp : null;
+
+        this.step(Math.min(elapsed, 0.1));
+        this.render();
+
+        this.animationId = this.requestFrame(time => this.animate(time));
+    }
+
+    requestFrame(callback) {
+        return FlowSimulation.prototype.requestFrame.call(this, callback);
+    }
+
+    cancelFrame(id) {
+        FlowSimulation.prototype.cancelFrame.call(this, id);
+    }
+
+    start() {
+        if (!this.isRunning) {
+            this.isRunning = true;
+            this.lastFrameTime = null;
+            this.animate();
+        }
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.animationId) {
+            this.cancelFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    // Back to the shared seed, keeping the running state
+    reset() {
+        this.accumulator = 0;
+        this.simulations.forEach(simulation => simulation.reset(this.options.seed));
+        this.render();
+    }
+
+    destroy() {
+        this.stop();
+        this.simulations.forEach(simulation => simulation.destroy());
+        FlowSimulation.removeElements(this.element);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowComparison;
+} else {
+    window.FlowComparison = FlowComparison;
+}
@@ -0,0 +1,363 @@
+// Flow Controls
+// Control panel for a FlowSimulation (or WorkerFlowSimulation), generated
+// from a parameter schema. Each parameter describes one control:
+//   name        - option name, also the data-control attribute
+//   label, unit - shown next to the live readout
+//   min, max, step
+//   description - read out by screen readers with the control
+//   type        - 'range' (default) or 'phases' for the phase checkboxes
+//   digits      - decimals of the readout, default from step
+//   when        - (simulation) => boolean, leave the control out when false
+//   get, set    - (simulation[, value]); default to options[name] and
+//                 set<Name>(value)
+// Embedders pass { hide: [names], parameters: [extra parameters] } as the
+// simulation's controls option. The panel only goes through options and the
+// public API methods, so it works with a worker simulation.
+//
+// The panel sits in the container's dock (FlowControls.dock()), a column
+// down the right edge that other overlay panels such as DiagnosticsPanel
+// share, so they stack rather than cover each other.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.ParticleStore = require('./particle-store');
+}
+
+// Pipe presets drive the inlets through superficial velocities
+const CONTROL_PIPE_ONLY = simulation => typeof simulation.options.superficialGas === 'number' &&
+    typeof simulation.options.superficialLiquid === 'number';
+
+const CONTROL_PARAMETERS = [
+    {
+        name: 'flowSpeed',
+        label: 'Flow speed',
+        unit: 'px/step',
+        min: 0,
+        max: 5,
+        step: 0.1,
+        description: 'Speed the particles are carried at, and the inlet speed without superficial velocities'
+    },
+    {
+        name: 'turbulence',
+        label: 'Turbulence',
+        unit: '',
+        min: 0,
+        max: 1,
+        step: 0.01,
+        description: 'Strength of the random velocity fluctuations'
+    },
+    {
+        name: 'temperature',
+        label: 'Temperature',
+        unit: 'K',
+        min: 273,
+        max: 473,
+        step: 1,
+        description: 'Ambient temperature the particles exchange heat with'
+    },
+    {
+        name: 'pressure',
+        label: 'Pressure',
+        unit: 'kPa',
+        min: 10,
+        max: 500,
+        step: 1,
+        description: 'System pressure, which sets the saturation temperature',
+        get: simulation => simulation.options.pressure / 1000,
+        set: (simulation, value) => simulation.setPressure(value * 1000)
+    },
+    {
+        name: 'particleCount',
+        label: 'Particles',
+        unit: '',
+        min: 10,
+        max: 2000,
+        step: 10,
+        description: 'Number of particles in the simulation'
+    },
+    {
+        name: 'phaseTypes',
+        label: 'Phases',
+        type: 'phases',
+        description: 'Phases that new particles are drawn from; at least one stays selected',
+        get: simulation => simulation.options.phaseTypes
+    },
+    {
+        name: 'superficialGas',
+        label: 'Gas superficial velocity',
+        unit: 'm/s',
+        min: 0,
+        max: 20,
+        step: 0.1,
+        description: 'Gas volume flow rate divided by the pipe cross-section',
+        when: CONTROL_PIPE_ONLY,
+        set: (simulation, value) => simulation.setSuperficialVelocities(value, simulation.options.superficialLiquid)
+    },
+    {
+        name: 'superficialLiquid',
+        label: 'Liquid superficial velocity',
+        unit: 'm/s',
+        min: 0,
+        max: 5,
+        step: 0.05,
+        description: 'Liquid volume flow rate divided by the pipe cross-section',
+        when: CONTROL_PIPE_ONLY,
+        set: (simulation, value) => simulation.setSuperficialVelocities(simulation.options.superficialGas, value)
+    },
+    {
+        name: 'inclination',
+        label: 'Inclination',
+        unit: '°',
+        min: -90,
+        max: 90,
+        step: 1,
+        description: 'Angle the pipe rises above horizontal in the flow direction',
+        when: CONTROL_PIPE_ONLY,
+        get: simulation => simulation.options.inclination || 0
+    }
+];
+
+// Layout of a panel in the dock; the panel adds its own looks
+const FLOW_DOCK_PANEL_STYLE = `
+    flex: 0 1 auto;
+    min-height: 0;
+    max-height: 100%;
+    overflow-y: auto;
+    pointer-events: auto;
+`;
+
+class FlowControls {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.options = {
+            container: options.container || simulation.container,
+            title: options.title || 'Flow Controls',
+            hide: options.hide || [], // parameter names to leave out
+            parameters: options.parameters || [], // added after the built-in ones
+            ...options
+        };
+
+        this.id = simulation.instanceId;
+        this.parameters = [...FlowControls.PARAMETERS, ...this.options.parameters].filter(parameter =>
+            !this.options.hide.includes(parameter.name) && (!parameter.when || parameter.when(simulation))
+        );
+
+        this.onInput = (e) => this.handleInput(e.target);
+        this.onClick = (e) => this.handleClick(e.target);
+
+        this.createElement();
+    }
+
+    createElement() {
+        const element = document.createElement('div');
+        element.className = 'flow-controls';
+        element.setAttribute('role', 'group');
+        element.setAttribute('aria-labelledby', `${this.id}-controls-title`);
+        element.style.cssText = `
+            ${FLOW_DOCK_PANEL_STYLE}
+            background: rgba(255, 255, 255, 0.9);
+            padding: 15px;
+            border-radius: 8px;
+            backdrop-filter: blur(10px);
+        `;
+
+        element.innerHTML = `
+            <h6 id="${this.id}-controls-title">${this.options.title}</h6>
+            ${this.parameters.map(parameter => this.renderParameter(parameter)).join('')}
+            <div class="d-flex gap-2">
+                <button type="button" class="btn btn-sm btn-primary" data-control="start">Start</button>
+                <button type="button" class="btn btn-sm btn-secondary" data-control="stop">Stop</button>
+                <button type="button" class="btn btn-sm btn-outline-primary" data-control="reset">Reset</button>
+            </div>
+        `;
+
+        // Delegated, so added parameters need no wiring of their own
+        element.addEventListener('input', this.onInput);
+        element.addEventListener('click', this.onClick);
+
+        FlowControls.dock(this.options.container).appendChild(element);
+        this.element = element;
+    }
+
+    // The dock of a container, created on first use. Panels stack top down in
+    // the order they are added; each shrinks and scrolls once the column is
+    // full. The dock lets clicks through to the canvas between panels.
+    static dock(container) {
+        const docked = Array.from(container.children).find(child => child.className === 'flow-dock');
+        if (docked) return docked;
+
+        const dock = document.createElement('div');
+        dock.className = 'flow-dock';
+        dock.style.cssText = `
+            position: absolute;
+            top: 10px;
+            right: 10px;
+            bottom: 10px;
+            display: flex;
+            flex-direction: column;
+            align-items: flex-end;
+            gap: 10px;
+            pointer-events: none;
+            z-index: 10;
+        `;
+        container.appendChild(dock);
+        return dock;
+    }
+
+    // Take a panel out of its dock, and the dock out once it is empty
+    static undock(element) {
+        const dock = element.parentNode;
+        if (!dock) return;
+        dock.removeChild(element);
+        if (dock.className === 'flow-dock' && dock.children.length === 0 && dock.parentNode) {
+            dock.parentNode.removeChild(dock);
+        }
+    }
+
+    // Embedders supply the names, labels, descriptions and units, so all of
+    // them are escaped
+    static escape(text) {
+        return String(text).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+    }
+
+    renderParameter(parameter) {
+        const escape = FlowControls.escape;
+        const name = escape(parameter.name);
+        const id = `${this.id}-${name}`;
+        const value = this.getValue(parameter);
+
+        if (parameter.type === 'phases') {
+            return `
+            <fieldset class="mb-2" aria-describedby="${id}-description">
+                <legend class="small mb-1" style="font-size: inherit;">${escape(parameter.label)}</legend>
+                ${ParticleStore.PHASES.map(phase => `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="checkbox" id="${id}-${phase}" data-control="${name}" value="${phase}"${value.includes(phase) ? ' checked' : ''}>
+                    <label class="form-check-label small" for="${id}-${phase}">${phase}</label>
+                </div>`).join('')}
+                <div class="visually-hidden" id="${id}-description">${escape(parameter.description)}</div>
+            </fieldset>`;
+        }
+
+        const text = escape(FlowControls.format(parameter, value));
+        return `
+            <div class="mb-2">
+                <div class="d-flex justify-content-between gap-2">
+                    <label class="small" for="${id}">${escape(parameter.label)}</label>
+                    <output class="small text-muted" for="${id}" data-readout="${name}" aria-hidden="true">${text}</output>
+                </div>
+                <input type="range" class="form-range" id="${id}" data-control="${name}"
+                    min="${parameter.min}" max="${parameter.max}" step="${parameter.step}" value="${value}"
+                    aria-valuetext="${text}" aria-describedby="${id}-description">
+                <div class="visually-hidden" id="${id}-description">${escape(parameter.description)}</div>
+            </div>`;
+    }
+
+    // Value with its unit, to the precision of the slider step
+    static format(parameter, value) {
+        const digits = parameter.digits !== undefined ? parameter.digits :
+            Math.max(0, -Math.floor(Math.log10(parameter.step || 1)));
+        const number = Number(value).toFixed(digits);
+        if (!parameter.unit) return number;
+        return parameter.unit === '°' ? `${number}°` : `${number} ${parameter.unit}`;
+    }
+
+    getParameter(name) {
+        return this.parameters.find(parameter => parameter.name === name) || null;
+    }
+
+    getValue(parameter) {
+        return parameter.get ? parameter.get(this.simulation) : this.simulation.options[parameter.name];
+    }
+
+    setValue(parameter, value) {
+        if (parameter.set) {
+            parameter.set(this.simulation, value);
+        } else {
+            const setter = `set${parameter.name.charAt(0).toUpperCase()}${parameter.name.slice(1)}`;
+            this.simulation[setter](value);
+        }
+    }
+
+    control(name) {
+        return this.element.querySelector(`[data-control="${name}"]`);
+    }
+
+    handleInput(target) {
+        const parameter = this.getParameter(target.dataset.control);
+        if (!parameter) return;
+
+        if (parameter.type === 'phases') {
+            const checked = Array.from(this.element.querySelectorAll(`[data-control="${parameter.name}"]`))
+                .filter(input => input.checked)
+                .map(input => input.value);
+            // The last phase cannot be switched off
+            if (checked.length === 0) {
+                target.checked = true;
+                return;
+            }
+            this.setValue(parameter, checked);
+            return;
+        }
+
+        const value = parseFloat(target.value);
+        this.setValue(parameter, value);
+        this.updateReadout(parameter, target, value);
+    }
+
+    handleClick(target) {
+        const simulation = this.simulation;
+        switch (target.dataset.control) {
+        case 'start':
+            simulation.start();
+            break;
+        case 'stop':
+            simulation.stop();
+            break;
+        case 'reset':
+            simulation.stop();
+            simulation.reset();
+            simulation.start();
+            break;
+        }
+    }
+
+    updateReadout(parameter, input, value) {
+        const text = FlowControls.format(parameter, value);
+        input.setAttribute('aria-valuetext', text);
+        this.element.querySelector(`[data-readout="${parameter.name}"]`).textContent = text;
+    }
+
+    // Move the controls to the current option values, e.g. after an import
+    sync() {
+        this.parameters.forEach(parameter => {
+            const value = this.getValue(parameter);
+            if (parameter.type === 'phases') {
+                this.element.querySelectorAll(`[data-control="${parameter.name}"]`).forEach(input => {
+                    input.checked = value.includes(input.value);
+                });
+                return;
+            }
+            // Null superficial velocities leave the sliders where they are
+            if (typeof value !== 'number') return;
+            const input = this.control(parameter.name);
+            input.value = value;
+            this.updateReadout(parameter, input, value);
+        });
+    }
+
+    destroy() {
+        this.element.removeEventListener('input', this.onInput);
+        this.element.removeEventListener('click', this.onClick);
+        FlowControls.undock(this.element);
+    }
+}
+
+FlowControls.PARAMETERS = CONTROL_PARAMETERS;
+FlowControls.DOCK_PANEL_STYLE = FLOW_DOCK_PANEL_STYLE;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowControls;
+} else {
+    window.FlowControls = FlowControls;
+}
@@ -0,0 +1,217 @@
+// Flow Presets
+// Named industry setups for FlowSimulation. A preset bundles options,
+// boundaries, obstacles and any extra working fluid it needs, together with
+// the service it demonstrates. Geometry is given in fractions of the domain
+// (x and widths of its width, y and heights of its height, radii of the
+// shorter side) so a preset fits whatever container it is launched in.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.FluidProperties = require('./fluid-properties');
+    globalThis.Scenario = require('./scenario');
+}
+
+const FLOW_PRESETS = {
+    'slug-flow-pipe': {
+        title: 'Slug flow in a pipe',
+        description: 'Gas pockets and liquid slugs driven along a horizontal pipe section.',
+        service: 'gas-liquid-flow',
+        options: {
+            particleCount: 250,
+            // Slug flow on the Taitel-Dukler map of a 5 cm air-water pipe
+            superficialGas: 1, // m/s
+            superficialLiquid: 0.5,
+            pipeDiameter: 0.05, // m
+            inclination: 0,
+            flowSpeed: 1.5,
+            turbulence: 0.05,
+            solver: { cellSize: 10 }
+        },
+        boundaries: { left: 'inlet', right: 'outflow', top: 'wall', bottom: 'wall' },
+        obstacles: []
+    },
+    'pool-boiling': {
+        title: 'Pool boiling',
+        description: 'Superheated water boiling off a heater rod in a closed vessel.',
+        service: 'boiling-condensation',
+        options: {
+            particleCount: 200,
+            phaseTypes: ['liquid'],
+            fluid: 'water',
+            temperature: 390, // K, 17 K of superheat at 1 atm
+            pressure: 101325,
+            ambientExchange: 0.2, // strong heating, so bubbles form within seconds
+            flowSpeed: 0.2,
+            turbulence: 0.2,
+            solver: { cellSize: 10 }
+        },
+        boundaries: { left: 'wall', right: 'wall', top: 'wall', bottom: 'wall' },
+        obstacles: [{ type: 'circle', x: 0.5, y: 0.85, radius: 0.06 }]
+    },
+    'cavitating-venturi': {
+        title: 'Cavitating venturi',
+        description: 'Water accelerating through a venturi throat at low static pressure.',
+        service: 'cavitation-analysis',
+        options: {
+            particleCount: 250,
+            phaseTypes: ['liquid'],
+            fluid: 'water',
+            temperature: 300,
+            pressure: 9000, // Pa, cavitation number about 1.2
+            flowSpeed: 3,
+            cavitation: true,
+            coalescence: false,
+            turbulence: 0.05,
+            solver: { cellSize: 8 }
+        },
+        boundaries: { left: { type: 'inlet', velocity: 5 }, right: 'outflow', top: 'wall', bottom: 'wall' },
+        obstacles: [
+            { type: 'polygon', points: [[0.25, 0], [0.5, 0.35], [0.75, 0]] },
+            { type: 'polygon', points: [[0.25, 1], [0.75, 1], [0.5, 0.65]] }
+        ]
+    },
+    'spray-droplets': {
+        title: 'Spray droplets',
+        description: 'A liquid jet breaking up into droplets that collide and coalesce.',
+        service: 'droplet-dynamics',
+        options: {
+            particleCount: 300,
+            phaseTypes: ['liquid'],
+            flowSpeed: 3,
+            turbulence: 0.15,
+            breakup: true,
+            coalescence: true,
+            criticalWeber: 8,
+            solver: { cellSize: 10 }
+        },
+        boundaries: { left: { type: 'inlet', velocity: 5 }, right: 'outflow', top: 'outflow', bottom: 'outflow' },
+        obstacles: []
+    },
+    'ballast-tank-sloshing': {
+        title: 'Ballast tank sloshing',
+        description: 'Seawater and trapped air in a baffled ballast tank.',
+        service: 'marine',
+        options: {
+            particleCount: 250,
+            phaseTypes: ['liquid', 'liquid', 'gas'],
+            fluid: 'seawater',
+            temperature: 288,
+            flowSpeed: 0.5,
+            turbulence: 0.3,
+            // The ship's roll: 10 degrees either way every 6 s
+            rollAmplitude: 10,
+            rollPeriod: 6,
+            solver: { cellSize: 10 }
+        },
+        boundaries: { left: 'wall', right: 'wall', top: 'wall', bottom: 'wall' },
+        obstacles: [
+            { type: 'rect', x: 0.32, y: 0.4, width: 0.02, height: 0.6 },
+            { type: 'rect', x: 0.66, y: 0.4, width: 0.02, height: 0.6 }
+        ],
+        fluids: {
+            // 3.5 % salinity: about 0.6 K of boiling point elevation
+            seawater: {
+                name: 'Seawater',
+                clausiusClapeyron: { boilingPoint: 373.75, referencePressure: 101325 },
+                molarMass: 0.018015,
+                latentHeat: 2.26e6,
+                cpLiquid: 3993,
+                cpVapor: 2010,
+                liquidDensity: 1025,
+                liquidViscosity: 1.08e-3,
+                surfaceTension: 0.0735,
+                criticalTemperature: 647.1,
+                criticalPressure: 22.064e6
+            }
+        }
+    }
+};
+
+const FlowPresets = {
+    presets: FLOW_PRESETS,
+
+    get(slug) {
+        const preset = this.presets[slug];
+        if (!preset) {
+            throw new Error(`Unknown preset: ${slug}`);
+        }
+        return preset;
+    },
+
+    // Add or replace a preset; it is checked against the scenario schema
+    register(slug, preset) {
+        const { title, service, options = {}, boundaries = {}, obstacles = [] } = preset;
+        if (!title || !service) {
+            throw new Error(`Preset ${slug} needs a title and a service`);
+        }
+        try {
+            Scenario.validate({ version: Scenario.VERSION, seed: slug, options, boundaries, obstacles });
+        } catch (error) {
+            throw new Error(`Preset ${slug}: ${error.message}`);
+        }
+        this.presets[slug] = { description: '', ...preset, options, boundaries, obstacles };
+        return this.presets[slug];
+    },
+
+    // Summaries for menus
+    list(service) {
+        return Object.keys(this.presets)
+            .filter(slug => !service || this.presets[slug].service === service)
+            .map(slug => {
+                const { title, description, service: presetService } = this.presets[slug];
+                return { slug, title, description, service: presetService };
+            });
+    },
+
+    // Scenario for a domain of the given size, e.g. for importScenario() on a
+    // running simulation. Registers the preset's fluids.
+    toScenario(slug, width = 800, height = 600) {
+        const preset = this.get(slug);
+        if (preset.fluids) {
+            Object.keys(preset.fluids).forEach(name => {
+                if (!FluidProperties.fluids[name]) {
+                    FluidProperties.register(name, preset.fluids[name]);
+                }
+            });
+        }
+
+        return Scenario.validate({
+            version: Scenario.VERSION,
+            seed: preset.seed !== undefined ? preset.seed : slug,
+            options: JSON.parse(JSON.stringify(preset.options)),
+            boundaries: JSON.parse(JSON.stringify(preset.boundaries)),
+            obstacles: preset.obstacles.map(obstacle => FlowPresets.scaleObstacle(obstacle, width, height))
+        });
+    },
+
+    // FlowSimulation options for a new simulation; overrides win over the preset
+    createOptions(slug, { width = 800, height = 600, ...overrides } = {}) {
+        const { seed, options, boundaries, obstacles } = this.toScenario(slug, width, height);
+        return { ...options, seed, boundaries, obstacles, width, height, ...overrides };
+    },
+
+    scaleObstacle(obstacle, width, height) {
+        const scaled = { ...obstacle };
+        ['x', 'width'].forEach(key => {
+            if (scaled[key] !== undefined) scaled[key] *= width;
+        });
+        ['y', 'height'].forEach(key => {
+            if (scaled[key] !== undefined) scaled[key] *= height;
+        });
+        if (scaled.radius !== undefined) {
+            scaled.radius *= Math.min(width, height);
+        }
+        if (scaled.points) {
+            scaled.points = scaled.points.map(point => Array.isArray(point) ?
+                [point[0] * width, point[1] * height] :
+                { x: point.x * width, y: point.y * height });
+        }
+        return scaled;
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowPresets;
+} else {
+    window.FlowPresets = FlowPresets;
+}
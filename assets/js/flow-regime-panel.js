@@ -0,0 +1,247 @@
+// Flow Regime Panel
+// Draws the Taitel-Dukler flow-pattern map for a FlowSimulation's pipe
+// conditions, superficial gas velocity across and superficial liquid velocity
+// up on log scales, and marks the current operating point with its regime.
+// Like DiagnosticsPanel it polls the simulation on a timer, so it also works
+// with a WorkerFlowSimulation. By default it overlays the simulation's
+// container; pass options.container to place it beside the simulation.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.FlowRegime = require('./flow-regime');
+}
+
+const REGIME_COLORS = {
+    bubbly: 'rgb(0, 170, 255)',
+    slug: 'rgb(255, 170, 0)',
+    churn: 'rgb(230, 90, 70)',
+    annular: 'rgb(170, 130, 255)',
+    stratified: 'rgb(0, 100, 200)'
+};
+
+// Plot margins inside the canvas, px
+const REGIME_PLOT_MARGIN = { left: 46, right: 8, top: 8, bottom: 28 };
+
+class FlowRegimePanel {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.options = {
+            container: options.container || simulation.container,
+            interval: options.interval || 500, // ms between updates
+            width: options.width || 260, // canvas px
+            height: options.height || 200,
+            gas: options.gas || [0.01, 100], // m/s, superficial gas velocity axis
+            liquid: options.liquid || [0.001, 10], // m/s, superficial liquid velocity axis
+            columns: options.columns || 48, // map resolution
+            rows: options.rows || 40,
+            ...options
+        };
+
+        if (!this.options.container) {
+            throw new Error('The flow regime panel needs a container element');
+        }
+
+        this.map = null;
+        this.mapKey = null;
+        this.state = null;
+        this.timer = null;
+
+        this.createElement();
+        this.update();
+        this.start();
+    }
+
+    createElement() {
+        const overlay = this.options.container === this.simulation.container;
+
+        this.element = document.createElement('div');
+        this.element.className = 'flow-regime-map';
+        this.element.style.cssText = `
+            ${overlay ? 'position: absolute; bottom: 10px; left: 10px; z-index: 10;' : ''}
+            width: ${this.options.width + 20}px;
+            padding: 10px;
+            background: rgba(10, 20, 35, 0.85);
+            border-radius: 8px;
+            color: #e6f0ff;
+            font-size: 12px;
+        `;
+
+        this.heading = document.createElement('div');
+        this.heading.style.cssText = 'margin-bottom: 4px; font-weight: 600;';
+        this.heading.textContent = 'Flow regime';
+        this.element.appendChild(this.heading);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.options.width;
+        this.canvas.height = this.options.height;
+        this.canvas.setAttribute('role', 'img');
+        this.element.appendChild(this.canvas);
+
+        const legend = document.createElement('div');
+        legend.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px 10px; margin-top: 4px; font-size: 10px;';
+        legend.innerHTML = FlowRegime.REGIMES.map(regime => `
+            <span><span style="display: inline-block; width: 8px; height: 8px; margin-right: 3px; background: ${REGIME_COLORS[regime]};"></span>${FlowRegimePanel.label(regime)}</span>
+        `).join('');
+        this.element.appendChild(legend);
+
+        this.options.container.appendChild(this.element);
+    }
+
+    static label(regime) {
+        return regime.charAt(0).toUpperCase() + regime.slice(1);
+    }
+
+    start() {
+        if (this.timer === null) {
+            this.timer = setInterval(() => this.update(), this.options.interval);
+        }
+    }
+
+    stop() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Read the operating point, recompute the map when anything but the
+    // superficial velocities changed, and redraw
+    update() {
+        const state = this.simulation.getFlowRegime();
+        if (!state) return;
+        this.state = state;
+
+        const { superficialGas, superficialLiquid, ...conditions } = state.conditions;
+        const key = JSON.stringify(conditions);
+        if (key !== this.mapKey) {
+            const { gas, liquid, columns, rows } = this.options;
+            this.map = FlowRegime.map(conditions, { gas, liquid, columns, rows });
+            this.mapKey = key;
+        }
+
+        const label = FlowRegimePanel.label(state.regime);
+        this.heading.textContent = `Flow regime: ${label}`;
+        this.canvas.setAttribute('aria-label', `Flow-pattern map; operating point at ${superficialGas.toFixed(2)} m/s gas and ` +
+            `${superficialLiquid.toFixed(2)} m/s liquid superficial velocity, ${label.toLowerCase()} flow`);
+        this.draw();
+    }
+
+    // Canvas position of a pair of superficial velocities, clamped to the plot
+    toCanvas(superficialGas, superficialLiquid) {
+        const { width, height } = this.options;
+        const plotWidth = width - REGIME_PLOT_MARGIN.left - REGIME_PLOT_MARGIN.right;
+        const plotHeight = height - REGIME_PLOT_MARGIN.top - REGIME_PLOT_MARGIN.bottom;
+        const fraction = (value, [low, high]) => {
+            const position = (Math.log10(Math.max(value, 1e-12)) - Math.log10(low)) / (Math.log10(high) - Math.log10(low));
+            return Math.min(1, Math.max(0, position));
+        };
+
+        return {
+            x: REGIME_PLOT_MARGIN.left + fraction(superficialGas, this.options.gas) * plotWidth,
+            y: REGIME_PLOT_MARGIN.top + (1 - fraction(superficialLiquid, this.options.liquid)) * plotHeight
+        };
+    }
+
+    draw() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.options;
+        const { columns, rows, regimes } = this.map;
+        const plotWidth = width - REGIME_PLOT_MARGIN.left - REGIME_PLOT_MARGIN.right;
+        const plotHeight = height - REGIME_PLOT_MARGIN.top - REGIME_PLOT_MARGIN.bottom;
+        const cellWidth = plotWidth / columns;
+        const cellHeight = plotHeight / rows;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Regime regions, rows drawn upwards from the bottom of the plot
+        ctx.globalAlpha = 0.6;
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                ctx.fillStyle = REGIME_COLORS[regimes[row][column]];
+                ctx.fillRect(
+                    REGIME_PLOT_MARGIN.left + column * cellWidth,
+                    REGIME_PLOT_MARGIN.top + plotHeight - (row + 1) * cellHeight,
+                    Math.ceil(cellWidth),
+                    Math.ceil(cellHeight)
+                );
+            }
+        }
+        ctx.globalAlpha = 1;
+
+        this.drawAxes(ctx, plotWidth, plotHeight);
+
+        // Operating point
+        const { superficialGas, superficialLiquid } = this.state.conditions;
+        const point = this.toCanvas(superficialGas, superficialLiquid);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 5, 0, Math.PI * 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#0a1423';
+        ctx.stroke();
+    }
+
+    // Decade ticks on both log axes
+    drawAxes(ctx, plotWidth, plotHeight) {
+        const { left, top } = REGIME_PLOT_MARGIN;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(left, top, plotWidth, plotHeight);
+
+        ctx.fillStyle = '#9fb3c8';
+        ctx.font = '10px sans-serif';
+        const decades = ([low, high]) => {
+            const values = [];
+            for (let power = Math.ceil(Math.log10(low)); power <= Math.floor(Math.log10(high)); power++) {
+                values.push(Math.pow(10, power));
+            }
+            return values;
+        };
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        decades(this.options.gas).forEach(value => {
+            const { x } = this.toCanvas(value, this.options.liquid[0]);
+            ctx.fillText(String(value), x, top + plotHeight + 3);
+        });
+        ctx.fillText('Gas superficial velocity (m/s)', left + plotWidth / 2, top + plotHeight + 15);
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        decades(this.options.liquid).forEach(value => {
+            const { y } = this.toCanvas(this.options.gas[0], value);
+            ctx.fillText(String(value), left - 3, y);
+        });
+
+        ctx.save();
+        ctx.translate(8, top + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText('Liquid (m/s)', 0, 0);
+        ctx.restore();
+    }
+
+    show() {
+        this.element.style.display = '';
+        this.start();
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+        this.stop();
+    }
+
+    destroy() {
+        this.stop();
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowRegimePanel;
+} else {
+    window.FlowRegimePanel = FlowRegimePanel;
+}
@@ -0,0 +1,187 @@
+// Flow Regime Map
+// Classifies gas-liquid pipe flow as bubbly, slug, churn, annular or
+// stratified from the superficial velocities, pipe diameter and inclination
+// and the fluid properties. Near-horizontal pipes follow the Taitel-Dukler
+// (1976) mechanistic transitions, built on the equilibrium liquid level of
+// stratified flow; steeply rising pipes follow the Taitel-Dukler-Barnea
+// (1980) transitions for upward flow. map() samples the classifier over a
+// log-log grid of superficial velocities to draw the flow-pattern map.
+
+const REGIME_GAS_CONSTANT = 8.314462618; // J/(mol K)
+const AIR_MOLAR_MASS = 0.02897; // kg/mol
+const AIR_VISCOSITY = 1.81e-5; // Pa s
+
+// Rising pipes steeper than this (degrees) use the vertical transitions
+const VERTICAL_INCLINATION = 20;
+
+// Superficial velocities are clamped to this (m/s) so single-phase inputs stay finite
+const MIN_SUPERFICIAL_VELOCITY = 1e-6;
+
+const FlowRegime = {
+    REGIMES: ['bubbly', 'slug', 'churn', 'annular', 'stratified'],
+    AIR_VISCOSITY,
+
+    // Air at the given pressure (Pa) and temperature (K), kg/m^3
+    airDensity(pressure, temperature) {
+        return pressure * AIR_MOLAR_MASS / (REGIME_GAS_CONSTANT * temperature);
+    },
+
+    // conditions: superficialGas and superficialLiquid (m/s), diameter (m),
+    // inclination (degrees, positive for upward flow), gravity (m/s^2),
+    // liquidDensity and gasDensity (kg/m^3), liquidViscosity and
+    // gasViscosity (Pa s), surfaceTension (N/m) and pipeLength (m), the
+    // development length that separates churn from slug flow
+    classify(conditions) {
+        const state = {
+            ...conditions,
+            superficialGas: Math.max(conditions.superficialGas, MIN_SUPERFICIAL_VELOCITY),
+            superficialLiquid: Math.max(conditions.superficialLiquid, MIN_SUPERFICIAL_VELOCITY)
+        };
+        return state.inclination > VERTICAL_INCLINATION ?
+            this.classifyVertical(state) :
+            this.classifyHorizontal(state);
+    },
+
+    // Frictional pressure gradient (Pa/m) of one phase flowing alone, with
+    // the Blasius factor C Re^-n, turbulent above Re = 2000
+    superficialGradient(density, viscosity, velocity, diameter) {
+        const reynolds = density * velocity * diameter / viscosity;
+        const [C, n] = reynolds > 2000 ? [0.046, 0.2] : [16, 1];
+        return { gradient: 4 / diameter * C * Math.pow(reynolds, -n) * density * velocity * velocity / 2, n };
+    },
+
+    // Dimensionless areas, perimeters, velocities and hydraulic diameters of
+    // stratified flow at liquid level h (fraction of the diameter)
+    stratifiedGeometry(h) {
+        const level = 2 * h - 1;
+        const angle = Math.acos(level);
+        const chord = Math.sqrt(1 - level * level);
+        const areaLiquid = 0.25 * (Math.PI - angle + level * chord);
+        const areaGas = 0.25 * (angle - level * chord);
+        const perimeterLiquid = Math.PI - angle;
+        const perimeterGas = angle;
+        return {
+            areaLiquid,
+            areaGas,
+            perimeterLiquid,
+            perimeterGas,
+            interface: chord,
+            velocityLiquid: Math.PI / 4 / areaLiquid,
+            velocityGas: Math.PI / 4 / areaGas,
+            diameterLiquid: 4 * areaLiquid / perimeterLiquid,
+            diameterGas: 4 * areaGas / (perimeterGas + chord)
+        };
+    },
+
+    // Equilibrium liquid level of stratified flow from the momentum balance
+    // of both layers, X^2 and Y being the Lockhart-Martinelli and inclination
+    // parameters. Solved by bisection; the residual falls as the level rises.
+    stratifiedLevel(X2, Y, n, m) {
+        const residual = h => {
+            const s = this.stratifiedGeometry(h);
+            const liquid = X2 * Math.pow(s.velocityLiquid * s.diameterLiquid, -n) *
+                s.velocityLiquid * s.velocityLiquid * s.perimeterLiquid / s.areaLiquid;
+            const gas = Math.pow(s.velocityGas * s.diameterGas, -m) * s.velocityGas * s.velocityGas *
+                (s.perimeterGas / s.areaGas + s.interface / s.areaLiquid + s.interface / s.areaGas);
+            return liquid - gas - 4 * Y;
+        };
+
+        let low = 1e-6;
+        let high = 1 - 1e-6;
+        for (let iteration = 0; iteration < 60; iteration++) {
+            const middle = (low + high) / 2;
+            if (residual(middle) > 0) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return (low + high) / 2;
+    },
+
+    classifyHorizontal(state) {
+        const { superficialGas, superficialLiquid, diameter, gravity, liquidDensity, gasDensity } = state;
+        const angle = state.inclination * Math.PI / 180;
+        const densityDifference = liquidDensity - gasDensity;
+
+        const liquid = this.superficialGradient(liquidDensity, state.liquidViscosity, superficialLiquid, diameter);
+        const gas = this.superficialGradient(gasDensity, state.gasViscosity, superficialGas, diameter);
+        const X2 = liquid.gradient / gas.gradient;
+        // Taitel and Dukler measure the angle downwards
+        const Y = -densityDifference * gravity * Math.sin(angle) / gas.gradient;
+        const h = this.stratifiedLevel(X2, Y, liquid.n, gas.n);
+        const s = this.stratifiedGeometry(h);
+
+        // Kelvin-Helmholtz: waves on the stratified layer grow into the gas
+        const F2 = gasDensity / densityDifference * superficialGas * superficialGas /
+            (diameter * gravity * Math.cos(angle));
+        const wavesGrow = F2 * s.velocityGas * s.velocityGas * s.interface /
+            ((1 - h) * (1 - h) * s.areaGas) >= 1;
+        if (!wavesGrow) return 'stratified';
+
+        // A low layer is swept up the wall as a film; a high one bridges the pipe
+        if (h < 0.35) return 'annular';
+
+        // Turbulence strong enough to break the gas pocket into bubbles
+        const T2 = liquid.gradient / (densityDifference * gravity * Math.cos(angle));
+        const dispersed = T2 >= 8 * s.areaGas /
+            (s.interface * s.velocityLiquid * s.velocityLiquid * Math.pow(s.velocityLiquid * s.diameterLiquid, -liquid.n));
+        return dispersed ? 'bubbly' : 'slug';
+    },
+
+    classifyVertical(state) {
+        const { superficialGas, superficialLiquid, diameter, liquidDensity, gasDensity, surfaceTension } = state;
+        const gravity = state.gravity * Math.sin(state.inclination * Math.PI / 180);
+        const densityDifference = liquidDensity - gasDensity;
+        const mixture = superficialGas + superficialLiquid;
+
+        // Gas fast enough to carry the largest droplets up the core
+        const annularVelocity = 3.1 * Math.pow(surfaceTension * gravity * densityDifference, 0.25) / Math.sqrt(gasDensity);
+        if (superficialGas >= annularVelocity) return 'annular';
+
+        // Turbulent break-up beats coalescence while bubbles can still pack
+        const breakup = 2 * Math.sqrt(0.4 * surfaceTension / (densityDifference * gravity)) *
+            Math.pow(liquidDensity / surfaceTension, 0.6) *
+            Math.pow(2 * 0.046 / diameter * Math.pow(diameter * liquidDensity / state.liquidViscosity, -0.2), 0.4) *
+            Math.pow(mixture, 1.12);
+        const gasFraction = superficialGas / mixture;
+        if (breakup >= 0.725 + 4.15 * Math.sqrt(gasFraction) && gasFraction <= 0.52) return 'bubbly';
+
+        // Bubbly flow below a void fraction of 0.25, in pipes wide enough for
+        // bubbles to rise slower than Taylor bubbles
+        const buoyancyScale = gravity * densityDifference * surfaceTension / (liquidDensity * liquidDensity);
+        const wide = diameter > 19 * Math.sqrt(buoyancyScale) / gravity;
+        if (wide && superficialLiquid >= 3 * superficialGas - 1.15 * Math.pow(buoyancyScale, 0.25)) return 'bubbly';
+
+        // Slugs need a development length; closer to the inlet the flow churns
+        const entranceLength = 40.6 * diameter * (mixture / Math.sqrt(gravity * diameter) + 0.22);
+        return entranceLength > state.pipeLength ? 'churn' : 'slug';
+    },
+
+    // Regime on a log-spaced grid of cell centres: regimes[row][column],
+    // rows running up in liquid velocity and columns across in gas velocity
+    map(conditions, { gas = [0.01, 100], liquid = [0.001, 10], columns = 48, rows = 40 } = {}) {
+        const sample = (range, index, count) => {
+            const [low, high] = range.map(Math.log10);
+            return Math.pow(10, low + (index + 0.5) * (high - low) / count);
+        };
+
+        const regimes = [];
+        for (let row = 0; row < rows; row++) {
+            const superficialLiquid = sample(liquid, row, rows);
+            const line = [];
+            for (let column = 0; column < columns; column++) {
+                line.push(this.classify({ ...conditions, superficialGas: sample(gas, column, columns), superficialLiquid }));
+            }
+            regimes.push(line);
+        }
+        return { gas, liquid, columns, rows, regimes };
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowRegime;
+} else {
+    window.FlowRegime = FlowRegime;
+}
@@ -1,36 +1,236 @@
 // Advanced Flow Simulation Module
+//
+// Units: the particle state is SI, positions and radii in m and velocities in
+// m/s, advanced in fixed steps of options.timeStep seconds. The canvas, the
+// grid solver and the obstacle geometry work in px and px per step, a px being
+// options.lengthScale metres, and are converted where they meet the
+// particles: the renderers scale the particles to px, the grid solver is
+// sampled and forced in px, and particles are tested against obstacles in px.
+// Options that tune the look of the demo (flowSpeed, turbulence, the radii,
+// surfaceTension and the phase buoyancies) keep the px units they are given
+// in and are converted where they are used. Probes, injectors and stir() take
+// SI positions and velocities, and everything reported is SI: temperatures in
+// K, pressures in Pa, velocities in m/s and the conservation budget in kg and
+// J.
+
+// In Node the sibling modules are not globals, so pull them in explicitly
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.FluidSolver = require('./fluid-solver');
+    globalThis.Obstacle = require('./geometry').Obstacle;
+    globalThis.FluidProperties = require('./fluid-properties');
+    globalThis.SpatialHash = require('./spatial-hash');
+    globalThis.SeededRandom = require('./random');
+    globalThis.CanvasRenderer = require('./canvas-renderer');
+    globalThis.WebGLRenderer = require('./webgl-renderer');
+    globalThis.ParticleStore = require('./particle-store');
+    globalThis.Scenario = require('./scenario');
+    globalThis.FlowRegime = require('./flow-regime');
+    globalThis.FlowControls = require('./flow-controls');
+    globalThis.ConservationLedger = require('./conservation-ledger');
+}
+
+// Canvas edges: the axis each one bounds and the direction pointing into the domain
+const FLOW_EDGES = {
+    left: { axis: 'x', inward: 1 },
+    right: { axis: 'x', inward: -1 },
+    top: { axis: 'y', inward: 1 },
+    bottom: { axis: 'y', inward: -1 }
+};
+
+const BOUNDARY_TYPES = ['periodic', 'wall', 'inlet', 'outflow'];
+
+// Non-condensable gas phase (air), J/(kg K)
+const GAS_HEAT_CAPACITY = 1005;
+
+// Phase codes as stored in ParticleStore
+const PHASE_GAS = 0;
+const PHASE_LIQUID = 1;
+const PHASE_VAPOR = 2;
+
+// m/s^2; per-phase buoyancy is given for it and scales with options.gravity
+const STANDARD_GRAVITY = 9.81;
+
+// Per-phase size and buoyancy (px/step^2 along gravity at standard gravity,
+// negative to rise against it; particles carry it in m/s^2), indexed by phase
+// code
+const PHASE_PROPERTIES = [
+    { sizeFactor: 0.8, buoyancy: -0.02 }, // gas
+    { sizeFactor: 1.2, buoyancy: 0.01 }, // liquid
+    { sizeFactor: 0.6, buoyancy: -0.05 } // vapor
+];
+
+// The physics core runs without a DOM: pass a null container for headless use
+// (Node, workers, tests) and drive it with step(dt) or run(nSteps). With a
+// container a canvas renderer and control panel are attached on top.
+// FlowSimulation.create() can instead run the whole thing in a Web Worker.
 class FlowSimulation {
+    // Runs in a Web Worker when options.worker is set and the browser supports
+    // OffscreenCanvas, otherwise on the main thread
+    static create(container, options = {}) {
+        if (options.worker && container && typeof WorkerFlowSimulation !== 'undefined' &&
+            WorkerFlowSimulation.isSupported()) {
+            return new WorkerFlowSimulation(container, options);
+        }
+        return new FlowSimulation(container, options);
+    }
+
+    // Prefix for the ids of an instance's elements, so several simulations
+    // can share a page
+    static createInstanceId() {
+        FlowSimulation.instanceCount = (FlowSimulation.instanceCount || 0) + 1;
+        return `flow-simulation-${FlowSimulation.instanceCount}`;
+    }
+
+    // Renderer for a canvas: 'webgl', 'canvas', or 'auto' for WebGL where it
+    // is available with Canvas 2D as the fallback. A function is called with
+    // the canvas and should return any object with the renderer interface.
+    static createRenderer(canvas, type = 'auto') {
+        if (typeof type === 'function') {
+            return type(canvas);
+        }
+        if (type !== 'canvas' && type !== 'auto' && type !== 'webgl') {
+            throw new Error(`Unknown renderer: ${type}`);
+        }
+        if (type !== 'canvas' && typeof WebGLRenderer !== 'undefined' && WebGLRenderer.isSupported()) {
+            try {
+                return new WebGLRenderer(canvas);
+            } catch (error) {
+                if (type === 'webgl') throw error;
+            }
+        }
+        if (type === 'webgl') {
+            throw new Error('WebGL is not available');
+        }
+        return new CanvasRenderer(canvas);
+    }
+
     constructor(container, options = {}) {
-        this.container = container;
+        this.container = container || null;
+        this.instanceId = FlowSimulation.createInstanceId();
         this.options = {
             particleCount: options.particleCount || 100,
-            flowSpeed: options.flowSpeed || 1,
-            turbulence: options.turbulence || 0.1,
+            flowSpeed: options.flowSpeed || 1, // px/step
+            turbulence: options.turbulence || 0.1, // px/step, random velocity kick per step
             phaseTypes: options.phaseTypes || ['gas', 'liquid'],
             temperature: options.temperature || 293.15, // Kelvin
             pressure: options.pressure || 101325, // Pa
+            solver: options.solver || false, // true or FluidSolver options to enable the grid solver
+            drag: options.drag || 0.15, // particle relaxation towards the local fluid velocity
+            damping: 1.2, // 1/s, velocity decay of particles without the grid solver, booked in getConservation()
+            boundaries: options.boundaries || {}, // per edge: 'periodic' | 'wall' | 'outflow' | { type: 'inlet', velocity }
+            obstacles: options.obstacles || [], // { type: 'circle' | 'rect' | 'polygon', ... }
+            restitution: options.restitution || 0.5,
+            fluid: options.fluid || 'water', // key into FluidProperties.fluids
+            heatExchangeRadius: options.heatExchangeRadius || 30, // px
+            conductivity: options.conductivity || 0.02, // particle-particle heat exchange rate
+            maxNeighbours: options.maxNeighbours || 8, // heat exchange partners per particle and step
+            ambientExchange: options.ambientExchange || 0.02, // exchange rate with the surroundings at options.temperature
+            coalescence: true, // touching same-phase particles merge
+            breakup: true, // particles split above the critical Weber number
+            collisions: true, // touching particles of different phases bounce elastically
+            surfaceTension: options.surfaceTension || 30, // density x px^3 / step^2
+            criticalWeber: options.criticalWeber || 12,
+            cavitation: true, // liquid flashes to vapor where the local pressure drops below vapor pressure
+            lengthScale: options.lengthScale || 0.01, // m per px of the canvas and the grid solver
+            shockLifetime: options.shockLifetime || 20, // steps a bubble collapse marker stays visible
+            gravity: STANDARD_GRAVITY, // m/s^2
+            gravityDirection: 90, // degrees from the +x axis towards +y, so 90 points down the canvas
+            inclination: 0, // degrees the flow direction (+x) rises above horizontal; tilts gravity
+            rollAmplitude: 0, // degrees the domain rolls either side of the inclination, e.g. a ship's tank
+            rollPeriod: options.rollPeriod || 8, // s per roll cycle
+            superficialGas: null, // m/s; with superficialLiquid, drives the inlets of a pipe
+            superficialLiquid: null,
+            pipeDiameter: options.pipeDiameter || null, // m, for the flow-regime map; defaults to the domain height
+            pipeLength: options.pipeLength || 10, // m, development length for the flow-regime map
+            probeRadius: options.probeRadius || 20, // px around a probe that particles are read from
+            probeInterval: options.probeInterval || 5, // steps between probe samples
+            probeHistory: options.probeHistory || 300, // samples kept per probe
+            stirStrength: options.stirStrength || 0.5, // share of the pointer motion passed to the fluid
+            stirRadius: options.stirRadius || 25, // px, particles kicked by a stir without the grid solver
+            seed: options.seed, // number or string; a random seed is picked when omitted
+            prng: options.prng || SeededRandom.mulberry32, // (seed) => () => number in [0, 1)
+            width: options.width || 800, // px, headless only; otherwise the container size
+            height: options.height || 600,
+            timeStep: options.timeStep || 1 / 60, // s per fixed step
+            maxSubSteps: options.maxSubSteps || 5, // per step(dt) call, to avoid a spiral of death
+            renderer: options.renderer || 'auto', // 'auto' | 'webgl' | 'canvas' | (canvas) => renderer
+            urlState: options.urlState || false, // restore from and save to the page's URL hash
+            onError: options.onError || (() => {}), // (error) for a scenario link it could not use
+            controls: true, // false for no control panel, or FlowControls options ({ hide, parameters })
             ...options
         };
 
-        this.particles = [];
+        this.seed = this.options.seed !== undefined ? this.options.seed : SeededRandom.randomSeed();
+        this.random = this.createRandom(this.seed);
+
+        this.boundaries = this.normalizeBoundaries(this.options.boundaries);
+        this.obstacles = this.options.obstacles.map(definition => Obstacle.create(definition));
+        this.particles = new ParticleStore(this.options.particleCount);
+        this.heatCapacities = new Float64Array(ParticleStore.PHASES.length);
+        this.ledger = new ConservationLedger(this);
+        this.collisionBody = { x: 0, y: 0, vx: 0, vy: 0 };
+        this.weberSamples = [0, 1, 2, 3, 4].map(() => ({ x: 0, y: 0 })); // see getWeberNumber()
+        this.gravity = this.getGravityVector();
+        this.spatialHash = new SpatialHash(this.options.heatExchangeRadius);
+        this.contactHash = new SpatialHash();
+        this.merged = new Uint8Array(0);
+        this.saturationTemperature = this.getSaturationTemperature();
+        this.renderer = null;
+        this.canvas = null;
+        this.controls = null;
+        this.controlPanel = null;
         this.isRunning = false;
         this.animationId = null;
+        this.lastFrameTime = null;
+        this.accumulator = 0;
         this.time = 0;
+        this.phaseChanges = { evaporation: 0, condensation: 0 };
+        this.cavitationEvents = { inception: 0, collapse: 0 };
+        this.shocks = []; // { x, y, age } per recent bubble collapse
+        this.listeners = {}; // event type -> listeners, see on()
+        this.plugins = []; // see use()
+        this.forcePlugins = [];
+        this.probes = []; // { id, x, y, samples }
+        this.injectors = []; // { id, x, y, vx, vy, phase, rate, temperature, pending }
+        this.nextToolId = 1;
 
         this.init();
     }
 
+    // Counts draws so a saved particle state can wind a fresh generator
+    // forward to the same point
+    createRandom(seed) {
+        const generator = this.options.prng(seed);
+        this.randomDraws = 0;
+        return () => {
+            this.randomDraws++;
+            return generator();
+        };
+    }
+
     init() {
-        this.setupCanvas();
+        // Domain size in canvas px; the particles see toMetres() of it
+        this.width = this.container ? this.container.offsetWidth : this.options.width;
+        this.height = this.container ? this.container.offsetHeight : this.options.height;
+
+        this.setupSolver();
         this.createParticles();
-        this.setupControls();
+        this.ledger.reset();
+
+        if (this.container) {
+            this.setupCanvas();
+            if (this.options.controls) {
+                this.setupControls();
+            }
+            if (this.options.urlState) {
+                this.loadUrlHash();
+            }
+        }
     }
 
     setupCanvas() {
+        // Pointer input stays with the page unless a CanvasTools mode is active
         this.canvas = document.createElement('canvas');
-        this.ctx = this.canvas.getContext('2d');
-        this.canvas.width = this.container.offsetWidth;
-        this.canvas.height = this.container.offsetHeight;
         this.canvas.style.cssText = `
             position: absolute;
             top: 0;
@@ -40,278 +240,1239 @@ class FlowSimulation {
             pointer-events: none;
         `;
         this.container.appendChild(this.canvas);
+        this.attachRenderer(FlowSimulation.createRenderer(this.canvas, this.options.renderer));
+
+        this.observeResize(() => this.resize(this.container.offsetWidth, this.container.offsetHeight));
+    }
+
+    // Follow the container's size, not the window's, so simulations in
+    // panels that open or change width resize too. Also used by
+    // WorkerFlowSimulation.
+    observeResize(onResize) {
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => onResize());
+            this.resizeObserver.observe(this.container);
+        } else {
+            this.onWindowResize = onResize;
+            window.addEventListener('resize', this.onWindowResize);
+        }
+    }
 
-        // Handle resize
-        window.addEventListener('resize', () => {
-            this.canvas.width = this.container.offsetWidth;
-            this.canvas.height = this.container.offsetHeight;
+    unobserveResize() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.onWindowResize) {
+            window.removeEventListener('resize', this.onWindowResize);
+            this.onWindowResize = null;
+        }
+    }
+
+    resize(width, height) {
+        if (width === this.width && height === this.height) return;
+        this.width = width;
+        this.height = height;
+        if (this.solver) {
+            this.solver.resize(width, height);
+        }
+        if (this.renderer) {
+            this.renderer.resize(width, height);
+        }
+    }
+
+    // Renderers implement attach(simulation), resize(width, height), render()
+    // and detach()
+    attachRenderer(renderer) {
+        this.detachRenderer();
+        this.renderer = renderer;
+        renderer.attach(this);
+        return renderer;
+    }
+
+    detachRenderer() {
+        if (this.renderer) {
+            this.renderer.detach();
+            this.renderer = null;
+        }
+    }
+
+    setupSolver() {
+        this.solver = null;
+        if (!this.options.solver) return;
+
+        const solverOptions = this.options.solver === true ? {} : this.options.solver;
+        this.solver = new FluidSolver(this.width, this.height, solverOptions);
+        this.solver.setBoundaries(this.boundaries);
+        this.solver.setObstacles(this.obstacles);
+    }
+
+    normalizeBoundaries(boundaries) {
+        const edges = {};
+
+        Object.keys(FLOW_EDGES).forEach(side => {
+            const value = boundaries[side] || 'periodic';
+            const edge = typeof value === 'string' ? { type: value } : { ...value };
+            if (!BOUNDARY_TYPES.includes(edge.type)) {
+                throw new Error(`Unknown boundary type for ${side} edge: ${edge.type}`);
+            }
+            edges[side] = edge;
         });
+
+        ['left', 'top'].forEach(side => {
+            const opposite = side === 'left' ? 'right' : 'bottom';
+            if ((edges[side].type === 'periodic') !== (edges[opposite].type === 'periodic')) {
+                throw new Error(`Periodic boundaries must be set on both the ${side} and ${opposite} edges`);
+            }
+        });
+
+        return edges;
     }
 
-    createParticles() {
-        this.particles = [];
-
-        for (let i = 0; i < this.options.particleCount; i++) {
-            const particle = {
-                id: i,
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
-                vx: (Math.random() - 0.5) * this.options.flowSpeed,
-                vy: (Math.random() - 0.5) * this.options.flowSpeed,
-                size: Math.random() * 5 + 2,
-                phase: this.options.phaseTypes[Math.floor(Math.random() * this.options.phaseTypes.length)],
-                density: Math.random() * 0.5 + 0.5,
-                temperature: this.options.temperature + (Math.random() - 0.5) * 20,
-                life: 1.0,
-                maxLife: Math.random() * 100 + 50
-            };
+    // Inlets without an explicit velocity carry the mixture velocity of the
+    // superficial velocities when those are set, otherwise they follow the
+    // flow speed control
+    getInletSpeed(edge) {
+        if (edge.velocity !== undefined) return edge.velocity;
+        if (this.hasSuperficialVelocities()) {
+            return this.toPixelsPerStep(this.options.superficialGas + this.options.superficialLiquid);
+        }
+        return this.options.flowSpeed;
+    }
+
+    hasSuperficialVelocities() {
+        return typeof this.options.superficialGas === 'number' && typeof this.options.superficialLiquid === 'number';
+    }
+
+    // Body force per unit buoyancy: the gravity direction tilted by the pipe
+    // inclination and any roll, scaled by the gravity magnitude
+    getGravityVector() {
+        const angle = (this.options.gravityDirection + this.getTilt()) * Math.PI / 180;
+        const scale = this.options.gravity / STANDARD_GRAVITY;
+        return { x: Math.cos(angle) * scale, y: Math.sin(angle) * scale };
+    }
 
-            // Set particle properties based on phase
-            this.setPhaseProperties(particle);
-            this.particles.push(particle);
+    // Degrees of tilt at the current step: the inclination plus the periodic
+    // roll, which sloshes the contents of a closed domain
+    getTilt() {
+        const { inclination, rollAmplitude, rollPeriod, timeStep } = this.options;
+        if (!rollAmplitude) return inclination;
+        return inclination + rollAmplitude * Math.sin(2 * Math.PI * this.time * timeStep / rollPeriod);
+    }
+
+    updateSolver() {
+        const solver = this.solver;
+
+        Object.keys(this.boundaries).forEach(side => {
+            const edge = this.boundaries[side];
+            if (edge.type === 'inlet') {
+                solver.boundaries[side].velocity = this.getInletSpeed(edge);
+            }
+        });
+
+        // In a periodic channel nothing else drives the flow, so push the
+        // mean flow towards the requested flow speed
+        const mean = solver.getMeanVelocity();
+        if (solver.periodicX) {
+            solver.addUniformForce((this.options.flowSpeed - mean.x) * 0.05, 0);
+        }
+        if (solver.periodicY) {
+            solver.addUniformForce(0, -mean.y * 0.05);
         }
+
+        // Turbulence stirs the fluid with random impulses
+        const stirCount = Math.ceil(solver.nx * solver.ny * 0.02);
+        for (let n = 0; n < stirCount; n++) {
+            solver.addForce(
+                this.random() * this.width,
+                this.random() * this.height,
+                (this.random() - 0.5) * this.options.turbulence * 4,
+                (this.random() - 0.5) * this.options.turbulence * 4
+            );
+        }
+
+        solver.step(1);
     }
 
-    setPhaseProperties(particle) {
-        switch (particle.phase) {
-            case 'gas':
-                particle.color = `rgba(0, 170, 255, ${particle.density * 0.3})`;
-                particle.size *= 0.8;
-                particle.buoyancy = -0.02;
-                break;
-            case 'liquid':
-                particle.color = `rgba(0, 100, 200, ${particle.density * 0.7})`;
-                particle.size *= 1.2;
-                particle.buoyancy = 0.01;
-                break;
-            case 'vapor':
-                particle.color = `rgba(200, 200, 255, ${particle.density * 0.2})`;
-                particle.size *= 0.6;
-                particle.buoyancy = -0.05;
-                break;
+    createParticles() {
+        const count = this.options.particleCount;
+        if (this.particles.capacity < count) {
+            this.particles = new ParticleStore(count);
+        }
+        this.particles.clear();
+
+        for (let i = 0; i < count; i++) {
+            this.addParticle();
         }
     }
 
+    // Add one particle at a random position in the fluid. Returns its index.
+    addParticle() {
+        const position = this.randomFluidPosition();
+        const phase = this.hasSuperficialVelocities() ? this.randomInletPhase() : ParticleStore.phaseCode(
+            this.options.phaseTypes[Math.floor(this.random() * this.options.phaseTypes.length)]
+        );
+        const index = this.particles.add({
+            x: position.x,
+            y: position.y,
+            vx: this.toMetresPerSecond((this.random() - 0.5) * this.options.flowSpeed),
+            vy: this.toMetresPerSecond((this.random() - 0.5) * this.options.flowSpeed),
+            baseSize: this.toMetres(this.random() * 5 + 2),
+            phase,
+            density: this.random() * 0.5 + 0.5,
+            temperature: this.options.temperature + (this.random() - 0.5) * 20,
+            // Vapor mass fraction, moved by latent heat exchange
+            quality: phase === PHASE_VAPOR ? 1 : 0,
+            life: 1.0,
+            maxLife: this.random() * 100 + 50
+        });
+
+        // Set particle properties based on phase
+        this.setPhaseProperties(index);
+        return index;
+    }
+
+    // Gas or liquid in the no-slip volume fraction of the superficial velocities
+    randomInletPhase() {
+        const { superficialGas, superficialLiquid } = this.options;
+        const total = superficialGas + superficialLiquid;
+        const gasFraction = total > 0 ? superficialGas / total : 0;
+        return this.random() < gasFraction ? PHASE_GAS : PHASE_LIQUID;
+    }
+
+    // Change phase at constant mass: the particle grows or shrinks with the
+    // phase and its density follows
+    setPhase(i, phase) {
+        const p = this.particles;
+        const mass = this.getParticleMass(i);
+        p.phase[i] = phase;
+        this.setPhaseProperties(i);
+        p.density[i] = mass / (p.size[i] * p.size[i]);
+    }
+
+    setPhaseProperties(i) {
+        const properties = PHASE_PROPERTIES[this.particles.phase[i]];
+        const { lengthScale, timeStep } = this.options;
+        this.particles.size[i] = this.particles.baseSize[i] * properties.sizeFactor;
+        this.particles.buoyancy[i] = properties.buoyancy * lengthScale / (timeStep * timeStep);
+    }
+
     updateParticles() {
-        this.particles.forEach(particle => {
-            // Apply flow forces
-            this.applyFlowForces(particle);
+        const ledger = this.ledger;
+        if (this.solver) {
+            this.updateSolver();
+        }
+        // Pressure or fluid changes move the enthalpy of the particles
+        this.saturationTemperature = this.getSaturationTemperature();
+        ledger.updateProperties();
+        this.updateInjectors();
+
+        this.gravity = this.getGravityVector();
+        this.exchangeHeat();
+        this.updateShocks();
+
+        const cavitation = this.options.cavitation && this.solver !== null;
+        const forces = this.forcePlugins;
+        const timeStep = this.options.timeStep;
+        const damping = this.solver ? 1 : Math.exp(-this.options.damping * timeStep);
+        const p = this.particles;
+        for (let i = 0; i < p.count; i++) {
+            // Apply flow forces, then any forces added by plugins
+            const kinetic = ledger.kinetic(i);
+            this.applyFlowForces(i);
+            for (let n = 0; n < forces.length; n++) {
+                forces[n].force(this, i);
+            }
+            const forced = ledger.kinetic(i);
+            ledger.add('kineticEnergy', 'work', forced - kinetic);
+
+            if (damping < 1) {
+                p.vx[i] *= damping;
+                p.vy[i] *= damping;
+                ledger.add('kineticEnergy', 'damping', ledger.kinetic(i) - forced);
+            }
 
             // Apply phase change
-            this.checkPhaseChange(particle);
+            this.checkPhaseChange(i);
+            if (cavitation) {
+                this.checkCavitation(i);
+            }
 
             // Update position
-            particle.x += particle.vx;
-            particle.y += particle.vy;
+            p.x[i] += p.vx[i] * timeStep;
+            p.y[i] += p.vy[i] * timeStep;
 
             // Apply boundaries
-            this.applyBoundaries(particle);
+            this.applyBoundaries(i);
+            this.applyObstacles(i);
 
-            // Update life
-            particle.life -= 1 / particle.maxLife;
-            if (particle.life <= 0) {
-                this.resetParticle(particle);
+            // Update life. Expired particles respawn, which is also where the
+            // population relaxes back to particleCount after splits.
+            p.life[i] -= 1 / p.maxLife[i];
+            if (p.life[i] <= 0) {
+                if (p.count > this.options.particleCount) {
+                    ledger.recordOutflow(i, 'population');
+                    p.remove(i--);
+                    continue;
+                }
+                this.resetParticle(i);
             }
-        });
+        }
+
+        this.interactParticles();
+        this.replenishParticles();
     }
 
-    applyFlowForces(particle) {
-        // Turbulence
-        const turbulenceX = (Math.random() - 0.5) * this.options.turbulence;
-        const turbulenceY = (Math.random() - 0.5) * this.options.turbulence;
+    // Merges take particles out faster than they expire, so new ones are
+    // spawned to keep the population at particleCount
+    replenishParticles() {
+        const p = this.particles;
+        while (p.count < this.options.particleCount) {
+            const added = this.addParticle();
+            this.resetParticle(added, null);
+            this.ledger.recordInflow(added, 'population');
+        }
+    }
 
-        // Buoyancy
-        particle.vy += particle.buoyancy;
+    // Contacts between touching particles: same-phase pairs coalesce, other
+    // pairs collide elastically. Then fast-moving large particles break up.
+    // Like heat exchange, each particle resolves at most options.maxNeighbours
+    // contacts per step.
+    interactParticles() {
+        const p = this.particles;
+        const { coalescence, collisions, breakup } = this.options;
+
+        if (coalescence || collisions) {
+            let maxSize = 0;
+            for (let i = 0; i < p.count; i++) {
+                maxSize = Math.max(maxSize, p.size[i]);
+            }
+
+            if (this.merged.length < p.count) {
+                this.merged = new Uint8Array(p.capacity);
+            }
+            const merged = this.merged;
+            merged.fill(0, 0, p.count);
 
-        // Flow field (simplified)
-        const flowX = Math.sin(this.time * 0.01 + particle.y * 0.01) * 0.1;
-        const flowY = Math.cos(this.time * 0.01 + particle.x * 0.01) * 0.1;
+            const hash = this.contactHash;
+            const maxNeighbours = this.options.maxNeighbours;
+            let current = -1;
+            let contacts = 0;
+            hash.cellSize = Math.max(this.options.lengthScale, maxSize * 2);
+            hash.build(p.count, p.x, p.y, this.toMetres(this.width), this.toMetres(this.height));
 
-        particle.vx += turbulenceX + flowX;
-        particle.vy += turbulenceY + flowY;
+            hash.forEachPair((i, j) => {
+                if (merged[i]) return false;
+                if (merged[j]) return true;
+                if (i !== current) {
+                    current = i;
+                    contacts = 0;
+                }
 
-        // Damping
-        particle.vx *= 0.98;
-        particle.vy *= 0.98;
+                const dx = p.x[j] - p.x[i];
+                const dy = p.y[j] - p.y[i];
+                const reach = p.size[i] + p.size[j];
+                const distanceSquared = dx * dx + dy * dy;
+                if (distanceSquared >= reach * reach) return true;
+
+                // Only approaching pairs coalesce, and each particle takes
+                // part in at most one merge per step
+                if (p.phase[i] === p.phase[j]) {
+                    const approach = (p.vx[j] - p.vx[i]) * dx + (p.vy[j] - p.vy[i]) * dy;
+                    if (coalescence && approach < 0) {
+                        this.mergeParticles(i, j);
+                        merged[j] = 1;
+                        return false;
+                    }
+                } else if (collisions) {
+                    this.collideParticles(i, j, dx, dy, Math.sqrt(distanceSquared));
+                }
+                return ++contacts < maxNeighbours;
+            });
+
+            // Highest first, so the particle swapped into a gap is one that
+            // has already been checked and survived
+            for (let i = p.count - 1; i >= 0; i--) {
+                if (merged[i]) p.remove(i);
+            }
+        }
+
+        if (breakup) {
+            const count = p.count;
+            for (let i = 0; i < count; i++) {
+                if (this.getWeberNumber(i) > this.options.criticalWeber) {
+                    this.breakUpParticle(i);
+                }
+            }
+        }
     }
 
-    checkPhaseChange(particle) {
-        // Simplified phase change based on temperature and pressure
-        const criticalTemp = 373.15; // Water boiling point
+    // Particle mass in simulation units: density times area in m^2 (the
+    // particles are discs); see getUnitScales()
+    getParticleMass(i) {
+        const size = this.particles.size[i];
+        return this.particles.density[i] * size * size;
+    }
 
-        if (particle.phase === 'liquid' && particle.temperature > criticalTemp) {
-            particle.phase = 'vapor';
-            this.setPhaseProperties(particle);
-        } else if (particle.phase === 'vapor' && particle.temperature < criticalTemp) {
-            particle.phase = 'liquid';
-            this.setPhaseProperties(particle);
+    // Velocity of the carrier fluid. Without the grid solver the fluid is
+    // at rest and the decorative flow field acts as a body force.
+    getFluidVelocity(x, y, out = { x: 0, y: 0 }) {
+        if (this.solver) {
+            return this.sampleSolver(x, y, out);
         }
+        out.x = 0;
+        out.y = 0;
+        return out;
+    }
 
-        // Gradual temperature change
-        particle.temperature += (Math.random() - 0.5) * 0.5;
+    // Grid solver velocity (m/s) at (x, y) in m; the solver works in px and
+    // px per step
+    sampleSolver(x, y, out = { x: 0, y: 0 }) {
+        const { lengthScale, timeStep } = this.options;
+        this.solver.sampleVelocity(x / lengthScale, y / lengthScale, out);
+        out.x *= lengthScale / timeStep;
+        out.y *= lengthScale / timeStep;
+        return out;
     }
 
-    applyBoundaries(particle) {
-        if (particle.x < 0) {
-            particle.x = this.canvas.width;
-        } else if (particle.x > this.canvas.width) {
-            particle.x = 0;
+    // We = density * u^2 * diameter / surface tension, where u is the slip
+    // velocity or the fluid velocity difference across the particle,
+    // whichever is larger, so large particles are also torn up by shear. A
+    // fluid at rest has no shear, so only the solver's flow is sampled, into
+    // reused objects. options.surfaceTension is in density x px^3/step^2.
+    getWeberNumber(i) {
+        const p = this.particles;
+        const size = p.size[i];
+        let slip = p.vx[i] * p.vx[i] + p.vy[i] * p.vy[i];
+        let shear = 0;
+
+        if (this.solver) {
+            const x = p.x[i];
+            const y = p.y[i];
+            const samples = this.weberSamples;
+            const fluid = this.sampleSolver(x, y, samples[0]);
+            const left = this.sampleSolver(x - size, y, samples[1]);
+            const right = this.sampleSolver(x + size, y, samples[2]);
+            const above = this.sampleSolver(x, y - size, samples[3]);
+            const below = this.sampleSolver(x, y + size, samples[4]);
+            slip = (p.vx[i] - fluid.x) ** 2 + (p.vy[i] - fluid.y) ** 2;
+            shear = Math.max(
+                (right.x - left.x) ** 2 + (right.y - left.y) ** 2,
+                (below.x - above.x) ** 2 + (below.y - above.y) ** 2
+            );
         }
 
-        if (particle.y < 0) {
-            particle.y = this.canvas.height;
-        } else if (particle.y > this.canvas.height) {
-            particle.y = 0;
+        const { surfaceTension, lengthScale, timeStep } = this.options;
+        return p.density[i] * Math.max(slip, shear) * 2 * size * timeStep * timeStep /
+            (surfaceTension * lengthScale ** 3);
+    }
+
+    // j is absorbed into i. Mass, momentum and energy are conserved, and the
+    // merged disc has the combined area.
+    mergeParticles(i, j) {
+        const p = this.particles;
+        const kinetic = this.ledger.kinetic(i) + this.ledger.kinetic(j);
+        const mi = this.getParticleMass(i);
+        const mj = this.getParticleMass(j);
+        const total = mi + mj;
+        const wi = mi / total;
+        const wj = mj / total;
+
+        p.x[i] = p.x[i] * wi + p.x[j] * wj;
+        p.y[i] = p.y[i] * wi + p.y[j] * wj;
+        p.vx[i] = p.vx[i] * wi + p.vx[j] * wj;
+        p.vy[i] = p.vy[i] * wi + p.vy[j] * wj;
+        p.temperature[i] = p.temperature[i] * wi + p.temperature[j] * wj;
+        p.quality[i] = p.quality[i] * wi + p.quality[j] * wj;
+        p.life[i] = p.life[i] * wi + p.life[j] * wj;
+        p.maxLife[i] = p.maxLife[i] * wi + p.maxLife[j] * wj;
+
+        p.baseSize[i] = Math.hypot(p.baseSize[i], p.baseSize[j]);
+        this.setPhaseProperties(i);
+        p.density[i] = total / (p.size[i] * p.size[i]);
+        // The merged particle moves at the momentum-weighted mean velocity,
+        // so the relative motion is lost
+        this.ledger.add('kineticEnergy', 'merges', this.ledger.kinetic(i) - kinetic);
+    }
+
+    // Elastic collision along the line of centres, then separate the overlap
+    // in inverse proportion to mass
+    collideParticles(i, j, dx, dy, distance) {
+        const p = this.particles;
+        const nx = distance > 0 ? dx / distance : 1;
+        const ny = distance > 0 ? dy / distance : 0;
+        const inverseI = 1 / this.getParticleMass(i);
+        const inverseJ = 1 / this.getParticleMass(j);
+        const inverseTotal = inverseI + inverseJ;
+
+        const approach = (p.vx[j] - p.vx[i]) * nx + (p.vy[j] - p.vy[i]) * ny;
+        if (approach < 0) {
+            const impulse = -2 * approach / inverseTotal;
+            p.vx[i] -= impulse * inverseI * nx;
+            p.vy[i] -= impulse * inverseI * ny;
+            p.vx[j] += impulse * inverseJ * nx;
+            p.vy[j] += impulse * inverseJ * ny;
         }
+
+        const overlap = p.size[i] + p.size[j] - distance;
+        p.x[i] -= overlap * (inverseI / inverseTotal) * nx;
+        p.y[i] -= overlap * (inverseI / inverseTotal) * ny;
+        p.x[j] += overlap * (inverseJ / inverseTotal) * nx;
+        p.y[j] += overlap * (inverseJ / inverseTotal) * ny;
     }
 
-    resetParticle(particle) {
-        particle.x = Math.random() * this.canvas.width;
-        particle.y = Math.random() * this.canvas.height;
-        particle.life = 1.0;
-        particle.temperature = this.options.temperature + (Math.random() - 0.5) * 20;
+    // Split into two equal daughters of half the area, side by side across
+    // the slip direction and pushed apart with equal and opposite velocities
+    breakUpParticle(i) {
+        const p = this.particles;
+        const size = p.size[i] / Math.SQRT2;
+        if (size < this.options.lengthScale) return;
+
+        const kinetic = this.ledger.kinetic(i);
+        const j = p.duplicate(i);
+        p.baseSize[i] /= Math.SQRT2;
+        p.baseSize[j] = p.baseSize[i];
+        this.setPhaseProperties(i);
+        this.setPhaseProperties(j);
+
+        const fluid = this.getFluidVelocity(p.x[i], p.y[i]);
+        const slipX = p.vx[i] - fluid.x;
+        const slipY = p.vy[i] - fluid.y;
+        const slip = Math.hypot(slipX, slipY) || 1;
+        const nx = -slipY / slip;
+        const ny = slipX / slip;
+        const kick = 0.1 * slip;
+
+        p.x[i] -= nx * size;
+        p.y[i] -= ny * size;
+        p.x[j] += nx * size;
+        p.y[j] += ny * size;
+        p.vx[i] -= nx * kick;
+        p.vy[i] -= ny * kick;
+        p.vx[j] += nx * kick;
+        p.vy[j] += ny * kick;
+        this.ledger.add('kineticEnergy', 'breakup', this.ledger.kinetic(i) + this.ledger.kinetic(j) - kinetic);
     }
 
-    render() {
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-        // Draw particles
-        this.particles.forEach(particle => {
-            this.ctx.beginPath();
-            this.ctx.arc(particle.x, particle.y, particle.size * particle.life, 0, Math.PI * 2);
-            this.ctx.fillStyle = particle.color;
-            this.ctx.fill();
-
-            // Add glow effect for vapor
-            if (particle.phase === 'vapor') {
-                this.ctx.shadowBlur = 10;
-                this.ctx.shadowColor = particle.color;
-                this.ctx.fill();
-                this.ctx.shadowBlur = 0;
+    applyFlowForces(i) {
+        if (this.solver) {
+            this.applySolverForces(i);
+            return;
+        }
+
+        const p = this.particles;
+        const { lengthScale, timeStep } = this.options;
+        // The turbulence and the flow field are velocity kicks in px/step
+        const kick = lengthScale / timeStep;
+
+        // Turbulence
+        const turbulenceX = (this.random() - 0.5) * this.options.turbulence * kick;
+        const turbulenceY = (this.random() - 0.5) * this.options.turbulence * kick;
+
+        // Buoyancy
+        p.vx[i] += p.buoyancy[i] * this.gravity.x * timeStep;
+        p.vy[i] += p.buoyancy[i] * this.gravity.y * timeStep;
+
+        // Flow field (simplified), laid out in px
+        const flowX = Math.sin(this.time * 0.01 + p.y[i] / lengthScale * 0.01) * 0.1 * kick;
+        const flowY = Math.cos(this.time * 0.01 + p.x[i] / lengthScale * 0.01) * 0.1 * kick;
+
+        p.vx[i] += turbulenceX + flowX;
+        p.vy[i] += turbulenceY + flowY;
+    }
+
+    // Particles are advected through the solved velocity field, slipping
+    // relative to it only through buoyancy
+    applySolverForces(i) {
+        const p = this.particles;
+        const flow = this.sampleSolver(p.x[i], p.y[i]);
+        const { drag, timeStep } = this.options;
+
+        p.vx[i] += (flow.x - p.vx[i]) * drag + p.buoyancy[i] * this.gravity.x * timeStep;
+        p.vy[i] += (flow.y - p.vy[i]) * drag + p.buoyancy[i] * this.gravity.y * timeStep;
+    }
+
+    getSaturationTemperature() {
+        return FluidProperties.saturationTemperature(this.options.fluid, this.options.pressure);
+    }
+
+    // Specific heat per phase code for the current fluid
+    updateHeatCapacities() {
+        const fluid = FluidProperties.get(this.options.fluid);
+        this.heatCapacities[PHASE_GAS] = GAS_HEAT_CAPACITY;
+        this.heatCapacities[PHASE_LIQUID] = fluid.cpLiquid;
+        this.heatCapacities[PHASE_VAPOR] = fluid.cpVapor;
+    }
+
+    getHeatCapacity(i) {
+        return this.heatCapacities[this.particles.phase[i]];
+    }
+
+    // Pairwise conduction between nearby particles plus exchange with the
+    // surroundings, which are held at options.temperature. Each particle
+    // seeks at most options.maxNeighbours partners so the cost stays linear
+    // in dense scenes.
+    exchangeHeat() {
+        const p = this.particles;
+        const { x, y, temperature, phase, density, size } = p;
+        const heatCapacities = this.heatCapacities;
+        const radius = this.toMetres(this.options.heatExchangeRadius);
+        const radiusSquared = radius * radius;
+        const maxNeighbours = this.options.maxNeighbours;
+        const conductivity = this.options.conductivity;
+        const hash = this.spatialHash;
+        let current = -1;
+        let neighbours = 0;
+
+        hash.cellSize = radius;
+        hash.build(p.count, x, y, this.toMetres(this.width), this.toMetres(this.height));
+
+        hash.forEachPair((i, j) => {
+            if (i !== current) {
+                current = i;
+                neighbours = 0;
             }
+
+            const dx = x[j] - x[i];
+            const dy = y[j] - y[i];
+            const distanceSquared = dx * dx + dy * dy;
+            if (distanceSquared > radiusSquared) return true;
+
+            const distance = Math.sqrt(distanceSquared);
+
+            // Equal and opposite, so energy is conserved; limited by the
+            // smaller heat capacity so neither overshoots
+            const capacity = density[i] * size[i] * size[i] * heatCapacities[phase[i]];
+            const otherCapacity = density[j] * size[j] * size[j] * heatCapacities[phase[j]];
+            const weight = 1 - distance / radius;
+            const heat = conductivity * weight * Math.min(capacity, otherCapacity) * (temperature[j] - temperature[i]);
+            temperature[i] += heat / capacity;
+            temperature[j] -= heat / otherCapacity;
+
+            return ++neighbours < maxNeighbours;
         });
 
-        // Draw flow lines
-        this.drawFlowField();
-    }
-
-    drawFlowField() {
-        const gridSize = 50;
-        this.ctx.strokeStyle = 'rgba(0, 170, 255, 0.1)';
-        this.ctx.lineWidth = 1;
-
-        for (let x = 0; x < this.canvas.width; x += gridSize) {
-            for (let y = 0; y < this.canvas.height; y += gridSize) {
-                const flowX = Math.sin(this.time * 0.01 + y * 0.01) * 10;
-                const flowY = Math.cos(this.time * 0.01 + x * 0.01) * 10;
-
-                this.ctx.beginPath();
-                this.ctx.moveTo(x, y);
-                this.ctx.lineTo(x + flowX, y + flowY);
-                this.ctx.stroke();
-
-                // Arrow head
-                const angle = Math.atan2(flowY, flowX);
-                const arrowLength = 5;
-                this.ctx.beginPath();
-                this.ctx.moveTo(x + flowX, y + flowY);
-                this.ctx.lineTo(
-                    x + flowX - arrowLength * Math.cos(angle - Math.PI / 6),
-                    y + flowY - arrowLength * Math.sin(angle - Math.PI / 6)
-                );
-                this.ctx.moveTo(x + flowX, y + flowY);
-                this.ctx.lineTo(
-                    x + flowX - arrowLength * Math.cos(angle + Math.PI / 6),
-                    y + flowY - arrowLength * Math.sin(angle + Math.PI / 6)
-                );
-                this.ctx.stroke();
+        const ambient = this.options.temperature;
+        const ambientExchange = this.options.ambientExchange;
+        let heatIn = 0;
+        for (let i = 0; i < p.count; i++) {
+            const change = (ambient - temperature[i]) * ambientExchange;
+            temperature[i] += change;
+            heatIn += density[i] * size[i] * size[i] * heatCapacities[phase[i]] * change;
+        }
+        this.ledger.add('thermalEnergy', 'surroundings', heatIn);
+    }
+
+    // Liquid above saturation absorbs its superheat as latent heat until it has
+    // fully evaporated; vapor below saturation releases it as it condenses
+    checkPhaseChange(i) {
+        const p = this.particles;
+        const phase = p.phase[i];
+        if ((phase !== PHASE_LIQUID && phase !== PHASE_VAPOR) || p.cavity[i]) return;
+
+        const latentHeat = FluidProperties.get(this.options.fluid).latentHeat;
+        const saturation = this.saturationTemperature;
+        const cp = this.getHeatCapacity(i);
+
+        if (p.temperature[i] > saturation && p.quality[i] < 1) {
+            p.quality[i] += cp * (p.temperature[i] - saturation) / latentHeat;
+            p.temperature[i] = saturation;
+
+            if (p.quality[i] >= 1) {
+                // Energy beyond full evaporation superheats the vapor
+                this.setPhase(i, PHASE_VAPOR);
+                p.temperature[i] += (p.quality[i] - 1) * latentHeat / this.getHeatCapacity(i);
+                p.quality[i] = 1;
+                this.phaseChanges.evaporation++;
+                this.emitPhaseChange(i, PHASE_LIQUID, 'evaporation');
+            }
+        } else if (p.temperature[i] < saturation && p.quality[i] > 0) {
+            p.quality[i] -= cp * (saturation - p.temperature[i]) / latentHeat;
+            p.temperature[i] = saturation;
+
+            if (p.quality[i] <= 0) {
+                // Heat released beyond full condensation subcools the liquid
+                this.setPhase(i, PHASE_LIQUID);
+                p.temperature[i] += p.quality[i] * latentHeat / this.getHeatCapacity(i);
+                p.quality[i] = 0;
+                this.phaseChanges.condensation++;
+                this.emitPhaseChange(i, PHASE_VAPOR, 'condensation');
             }
         }
     }
 
-    animate() {
-        if (!this.isRunning) return;
+    // Reference flow speed in m/s: the mean inlet speed, or flowSpeed in a
+    // domain without inlets
+    getReferenceSpeed() {
+        const inlets = Object.keys(this.boundaries).filter(side => this.boundaries[side].type === 'inlet');
+        const speed = inlets.length > 0 ?
+            inlets.reduce((sum, side) => sum + Math.abs(this.getInletSpeed(this.boundaries[side])), 0) / inlets.length :
+            this.options.flowSpeed;
+        return this.toMetresPerSecond(speed);
+    }
+
+    // px to m
+    toMetres(length) {
+        return length * this.options.lengthScale;
+    }
+
+    toPixels(length) {
+        return length / this.options.lengthScale;
+    }
+
+    // px per step to m/s
+    toMetresPerSecond(speed) {
+        return speed * this.options.lengthScale / this.options.timeStep;
+    }
+
+    toPixelsPerStep(speed) {
+        return speed * this.options.timeStep / this.options.lengthScale;
+    }
+
+    // SI value of one internal unit of each quantity. Positions, radii and
+    // velocities are SI already; a step lasts options.timeStep seconds.
+    // Particles are discs one px (options.lengthScale) deep whose mass is
+    // density x size^2, with density relative to the fluid's liquid density.
+    getUnitScales() {
+        const { lengthScale, timeStep } = this.options;
+        const mass = FluidProperties.get(this.options.fluid).liquidDensity * Math.PI * lengthScale;
+        return {
+            length: 1, // m per unit of position and radius
+            time: timeStep, // s per step
+            velocity: 1, // m/s per unit of velocity
+            pixel: lengthScale, // m per px of the canvas and the grid solver
+            mass, // kg per unit of getParticleMass()
+            energy: mass // J per unit of getDiagnostics().kineticEnergy
+        };
+    }
+
+    // Static pressure (Pa) at (x, y) in m from Bernoulli along the flow: options.pressure
+    // where the fluid moves at the reference speed, lower where it is faster.
+    // Uniform without the grid solver.
+    getLocalPressure(x, y) {
+        if (!this.solver) return this.options.pressure;
+
+        const density = FluidProperties.get(this.options.fluid).liquidDensity;
+        const reference = this.getReferenceSpeed();
+        const flow = this.sampleSolver(x, y);
+        const speed = Math.hypot(flow.x, flow.y);
+        return this.options.pressure + 0.5 * density * (reference * reference - speed * speed);
+    }
+
+    // Pa, at the ambient temperature unless one is given
+    getVaporPressure(temperature = this.options.temperature) {
+        return FluidProperties.saturationPressure(this.options.fluid, temperature);
+    }
+
+    // sigma = (p - p_v) / (0.5 rho U^2) at the reference speed and ambient
+    // temperature. Cavitation sets in as it approaches the pressure drop
+    // coefficient of the geometry, typically around 1.
+    getCavitationNumber() {
+        const speed = this.getReferenceSpeed();
+        if (speed === 0) return Infinity;
+
+        const density = FluidProperties.get(this.options.fluid).liquidDensity;
+        return (this.options.pressure - this.getVaporPressure()) / (0.5 * density * speed * speed);
+    }
+
+    // Liquid flashes into a cavitation bubble where the local pressure is
+    // below the vapor pressure at its temperature; a bubble carried back into
+    // higher pressure collapses and leaves a shock marker. Liquid that would
+    // boil at the ambient pressure is left to checkPhaseChange. The vapor mass
+    // in a bubble is negligible, so cavitation bypasses the latent heat
+    // balance.
+    checkCavitation(i) {
+        const p = this.particles;
+        const cavity = p.cavity[i];
+        if (p.phase[i] !== PHASE_LIQUID && !cavity) return;
+
+        const pressure = this.getLocalPressure(p.x[i], p.y[i]);
+        const vaporPressure = this.getVaporPressure(p.temperature[i]);
+
+        if (!cavity && pressure < vaporPressure && vaporPressure <= this.options.pressure) {
+            const thermal = this.ledger.thermal(i);
+            this.setPhase(i, PHASE_VAPOR);
+            p.cavity[i] = 1;
+            this.ledger.add('thermalEnergy', 'cavitation', this.ledger.thermal(i) - thermal);
+            this.cavitationEvents.inception++;
+            this.emitPhaseChange(i, PHASE_LIQUID, 'cavitation');
+        } else if (cavity && pressure > vaporPressure) {
+            const thermal = this.ledger.thermal(i);
+            this.setPhase(i, PHASE_LIQUID);
+            p.cavity[i] = 0;
+            this.ledger.add('thermalEnergy', 'cavitation', this.ledger.thermal(i) - thermal);
+            this.cavitationEvents.collapse++;
+            this.shocks.push({ x: p.x[i], y: p.y[i], age: 0 });
+            this.emitPhaseChange(i, PHASE_VAPOR, 'collapse');
+        }
+    }
+
+    // Tell 'phaseChange' listeners that particle i left phase code `from`
+    emitPhaseChange(i, from, cause) {
+        if (!this.hasListeners('phaseChange')) return;
+
+        const p = this.particles;
+        this.emit('phaseChange', {
+            index: i,
+            id: p.id[i],
+            from: ParticleStore.phaseName(from),
+            to: ParticleStore.phaseName(p.phase[i]),
+            cause, // 'evaporation' | 'condensation' | 'cavitation' | 'collapse'
+            x: p.x[i],
+            y: p.y[i],
+            temperature: p.temperature[i]
+        });
+    }
+
+    updateShocks() {
+        if (this.shocks.length === 0) return;
+
+        this.shocks.forEach(shock => shock.age++);
+        this.shocks = this.shocks.filter(shock => shock.age < this.options.shockLifetime);
+    }
+
+    applyBoundaries(i) {
+        const p = this.particles;
+        const lengthScale = this.options.lengthScale;
+
+        if (p.x[i] < 0) {
+            this.applyEdge(i, 'left');
+        } else if (p.x[i] > this.width * lengthScale) {
+            this.applyEdge(i, 'right');
+        }
+
+        if (p.y[i] < 0) {
+            this.applyEdge(i, 'top');
+        } else if (p.y[i] > this.height * lengthScale) {
+            this.applyEdge(i, 'bottom');
+        }
+    }
+
+    applyEdge(i, side) {
+        const { axis, inward } = FLOW_EDGES[side];
+        const extent = this.toMetres(axis === 'x' ? this.width : this.height);
+        const position = this.particles[axis];
+        const velocity = this.particles[axis === 'x' ? 'vx' : 'vy'];
+
+        switch (this.boundaries[side].type) {
+            case 'periodic':
+                position[i] += inward * extent;
+                break;
+            case 'outflow':
+                this.resetParticle(i, 'boundary');
+                break;
+            default: {
+                // Walls and inlets reflect the particle back into the domain
+                const kinetic = this.ledger.kinetic(i);
+                const edgePosition = inward > 0 ? 0 : extent;
+                position[i] = 2 * edgePosition - position[i];
+                velocity[i] = inward * Math.abs(velocity[i]) * this.options.restitution;
+                this.ledger.add('kineticEnergy', 'walls', this.ledger.kinetic(i) - kinetic);
+            }
+        }
+    }
+
+    // The obstacle geometry is in px, so the particle is moved into px and px
+    // per step for the collision and back
+    applyObstacles(i) {
+        const p = this.particles;
+        const body = this.collisionBody;
+        const { lengthScale, timeStep } = this.options;
+        const velocityScale = lengthScale / timeStep;
+
+        for (let n = 0; n < this.obstacles.length; n++) {
+            const obstacle = this.obstacles[n];
+            if (!obstacle.contains(p.x[i] / lengthScale, p.y[i] / lengthScale)) continue;
+
+            const kinetic = this.ledger.kinetic(i);
+            body.x = p.x[i] / lengthScale;
+            body.y = p.y[i] / lengthScale;
+            body.vx = p.vx[i] / velocityScale;
+            body.vy = p.vy[i] / velocityScale;
+            obstacle.resolveCollision(body, this.options.restitution);
+            p.x[i] = body.x * lengthScale;
+            p.y[i] = body.y * lengthScale;
+            p.vx[i] = body.vx * velocityScale;
+            p.vy[i] = body.vy * velocityScale;
+            this.ledger.add('kineticEnergy', 'walls', this.ledger.kinetic(i) - kinetic);
+        }
+    }
+
+    // (x, y) in px
+    isInsideObstacle(x, y) {
+        return this.obstacles.some(obstacle => obstacle.contains(x, y));
+    }
+
+    // m
+    randomFluidPosition() {
+        let x = 0;
+        let y = 0;
+        for (let attempt = 0; attempt < 20; attempt++) {
+            x = this.random() * this.width;
+            y = this.random() * this.height;
+            if (!this.isInsideObstacle(x, y)) break;
+        }
+        return { x: this.toMetres(x), y: this.toMetres(y) };
+    }
+
+    // With inlets present particles re-enter through one of them, otherwise
+    // anywhere in the fluid. The budget books the particle as leaving and a
+    // new one entering, under `cause`; null books nothing.
+    resetParticle(i, cause = 'respawn') {
+        const p = this.particles;
+        if (cause) {
+            this.ledger.recordOutflow(i, cause);
+        }
+        const inlets = Object.keys(this.boundaries).filter(side => this.boundaries[side].type === 'inlet');
+
+        if (inlets.length > 0) {
+            const side = inlets[Math.floor(this.random() * inlets.length)];
+            const { axis, inward } = FLOW_EDGES[side];
+            const speed = this.toMetresPerSecond(this.getInletSpeed(this.boundaries[side]));
+            const along = axis === 'x' ? 'y' : 'x';
+            const alongExtent = this.toMetres(axis === 'x' ? this.height : this.width);
+            const extent = this.toMetres(axis === 'x' ? this.width : this.height);
+
+            p[axis][i] = inward > 0 ? 0 : extent;
+            p[along][i] = this.random() * alongExtent;
+            p[axis === 'x' ? 'vx' : 'vy'][i] = inward * speed;
+            p[axis === 'x' ? 'vy' : 'vx'][i] = 0;
+        } else {
+            const position = this.randomFluidPosition();
+            p.x[i] = position.x;
+            p.y[i] = position.y;
+        }
+
+        p.life[i] = 1.0;
+        p.temperature[i] = this.options.temperature + (this.random() - 0.5) * 20;
+        // Undo any growth from merges
+        p.baseSize[i] = this.toMetres(this.random() * 5 + 2);
+        // Cavitation bubbles re-enter as the liquid they came from
+        if (p.cavity[i]) {
+            p.cavity[i] = 0;
+            p.phase[i] = PHASE_LIQUID;
+        }
+        // A pipe's inlet keeps feeding gas and liquid in the superficial ratio
+        if (this.hasSuperficialVelocities()) {
+            p.phase[i] = this.randomInletPhase();
+            p.quality[i] = 0;
+        }
+        this.setPhaseProperties(i);
+        if (cause) {
+            this.ledger.recordInflow(i, cause);
+        }
+
+        if (this.hasListeners('particleReset')) {
+            this.emit('particleReset', { index: i, id: p.id[i], x: p.x[i], y: p.y[i], phase: ParticleStore.phaseName(p.phase[i]) });
+        }
+    }
 
+    render() {
+        if (this.renderer) {
+            this.renderer.render();
+        }
+        this.emit('render', { step: this.time });
+    }
+
+    // Flow arrow in px for drawFlowField at (x, y) in px: the solved velocity
+    // when the grid solver is enabled, otherwise the decorative sin/cos field
+    getFlowVector(x, y) {
+        if (this.solver) {
+            const flow = this.solver.sampleVelocity(x, y);
+            return { flowX: flow.x * 10, flowY: flow.y * 10 };
+        }
+
+        return {
+            flowX: Math.sin(this.time * 0.01 + y * 0.01) * 10,
+            flowY: Math.cos(this.time * 0.01 + x * 0.01) * 10
+        };
+    }
+
+    // Advance by dt seconds of simulated time in fixed steps of
+    // options.timeStep. Leftover time carries over to the next call.
+    // Returns the number of steps taken.
+    step(dt = this.options.timeStep) {
+        const timeStep = this.options.timeStep;
+        let steps = 0;
+
+        this.accumulator += dt;
+        while (this.accumulator + 1e-9 >= timeStep && steps < this.options.maxSubSteps) {
+            this.advance();
+            this.accumulator -= timeStep;
+            steps++;
+        }
+
+        // Drop the backlog rather than fall further behind
+        if (steps === this.options.maxSubSteps) {
+            this.accumulator = 0;
+        }
+        return steps;
+    }
+
+    // Advance exactly nSteps fixed steps
+    run(nSteps) {
+        for (let i = 0; i < nSteps; i++) {
+            this.advance();
+        }
+        return this;
+    }
+
+    advance() {
         this.time++;
+        this.plugins.forEach(plugin => {
+            if (plugin.beforeStep) plugin.beforeStep(this);
+        });
         this.updateParticles();
+        this.plugins.forEach(plugin => {
+            if (plugin.afterStep) plugin.afterStep(this);
+        });
+        if (this.time % this.options.probeInterval === 0) {
+            this.probes.forEach(probe => this.sampleProbe(probe));
+        }
+        this.emit('step', { step: this.time, time: this.time * this.options.timeStep });
+    }
+
+    // Events: 'step' after every fixed step, 'render' after each frame is
+    // drawn, 'phaseChange' when a particle evaporates, condenses, cavitates or
+    // collapses, 'particleReset' when a particle respawns, and 'start' and
+    // 'stop'. Listeners are called with an event object holding the type, the
+    // simulation and the details. A WorkerFlowSimulation forwards them from
+    // its worker once per frame.
+    on(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+        return this;
+    }
+
+    off(type, listener) {
+        if (this.listeners[type]) {
+            this.listeners[type] = this.listeners[type].filter(other => other !== listener);
+        }
+        return this;
+    }
+
+    once(type, listener) {
+        const wrapper = (event) => {
+            this.off(type, wrapper);
+            listener(event);
+        };
+        return this.on(type, wrapper);
+    }
+
+    hasListeners(type) {
+        return !!this.listeners[type] && this.listeners[type].length > 0;
+    }
+
+    emit(type, detail = {}) {
+        if (!this.hasListeners(type)) return;
+
+        const event = { type, simulation: this, ...detail };
+        this.listeners[type].forEach(listener => listener(event));
+    }
+
+    // Same as on('step') and off('step')
+    addStepListener(listener) {
+        this.on('step', listener);
+    }
+
+    removeStepListener(listener) {
+        this.off('step', listener);
+    }
+
+    get stepListeners() {
+        return this.listeners.step || [];
+    }
+
+    // Plugins extend the physics without subclassing. A plugin is an object
+    // with a unique name and any of these hooks, each called with the
+    // simulation:
+    //   install(simulation, options) - once, from use()
+    //   force(simulation, i)         - per particle and step, after the flow forces
+    //   beforeStep(simulation)       - every step, before the particles update
+    //   afterStep(simulation)        - every step, after the particles update
+    //   reset(simulation)            - after reset()
+    //   uninstall(simulation)        - from removePlugin()
+    use(plugin, options = {}) {
+        if (!plugin || !plugin.name) {
+            throw new Error('Plugins need a name');
+        }
+        if (this.getPlugin(plugin.name)) {
+            throw new Error(`Plugin ${plugin.name} is already installed`);
+        }
+
+        this.plugins.push(plugin);
+        this.forcePlugins = this.plugins.filter(other => typeof other.force === 'function');
+        if (plugin.install) {
+            plugin.install(this, options);
+        }
+        return this;
+    }
+
+    getPlugin(name) {
+        return this.plugins.find(plugin => plugin.name === name) || null;
+    }
+
+    removePlugin(name) {
+        const plugin = this.getPlugin(name);
+        if (!plugin) return;
+
+        this.plugins = this.plugins.filter(other => other !== plugin);
+        this.forcePlugins = this.plugins.filter(other => typeof other.force === 'function');
+        if (plugin.uninstall) {
+            plugin.uninstall(this);
+        }
+    }
+
+    animate(timestamp) {
+        if (!this.isRunning) return;
+
+        const elapsed = this.lastFrameTime !== null && timestamp !== undefined ?
+            (timestamp - this.lastFrameTime) / 1000 : this.options.timeStep;
+        this.lastFrameTime = timestamp !== undefined ? timestamp : null;
+
+        this.step(Math.min(elapsed, 0.1));
         this.render();
 
-        this.animationId = requestAnimationFrame(() => this.animate());
+        this.animationId = this.requestFrame(time => this.animate(time));
+    }
+
+    // Frame-time benchmark: times step and render over a number of frames
+    // and reports statistics in milliseconds. Advances the simulation.
+    benchmark({ frames = 120, warmup = 10 } = {}) {
+        const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+        const stepTimes = [];
+        const renderTimes = [];
+        const frameTimes = [];
+
+        for (let i = 0; i < warmup; i++) {
+            this.advance();
+            this.render();
+        }
+
+        for (let i = 0; i < frames; i++) {
+            const start = now();
+            this.advance();
+            const stepped = now();
+            this.render();
+            const rendered = now();
+
+            stepTimes.push(stepped - start);
+            renderTimes.push(rendered - stepped);
+            frameTimes.push(rendered - start);
+        }
+
+        const summarize = (times) => {
+            const sorted = [...times].sort((a, b) => a - b);
+            const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+            return {
+                mean,
+                median: sorted[Math.floor(sorted.length / 2)],
+                p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+                max: sorted[sorted.length - 1]
+            };
+        };
+
+        const frame = summarize(frameTimes);
+        return {
+            particleCount: this.getParticleCount(),
+            frames,
+            step: summarize(stepTimes),
+            render: summarize(renderTimes),
+            frame,
+            fps: frame.mean > 0 ? 1000 / frame.mean : Infinity
+        };
+    }
+
+    // requestAnimationFrame where available, a timer otherwise (Node)
+    requestFrame(callback) {
+        if (typeof requestAnimationFrame !== 'undefined') {
+            return requestAnimationFrame(callback);
+        }
+        return setTimeout(() => callback(Date.now()), this.options.timeStep * 1000);
+    }
+
+    cancelFrame(id) {
+        if (typeof cancelAnimationFrame !== 'undefined') {
+            cancelAnimationFrame(id);
+        } else {
+            clearTimeout(id);
+        }
     }
 
     start() {
         if (!this.isRunning) {
             this.isRunning = true;
+            this.lastFrameTime = null;
+            this.emit('start');
             this.animate();
         }
     }
 
     stop() {
+        const wasRunning = this.isRunning;
         this.isRunning = false;
         if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+            this.cancelFrame(this.animationId);
+            this.animationId = null;
+        }
+        if (wasRunning) {
+            this.emit('stop');
         }
     }
 
-    setupControls() {
-        // Create control panel
-        const controls = document.createElement('div');
-        controls.className = 'flow-controls';
-        controls.style.cssText = `
-            position: absolute;
-            top: 10px;
-            right: 10px;
-            background: rgba(255, 255, 255, 0.9);
-            padding: 15px;
-            border-radius: 8px;
-            backdrop-filter: blur(10px);
-            z-index: 10;
-        `;
-
-        controls.innerHTML = `
-            <h6>Flow Controls</h6>
-            <div class="mb-2">
-                <label class="small">Flow Speed:</label>
-                <input type="range" class="form-range" id="flowSpeed" min="0" max="5" step="0.1" value="${this.options.flowSpeed}">
-            </div>
-            <div class="mb-2">
-                <label class="small">Turbulence:</label>
-                <input type="range" class="form-range" id="turbulence" min="0" max="1" step="0.01" value="${this.options.turbulence}">
-            </div>
-            <div class="mb-2">
-                <label class="small">Temperature (K):</label>
-                <input type="range" class="form-range" id="temperature" min="273" max="473" step="1" value="${this.options.temperature}">
-            </div>
-            <div class="d-flex gap-2">
-                <button class="btn btn-sm btn-primary" id="startSim">Start</button>
-                <button class="btn btn-sm btn-secondary" id="stopSim">Stop</button>
-                <button class="btn btn-sm btn-outline-primary" id="resetSim">Reset</button>
-            </div>
-        `;
-
-        this.container.appendChild(controls);
+    // Stop and remove everything the simulation added to the page. Plugins
+    // are uninstalled and listeners dropped; the instance is not reusable.
+    destroy() {
+        this.stop();
+        this.plugins.map(plugin => plugin.name).forEach(name => this.removePlugin(name));
+        this.listeners = {};
+        this.unobserveResize();
+        this.detachRenderer();
+        if (this.controlPanel) {
+            this.controlPanel.destroy();
+        }
+        FlowSimulation.removeElements(this.canvas);
+        this.canvas = null;
+        this.controls = null;
+        this.controlPanel = null;
+    }
 
-        // Bind control events
-        controls.querySelector('#flowSpeed').addEventListener('input', (e) => {
-            this.options.flowSpeed = parseFloat(e.target.value);
+    // Also used by WorkerFlowSimulation
+    static removeElements(...elements) {
+        elements.forEach(element => {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
         });
+    }
 
-        controls.querySelector('#turbulence').addEventListener('input', (e) => {
-            this.options.turbulence = parseFloat(e.target.value);
-        });
+    // Also used by WorkerFlowSimulation. The panel is built by FlowControls
+    // from its parameter schema; options.controls can hide parameters or add
+    // more.
+    setupControls() {
+        const settings = typeof this.options.controls === 'object' ? this.options.controls : {};
+        this.controlPanel = new FlowControls(this, settings);
+        this.controls = this.controlPanel.element;
 
-        controls.querySelector('#temperature').addEventListener('input', (e) => {
-            this.options.temperature = parseFloat(e.target.value);
+        // Keep a shareable link to the current settings
+        this.controls.addEventListener('change', () => {
+            if (this.options.urlState) {
+                this.saveUrlHash();
+            }
         });
+    }
 
-        controls.querySelector('#startSim').addEventListener('click', () => this.start());
-        controls.querySelector('#stopSim').addEventListener('click', () => this.stop());
-        controls.querySelector('#resetSim').addEventListener('click', () => {
-            this.stop();
-            this.createParticles();
-            this.start();
-        });
+    // Control panel element by its data-control name
+    control(name) {
+        return this.controlPanel.control(name);
+    }
+
+    // Move the controls to the current option values, e.g. after an import
+    syncControls() {
+        if (!this.controlPanel) return;
+        this.controlPanel.sync();
     }
 
     // Public API methods
@@ -327,17 +1488,529 @@ class FlowSimulation {
         this.options.temperature = temperature;
     }
 
+    // Adds or removes particles now rather than on the next reset
+    setParticleCount(count) {
+        this.options.particleCount = count;
+        const p = this.particles;
+        while (p.count < count) {
+            this.ledger.recordInflow(this.addParticle(), 'population');
+        }
+        while (p.count > count) {
+            this.ledger.recordOutflow(p.count - 1, 'population');
+            p.remove(p.count - 1);
+        }
+    }
+
+    // Phases that new and respawned particles are drawn from
+    setPhaseTypes(phaseTypes) {
+        if (phaseTypes.length === 0) {
+            throw new Error('At least one phase type is needed');
+        }
+        phaseTypes.forEach(phase => ParticleStore.phaseCode(phase));
+        this.options.phaseTypes = [...phaseTypes];
+    }
+
+    // Restart from the initial state; the same seed replays the same run
+    reset(seed = this.seed) {
+        this.seed = seed;
+        this.random = this.createRandom(seed);
+        this.time = 0;
+        this.phaseChanges = { evaporation: 0, condensation: 0 };
+        this.cavitationEvents = { inception: 0, collapse: 0 };
+        this.shocks = [];
+        this.probes.forEach(probe => {
+            probe.samples = [];
+        });
+        this.injectors.forEach(injector => {
+            injector.pending = 0;
+        });
+        this.setupSolver();
+        this.createParticles();
+        this.ledger.reset();
+        this.plugins.forEach(plugin => {
+            if (plugin.reset) plugin.reset(this);
+        });
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    setPressure(pressure) {
+        this.options.pressure = pressure;
+        this.saturationTemperature = this.getSaturationTemperature();
+    }
+
+    setGravity(magnitude, direction = this.options.gravityDirection) {
+        this.options.gravity = magnitude;
+        this.options.gravityDirection = direction;
+        this.gravity = this.getGravityVector();
+    }
+
+    setInclination(angle) {
+        this.options.inclination = angle;
+        this.gravity = this.getGravityVector();
+    }
+
+    // Degrees either side of the inclination and seconds per cycle; an
+    // amplitude of 0 stops the roll
+    setRoll(amplitude, period = this.options.rollPeriod) {
+        this.options.rollAmplitude = amplitude;
+        this.options.rollPeriod = period;
+        this.gravity = this.getGravityVector();
+    }
+
+    // m/s; null for both hands the inlets back to the flow speed control
+    setSuperficialVelocities(gas, liquid) {
+        this.options.superficialGas = gas;
+        this.options.superficialLiquid = liquid;
+    }
+
+    setFluid(fluid) {
+        FluidProperties.get(fluid);
+        this.options.fluid = fluid;
+        this.saturationTemperature = this.getSaturationTemperature();
+    }
+
+    setBoundaries(boundaries) {
+        this.boundaries = this.normalizeBoundaries({ ...this.boundaries, ...boundaries });
+        if (this.solver) {
+            this.solver.setBoundaries(this.boundaries);
+        }
+    }
+
+    setObstacles(definitions) {
+        this.obstacles = definitions.map(definition => Obstacle.create(definition));
+        if (this.solver) {
+            this.solver.setObstacles(this.obstacles);
+        }
+    }
+
+    addObstacle(definition) {
+        this.setObstacles([...this.obstacles, definition]);
+    }
+
+    // Probes and injectors are placed with the canvas tools or directly. An
+    // id can be passed so a WorkerFlowSimulation can name them up front.
+    claimToolId(id) {
+        if (id === undefined) return this.nextToolId++;
+        this.nextToolId = Math.max(this.nextToolId, id + 1);
+        return id;
+    }
+
+    // Sample the local state at (x, y) in m every probeInterval steps. Returns
+    // the probe id.
+    addProbe(x, y, { id } = {}) {
+        const probe = { id: this.claimToolId(id), x, y, samples: [] };
+        this.probes.push(probe);
+        this.sampleProbe(probe);
+        return probe.id;
+    }
+
+    removeProbe(id) {
+        this.probes = this.probes.filter(probe => probe.id !== id);
+    }
+
+    getProbes() {
+        return this.probes.map(probe => ({ ...probe, samples: probe.samples.slice() }));
+    }
+
+    sampleProbe(probe) {
+        probe.samples.push({ time: this.time * this.options.timeStep, ...this.readProbe(probe.x, probe.y) });
+        if (probe.samples.length > this.options.probeHistory) {
+            probe.samples.shift();
+        }
+    }
+
+    // Local state within probeRadius (px) of (x, y) in m: the fluid velocity in m/s
+    // (solved, or the mean particle velocity without the grid solver), the
+    // mean particle temperature (ambient where no particle is near) and the
+    // phase covering the most particle area (null where there is none)
+    readProbe(x, y) {
+        const p = this.particles;
+        const radius = this.toMetres(this.options.probeRadius);
+        const area = new Float64Array(ParticleStore.PHASES.length);
+        let temperature = 0;
+        let vx = 0;
+        let vy = 0;
+        let count = 0;
+
+        for (let i = 0; i < p.count; i++) {
+            const dx = p.x[i] - x;
+            const dy = p.y[i] - y;
+            if (dx * dx + dy * dy > radius * radius) continue;
+            area[p.phase[i]] += p.size[i] * p.size[i];
+            temperature += p.temperature[i];
+            vx += p.vx[i];
+            vy += p.vy[i];
+            count++;
+        }
+
+        const velocity = this.solver ? this.sampleSolver(x, y) :
+            { x: count > 0 ? vx / count : 0, y: count > 0 ? vy / count : 0 };
+        let dominant = -1;
+        area.forEach((value, code) => {
+            if (value > 0 && (dominant === -1 || value > area[dominant])) {
+                dominant = code;
+            }
+        });
+
+        return {
+            velocity,
+            speed: Math.hypot(velocity.x, velocity.y),
+            temperature: count > 0 ? temperature / count : this.options.temperature,
+            phase: dominant === -1 ? null : ParticleStore.phaseName(dominant)
+        };
+    }
+
+    // Emit particles of one phase from (x, y) in m at rate per second with
+    // velocity (vx, vy) in m/s. Emission pauses while the population is
+    // at twice particleCount; the surplus goes as the particles expire.
+    // Returns the injector id.
+    addInjector({ x, y, vx = 0, vy = 0, phase = 'gas', rate = 30, temperature = this.options.temperature, id }) {
+        ParticleStore.phaseCode(phase);
+        const injector = { id: this.claimToolId(id), x, y, vx, vy, phase, rate, temperature, pending: 0 };
+        this.injectors.push(injector);
+        return injector.id;
+    }
+
+    removeInjector(id) {
+        this.injectors = this.injectors.filter(injector => injector.id !== id);
+    }
+
+    getInjectors() {
+        return this.injectors.map(({ pending, ...injector }) => injector);
+    }
+
+    updateInjectors() {
+        const limit = 2 * this.options.particleCount;
+        this.injectors.forEach(injector => {
+            injector.pending += injector.rate * this.options.timeStep;
+            while (injector.pending >= 1) {
+                injector.pending--;
+                if (this.particles.count < limit) {
+                    this.injectParticle(injector);
+                }
+            }
+        });
+    }
+
+    injectParticle(injector) {
+        const phase = ParticleStore.phaseCode(injector.phase);
+        const index = this.particles.add({
+            x: injector.x + this.toMetres((this.random() - 0.5) * 4),
+            y: injector.y + this.toMetres((this.random() - 0.5) * 4),
+            vx: injector.vx,
+            vy: injector.vy,
+            baseSize: this.toMetres(this.random() * 5 + 2),
+            phase,
+            density: this.random() * 0.5 + 0.5,
+            temperature: injector.temperature,
+            quality: phase === PHASE_VAPOR ? 1 : 0,
+            life: 1.0,
+            maxLife: this.random() * 100 + 50
+        });
+        this.setPhaseProperties(index);
+        this.ledger.recordInflow(index, 'injector');
+        return index;
+    }
+
+    // Drag the fluid along a pointer path from (x0, y0) to (x1, y1), m:
+    // forces into the grid cells along the path, or kicks to the particles
+    // near it without the grid solver. The path is followed in px, which the
+    // grid, stirStrength and stirRadius are given in.
+    stir(x0, y0, x1, y1) {
+        const { stirStrength, stirRadius, lengthScale, timeStep } = this.options;
+        const startX = x0 / lengthScale;
+        const startY = y0 / lengthScale;
+        const dx = x1 / lengthScale - startX;
+        const dy = y1 / lengthScale - startY;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return;
+
+        const kick = lengthScale / timeStep;
+        const segments = Math.max(1, Math.ceil(length / (this.solver ? this.solver.h : stirRadius)));
+        const fx = dx * stirStrength;
+        const fy = dy * stirStrength;
+        const p = this.particles;
+        const kinetic = this.solver ? 0 : this.ledger.measure().kineticEnergy;
+
+        for (let n = 1; n <= segments; n++) {
+            const x = startX + dx * n / segments;
+            const y = startY + dy * n / segments;
+            if (this.solver) {
+                this.solver.addForce(x, y, fx / segments, fy / segments);
+                continue;
+            }
+            for (let i = 0; i < p.count; i++) {
+                const distance = Math.hypot(p.x[i] / lengthScale - x, p.y[i] / lengthScale - y);
+                if (distance < stirRadius) {
+                    const falloff = 1 - distance / stirRadius;
+                    p.vx[i] += fx / segments * falloff * kick;
+                    p.vy[i] += fy / segments * falloff * kick;
+                }
+            }
+        }
+        if (!this.solver) {
+            this.ledger.add('kineticEnergy', 'work', this.ledger.measure().kineticEnergy - kinetic);
+        }
+    }
+
+    // Scenario (see Scenario) describing this setup. Without particles it
+    // replays the run from its seed; with them it resumes from the current
+    // state, except that the grid solver restarts from rest.
+    exportScenario({ particles = false } = {}) {
+        let particleState = null;
+        if (particles) {
+            const p = this.particles;
+            const fields = {};
+            ParticleStore.FIELDS.forEach(field => {
+                fields[field] = Array.from(p[field].subarray(0, p.count));
+            });
+            particleState = { count: p.count, time: this.time, draws: this.randomDraws, fields };
+        }
+
+        return Scenario.create({
+            seed: this.seed,
+            options: this.options,
+            boundaries: this.boundaries,
+            obstacles: this.obstacles.map(obstacle => obstacle.toJSON()),
+            particles: particleState
+        });
+    }
+
+    // Accepts a scenario object or JSON text. Invalid scenarios throw and
+    // leave the simulation untouched. So does a setup that fails to start
+    // (say the grid solver's arrays cannot be allocated), except that the
+    // grid solver's flow restarts from rest.
+    importScenario(input) {
+        const scenario = Scenario.validate(input);
+        const options = { ...this.options, ...scenario.options };
+        FluidProperties.get(options.fluid);
+        const setup = {
+            options,
+            width: this.container ? this.width : options.width,
+            height: this.container ? this.height : options.height,
+            boundaries: this.normalizeBoundaries(scenario.boundaries),
+            obstacles: scenario.obstacles.map(definition => Obstacle.create(definition))
+        };
+
+        const previous = {
+            options: this.options,
+            width: this.width,
+            height: this.height,
+            boundaries: this.boundaries,
+            obstacles: this.obstacles
+        };
+        const previousState = this.exportScenario({ particles: true });
+        try {
+            this.applySetup(setup, scenario.seed, scenario.particles);
+        } catch (error) {
+            this.applySetup(previous, previousState.seed, previousState.particles);
+            throw error;
+        }
+        this.syncControls();
+        return scenario;
+    }
+
+    applySetup({ options, width, height, boundaries, obstacles }, seed, particles) {
+        this.options = options;
+        this.width = width;
+        this.height = height;
+        this.boundaries = boundaries;
+        this.obstacles = obstacles;
+        this.saturationTemperature = this.getSaturationTemperature();
+        this.reset(seed);
+
+        if (particles) {
+            this.loadParticleState(particles);
+        }
+    }
+
+    loadParticleState({ count, time = 0, draws = 0, fields }) {
+        const p = this.particles;
+        if (p.capacity < count) {
+            p.allocate(count);
+        }
+        ParticleStore.FIELDS.forEach(field => {
+            if (fields[field]) {
+                p[field].set(fields[field]);
+            } else {
+                p[field].fill(0, 0, count);
+            }
+        });
+        p.count = count;
+        p.nextId = fields.id.reduce((max, id) => Math.max(max, id + 1), 0);
+        this.time = time;
+
+        this.random = this.createRandom(this.seed);
+        while (this.randomDraws < draws) {
+            this.random();
+        }
+        this.ledger.reset();
+    }
+
+    // Restore the scenario in the page's URL hash, if there is one. A link
+    // that cannot be read or used leaves the setup as it was and goes to
+    // options.onError.
+    loadUrlHash() {
+        let scenario = null;
+        try {
+            scenario = Scenario.fromHash(window.location.hash);
+            if (scenario) {
+                this.importScenario(scenario);
+            }
+        } catch (error) {
+            this.options.onError(error);
+            return false;
+        }
+        return scenario !== null;
+    }
+
+    saveUrlHash() {
+        history.replaceState(null, '', Scenario.toHash(this.exportScenario(), window.location.hash));
+    }
+
+    // Link that opens this page with the current setup
+    getShareUrl() {
+        const { origin, pathname, search, hash } = window.location;
+        return `${origin}${pathname}${search}${Scenario.toHash(this.exportScenario(), hash)}`;
+    }
+
     getParticleCount() {
-        return this.particles.length;
+        return this.particles.count;
+    }
+
+    // Plain-object copy of one particle
+    getParticle(index) {
+        return this.particles.get(index);
     }
 
     getPhaseDistribution() {
         const distribution = {};
-        this.particles.forEach(particle => {
-            distribution[particle.phase] = (distribution[particle.phase] || 0) + 1;
+        this.particles.countByPhase().forEach((count, code) => {
+            if (count > 0) {
+                distribution[ParticleStore.phaseName(code)] = count;
+            }
         });
         return distribution;
     }
+
+    // Snapshot of bulk quantities for monitoring. Void fraction is the gas and
+    // vapor share of the total particle area; phase changes are cumulative
+    // counts since the last reset.
+    getDiagnostics() {
+        const p = this.particles;
+        const area = new Float64Array(ParticleStore.PHASES.length);
+        const temperature = new Float64Array(ParticleStore.PHASES.length);
+        const counts = p.countByPhase();
+        let kineticEnergy = 0;
+
+        for (let i = 0; i < p.count; i++) {
+            const code = p.phase[i];
+            area[code] += p.size[i] * p.size[i];
+            temperature[code] += p.temperature[i];
+            kineticEnergy += 0.5 * this.getParticleMass(i) * (p.vx[i] * p.vx[i] + p.vy[i] * p.vy[i]);
+        }
+
+        const totalArea = area.reduce((sum, value) => sum + value, 0);
+        const meanTemperature = {};
+        ParticleStore.PHASES.forEach((name, code) => {
+            meanTemperature[name] = counts[code] > 0 ? temperature[code] / counts[code] : null;
+        });
+
+        return {
+            time: this.time * this.options.timeStep, // s
+            particleCount: p.count,
+            voidFraction: totalArea > 0 ? (area[PHASE_GAS] + area[PHASE_VAPOR]) / totalArea : 0,
+            meanTemperature, // K per phase, null when absent
+            kineticEnergy, // simulation units, see getUnitScales()
+            phaseChanges: { ...this.phaseChanges },
+            cavitationNumber: this.getCavitationNumber(),
+            cavitation: { ...this.cavitationEvents } // bubble inceptions and collapses since the last reset
+        };
+    }
+
+    // Mass and energy budget since the last reset, in kg and J; see
+    // ConservationLedger
+    getConservation() {
+        return this.ledger.report();
+    }
+
+    // Superficial gas and liquid velocities (m/s) along the pipe axis (+x):
+    // the imposed ones when set, otherwise estimated from the particles as
+    // each phase's area fraction times its mean axial velocity
+    getSuperficialVelocities() {
+        if (this.hasSuperficialVelocities()) {
+            return { gas: this.options.superficialGas, liquid: this.options.superficialLiquid };
+        }
+
+        const p = this.particles;
+        const area = [0, 0];
+        const momentum = [0, 0];
+        for (let i = 0; i < p.count; i++) {
+            const liquid = p.phase[i] === PHASE_LIQUID ? 1 : 0;
+            const particleArea = p.size[i] * p.size[i];
+            area[liquid] += particleArea;
+            momentum[liquid] += particleArea * p.vx[i];
+        }
+
+        // Area-weighted mean velocity times area fraction is the area-weighted
+        // velocity sum over the total area
+        const totalArea = area[0] + area[1];
+        const superficial = value => totalArea > 0 ? Math.abs(value / totalArea) : 0;
+        return { gas: superficial(momentum[0]), liquid: superficial(momentum[1]) };
+    }
+
+    // Inputs for FlowRegime.classify(): superficial velocities, pipe
+    // geometry, gravity, and the working fluid against air at the ambient
+    // pressure and temperature
+    getPipeConditions() {
+        const fluid = FluidProperties.get(this.options.fluid);
+        if (fluid.liquidViscosity === undefined || fluid.surfaceTension === undefined) {
+            throw new Error(`Fluid ${this.options.fluid} needs liquidViscosity and surfaceTension for the flow-regime map`);
+        }
+
+        const superficial = this.getSuperficialVelocities();
+        return {
+            superficialGas: superficial.gas,
+            superficialLiquid: superficial.liquid,
+            diameter: this.options.pipeDiameter || this.toMetres(this.height),
+            inclination: this.options.inclination,
+            gravity: this.options.gravity,
+            liquidDensity: fluid.liquidDensity,
+            gasDensity: FlowRegime.airDensity(this.options.pressure, this.options.temperature),
+            liquidViscosity: fluid.liquidViscosity,
+            gasViscosity: FlowRegime.AIR_VISCOSITY,
+            surfaceTension: fluid.surfaceTension,
+            pipeLength: this.options.pipeLength
+        };
+    }
+
+    // Current regime on the Taitel-Dukler map and the conditions it was read at
+    getFlowRegime() {
+        const conditions = this.getPipeConditions();
+        return { regime: FlowRegime.classify(conditions), conditions };
+    }
+
+    // Particle radii in m binned from zero to the largest radius present,
+    // rounded up to a whole px
+    getSizeHistogram(binCount = 10) {
+        const { size, count } = this.particles;
+        const lengthScale = this.options.lengthScale;
+        let maxSize = 0;
+        for (let i = 0; i < count; i++) {
+            maxSize = Math.max(maxSize, size[i]);
+        }
+
+        const width = Math.max(1, Math.ceil(maxSize / lengthScale)) * lengthScale / binCount;
+        const edges = Array.from({ length: binCount + 1 }, (_, bin) => bin * width);
+        const counts = new Array(binCount).fill(0);
+        for (let i = 0; i < count; i++) {
+            counts[Math.min(binCount - 1, Math.floor(size[i] / width))]++;
+        }
+        return { edges, counts };
+    }
 }
 
 // Export for use
@@ -0,0 +1,477 @@
+// Worker-backed Flow Simulation
+// Main-thread stand-in for FlowSimulation that runs the physics and rendering
+// in flow-worker.js. It keeps the FlowSimulation public API; getters answer
+// from the latest state the worker posted.
+//
+// Events work as on FlowSimulation. 'start' and 'stop' are emitted here; the
+// rest ('step', 'render', 'phaseChange', 'particleReset') are forwarded by the
+// worker for the types that have listeners, and arrive together once per
+// frame rather than as they happen. Plugins cannot be used: they would have
+// to run in the worker.
+//
+// Methods that change the simulation return the promise from call(), which
+// settles once the worker has applied the change and rejects with the error
+// the worker ran into, if any.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.FlowSimulation = require('./flow-simulation');
+}
+
+// Events emitted on this side rather than forwarded from the worker
+const WORKER_CLIENT_EVENTS = ['start', 'stop'];
+
+class WorkerFlowSimulation {
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            'transferControlToOffscreen' in HTMLCanvasElement.prototype;
+    }
+
+    constructor(container, options = {}) {
+        this.container = container;
+        this.instanceId = FlowSimulation.createInstanceId();
+        this.options = {
+            workerUrl: options.workerUrl || 'assets/js/flow-worker.js',
+            particleCount: options.particleCount || 100,
+            flowSpeed: options.flowSpeed || 1,
+            turbulence: options.turbulence || 0.1,
+            temperature: options.temperature || 293.15,
+            pressure: options.pressure || 101325,
+            phaseTypes: options.phaseTypes || ['gas', 'liquid'],
+            lengthScale: options.lengthScale || 0.01, // m per px, for the canvas tools
+            timeStep: options.timeStep || 1 / 60,
+            statsInterval: options.statsInterval || 500, // ms between statistics from the running worker
+            onError: options.onError || (() => {}), // (error) for a scenario link it could not use
+            controls: true,
+            ...options
+        };
+
+        this.isRunning = false;
+        this.particleData = new Float32Array(0);
+        this.particleCount = 0;
+        this.distribution = {};
+        this.diagnostics = null;
+        this.sizeHistogram = null;
+        this.flowRegime = null;
+        this.conservation = null;
+        this.probes = [];
+        this.nextToolId = 1; // probe and injector ids are picked here and passed on
+        this.time = 0;
+        this.seed = this.options.seed;
+        this.controls = null;
+        this.controlPanel = null;
+        this.listeners = {}; // event type -> listeners, see on()
+        this.forwardedEvents = []; // types the worker forwards
+        this.pendingCalls = new Map(); // call id -> { resolve, reject }, see call()
+        this.nextCallId = 1;
+
+        this.init();
+    }
+
+    init() {
+        this.setupCanvas();
+        this.setupWorker();
+        if (this.options.controls) {
+            this.setupControls();
+        }
+        if (this.options.urlState) {
+            this.loadUrlHash();
+        }
+    }
+
+    setupCanvas() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.cssText = `
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            pointer-events: none;
+        `;
+        this.container.appendChild(this.canvas);
+
+        this.observeResize(() => {
+            this.post({
+                type: 'resize',
+                width: this.container.offsetWidth,
+                height: this.container.offsetHeight
+            });
+        });
+    }
+
+    observeResize(onResize) {
+        FlowSimulation.prototype.observeResize.call(this, onResize);
+    }
+
+    unobserveResize() {
+        FlowSimulation.prototype.unobserveResize.call(this);
+    }
+
+    setupWorker() {
+        this.worker = new Worker(this.options.workerUrl);
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+
+        const offscreen = this.canvas.transferControlToOffscreen();
+        this.worker.postMessage({
+            type: 'init',
+            options: this.serializableOptions(),
+            canvas: offscreen,
+            width: this.container.offsetWidth,
+            height: this.container.offsetHeight
+        }, [offscreen]);
+    }
+
+    // Functions (such as a custom prng) cannot be cloned into the worker
+    serializableOptions() {
+        const options = {};
+        Object.keys(this.options).forEach(key => {
+            if (typeof this.options[key] !== 'function' && key !== 'worker' && key !== 'workerUrl') {
+                options[key] = this.options[key];
+            }
+        });
+        return options;
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'state':
+                this.receiveState(message);
+                break;
+            case 'result':
+            case 'error':
+                this.settleCall(message);
+                break;
+        }
+    }
+
+    receiveState(message) {
+        // Hand the previous buffer back so the worker can reuse it
+        if (this.particleData.byteLength > 0) {
+            this.post({ type: 'recycle', buffer: this.particleData.buffer }, [this.particleData.buffer]);
+        }
+
+        this.particleData = message.particles;
+        this.particleCount = message.particleCount;
+        this.time = message.time;
+        this.seed = message.seed;
+
+        // Statistics come every statsInterval ms; in between the last ones stand
+        if (message.diagnostics !== undefined) {
+            this.distribution = message.distribution;
+            this.diagnostics = message.diagnostics;
+            this.sizeHistogram = message.sizeHistogram;
+            this.flowRegime = message.flowRegime;
+            this.conservation = message.conservation;
+            this.probes = message.probes;
+        }
+
+        if (message.events) {
+            message.events.forEach(({ type, ...detail }) => this.emit(type, detail));
+        }
+    }
+
+    on(type, listener) {
+        FlowSimulation.prototype.on.call(this, type, listener);
+        this.updateForwarding();
+        return this;
+    }
+
+    off(type, listener) {
+        FlowSimulation.prototype.off.call(this, type, listener);
+        this.updateForwarding();
+        return this;
+    }
+
+    once(type, listener) {
+        return FlowSimulation.prototype.once.call(this, type, listener);
+    }
+
+    hasListeners(type) {
+        return FlowSimulation.prototype.hasListeners.call(this, type);
+    }
+
+    emit(type, detail = {}) {
+        FlowSimulation.prototype.emit.call(this, type, detail);
+    }
+
+    // Tell the worker when the set of event types with listeners changes
+    updateForwarding() {
+        const events = Object.keys(this.listeners)
+            .filter(type => !WORKER_CLIENT_EVENTS.includes(type) && this.hasListeners(type))
+            .sort();
+        if (events.join() === this.forwardedEvents.join()) return;
+        this.forwardedEvents = events;
+        this.post({ type: 'listen', events });
+    }
+
+    use(plugin) {
+        const name = plugin && plugin.name ? ` ${plugin.name}` : '';
+        throw new Error(`Plugin${name} cannot be used in worker mode: plugins run with the physics, which is in ` +
+            'the worker. Create the simulation without the worker option to use plugins.');
+    }
+
+    post(message, transfer = []) {
+        this.worker.postMessage(message, transfer);
+    }
+
+    // Resolves with what the method returned in the worker, or rejects with
+    // the error it threw there
+    call(method, ...args) {
+        const id = this.nextCallId++;
+        return new Promise((resolve, reject) => {
+            this.pendingCalls.set(id, { resolve, reject });
+            this.post({ type: 'call', id, method, args });
+        });
+    }
+
+    settleCall({ type, id, result, message }) {
+        const pending = this.pendingCalls.get(id);
+        if (!pending) return;
+
+        this.pendingCalls.delete(id);
+        if (type === 'error') {
+            pending.reject(new Error(message));
+        } else {
+            pending.resolve(result);
+        }
+    }
+
+    setupControls() {
+        FlowSimulation.prototype.setupControls.call(this);
+    }
+
+    syncControls() {
+        FlowSimulation.prototype.syncControls.call(this);
+    }
+
+    control(name) {
+        return FlowSimulation.prototype.control.call(this, name);
+    }
+
+    // Built from the options this side knows about; the particle state stays
+    // in the worker
+    exportScenario({ particles = false } = {}) {
+        if (particles) {
+            throw new Error('Particle state cannot be exported from a worker simulation');
+        }
+        return Scenario.create({
+            seed: this.seed,
+            options: this.options,
+            boundaries: this.options.boundaries,
+            obstacles: this.options.obstacles
+        });
+    }
+
+    importScenario(input) {
+        const scenario = Scenario.validate(input);
+        this.options = { ...this.options, ...scenario.options, boundaries: scenario.boundaries, obstacles: scenario.obstacles };
+        this.seed = scenario.seed;
+        this.call('importScenario', scenario);
+        this.syncControls();
+        return scenario;
+    }
+
+    loadUrlHash() {
+        return FlowSimulation.prototype.loadUrlHash.call(this);
+    }
+
+    saveUrlHash() {
+        FlowSimulation.prototype.saveUrlHash.call(this);
+    }
+
+    getShareUrl() {
+        return FlowSimulation.prototype.getShareUrl.call(this);
+    }
+
+    start() {
+        if (!this.isRunning) {
+            this.isRunning = true;
+            this.post({ type: 'start' });
+            this.emit('start');
+        }
+    }
+
+    stop() {
+        const wasRunning = this.isRunning;
+        this.isRunning = false;
+        this.post({ type: 'stop' });
+        if (wasRunning) {
+            this.emit('stop');
+        }
+    }
+
+    reset() {
+        return this.call('reset');
+    }
+
+    terminate() {
+        this.stop();
+        this.worker.terminate();
+    }
+
+    destroy() {
+        this.terminate();
+        this.listeners = {};
+        this.unobserveResize();
+        if (this.controlPanel) {
+            this.controlPanel.destroy();
+        }
+        FlowSimulation.removeElements(this.canvas);
+        this.canvas = null;
+        this.controls = null;
+        this.controlPanel = null;
+    }
+
+    // Public API methods
+    setFlowSpeed(speed) {
+        this.options.flowSpeed = speed;
+        return this.call('setFlowSpeed', speed);
+    }
+
+    setTurbulence(turbulence) {
+        this.options.turbulence = turbulence;
+        return this.call('setTurbulence', turbulence);
+    }
+
+    setTemperature(temperature) {
+        this.options.temperature = temperature;
+        return this.call('setTemperature', temperature);
+    }
+
+    setPressure(pressure) {
+        this.options.pressure = pressure;
+        return this.call('setPressure', pressure);
+    }
+
+    setParticleCount(count) {
+        this.options.particleCount = count;
+        return this.call('setParticleCount', count);
+    }
+
+    setPhaseTypes(phaseTypes) {
+        this.options.phaseTypes = [...phaseTypes];
+        return this.call('setPhaseTypes', phaseTypes);
+    }
+
+    setFluid(fluid) {
+        this.options.fluid = fluid;
+        return this.call('setFluid', fluid);
+    }
+
+    setGravity(magnitude, direction = this.options.gravityDirection) {
+        this.options.gravity = magnitude;
+        this.options.gravityDirection = direction;
+        return this.call('setGravity', magnitude, direction);
+    }
+
+    setInclination(angle) {
+        this.options.inclination = angle;
+        return this.call('setInclination', angle);
+    }
+
+    setRoll(amplitude, period = this.options.rollPeriod) {
+        this.options.rollAmplitude = amplitude;
+        this.options.rollPeriod = period;
+        return this.call('setRoll', amplitude, period);
+    }
+
+    setSuperficialVelocities(gas, liquid) {
+        this.options.superficialGas = gas;
+        this.options.superficialLiquid = liquid;
+        return this.call('setSuperficialVelocities', gas, liquid);
+    }
+
+    // Merged into the current edges, as FlowSimulation does
+    setBoundaries(boundaries) {
+        this.options.boundaries = { ...this.options.boundaries, ...boundaries };
+        return this.call('setBoundaries', boundaries);
+    }
+
+    setObstacles(definitions) {
+        this.options.obstacles = [...definitions];
+        return this.call('setObstacles', definitions);
+    }
+
+    addObstacle(definition) {
+        this.options.obstacles = [...(this.options.obstacles || []), definition];
+        return this.call('addObstacle', definition);
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    getParticleCount() {
+        return this.particleCount;
+    }
+
+    getPhaseDistribution() {
+        return { ...this.distribution };
+    }
+
+    getDiagnostics() {
+        return this.diagnostics;
+    }
+
+    getCavitationNumber() {
+        return this.diagnostics ? this.diagnostics.cavitationNumber : null;
+    }
+
+    addProbe(x, y) {
+        const id = this.nextToolId++;
+        this.call('addProbe', x, y, { id });
+        return id;
+    }
+
+    removeProbe(id) {
+        return this.call('removeProbe', id);
+    }
+
+    // Samples as of the latest posted state
+    getProbes() {
+        return this.probes;
+    }
+
+    addInjector(injector) {
+        const id = this.nextToolId++;
+        this.call('addInjector', { ...injector, id });
+        return id;
+    }
+
+    removeInjector(id) {
+        return this.call('removeInjector', id);
+    }
+
+    stir(x0, y0, x1, y1) {
+        return this.call('stir', x0, y0, x1, y1);
+    }
+
+    // Posted only for pipes with superficial velocities; null otherwise
+    getFlowRegime() {
+        return this.flowRegime;
+    }
+
+    getConservation() {
+        return this.conservation;
+    }
+
+    // The worker bins with the default bin count
+    getSizeHistogram() {
+        return this.sizeHistogram;
+    }
+
+    // Latest packed particle state: [x, y, radius, phase code] per particle,
+    // lengths in m
+    getParticleData() {
+        return this.particleData;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkerFlowSimulation;
+} else {
+    window.WorkerFlowSimulation = WorkerFlowSimulation;
+}
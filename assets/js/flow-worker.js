@@ -0,0 +1,257 @@
+// Flow Simulation Worker
+// Runs a headless FlowSimulation off the main thread and draws it to an
+// OffscreenCanvas. After every frame the particle state is posted back as a
+// transferable Float32Array of [x, y, radius, phase code] records, lengths in
+// m and codes as in ParticleStore.PHASES. The client hands each buffer back once it has a
+// newer one so they can be reused.
+//
+// The statistics the panels show (phase distribution, diagnostics, size
+// histogram, flow regime, probes and the conservation budget) each take a
+// pass over the particles, so they ride along only every statsInterval ms,
+// the panels' refresh rate, and whenever the simulation is changed while
+// stopped. A state message without them leaves the client's copies as they
+// were.
+//
+// Simulation events the client listens for (see its on()) are collected as
+// they happen and sent with the next state message, in order, as events.
+//
+// Every call is answered under its id: { type: 'result', id, result } once
+// applied, after the state message showing it, or { type: 'error', id,
+// message } when the method is not available or throws.
+
+if (typeof importScripts === 'function') {
+    // The modules register themselves on window
+    self.window = self;
+    importScripts(
+        'fluid-solver.js',
+        'geometry.js',
+        'random.js',
+        'fluid-properties.js',
+        'spatial-hash.js',
+        'particle-store.js',
+        'scenario.js',
+        'flow-regime.js',
+        'conservation-ledger.js',
+        'canvas-renderer.js',
+        'webgl-renderer.js',
+        'flow-simulation.js'
+    );
+} else if (typeof module !== 'undefined' && module.exports) {
+    globalThis.FlowSimulation = require('./flow-simulation');
+}
+
+const WORKER_PARTICLE_STRIDE = 4;
+
+// ms between statistics in the state messages of a running simulation
+const WORKER_STATS_INTERVAL = 500;
+
+// Methods the main thread may call on the simulation
+const WORKER_METHODS = [
+    'setFlowSpeed',
+    'setTurbulence',
+    'setTemperature',
+    'setPressure',
+    'setParticleCount',
+    'setPhaseTypes',
+    'setFluid',
+    'setGravity',
+    'setInclination',
+    'setRoll',
+    'setSuperficialVelocities',
+    'setBoundaries',
+    'setObstacles',
+    'addObstacle',
+    'addProbe',
+    'removeProbe',
+    'addInjector',
+    'removeInjector',
+    'stir',
+    'importScenario',
+    'reset'
+];
+
+class FlowWorkerHost {
+    constructor(post) {
+        this.post = post;
+        this.simulation = null;
+        this.running = false;
+        this.frameId = null;
+        this.lastFrameTime = null;
+        this.buffers = [];
+        this.statsInterval = WORKER_STATS_INTERVAL;
+        this.lastStatsTime = null;
+        this.events = []; // for the next state message
+        this.forwarded = {}; // event type -> listener on the simulation
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'init':
+                this.init(message);
+                break;
+            case 'start':
+                this.start();
+                break;
+            case 'stop':
+                this.stop();
+                break;
+            case 'resize':
+                this.simulation.resize(message.width, message.height);
+                break;
+            case 'call':
+                this.call(message);
+                break;
+            case 'listen':
+                this.listen(message.events);
+                break;
+            case 'recycle':
+                this.buffers.push(message.buffer);
+                break;
+        }
+    }
+
+    init({ options, canvas, width, height }) {
+        const { statsInterval, ...simulationOptions } = options;
+        if (statsInterval !== undefined) {
+            this.statsInterval = statsInterval;
+        }
+        this.simulation = new FlowSimulation(null, { ...simulationOptions, width, height });
+        if (canvas) {
+            this.simulation.attachRenderer(FlowSimulation.createRenderer(canvas, this.simulation.options.renderer));
+        }
+        this.simulation.render();
+        this.postState(true);
+    }
+
+    call({ id, method, args = [] }) {
+        let result;
+        try {
+            if (!WORKER_METHODS.includes(method)) {
+                throw new Error(`FlowSimulation method not available in worker: ${method}`);
+            }
+            result = this.simulation[method](...args);
+        } catch (error) {
+            this.post({ type: 'error', id, message: error.message });
+            return;
+        }
+        if (!this.running) {
+            this.simulation.render();
+            this.postState(true);
+        }
+        this.post({ type: 'result', id, result });
+    }
+
+    // Forward exactly these event types
+    listen(types) {
+        Object.keys(this.forwarded).forEach(type => {
+            if (!types.includes(type)) {
+                this.simulation.off(type, this.forwarded[type]);
+                delete this.forwarded[type];
+            }
+        });
+        types.forEach(type => {
+            if (this.forwarded[type]) return;
+            // The simulation itself stays behind; the rest is plain data
+            this.forwarded[type] = ({ simulation, ...event }) => this.events.push(event);
+            this.simulation.on(type, this.forwarded[type]);
+        });
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.lastFrameTime = null;
+        this.frame();
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        if (this.frameId !== null) {
+            this.simulation.cancelFrame(this.frameId);
+            this.frameId = null;
+        }
+        // The panels show the statistics of the paused state
+        this.postState(true);
+    }
+
+    frame(timestamp) {
+        if (!this.running) return;
+
+        const simulation = this.simulation;
+        const elapsed = this.lastFrameTime !== null && timestamp !== undefined ?
+            (timestamp - this.lastFrameTime) / 1000 : simulation.options.timeStep;
+        this.lastFrameTime = timestamp !== undefined ? timestamp : null;
+
+        simulation.step(Math.min(elapsed, 0.1));
+        simulation.render();
+        this.postState();
+
+        this.frameId = simulation.requestFrame(time => this.frame(time));
+    }
+
+    // Reuse a returned buffer when one is big enough
+    takeBuffer(length) {
+        const index = this.buffers.findIndex(buffer => buffer.byteLength >= length * 4);
+        if (index === -1) {
+            return new Float32Array(length);
+        }
+        const [buffer] = this.buffers.splice(index, 1);
+        return new Float32Array(buffer, 0, length);
+    }
+
+    packParticles() {
+        const { x, y, size, life, phase, count } = this.simulation.particles;
+        const data = this.takeBuffer(count * WORKER_PARTICLE_STRIDE);
+
+        for (let i = 0; i < count; i++) {
+            const offset = i * WORKER_PARTICLE_STRIDE;
+            data[offset] = x[i];
+            data[offset + 1] = y[i];
+            data[offset + 2] = size[i] * life[i];
+            data[offset + 3] = phase[i];
+        }
+        return data;
+    }
+
+    // The particles every time; the statistics when they are due or stats
+    // is true
+    postState(stats = false) {
+        const simulation = this.simulation;
+        const particles = this.packParticles();
+        const message = {
+            type: 'state',
+            time: simulation.time,
+            seed: simulation.getSeed(),
+            particleCount: simulation.getParticleCount(),
+            particles
+        };
+        if (this.events.length > 0) {
+            message.events = this.events;
+            this.events = [];
+        }
+
+        const now = Date.now();
+        if (stats || this.lastStatsTime === null || now - this.lastStatsTime >= this.statsInterval) {
+            this.lastStatsTime = now;
+            Object.assign(message, {
+                distribution: simulation.getPhaseDistribution(),
+                diagnostics: simulation.getDiagnostics(),
+                sizeHistogram: simulation.getSizeHistogram(),
+                // Only pipes with imposed superficial velocities are classified
+                flowRegime: simulation.hasSuperficialVelocities() ? simulation.getFlowRegime() : null,
+                probes: simulation.getProbes(),
+                conservation: simulation.getConservation()
+            });
+        }
+        this.post(message, [particles.buffer]);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FlowWorkerHost, WORKER_PARTICLE_STRIDE, WORKER_STATS_INTERVAL };
+} else {
+    const host = new FlowWorkerHost((message, transfer) => self.postMessage(message, transfer));
+    self.onmessage = (event) => host.handleMessage(event.data);
+}
@@ -0,0 +1,119 @@
+// Fluid Property Tables
+// Saturation curves and thermal properties for the working fluids offered by
+// FlowSimulation. Saturation pressure comes from an Antoine fit where one is
+// available, otherwise from Clausius-Clapeyron about the normal boiling point.
+const GAS_CONSTANT = 8.314462618; // J/(mol K)
+
+const FluidProperties = {
+    fluids: {
+        water: {
+            name: 'Water',
+            // log10(P / Pa) = A - B / (C + T / K), NIST fit for 255-373 K
+            antoine: { A: 9.6543, B: 1435.264, C: -64.848 },
+            latentHeat: 2.257e6, // J/kg
+            cpLiquid: 4186, // J/(kg K)
+            cpVapor: 2010,
+            liquidDensity: 998, // kg/m^3
+            liquidViscosity: 1.0e-3, // Pa s
+            surfaceTension: 0.0728, // N/m
+            criticalTemperature: 647.1, // K
+            criticalPressure: 22.064e6 // Pa
+        },
+        r134a: {
+            name: 'R134a',
+            clausiusClapeyron: { boilingPoint: 247.08, referencePressure: 101325 },
+            molarMass: 0.10203, // kg/mol
+            latentHeat: 2.17e5,
+            cpLiquid: 1425,
+            cpVapor: 850,
+            liquidDensity: 1206,
+            liquidViscosity: 2.0e-4,
+            surfaceTension: 0.0081,
+            criticalTemperature: 374.21,
+            criticalPressure: 4.059e6
+        },
+        nitrogen: {
+            name: 'Nitrogen',
+            // NIST fit for 63-126 K
+            antoine: { A: 8.7362, B: 264.651, C: -6.788 },
+            latentHeat: 1.99e5,
+            cpLiquid: 2040,
+            cpVapor: 1040,
+            liquidDensity: 807,
+            liquidViscosity: 1.6e-4,
+            surfaceTension: 0.0089,
+            criticalTemperature: 126.2,
+            criticalPressure: 3.396e6
+        }
+    },
+
+    get(name) {
+        const fluid = this.fluids[name];
+        if (!fluid) {
+            throw new Error(`Unknown fluid: ${name}`);
+        }
+        return fluid;
+    },
+
+    // Add a working fluid, e.g. from a preset. It needs the thermal
+    // properties above and either an Antoine fit or a Clausius-Clapeyron
+    // reference point with the molar mass. Viscosity and surface tension are
+    // only needed for the flow-regime map.
+    register(name, fluid) {
+        ['name', 'latentHeat', 'cpLiquid', 'cpVapor', 'liquidDensity', 'criticalTemperature', 'criticalPressure'].forEach(field => {
+            if (fluid[field] === undefined) {
+                throw new Error(`Fluid ${name} is missing ${field}`);
+            }
+        });
+        if (!fluid.antoine && !(fluid.clausiusClapeyron && fluid.molarMass)) {
+            throw new Error(`Fluid ${name} needs an Antoine fit or a Clausius-Clapeyron reference with molarMass`);
+        }
+        this.fluids[name] = fluid;
+        return fluid;
+    },
+
+    // Saturation pressure (Pa) at temperature (K)
+    saturationPressure(name, temperature) {
+        const fluid = this.get(name);
+
+        if (fluid.antoine) {
+            const { A, B, C } = fluid.antoine;
+            return Math.pow(10, A - B / (C + temperature));
+        }
+
+        const { boilingPoint, referencePressure } = fluid.clausiusClapeyron;
+        const exponent = -(fluid.latentHeat * fluid.molarMass / GAS_CONSTANT) * (1 / temperature - 1 / boilingPoint);
+        return referencePressure * Math.exp(exponent);
+    },
+
+    // Saturation temperature (K) at pressure (Pa). Above the critical
+    // pressure there is no phase boundary, so the critical temperature is
+    // returned.
+    saturationTemperature(name, pressure) {
+        const fluid = this.get(name);
+
+        if (pressure >= fluid.criticalPressure) {
+            return fluid.criticalTemperature;
+        }
+
+        let temperature;
+        if (fluid.antoine) {
+            const { A, B, C } = fluid.antoine;
+            temperature = B / (A - Math.log10(pressure)) - C;
+        } else {
+            const { boilingPoint, referencePressure } = fluid.clausiusClapeyron;
+            const inverse = 1 / boilingPoint -
+                GAS_CONSTANT * Math.log(pressure / referencePressure) / (fluid.latentHeat * fluid.molarMass);
+            temperature = 1 / inverse;
+        }
+
+        return Math.min(temperature, fluid.criticalTemperature);
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FluidProperties;
+} else {
+    window.FluidProperties = FluidProperties;
+}
@@ -0,0 +1,347 @@
+// Eulerian Velocity Solver
+// Stable-fluids style solver (Stam, 1999): diffusion, semi-Lagrangian advection
+// and pressure projection on a uniform grid. Velocities are stored in pixels per
+// step so they can be used directly by the particle system.
+class FluidSolver {
+    constructor(width, height, options = {}) {
+        this.options = {
+            cellSize: options.cellSize || 20, // px
+            viscosity: options.viscosity || 0.5, // px^2 per step
+            iterations: options.iterations || 20,
+            dissipation: options.dissipation || 0.999,
+            ...options
+        };
+
+        this.obstacles = [];
+        this.setBoundaries(options.boundaries || {});
+        this.resize(width, height);
+    }
+
+    // Per-edge boundary conditions. Each edge is { type, velocity } where type
+    // is 'periodic', 'wall' (no-slip), 'inlet' (velocity into the domain, px
+    // per step) or 'outflow' (zero-gradient velocity, zero pressure).
+    setBoundaries(boundaries) {
+        const edge = (value) => {
+            const spec = typeof value === 'string' ? { type: value } : { ...value };
+            spec.type = spec.type || 'periodic';
+            spec.velocity = spec.velocity || 0;
+            return spec;
+        };
+
+        this.boundaries = {
+            left: edge(boundaries.left),
+            right: edge(boundaries.right),
+            top: edge(boundaries.top),
+            bottom: edge(boundaries.bottom)
+        };
+
+        this.periodicX = this.boundaries.left.type === 'periodic' && this.boundaries.right.type === 'periodic';
+        this.periodicY = this.boundaries.top.type === 'periodic' && this.boundaries.bottom.type === 'periodic';
+    }
+
+    // Obstacles are anything with contains(x, y); cells whose centre lies
+    // inside one are treated as solid
+    setObstacles(obstacles) {
+        this.obstacles = obstacles;
+        this.updateSolidMask();
+    }
+
+    updateSolidMask() {
+        this.solid.fill(0);
+        for (let j = 1; j <= this.ny; j++) {
+            for (let i = 1; i <= this.nx; i++) {
+                const x = (i - 0.5) * this.h;
+                const y = (j - 0.5) * this.h;
+                if (this.obstacles.some(obstacle => obstacle.contains(x, y))) {
+                    this.solid[this.index(i, j)] = 1;
+                }
+            }
+        }
+    }
+
+    isSolidAt(x, y) {
+        const { i, j } = this.cellAt(x, y);
+        return this.solid[this.index(i, j)] === 1;
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.h = this.options.cellSize;
+        this.nx = Math.max(2, Math.ceil(width / this.h));
+        this.ny = Math.max(2, Math.ceil(height / this.h));
+
+        const size = (this.nx + 2) * (this.ny + 2);
+        this.u = new Float32Array(size);
+        this.v = new Float32Array(size);
+        this.uPrev = new Float32Array(size);
+        this.vPrev = new Float32Array(size);
+        this.pressure = new Float32Array(size);
+        this.divergence = new Float32Array(size);
+        this.solid = new Uint8Array(size);
+        this.updateSolidMask();
+    }
+
+    index(i, j) {
+        return i + (this.nx + 2) * j;
+    }
+
+    // Cell containing a world position, clamped to the interior
+    cellAt(x, y) {
+        const i = Math.min(this.nx, Math.max(1, Math.floor(x / this.h) + 1));
+        const j = Math.min(this.ny, Math.max(1, Math.floor(y / this.h) + 1));
+        return { i, j };
+    }
+
+    // Accumulate a force (px per step^2) into the cell at a world position
+    addForce(x, y, fx, fy) {
+        const { i, j } = this.cellAt(x, y);
+        const k = this.index(i, j);
+        this.uPrev[k] += fx;
+        this.vPrev[k] += fy;
+    }
+
+    // Uniform force over the whole domain
+    addUniformForce(fx, fy) {
+        for (let j = 1; j <= this.ny; j++) {
+            for (let i = 1; i <= this.nx; i++) {
+                const k = this.index(i, j);
+                this.uPrev[k] += fx;
+                this.vPrev[k] += fy;
+            }
+        }
+    }
+
+    getMeanVelocity() {
+        let sumU = 0;
+        let sumV = 0;
+        let cells = 0;
+        for (let j = 1; j <= this.ny; j++) {
+            for (let i = 1; i <= this.nx; i++) {
+                const k = this.index(i, j);
+                if (this.solid[k]) continue;
+                sumU += this.u[k];
+                sumV += this.v[k];
+                cells++;
+            }
+        }
+        return cells > 0 ? { x: sumU / cells, y: sumV / cells } : { x: 0, y: 0 };
+    }
+
+    step(dt = 1) {
+        const { u, v, uPrev, vPrev } = this;
+
+        // Apply accumulated forces
+        for (let k = 0; k < u.length; k++) {
+            u[k] = (u[k] + uPrev[k] * dt) * this.options.dissipation;
+            v[k] = (v[k] + vPrev[k] * dt) * this.options.dissipation;
+        }
+
+        // Diffuse
+        this.diffuse(1, uPrev, u, dt);
+        this.diffuse(2, vPrev, v, dt);
+        this.project(uPrev, vPrev);
+
+        // Advect the velocity through itself
+        this.advect(1, u, uPrev, uPrev, vPrev, dt);
+        this.advect(2, v, vPrev, uPrev, vPrev, dt);
+        this.project(u, v);
+
+        // Forces are consumed each step
+        uPrev.fill(0);
+        vPrev.fill(0);
+    }
+
+    diffuse(b, x, x0, dt) {
+        const a = dt * this.options.viscosity / (this.h * this.h);
+        if (a === 0) {
+            x.set(x0);
+            this.setBoundary(b, x);
+            return;
+        }
+        this.linearSolve(b, x, x0, a, 1 + 4 * a);
+    }
+
+    // Gauss-Seidel relaxation. Solid neighbours are no-slip for velocity
+    // (b > 0) and zero-gradient for pressure (b === 0).
+    linearSolve(b, x, x0, a, c) {
+        const stride = this.nx + 2;
+        const solid = this.solid;
+        const neighbours = [-1, 1, -stride, stride];
+
+        for (let iter = 0; iter < this.options.iterations; iter++) {
+            for (let j = 1; j <= this.ny; j++) {
+                for (let i = 1; i <= this.nx; i++) {
+                    const k = i + stride * j;
+                    if (solid[k]) continue;
+
+                    let sum = 0;
+                    let solidCount = 0;
+                    for (let n = 0; n < 4; n++) {
+                        const kn = k + neighbours[n];
+                        if (solid[kn]) {
+                            solidCount++;
+                        } else {
+                            sum += x[kn];
+                        }
+                    }
+
+                    const denominator = b === 0 ? c - a * solidCount : c;
+                    x[k] = denominator > 0 ? (x0[k] + a * sum) / denominator : 0;
+                }
+            }
+            this.setBoundary(b, x);
+        }
+    }
+
+    advect(b, d, d0, u, v, dt) {
+        for (let j = 1; j <= this.ny; j++) {
+            for (let i = 1; i <= this.nx; i++) {
+                const k = this.index(i, j);
+                const x = i - dt * u[k] / this.h;
+                const y = j - dt * v[k] / this.h;
+                d[k] = this.sampleField(d0, x, y);
+            }
+        }
+        this.setBoundary(b, d);
+    }
+
+    project(u, v) {
+        const { pressure, divergence, h, solid } = this;
+        const stride = this.nx + 2;
+
+        for (let j = 1; j <= this.ny; j++) {
+            for (let i = 1; i <= this.nx; i++) {
+                const k = i + stride * j;
+                divergence[k] = -0.5 * h * (u[k + 1] - u[k - 1] + v[k + stride] - v[k - stride]);
+                pressure[k] = 0;
+            }
+        }
+        this.setBoundary(0, divergence);
+        this.setBoundary(0, pressure);
+        this.linearSolve(0, pressure, divergence, 1, 4);
+
+        for (let j = 1; j <= this.ny; j++) {
+            for (let i = 1; i <= this.nx; i++) {
+                const k = i + stride * j;
+                if (solid[k]) continue;
+
+                const pc = pressure[k];
+                const pl = solid[k - 1] ? pc : pressure[k - 1];
+                const pr = solid[k + 1] ? pc : pressure[k + 1];
+                const pt = solid[k - stride] ? pc : pressure[k - stride];
+                const pb = solid[k + stride] ? pc : pressure[k + stride];
+                u[k] -= 0.5 * (pr - pl) / h;
+                v[k] -= 0.5 * (pb - pt) / h;
+            }
+        }
+        this.setBoundary(1, u);
+        this.setBoundary(2, v);
+    }
+
+    // Fill the ghost cells for a field. b is 1 for u, 2 for v and 0 for
+    // scalars such as pressure.
+    setBoundary(b, x) {
+        const { nx, ny } = this;
+        const { left, right, top, bottom } = this.boundaries;
+
+        for (let j = 1; j <= ny; j++) {
+            if (this.periodicX) {
+                x[this.index(0, j)] = x[this.index(nx, j)];
+                x[this.index(nx + 1, j)] = x[this.index(1, j)];
+            } else {
+                x[this.index(0, j)] = this.ghostValue(left, b === 1, 1, x[this.index(1, j)], b);
+                x[this.index(nx + 1, j)] = this.ghostValue(right, b === 1, -1, x[this.index(nx, j)], b);
+            }
+        }
+        for (let i = 1; i <= nx; i++) {
+            if (this.periodicY) {
+                x[this.index(i, 0)] = x[this.index(i, ny)];
+                x[this.index(i, ny + 1)] = x[this.index(i, 1)];
+            } else {
+                x[this.index(i, 0)] = this.ghostValue(top, b === 2, 1, x[this.index(i, 1)], b);
+                x[this.index(i, ny + 1)] = this.ghostValue(bottom, b === 2, -1, x[this.index(i, ny)], b);
+            }
+        }
+
+        // Corners take the average of their two neighbours
+        const corner = (i, j, di, dj) => {
+            x[this.index(i, j)] = 0.5 * (x[this.index(i + di, j)] + x[this.index(i, j + dj)]);
+        };
+        corner(0, 0, 1, 1);
+        corner(nx + 1, 0, -1, 1);
+        corner(0, ny + 1, 1, -1);
+        corner(nx + 1, ny + 1, -1, -1);
+
+        // Solid cells carry no velocity
+        if (b !== 0) {
+            const solid = this.solid;
+            for (let k = 0; k < x.length; k++) {
+                if (solid[k]) x[k] = 0;
+            }
+        }
+    }
+
+    // Ghost value beyond a non-periodic edge. inward is +1 when the interior
+    // lies in the positive axis direction from the edge.
+    ghostValue(edge, isNormal, inward, interior, b) {
+        if (b === 0) {
+            // Pressure is pinned to zero at outflows, zero-gradient elsewhere
+            return edge.type === 'outflow' ? -interior : interior;
+        }
+
+        switch (edge.type) {
+            case 'inlet':
+                // Face value equals the inlet velocity (normal) or zero (tangential)
+                return isNormal ? 2 * edge.velocity * inward - interior : -interior;
+            case 'outflow':
+                return interior;
+            default:
+                // No-slip wall
+                return -interior;
+        }
+    }
+
+    // Bilinear sample of a cell-centred field at fractional grid coordinates
+    sampleField(field, x, y) {
+        const { nx, ny } = this;
+
+        if (this.periodicX) {
+            x = ((x - 0.5) % nx + nx) % nx + 0.5;
+        } else {
+            x = Math.min(nx + 0.5, Math.max(0.5, x));
+        }
+        if (this.periodicY) {
+            y = ((y - 0.5) % ny + ny) % ny + 0.5;
+        } else {
+            y = Math.min(ny + 0.5, Math.max(0.5, y));
+        }
+
+        const i0 = Math.floor(x);
+        const j0 = Math.floor(y);
+        const s1 = x - i0;
+        const t1 = y - j0;
+        const s0 = 1 - s1;
+        const t0 = 1 - t1;
+
+        return s0 * (t0 * field[this.index(i0, j0)] + t1 * field[this.index(i0, j0 + 1)]) +
+            s1 * (t0 * field[this.index(i0 + 1, j0)] + t1 * field[this.index(i0 + 1, j0 + 1)]);
+    }
+
+    // Velocity at a world position (px per step)
+    // Fills and returns out when given one, so hot loops need not allocate
+    sampleVelocity(x, y, out = { x: 0, y: 0 }) {
+        const gx = x / this.h + 0.5;
+        const gy = y / this.h + 0.5;
+        out.x = this.sampleField(this.u, gx, gy);
+        out.y = this.sampleField(this.v, gx, gy);
+        return out;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FluidSolver;
+} else {
+    window.FluidSolver = FluidSolver;
+}
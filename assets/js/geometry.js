@@ -0,0 +1,227 @@
+// Solid Obstacle Geometry
+// Shapes placed in a FlowSimulation. Each shape answers whether a point lies
+// inside it and where the nearest point on its surface is, which is all the
+// particle collision and the grid solver's solid mask need.
+class Obstacle {
+    static create(definition) {
+        if (definition instanceof Obstacle) return definition;
+
+        switch (definition.type) {
+            case 'circle':
+                return new CircleObstacle(definition);
+            case 'rect':
+            case 'rectangle':
+                return new RectObstacle(definition);
+            case 'polygon':
+                return new PolygonObstacle(definition);
+            default:
+                throw new Error(`Unknown obstacle type: ${definition.type}`);
+        }
+    }
+
+    contains() {
+        return false;
+    }
+
+    // Nearest surface point and outward unit normal: { x, y, nx, ny }
+    surface(x, y) {
+        return { x, y, nx: 0, ny: -1 };
+    }
+
+    // Plain definition that Obstacle.create() accepts, for saving scenarios
+    toJSON() {
+        return { type: this.type };
+    }
+
+    // Push a point that has entered the obstacle back onto its surface and
+    // reflect the normal velocity component. Returns true on contact.
+    resolveCollision(body, restitution = 0.5) {
+        if (!this.contains(body.x, body.y)) return false;
+
+        const s = this.surface(body.x, body.y);
+        body.x = s.x + s.nx * 0.5;
+        body.y = s.y + s.ny * 0.5;
+
+        const vn = body.vx * s.nx + body.vy * s.ny;
+        if (vn < 0) {
+            body.vx -= (1 + restitution) * vn * s.nx;
+            body.vy -= (1 + restitution) * vn * s.ny;
+        }
+        return true;
+    }
+}
+
+class CircleObstacle extends Obstacle {
+    constructor({ x, y, radius }) {
+        super();
+        this.type = 'circle';
+        this.x = x;
+        this.y = y;
+        this.radius = radius;
+    }
+
+    contains(x, y) {
+        const dx = x - this.x;
+        const dy = y - this.y;
+        return dx * dx + dy * dy < this.radius * this.radius;
+    }
+
+    surface(x, y) {
+        const dx = x - this.x;
+        const dy = y - this.y;
+        const distance = Math.hypot(dx, dy);
+        const nx = distance > 0 ? dx / distance : 1;
+        const ny = distance > 0 ? dy / distance : 0;
+        return {
+            x: this.x + nx * this.radius,
+            y: this.y + ny * this.radius,
+            nx,
+            ny
+        };
+    }
+
+    draw(ctx) {
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+    }
+
+    toJSON() {
+        return { type: this.type, x: this.x, y: this.y, radius: this.radius };
+    }
+}
+
+class RectObstacle extends Obstacle {
+    constructor({ x, y, width, height }) {
+        super();
+        this.type = 'rect';
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+    }
+
+    contains(x, y) {
+        return x > this.x && x < this.x + this.width &&
+            y > this.y && y < this.y + this.height;
+    }
+
+    surface(x, y) {
+        const right = this.x + this.width;
+        const bottom = this.y + this.height;
+
+        if (!this.contains(x, y)) {
+            const cx = Math.min(right, Math.max(this.x, x));
+            const cy = Math.min(bottom, Math.max(this.y, y));
+            const distance = Math.hypot(x - cx, y - cy) || 1;
+            return { x: cx, y: cy, nx: (x - cx) / distance, ny: (y - cy) / distance };
+        }
+
+        // Inside: leave through the nearest edge
+        const edges = [
+            { d: x - this.x, x: this.x, y, nx: -1, ny: 0 },
+            { d: right - x, x: right, y, nx: 1, ny: 0 },
+            { d: y - this.y, x, y: this.y, nx: 0, ny: -1 },
+            { d: bottom - y, x, y: bottom, nx: 0, ny: 1 }
+        ];
+        const nearest = edges.reduce((a, b) => (b.d < a.d ? b : a));
+        return { x: nearest.x, y: nearest.y, nx: nearest.nx, ny: nearest.ny };
+    }
+
+    draw(ctx) {
+        ctx.beginPath();
+        ctx.rect(this.x, this.y, this.width, this.height);
+    }
+
+    toJSON() {
+        return { type: this.type, x: this.x, y: this.y, width: this.width, height: this.height };
+    }
+}
+
+class PolygonObstacle extends Obstacle {
+    constructor({ points }) {
+        super();
+        this.type = 'polygon';
+        // Accept [[x, y], ...] or [{ x, y }, ...]
+        this.points = points.map(p => (Array.isArray(p) ? { x: p[0], y: p[1] } : { x: p.x, y: p.y }));
+    }
+
+    contains(x, y) {
+        const pts = this.points;
+        let inside = false;
+        for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+            const a = pts[i];
+            const b = pts[j];
+            if ((a.y > y) !== (b.y > y) &&
+                x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    surface(x, y) {
+        const pts = this.points;
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+            const a = pts[j];
+            const b = pts[i];
+            const ex = b.x - a.x;
+            const ey = b.y - a.y;
+            const lengthSq = ex * ex + ey * ey || 1;
+            const t = Math.min(1, Math.max(0, ((x - a.x) * ex + (y - a.y) * ey) / lengthSq));
+            const cx = a.x + t * ex;
+            const cy = a.y + t * ey;
+            const distance = Math.hypot(x - cx, y - cy);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = { x: cx, y: cy, ex, ey };
+            }
+        }
+
+        let nx;
+        let ny;
+        if (bestDistance > 1e-9) {
+            const sign = this.contains(x, y) ? -1 : 1;
+            nx = sign * (x - best.x) / bestDistance;
+            ny = sign * (y - best.y) / bestDistance;
+        } else {
+            // On the edge itself: use the edge normal, flipped to point outwards
+            const length = Math.hypot(best.ex, best.ey) || 1;
+            nx = best.ey / length;
+            ny = -best.ex / length;
+            if (this.contains(best.x + nx, best.y + ny)) {
+                nx = -nx;
+                ny = -ny;
+            }
+        }
+        return { x: best.x, y: best.y, nx, ny };
+    }
+
+    draw(ctx) {
+        ctx.beginPath();
+        this.points.forEach((p, i) => {
+            if (i === 0) {
+                ctx.moveTo(p.x, p.y);
+            } else {
+                ctx.lineTo(p.x, p.y);
+            }
+        });
+        ctx.closePath();
+    }
+
+    toJSON() {
+        return { type: this.type, points: this.points.map(p => [p.x, p.y]) };
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Obstacle, CircleObstacle, RectObstacle, PolygonObstacle };
+} else {
+    window.Obstacle = Obstacle;
+    window.CircleObstacle = CircleObstacle;
+    window.RectObstacle = RectObstacle;
+    window.PolygonObstacle = PolygonObstacle;
+}
@@ -11,7 +11,9 @@ class MultiFlowsApp {
         this.initScrollAnimations();
         this.initParticleSystem();
         this.initFlowSimulation();
+        this.initPresetLaunchers();
         this.initContactForm();
+        this.showContactResult();
     }
 
     bindEvents() {
@@ -27,6 +29,9 @@ class MultiFlowsApp {
             form.addEventListener('submit', this.handleFormSubmit.bind(this));
         }
 
+        // Send contact messages saved while offline
+        window.addEventListener('online', this.sendQueuedContacts.bind(this));
+
         // Service card interactions
         document.querySelectorAll('.service-card').forEach(card => {
             card.addEventListener('mouseenter', this.animateServiceCard.bind(this));
@@ -163,10 +168,138 @@ class MultiFlowsApp {
         setInterval(createBubble, 800);
     }
 
+    // Cards marked with data-preset get a button that runs the matching
+    // FlowPresets entry in an embedded simulation
+    initPresetLaunchers() {
+        if (typeof FlowSimulation === 'undefined' || typeof FlowPresets === 'undefined') return;
+
+        this.presetSimulation = null;
+
+        document.querySelectorAll('[data-preset]').forEach(card => {
+            const preset = FlowPresets.get(card.dataset.preset);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-outline-primary btn-sm preset-launch';
+            button.innerHTML = '<i class="fas fa-play me-2"></i>Run simulation';
+            button.title = preset.title;
+            button.addEventListener('click', () => {
+                if (this.presetSimulation && this.presetSimulation.card === card) {
+                    this.closePreset();
+                } else {
+                    this.launchPreset(card.dataset.preset, card);
+                }
+            });
+            card.appendChild(button);
+        });
+    }
+
+    // Only one preset runs at a time
+    launchPreset(slug, card) {
+        this.closePreset();
+
+        const panel = document.createElement('div');
+        panel.className = 'preset-simulation';
+        card.appendChild(panel);
+
+        const simulation = FlowSimulation.create(panel, FlowPresets.createOptions(slug, {
+            width: panel.offsetWidth,
+            height: panel.offsetHeight
+        }));
+        simulation.start();
+
+        // Pipe presets show their operating point on the flow-pattern map
+        let regimePanel = null;
+        if (typeof FlowRegimePanel !== 'undefined' && FlowPresets.get(slug).options.superficialGas !== undefined) {
+            const mapContainer = document.createElement('div');
+            mapContainer.className = 'preset-regime-map';
+            card.appendChild(mapContainer);
+            regimePanel = new FlowRegimePanel(simulation, { container: mapContainer });
+        }
+
+        // Probes, injectors and stirring, by mouse or touch
+        const tools = typeof CanvasTools !== 'undefined' ? new CanvasTools(simulation) : null;
+
+        this.presetSimulation = { slug, card, panel, simulation, regimePanel, tools };
+        card.classList.add('preset-active');
+        card.querySelector('.preset-launch').innerHTML = '<i class="fas fa-stop me-2"></i>Close simulation';
+        return simulation;
+    }
+
+    closePreset() {
+        if (!this.presetSimulation) return;
+
+        const { card, panel, simulation, regimePanel, tools } = this.presetSimulation;
+        if (tools) {
+            tools.destroy();
+        }
+        simulation.destroy();
+        if (card.contains(panel)) {
+            card.removeChild(panel);
+        }
+        if (regimePanel) {
+            const mapContainer = regimePanel.options.container;
+            regimePanel.destroy();
+            if (card.contains(mapContainer)) {
+                card.removeChild(mapContainer);
+            }
+        }
+        card.classList.remove('preset-active');
+        card.querySelector('.preset-launch').innerHTML = '<i class="fas fa-play me-2"></i>Run simulation';
+        this.presetSimulation = null;
+    }
+
     initContactForm() {
         const form = document.querySelector('#contactForm');
         if (!form) return;
 
+        this.contactForm = typeof ContactForm !== 'undefined' ? new ContactForm() : null;
+        // Spam checks: the server's start token, from which it measures the
+        // time taken to fill the form, and a proof of work added just before
+        // each send, so queued messages get a fresh one. The proof is dated
+        // by the server's clock, which the start token tells.
+        this.contactStartToken = null;
+        this.contactProof = this.contactForm && typeof ContactProof !== 'undefined' ? new ContactProof() : null;
+
+        // Posts to the form's action, api/contact.php by default
+        const endpoint = form.getAttribute('action');
+        const clientOptions = {
+            prepare: async data => {
+                const ready = await this.uploadAttachment(await this.ensureContactStart(data));
+                return this.contactProof.sign(ready, await this.contactClient.serverNow());
+            }
+        };
+        if (endpoint) {
+            clientOptions.endpoint = endpoint;
+        }
+        this.contactClient = this.contactProof && typeof ContactClient !== 'undefined' ? new ContactClient(clientOptions) : null;
+        if (!this.contactClient) {
+            // The form goes as a plain post, held for review like one sent
+            // without JavaScript, and needs the same start cookie; the
+            // attachment and scoping answers only go with the scripts
+            if (typeof Image !== 'undefined') {
+                new Image().src = 'api/contact-start.php?cookie=1';
+            }
+            this.attachmentField = null;
+            this.scopingWizard = null;
+            return;
+        }
+        this.startContactForm();
+        this.sendQueuedContacts();
+
+        // Geometry file with preview, uploaded in chunks as the form is sent
+        const attachmentInput = form.querySelector('#attachment');
+        this.attachmentField = attachmentInput && typeof AttachmentField !== 'undefined' ?
+            new AttachmentField(attachmentInput) : null;
+        this.onAttachmentProgress = null;
+
+        // Project questions ahead of the form; complete answers go with it
+        const wizardContainer = document.querySelector('#scopingWizard');
+        this.scopingWizard = wizardContainer && typeof ScopingWizard !== 'undefined' ?
+            new ScopingWizard(wizardContainer, { onComplete: () => form.querySelector('#name').focus() }) : null;
+        if (this.scopingWizard) {
+            wizardContainer.closest('.scoping-wizard').hidden = false;
+        }
+
         // Add real-time validation
         const inputs = form.querySelectorAll('input, textarea, select');
         inputs.forEach(input => {
@@ -175,36 +308,35 @@ class MultiFlowsApp {
         });
     }
 
+    // A plain form post (sent before the scripts took over) comes back from
+    // api/contact.php as ?contact=success, ?contact=held (sent without a
+    // proof of work, so checked before a reply) or ?contact=error
+    showContactResult() {
+        const params = new URLSearchParams(window.location.search);
+        const result = params.get('contact');
+        if (!result) return;
+
+        if (result === 'success') {
+            this.showNotification('Thank you! Your message has been sent successfully. We will get back to you soon.', 'success');
+        } else if (result === 'held') {
+            this.showNotification('Thank you! Your message has been received. We will check it before we reply.', 'success');
+        } else {
+            this.showNotification('Sorry, your message could not be sent. Please try again or email us at info@multi-flows.com.', 'error');
+        }
+
+        // Not again on reload
+        params.delete('contact');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
+    // Rules come from the schema shared with api/contact.php (contact-form.js)
     validateField(event) {
         const field = event.target;
-        const value = field.value.trim();
         const fieldName = field.name || field.id;
 
-        let isValid = true;
-        let errorMessage = '';
-
-        // Validation rules
-        switch (fieldName) {
-            case 'name':
-                if (value.length < 2) {
-                    isValid = false;
-                    errorMessage = 'Name must be at least 2 characters';
-                }
-                break;
-            case 'email':
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!emailRegex.test(value)) {
-                    isValid = false;
-                    errorMessage = 'Please enter a valid email address';
-                }
-                break;
-            case 'message':
-                if (value.length < 10) {
-                    isValid = false;
-                    errorMessage = 'Message must be at least 10 characters';
-                }
-                break;
-        }
+        const errorMessage = this.contactForm.validateField(fieldName, field.value);
+        const isValid = errorMessage === null;
 
         this.showFieldValidation(field, isValid, errorMessage);
         return isValid;
@@ -239,18 +371,31 @@ class MultiFlowsApp {
     }
 
     handleFormSubmit(event) {
+        // Without the scripts that check and sign it, the browser posts the
+        // form as it is
+        if (!this.contactClient) return;
         event.preventDefault();
 
         const form = event.target;
         const formData = new FormData(form);
         const data = Object.fromEntries(formData.entries());
+        if (this.contactStartToken) {
+            data.start = this.contactStartToken;
+        }
+        if (this.attachmentField && this.attachmentField.file) {
+            // Uploaded by uploadAttachment() and replaced by its reference
+            data.attachment = this.attachmentField.file;
+        }
+        const scope = this.scopingWizard ? this.scopingWizard.getScope() : null;
+        if (scope) {
+            data.scope = scope;
+        }
 
-        // Validate all fields
+        // Validate every field in the schema
         let isFormValid = true;
-        const fields = form.querySelectorAll('input[required], textarea[required], select[required]');
-
-        fields.forEach(field => {
-            if (!this.validateField({ target: field })) {
+        this.contactForm.fieldNames.forEach(name => {
+            const field = form.querySelector(`[name="${name}"]`);
+            if (field && !this.validateField({ target: field })) {
                 isFormValid = false;
             }
         });
@@ -267,47 +412,156 @@ class MultiFlowsApp {
     async submitContactForm(data, form) {
         const submitBtn = form.querySelector('button[type="submit"]');
         const originalText = submitBtn.innerHTML;
+        const failureMessage = 'Sorry, there was an error sending your message. Please try again or email us at info@multi-flows.com.';
 
         // Show loading state
         submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i>Sending...';
         submitBtn.disabled = true;
+        this.onAttachmentProgress = (loaded, total) => {
+            const percent = total > 0 ? Math.round(100 * loaded / total) : 100;
+            submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin me-2"></i>Uploading ${percent}%`;
+        };
 
+        let result;
         try {
-            // Simulate API call (replace with actual endpoint)
-            await this.delay(2000);
-
-            // Success
-            submitBtn.innerHTML = '<i class="fas fa-check me-2"></i>Message Sent!';
-            submitBtn.classList.add('btn-success');
-
-            this.showNotification('Thank you! Your message has been sent successfully.', 'success');
-
-            // Reset form
-            setTimeout(() => {
-                form.reset();
-                submitBtn.innerHTML = originalText;
-                submitBtn.disabled = false;
-                submitBtn.classList.remove('btn-success');
-
-                // Clear validation states
-                form.querySelectorAll('.is-valid, .is-invalid').forEach(field => {
-                    field.classList.remove('is-valid', 'is-invalid');
-                });
-            }, 3000);
-
+            if (!this.contactClient) {
+                throw new Error('Contact submission is not available');
+            }
+            result = await this.contactClient.submit(data);
         } catch (error) {
-            // Error
+            // Upload rejections say what was wrong with the file
+            result = error.attachment ?
+                { status: 'error', message: error.message, errors: { attachment: error.message } } :
+                { status: 'error', message: failureMessage, errors: {} };
+        }
+        this.onAttachmentProgress = null;
+
+        if (result.status === 'error') {
+            // Error, with the server's reasons on the fields they concern
+            this.showFieldErrors(form, result.errors);
             submitBtn.innerHTML = '<i class="fas fa-exclamation-triangle me-2"></i>Error';
             submitBtn.classList.add('btn-danger');
 
-            this.showNotification('Sorry, there was an error sending your message. Please try again.', 'error');
+            this.showNotification(result.message || failureMessage, 'error');
 
             setTimeout(() => {
                 submitBtn.innerHTML = originalText;
                 submitBtn.disabled = false;
                 submitBtn.classList.remove('btn-danger');
             }, 3000);
+            return result;
+        }
+
+        // Sent, or saved to send when back online
+        const queued = result.status === 'queued';
+        submitBtn.innerHTML = queued ? '<i class="fas fa-clock me-2"></i>Saved' : '<i class="fas fa-check me-2"></i>Message Sent!';
+        submitBtn.classList.add(queued ? 'btn-warning' : 'btn-success');
+
+        this.showNotification(result.message || 'Thank you! Your message has been sent successfully.', queued ? 'warning' : 'success');
+
+        // Reset form
+        setTimeout(() => {
+            form.reset();
+            if (this.attachmentField) {
+                this.attachmentField.clear();
+            }
+            if (this.scopingWizard) {
+                this.scopingWizard.reset();
+            }
+            this.startContactForm();
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+            submitBtn.classList.remove('btn-success', 'btn-warning');
+
+            // Clear validation states
+            form.querySelectorAll('.is-valid, .is-invalid').forEach(field => {
+                field.classList.remove('is-valid', 'is-invalid');
+            });
+        }, 3000);
+        return result;
+    }
+
+    // Field errors from the server, { name: message }
+    showFieldErrors(form, errors = {}) {
+        Object.keys(errors).forEach(name => {
+            if (name === 'attachment' && this.attachmentField) {
+                this.attachmentField.showError(errors[name]);
+                return;
+            }
+            if (name === 'scope' && this.scopingWizard) {
+                this.scopingWizard.showError(errors[name]);
+                return;
+            }
+            const field = form.querySelector(`[name="${name}"]`);
+            if (field) {
+                this.showFieldValidation(field, false, errors[name]);
+            }
+        });
+    }
+
+    // A start token for the form as it is now opened or cleared
+    startContactForm() {
+        if (!this.contactClient) return;
+        this.contactStartToken = null;
+        this.contactClient.start().then(token => {
+            this.contactStartToken = token;
+        });
+    }
+
+    // data with a start token; one fetched only now (the page was opened
+    // offline, say) is held for the minimum fill time before it is used, so
+    // the server does not turn the message away as too fast
+    async ensureContactStart(data) {
+        if (data.start) return data;
+
+        const token = await this.contactClient.start();
+        if (!token) {
+            throw ContactClient.failure('Could not reach the server', true);
+        }
+        await this.contactClient.wait(this.contactForm.schema.protection.minFillTime);
+        return { ...data, start: token };
+    }
+
+    // Uploads data.attachment, if it is still a file, under data.start and
+    // puts the upload's { id, name, size } in its place; runs before every
+    // send, so queued messages upload once they are back online
+    async uploadAttachment(data) {
+        const file = data.attachment;
+        if (!file || typeof file.slice !== 'function') return data;
+
+        const upload = new AttachmentUpload(file, {
+            start: data.start,
+            onProgress: (loaded, total) => {
+                if (this.attachmentField && this.attachmentField.file === file) {
+                    this.attachmentField.setProgress(loaded, total);
+                }
+                if (this.onAttachmentProgress) {
+                    this.onAttachmentProgress(loaded, total);
+                }
+            }
+        });
+        return { ...data, attachment: await upload.upload() };
+    }
+
+    async sendQueuedContacts() {
+        if (!this.contactClient) return;
+
+        let flushed;
+        try {
+            flushed = await this.contactClient.flush();
+        } catch (error) {
+            // Storage unavailable; the next 'online' event tries again
+            return;
         }
+
+        const { sent, rejected } = flushed;
+        if (sent.length > 0) {
+            this.showNotification(sent.length === 1 ? 'Your saved message has now been sent.' :
+                `Your ${sent.length} saved messages have now been sent.`, 'success');
+        }
+        rejected.forEach(({ result }) => {
+            this.showNotification(`A saved message could not be sent: ${result.message}`, 'error');
+        });
     }
 
     showNotification(message, type = 'info') {
@@ -541,10 +795,9 @@ const Utils = {
         return new Intl.NumberFormat().format(num);
     },
 
-    // Validate email
+    // Validate email, by the contact form's rules
     isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+        return new ContactForm().validateField('email', email) === null;
     },
 
     // Get browser info
@@ -0,0 +1,132 @@
+// Mesh File
+// Reads the triangles of STL (ASCII and binary) and OBJ files for the
+// attachment preview. A mesh is
+//   { positions, triangleCount, bounds: { min, max, size } }
+// with positions a Float32Array of x, y, z for each corner of each triangle
+// (9 values per triangle) and bounds as [x, y, z] arrays in file units. OBJ
+// polygons are split into triangle fans; normals, texture coordinates and
+// materials are ignored.
+
+class MeshFile {
+    // Lower-case extension without the dot, '' if there is none
+    static extension(name) {
+        const match = /\.([^./\\]+)$/.exec(name || '');
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    static parse(name, buffer) {
+        const extension = MeshFile.extension(name);
+        if (extension === 'stl') return MeshFile.parseStl(buffer);
+        if (extension === 'obj') return MeshFile.parseObj(new TextDecoder().decode(buffer));
+        throw new Error(`No preview for .${extension} files`);
+    }
+
+    // Binary when the size matches the triangle count in the header; ASCII
+    // files start with 'solid', which some binary headers do as well
+    static parseStl(buffer) {
+        const view = new DataView(buffer);
+        if (buffer.byteLength >= 84) {
+            const count = view.getUint32(80, true);
+            const size = 84 + count * 50;
+            const text = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 512)));
+            if (size === buffer.byteLength || (size < buffer.byteLength && !/^\s*solid\s/.test(text))) {
+                return MeshFile.parseBinaryStl(view, count);
+            }
+        }
+
+        const text = new TextDecoder().decode(buffer);
+        if (!/^\s*solid/.test(text)) {
+            throw new Error('This is not an STL file');
+        }
+        return MeshFile.parseAsciiStl(text);
+    }
+
+    static parseBinaryStl(view, count) {
+        if (count === 0) {
+            throw new Error('The STL file has no triangles');
+        }
+        const positions = new Float32Array(count * 9);
+        for (let i = 0; i < count; i++) {
+            // 12 bytes of normal, then three vertices
+            const offset = 84 + i * 50 + 12;
+            for (let j = 0; j < 9; j++) {
+                positions[i * 9 + j] = view.getFloat32(offset + j * 4, true);
+            }
+        }
+        return MeshFile.create(positions);
+    }
+
+    static parseAsciiStl(text) {
+        const values = [];
+        const pattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            values.push(Number(match[1]), Number(match[2]), Number(match[3]));
+        }
+        if (values.length === 0 || values.length % 9 !== 0 || values.some(value => !isFinite(value))) {
+            throw new Error('The STL file has no readable triangles');
+        }
+        return MeshFile.create(Float32Array.from(values));
+    }
+
+    static parseObj(text) {
+        const vertices = [];
+        const values = [];
+
+        text.split(/\r?\n/).forEach((line, lineIndex) => {
+            const parts = line.trim().split(/\s+/);
+            if (parts[0] === 'v') {
+                vertices.push([Number(parts[1]), Number(parts[2]), Number(parts[3])]);
+            } else if (parts[0] === 'f') {
+                // 'f 1 2 3', 'f 1/1/1 ...' or negative, relative indices
+                const corners = parts.slice(1).map(part => {
+                    const index = parseInt(part, 10);
+                    const vertex = vertices[index < 0 ? vertices.length + index : index - 1];
+                    if (!vertex) {
+                        throw new Error(`Line ${lineIndex + 1} of the OBJ file refers to a missing vertex`);
+                    }
+                    return vertex;
+                });
+                for (let k = 1; k + 1 < corners.length; k++) {
+                    values.push(...corners[0], ...corners[k], ...corners[k + 1]);
+                }
+            }
+        });
+
+        if (values.length === 0) {
+            throw new Error('The OBJ file has no faces');
+        }
+        if (values.some(value => !isFinite(value))) {
+            throw new Error('The OBJ file has unreadable vertices');
+        }
+        return MeshFile.create(Float32Array.from(values));
+    }
+
+    static create(positions) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i += 3) {
+            for (let axis = 0; axis < 3; axis++) {
+                min[axis] = Math.min(min[axis], positions[i + axis]);
+                max[axis] = Math.max(max[axis], positions[i + axis]);
+            }
+        }
+        return {
+            positions,
+            triangleCount: positions.length / 9,
+            bounds: { min, max, size: max.map((value, axis) => value - min[axis]) }
+        };
+    }
+
+    // Bounding-box dimensions, e.g. '120 × 45.2 × 30'
+    static formatSize(bounds) {
+        return bounds.size.map(value => String(Number(value.toPrecision(4)))).join(' × ');
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeshFile;
+} else {
+    window.MeshFile = MeshFile;
+}
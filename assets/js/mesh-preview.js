@@ -0,0 +1,182 @@
+// Mesh Preview
+// Rotatable wireframe of a MeshFile mesh on a 2D canvas. Drag with mouse, pen
+// or finger (Pointer Events) or use the arrow keys on the focused canvas to
+// turn it; the view is orthographic and fitted to the bounding box. Large
+// meshes draw every n-th triangle, up to maxTriangles, so rotating stays
+// smooth.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.MeshFile = require('./mesh-file');
+}
+
+const MESH_PREVIEW_KEY_STEP = 0.1; // rad per arrow key press
+const MESH_PREVIEW_DRAG_STEP = 0.01; // rad per px dragged
+
+class MeshPreview {
+    constructor(container, mesh, options = {}) {
+        this.container = container;
+        this.mesh = mesh;
+        this.options = {
+            width: options.width || 320, // px
+            height: options.height || 220, // px
+            maxTriangles: options.maxTriangles || 20000,
+            color: options.color || 'rgba(0, 170, 255, 0.6)',
+            background: options.background || '#0a1423',
+            ...options
+        };
+
+        // Three-quarter view to start
+        this.yaw = -0.6;
+        this.pitch = 0.5;
+        this.drag = null; // { pointerId, x, y }
+
+        this.onPointerDown = (e) => this.handlePointerDown(e);
+        this.onPointerMove = (e) => this.handlePointerMove(e);
+        this.onPointerUp = (e) => this.handlePointerUp(e);
+        this.onKeyDown = (e) => this.handleKeyDown(e);
+
+        this.createElement();
+        this.render();
+    }
+
+    createElement() {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'mesh-preview';
+        canvas.width = this.options.width;
+        canvas.height = this.options.height;
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', `Wireframe preview, ${MeshFile.formatSize(this.mesh.bounds)} in file units. ` +
+            'Drag or use the arrow keys to rotate.');
+        canvas.style.cssText = `
+            display: block;
+            max-width: 100%;
+            border-radius: 8px;
+            touch-action: none;
+            cursor: grab;
+        `;
+
+        canvas.addEventListener('pointerdown', this.onPointerDown);
+        canvas.addEventListener('pointermove', this.onPointerMove);
+        canvas.addEventListener('pointerup', this.onPointerUp);
+        canvas.addEventListener('pointercancel', this.onPointerUp);
+        canvas.addEventListener('keydown', this.onKeyDown);
+
+        this.container.appendChild(canvas);
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    setRotation(yaw, pitch) {
+        this.yaw = yaw;
+        // Not past straight up or down
+        this.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, pitch));
+        this.render();
+    }
+
+    handlePointerDown(e) {
+        this.drag = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+        if (this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(e.pointerId);
+        }
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag || this.drag.pointerId !== e.pointerId) return;
+        const dx = e.clientX - this.drag.x;
+        const dy = e.clientY - this.drag.y;
+        this.drag.x = e.clientX;
+        this.drag.y = e.clientY;
+        this.setRotation(this.yaw + dx * MESH_PREVIEW_DRAG_STEP, this.pitch + dy * MESH_PREVIEW_DRAG_STEP);
+    }
+
+    handlePointerUp(e) {
+        if (this.drag && this.drag.pointerId === e.pointerId) {
+            this.drag = null;
+        }
+    }
+
+    handleKeyDown(e) {
+        const turns = {
+            ArrowLeft: [-MESH_PREVIEW_KEY_STEP, 0],
+            ArrowRight: [MESH_PREVIEW_KEY_STEP, 0],
+            ArrowUp: [0, -MESH_PREVIEW_KEY_STEP],
+            ArrowDown: [0, MESH_PREVIEW_KEY_STEP]
+        };
+        const turn = turns[e.key];
+        if (!turn) return;
+        e.preventDefault();
+        this.setRotation(this.yaw + turn[0], this.pitch + turn[1]);
+    }
+
+    // Screen position of a point: rotate about the box centre by yaw (about
+    // y) then pitch (about x), drop z, fit to the canvas with y up
+    project(x, y, z, transform) {
+        const { center, scale, cosYaw, sinYaw, cosPitch, sinPitch } = transform;
+        const px = x - center[0];
+        const py = y - center[1];
+        const pz = z - center[2];
+        const rx = cosYaw * px + sinYaw * pz;
+        const rz = -sinYaw * px + cosYaw * pz;
+        const ry = cosPitch * py - sinPitch * rz;
+        return [this.options.width / 2 + rx * scale, this.options.height / 2 - ry * scale];
+    }
+
+    getTransform() {
+        const { min, max, size } = this.mesh.bounds;
+        // The box fits whichever way it is turned
+        const diagonal = Math.hypot(size[0], size[1], size[2]) || 1;
+        return {
+            center: min.map((value, axis) => (value + max[axis]) / 2),
+            scale: 0.9 * Math.min(this.options.width, this.options.height) / diagonal,
+            cosYaw: Math.cos(this.yaw),
+            sinYaw: Math.sin(this.yaw),
+            cosPitch: Math.cos(this.pitch),
+            sinPitch: Math.sin(this.pitch)
+        };
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const positions = this.mesh.positions;
+        const transform = this.getTransform();
+        const stride = Math.max(1, Math.ceil(this.mesh.triangleCount / this.options.maxTriangles));
+
+        ctx.fillStyle = this.options.background;
+        ctx.fillRect(0, 0, this.options.width, this.options.height);
+
+        ctx.strokeStyle = this.options.color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let t = 0; t < this.mesh.triangleCount; t += stride) {
+            const i = t * 9;
+            const a = this.project(positions[i], positions[i + 1], positions[i + 2], transform);
+            const b = this.project(positions[i + 3], positions[i + 4], positions[i + 5], transform);
+            const c = this.project(positions[i + 6], positions[i + 7], positions[i + 8], transform);
+            ctx.moveTo(a[0], a[1]);
+            ctx.lineTo(b[0], b[1]);
+            ctx.lineTo(c[0], c[1]);
+            ctx.closePath();
+        }
+        ctx.stroke();
+    }
+
+    destroy() {
+        const canvas = this.canvas;
+        canvas.removeEventListener('pointerdown', this.onPointerDown);
+        canvas.removeEventListener('pointermove', this.onPointerMove);
+        canvas.removeEventListener('pointerup', this.onPointerUp);
+        canvas.removeEventListener('pointercancel', this.onPointerUp);
+        canvas.removeEventListener('keydown', this.onKeyDown);
+        if (canvas.parentNode) {
+            canvas.parentNode.removeChild(canvas);
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeshPreview;
+} else {
+    window.MeshPreview = MeshPreview;
+}
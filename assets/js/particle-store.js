@@ -0,0 +1,138 @@
+// Structure-of-Arrays Particle Storage
+// Particle state lives in one typed array per field instead of one object per
+// particle, which keeps the hot loops cache friendly and lets the state be
+// copied or transferred in bulk. Phases are stored as small integer codes.
+const PARTICLE_PHASES = ['gas', 'liquid', 'vapor'];
+
+const PARTICLE_FIELDS = {
+    id: Uint32Array,
+    x: Float32Array,
+    y: Float32Array,
+    vx: Float32Array,
+    vy: Float32Array,
+    baseSize: Float32Array,
+    size: Float32Array,
+    density: Float32Array,
+    buoyancy: Float32Array,
+    life: Float32Array,
+    maxLife: Float32Array,
+    phase: Uint8Array,
+    // Energy bookkeeping needs the extra precision
+    temperature: Float64Array,
+    quality: Float64Array,
+    // 1 while the particle is a cavitation bubble
+    cavity: Uint8Array
+};
+
+class ParticleStore {
+    static phaseCode(name) {
+        const code = PARTICLE_PHASES.indexOf(name);
+        if (code === -1) {
+            throw new Error(`Unknown phase: ${name}`);
+        }
+        return code;
+    }
+
+    static phaseName(code) {
+        return PARTICLE_PHASES[code];
+    }
+
+    constructor(capacity = 128) {
+        this.count = 0;
+        this.capacity = 0;
+        this.nextId = 0;
+        this.allocate(Math.max(1, capacity));
+    }
+
+    allocate(capacity) {
+        Object.keys(PARTICLE_FIELDS).forEach(field => {
+            const array = new PARTICLE_FIELDS[field](capacity);
+            if (this[field]) {
+                array.set(this[field].subarray(0, this.count));
+            }
+            this[field] = array;
+        });
+        this.capacity = capacity;
+    }
+
+    clear() {
+        this.count = 0;
+        this.nextId = 0;
+    }
+
+    // Append a particle from a plain object of field values; phase may be
+    // given by name. Returns its index.
+    add(values) {
+        if (this.count === this.capacity) {
+            this.allocate(this.capacity * 2);
+        }
+
+        const index = this.count++;
+        Object.keys(PARTICLE_FIELDS).forEach(field => {
+            this[field][index] = 0;
+        });
+        Object.keys(values).forEach(field => {
+            if (!PARTICLE_FIELDS[field]) return;
+            const value = values[field];
+            this[field][index] = field === 'phase' && typeof value === 'string' ? ParticleStore.phaseCode(value) : value;
+        });
+        this.id[index] = values.id !== undefined ? values.id : this.nextId;
+        this.nextId = Math.max(this.nextId, this.id[index] + 1);
+        return index;
+    }
+
+    // Append a copy of the particle at index under a new id. Returns the
+    // copy's index.
+    duplicate(index) {
+        if (this.count === this.capacity) {
+            this.allocate(this.capacity * 2);
+        }
+
+        const copy = this.count++;
+        Object.keys(PARTICLE_FIELDS).forEach(field => {
+            this[field][copy] = this[field][index];
+        });
+        this.id[copy] = this.nextId++;
+        return copy;
+    }
+
+    // Remove by moving the last particle into the gap; indices are not stable
+    // across removals
+    remove(index) {
+        const last = this.count - 1;
+        if (index !== last) {
+            Object.keys(PARTICLE_FIELDS).forEach(field => {
+                this[field][index] = this[field][last];
+            });
+        }
+        this.count--;
+    }
+
+    // Plain-object copy of one particle, for inspection and the public API
+    get(index) {
+        const particle = {};
+        Object.keys(PARTICLE_FIELDS).forEach(field => {
+            particle[field] = this[field][index];
+        });
+        particle.phase = ParticleStore.phaseName(this.phase[index]);
+        return particle;
+    }
+
+    countByPhase() {
+        const counts = new Array(PARTICLE_PHASES.length).fill(0);
+        for (let i = 0; i < this.count; i++) {
+            counts[this.phase[i]]++;
+        }
+        return counts;
+    }
+}
+
+ParticleStore.PHASES = PARTICLE_PHASES;
+ParticleStore.FIELDS = Object.keys(PARTICLE_FIELDS);
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParticleStore;
+} else {
+    window.ParticleStore = ParticleStore;
+}
@@ -0,0 +1,113 @@
+// Project Scope
+// Answers to the scoping questions of the contact schema and the indicative
+// estimate they give. Answers are { questionName: value } with an array of
+// values for multiple-choice questions:
+//   { flowType: 'cavitation-analysis', phases: 'two', geometry: 'moderate',
+//     timeDependence: 'transient', deliverables: ['report', 'parametric'] }
+// estimate() applies the schema's rules table - added engineer-days and
+// factors per answer - and returns the effort and price band,
+//   { days: { low, high }, price: { low, high }, currency }
+// api/scoping.php does the same arithmetic in the same order, so the estimate
+// in the mail matches the one shown.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.ContactForm = require('./contact-form');
+}
+
+class ProjectScope {
+    constructor(scoping = ContactForm.SCHEMA.scoping) {
+        this.scoping = scoping;
+    }
+
+    get questions() {
+        return this.scoping.questions;
+    }
+
+    question(name) {
+        return this.questions.find(question => question.name === name) || null;
+    }
+
+    // The answer if the question allows it, otherwise undefined
+    static cleanAnswer(question, answer) {
+        const values = question.options.map(option => option.value);
+        if (!question.multiple) {
+            return values.includes(answer) ? answer : undefined;
+        }
+        if (!Array.isArray(answer) || answer.some(value => !values.includes(value))) {
+            return undefined;
+        }
+        // Unique, in the order of the options
+        return values.filter(value => answer.includes(value));
+    }
+
+    // A multiple-choice question left out counts as none chosen
+    static answerOf(question, answers) {
+        const answer = answers[question.name];
+        return question.multiple && answer === undefined ? [] : answer;
+    }
+
+    // Every single-choice question answered; multiple choice may be empty
+    isComplete(answers = {}) {
+        return this.questions.every(question =>
+            ProjectScope.cleanAnswer(question, ProjectScope.answerOf(question, answers)) !== undefined);
+    }
+
+    // Complete answers with nothing else in them, cleaned; null otherwise
+    validate(answers) {
+        if (!answers || typeof answers !== 'object' || Array.isArray(answers)) return null;
+        if (Object.keys(answers).some(name => !this.question(name))) return null;
+        if (!this.isComplete(answers)) return null;
+
+        const cleaned = {};
+        this.questions.forEach(question => {
+            cleaned[question.name] = ProjectScope.cleanAnswer(question, ProjectScope.answerOf(question, answers));
+        });
+        return cleaned;
+    }
+
+    estimate(answers) {
+        const { baseDays, spread, dayRate, currency, priceStep, rules } = this.scoping.estimate;
+        let days = baseDays;
+        let factor = 1;
+        rules.forEach(rule => {
+            const answer = answers[rule.question];
+            const matches = Array.isArray(answer) ? answer.includes(rule.value) : answer === rule.value;
+            if (!matches) return;
+            days += rule.add || 0;
+            factor *= rule.factor || 1;
+        });
+        days *= factor;
+
+        const price = value => Math.round(value * dayRate / priceStep) * priceStep;
+        return {
+            days: { low: Math.max(1, Math.round(days * (1 - spread))), high: Math.round(days * (1 + spread)) },
+            price: { low: price(days * (1 - spread)), high: price(days * (1 + spread)) },
+            currency
+        };
+    }
+
+    // e.g. '9–15 engineer-days, about €8,500–€14,000'
+    static formatEstimate(estimate) {
+        const money = value => (typeof Intl !== 'undefined' ?
+            new Intl.NumberFormat('en', { style: 'currency', currency: estimate.currency, maximumFractionDigits: 0 }).format(value) :
+            `${estimate.currency} ${value}`);
+        return `${estimate.days.low}–${estimate.days.high} engineer-days, ` +
+            `about ${money(estimate.price.low)}–${money(estimate.price.high)}`;
+    }
+
+    // [{ question, answer }] with the labels, for summaries
+    describe(answers) {
+        return this.questions.map(question => {
+            const labels = [].concat(answers[question.name] || []).map(value =>
+                question.options.find(option => option.value === value).label);
+            return { question: question.label, answer: labels.length > 0 ? labels.join(', ') : 'None' };
+        });
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectScope;
+} else {
+    window.ProjectScope = ProjectScope;
+}
@@ -0,0 +1,44 @@
+// Seedable Random Source
+// Small deterministic PRNGs so a FlowSimulation run can be reproduced exactly
+// from its seed. Any factory of the form (seed) => () => number in [0, 1) can
+// be plugged in instead.
+const SeededRandom = {
+    // Mulberry32: fast 32-bit generator with a full 2^32 period
+    mulberry32(seed) {
+        let state = SeededRandom.normalizeSeed(seed);
+        return function() {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    // Accepts numbers or strings so seeds can be shared as words
+    normalizeSeed(seed) {
+        if (typeof seed === 'number') {
+            return seed >>> 0;
+        }
+
+        // FNV-1a hash of the string form
+        const text = String(seed);
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+} else {
+    window.SeededRandom = SeededRandom;
+}
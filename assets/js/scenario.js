@@ -0,0 +1,369 @@
+// Simulation Scenarios
+// A scenario is a JSON description of a FlowSimulation setup: options,
+// boundaries, obstacles and seed, and optionally the full particle state.
+// Scenarios carry a schema version and are validated on the way in, so a
+// saved file or shared link either restores exactly or fails with a list of
+// what is wrong. They can also be packed into the URL hash for sharing.
+
+const SCENARIO_VERSION = 2;
+
+const SCENARIO_HASH_KEY = 'scenario';
+
+// Field specs: type is 'number', 'integer', 'boolean', 'string', 'object' or
+// 'array' (or a list of them); min/max are inclusive bounds. An object with
+// properties may only hold those fields. The maxima keep a shared link from
+// asking for more memory or work per step than a browser tab can give.
+const SCENARIO_SCHEMA = {
+    version: SCENARIO_VERSION,
+    options: {
+        particleCount: { type: 'integer', min: 1, max: 200000 },
+        flowSpeed: { type: 'number', min: 0 },
+        turbulence: { type: 'number', min: 0 },
+        phaseTypes: { type: 'array', items: { enum: ['gas', 'liquid', 'vapor'] }, minItems: 1 },
+        temperature: { type: 'number', min: 0 },
+        pressure: { type: 'number', min: 1 },
+        // true, or FluidSolver options
+        solver: {
+            type: ['boolean', 'object'],
+            properties: {
+                cellSize: { type: 'number', min: 2, max: 500 },
+                viscosity: { type: 'number', min: 0, max: 100 },
+                iterations: { type: 'integer', min: 1, max: 200 },
+                dissipation: { type: 'number', min: 0, max: 1 }
+            }
+        },
+        drag: { type: 'number', min: 0 },
+        damping: { type: 'number', min: 0 },
+        restitution: { type: 'number', min: 0, max: 1 },
+        fluid: { type: 'string' },
+        heatExchangeRadius: { type: 'number', min: 1 },
+        conductivity: { type: 'number', min: 0 },
+        maxNeighbours: { type: 'integer', min: 1 },
+        ambientExchange: { type: 'number', min: 0, max: 1 },
+        coalescence: { type: 'boolean' },
+        breakup: { type: 'boolean' },
+        collisions: { type: 'boolean' },
+        surfaceTension: { type: 'number', min: 0 },
+        criticalWeber: { type: 'number', min: 0 },
+        cavitation: { type: 'boolean' },
+        lengthScale: { type: 'number', min: 1e-9 },
+        shockLifetime: { type: 'integer', min: 1 },
+        gravity: { type: 'number', min: 0 },
+        gravityDirection: { type: 'number' },
+        inclination: { type: 'number', min: -90, max: 90 },
+        rollAmplitude: { type: 'number', min: 0, max: 90 },
+        rollPeriod: { type: 'number', min: 1e-3 },
+        // null when the inlets follow flowSpeed
+        superficialGas: { type: ['number', 'null'], min: 0 },
+        superficialLiquid: { type: ['number', 'null'], min: 0 },
+        pipeDiameter: { type: ['number', 'null'], min: 1e-6 },
+        pipeLength: { type: 'number', min: 1e-6 },
+        probeRadius: { type: 'number', min: 1 },
+        probeInterval: { type: 'integer', min: 1 },
+        probeHistory: { type: 'integer', min: 1 },
+        stirStrength: { type: 'number', min: 0 },
+        stirRadius: { type: 'number', min: 1 },
+        width: { type: 'number', min: 1, max: 8192 },
+        height: { type: 'number', min: 1, max: 8192 },
+        timeStep: { type: 'number', min: 1e-6 },
+        maxSubSteps: { type: 'integer', min: 1, max: 100 }
+    },
+    boundaryEdges: ['left', 'right', 'top', 'bottom'],
+    boundaryTypes: ['periodic', 'wall', 'inlet', 'outflow'],
+    // Required numeric fields per obstacle type
+    obstacles: {
+        circle: ['x', 'y', 'radius'],
+        rect: ['x', 'y', 'width', 'height'],
+        rectangle: ['x', 'y', 'width', 'height'],
+        polygon: []
+    },
+    // Positions and radii in m, velocities in m/s, buoyancy in m/s^2
+    particleFields: ['id', 'x', 'y', 'vx', 'vy', 'baseSize', 'size', 'density', 'buoyancy', 'life', 'maxLife',
+        'phase', 'temperature', 'quality'],
+    // Added after version 1; zero when missing
+    optionalParticleFields: ['cavity']
+};
+
+// Upgrades keyed by the version they upgrade from; each returns the scenario
+// at the next version
+const SCENARIO_MIGRATIONS = {
+    // Version 1 kept the particle state in canvas units: px, px/step and
+    // px/step^2, at the scenario's lengthScale and timeStep or the
+    // FlowSimulation defaults
+    1: scenario => {
+        const upgraded = { ...scenario, version: 2 };
+        const particles = scenario.particles;
+        if (!isPlainObject(particles) || !isPlainObject(particles.fields)) return upgraded;
+
+        const options = isPlainObject(scenario.options) ? scenario.options : {};
+        const length = typeof options.lengthScale === 'number' ? options.lengthScale : 0.01;
+        const time = typeof options.timeStep === 'number' ? options.timeStep : 1 / 60;
+        const scales = {
+            x: length,
+            y: length,
+            baseSize: length,
+            size: length,
+            vx: length / time,
+            vy: length / time,
+            buoyancy: length / (time * time)
+        };
+        const fields = { ...particles.fields };
+        Object.keys(scales).forEach(field => {
+            if (Array.isArray(fields[field])) {
+                fields[field] = fields[field].map(value => typeof value === 'number' ? value * scales[field] : value);
+            }
+        });
+        upgraded.particles = { ...particles, fields };
+        return upgraded;
+    }
+};
+
+function scenarioTypeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function checkScenarioValue(spec, value, path, errors) {
+    if (spec.enum) {
+        if (!spec.enum.includes(value)) {
+            errors.push(`${path} must be one of ${spec.enum.join(', ')}`);
+        }
+        return;
+    }
+
+    const types = [].concat(spec.type);
+    const actual = scenarioTypeOf(value);
+    // Integers are numbers too
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+        errors.push(`${path} must be of type ${types.join(' or ')}`);
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            errors.push(`${path} must be finite`);
+        } else if (spec.min !== undefined && value < spec.min) {
+            errors.push(`${path} must be at least ${spec.min}`);
+        } else if (spec.max !== undefined && value > spec.max) {
+            errors.push(`${path} must be at most ${spec.max}`);
+        }
+    }
+
+    if (spec.properties && isPlainObject(value)) {
+        Object.keys(value).forEach(key => {
+            if (!spec.properties[key]) {
+                errors.push(`${path}.${key} is not a known option`);
+            } else {
+                checkScenarioValue(spec.properties[key], value[key], `${path}.${key}`, errors);
+            }
+        });
+    }
+
+    if (Array.isArray(value)) {
+        if (spec.minItems !== undefined && value.length < spec.minItems) {
+            errors.push(`${path} must have at least ${spec.minItems} item(s)`);
+        }
+        if (spec.items) {
+            value.forEach((item, index) => checkScenarioValue(spec.items, item, `${path}[${index}]`, errors));
+        }
+    }
+}
+
+function isPlainObject(value) {
+    return scenarioTypeOf(value) === 'object';
+}
+
+const Scenario = {
+    VERSION: SCENARIO_VERSION,
+    SCHEMA: SCENARIO_SCHEMA,
+    OPTION_KEYS: Object.keys(SCENARIO_SCHEMA.options),
+
+    // Build a scenario from simulation state. Options outside the schema
+    // (renderer, prng, ...) are left out.
+    create({ seed, options = {}, boundaries = {}, obstacles = [], particles = null }) {
+        const saved = {};
+        Scenario.OPTION_KEYS.forEach(key => {
+            if (options[key] !== undefined) {
+                saved[key] = options[key];
+            }
+        });
+
+        const scenario = {
+            version: SCENARIO_VERSION,
+            seed,
+            options: JSON.parse(JSON.stringify(saved)),
+            boundaries: JSON.parse(JSON.stringify(boundaries)),
+            obstacles: JSON.parse(JSON.stringify(obstacles))
+        };
+        if (particles) {
+            scenario.particles = particles;
+        }
+        return scenario;
+    },
+
+    // Accepts a scenario object or its JSON text. Returns the scenario at the
+    // current version, or throws listing every problem found.
+    validate(input) {
+        let scenario = input;
+        if (typeof input === 'string') {
+            try {
+                scenario = JSON.parse(input);
+            } catch (error) {
+                throw new Error(`Invalid scenario: ${error.message}`);
+            }
+        }
+        if (!isPlainObject(scenario)) {
+            throw new Error('Invalid scenario: expected an object');
+        }
+
+        if (!Number.isInteger(scenario.version) || scenario.version < 1) {
+            throw new Error('Invalid scenario: version must be a positive integer');
+        }
+        if (scenario.version > SCENARIO_VERSION) {
+            throw new Error(`Invalid scenario: version ${scenario.version} is newer than the supported version ${SCENARIO_VERSION}`);
+        }
+        while (scenario.version < SCENARIO_VERSION) {
+            scenario = SCENARIO_MIGRATIONS[scenario.version](scenario);
+        }
+
+        const errors = [];
+        const { options = {}, boundaries = {}, obstacles = [], particles } = scenario;
+
+        if (typeof scenario.seed !== 'number' && typeof scenario.seed !== 'string') {
+            errors.push('seed must be a number or a string');
+        }
+
+        if (!isPlainObject(options)) {
+            errors.push('options must be an object');
+        } else {
+            Object.keys(options).forEach(key => {
+                const spec = SCENARIO_SCHEMA.options[key];
+                if (!spec) {
+                    errors.push(`options.${key} is not a known option`);
+                } else {
+                    checkScenarioValue(spec, options[key], `options.${key}`, errors);
+                }
+            });
+        }
+
+        if (!isPlainObject(boundaries)) {
+            errors.push('boundaries must be an object');
+        } else {
+            Object.keys(boundaries).forEach(edge => {
+                const value = boundaries[edge];
+                const type = isPlainObject(value) ? value.type : value;
+                if (!SCENARIO_SCHEMA.boundaryEdges.includes(edge)) {
+                    errors.push(`boundaries.${edge} is not an edge`);
+                } else if (!SCENARIO_SCHEMA.boundaryTypes.includes(type)) {
+                    errors.push(`boundaries.${edge} must be one of ${SCENARIO_SCHEMA.boundaryTypes.join(', ')}`);
+                } else if (isPlainObject(value) && value.velocity !== undefined) {
+                    checkScenarioValue({ type: 'number' }, value.velocity, `boundaries.${edge}.velocity`, errors);
+                }
+            });
+        }
+
+        if (!Array.isArray(obstacles)) {
+            errors.push('obstacles must be an array');
+        } else {
+            obstacles.forEach((obstacle, index) => {
+                const path = `obstacles[${index}]`;
+                const fields = isPlainObject(obstacle) ? SCENARIO_SCHEMA.obstacles[obstacle.type] : null;
+                if (!fields) {
+                    errors.push(`${path}.type must be one of ${Object.keys(SCENARIO_SCHEMA.obstacles).join(', ')}`);
+                    return;
+                }
+                fields.forEach(field => checkScenarioValue({ type: 'number' }, obstacle[field], `${path}.${field}`, errors));
+                if (obstacle.type === 'polygon') {
+                    checkScenarioValue({
+                        type: 'array',
+                        minItems: 3,
+                        items: { type: ['array', 'object'] }
+                    }, obstacle.points, `${path}.points`, errors);
+                }
+            });
+        }
+
+        if (particles !== undefined) {
+            Scenario.validateParticles(particles, errors);
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+        }
+        return { options: {}, boundaries: {}, obstacles: [], ...scenario };
+    },
+
+    // Particle state is stored field by field, with the step count and the
+    // number of random draws so far: { count, time, draws, fields: { x: [...], ... } }
+    validateParticles(particles, errors) {
+        if (!isPlainObject(particles) || !isPlainObject(particles.fields)) {
+            errors.push('particles must be an object with count and fields');
+            return;
+        }
+        checkScenarioValue({ type: 'integer', min: 0 }, particles.count, 'particles.count', errors);
+        ['time', 'draws'].forEach(key => {
+            if (particles[key] !== undefined) {
+                checkScenarioValue({ type: 'integer', min: 0 }, particles[key], `particles.${key}`, errors);
+            }
+        });
+
+        const { particleFields, optionalParticleFields } = SCENARIO_SCHEMA;
+        particleFields.concat(optionalParticleFields).forEach(field => {
+            const values = particles.fields[field];
+            const path = `particles.fields.${field}`;
+            if (values === undefined && optionalParticleFields.includes(field)) {
+                return;
+            }
+            if (!Array.isArray(values) || values.length !== particles.count) {
+                errors.push(`${path} must be an array of ${particles.count} values`);
+            } else if (values.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+                errors.push(`${path} must contain only finite numbers`);
+            } else if (field === 'phase' && values.some(value => !Number.isInteger(value) || value < 0 || value > 2)) {
+                errors.push(`${path} must contain phase codes 0-2`);
+            }
+        });
+    },
+
+    // URL-safe base64 of the JSON text
+    encode(scenario) {
+        const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    decode(text) {
+        let binary;
+        try {
+            binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        } catch (error) {
+            throw new Error('Invalid scenario: the encoded text is not base64');
+        }
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return Scenario.validate(new TextDecoder().decode(bytes));
+    },
+
+    // Hash with the scenario set, keeping any other parameters in it
+    toHash(scenario, hash = '') {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        params.set(SCENARIO_HASH_KEY, Scenario.encode(scenario));
+        return `#${params.toString()}`;
+    },
+
+    // The scenario in a URL hash, or null when there is none
+    fromHash(hash) {
+        const encoded = new URLSearchParams((hash || '').replace(/^#/, '')).get(SCENARIO_HASH_KEY);
+        return encoded ? Scenario.decode(encoded) : null;
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Scenario;
+} else {
+    window.Scenario = Scenario;
+}
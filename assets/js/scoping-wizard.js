@@ -0,0 +1,257 @@
+// Scoping Wizard
+// Asks the contact schema's scoping questions one step at a time above the
+// contact form, then shows the answers with ProjectScope's indicative
+// estimate. Progress - the step and the answers so far - is kept in
+// localStorage, so a reload or a later visit picks up where it was left.
+// getScope() gives the validated answers once every question is answered,
+// for the submission to carry; the form itself works without them.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.ContactForm = require('./contact-form');
+    globalThis.ProjectScope = require('./project-scope');
+}
+
+class ScopingWizard {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            scope: options.scope || new ProjectScope(),
+            version: options.version || ContactForm.SCHEMA.version, // stored progress of another schema is dropped
+            storage: options.storage !== undefined ? options.storage : ScopingWizard.defaultStorage(),
+            storageKey: options.storageKey || 'multi-flows-scoping',
+            onComplete: options.onComplete || (() => {}), // 'Continue' on the summary
+            ...options
+        };
+
+        this.scope = this.options.scope;
+        this.step = 0; // questions, then the summary
+        this.answers = {};
+        this.error = null;
+
+        this.onChange = (e) => this.handleChange(e);
+        this.onClick = (e) => this.handleClick(e);
+        this.container.addEventListener('change', this.onChange);
+        this.container.addEventListener('click', this.onClick);
+
+        this.load();
+        this.render();
+    }
+
+    // localStorage, or null where it is blocked
+    static defaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static escape(text) {
+        return String(text).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+    }
+
+    get summaryStep() {
+        return this.scope.questions.length;
+    }
+
+    load() {
+        const storage = this.options.storage;
+        if (!storage) return;
+
+        let saved = null;
+        try {
+            saved = JSON.parse(storage.getItem(this.options.storageKey));
+        } catch (error) {
+            saved = null;
+        }
+        if (!saved || saved.version !== this.options.version || !saved.answers) return;
+
+        // Only answers the questions still allow
+        this.scope.questions.forEach(question => {
+            const answer = ProjectScope.cleanAnswer(question, saved.answers[question.name]);
+            if (answer !== undefined) {
+                this.answers[question.name] = answer;
+            }
+        });
+        // No further than the first unanswered question
+        const step = Number.isInteger(saved.step) ? Math.max(0, Math.min(saved.step, this.summaryStep)) : 0;
+        this.step = Math.min(step, this.firstUnanswered());
+    }
+
+    save() {
+        const storage = this.options.storage;
+        if (!storage) return;
+        try {
+            storage.setItem(this.options.storageKey, JSON.stringify({
+                version: this.options.version,
+                step: this.step,
+                answers: this.answers
+            }));
+        } catch (error) {
+            // Storage full or blocked; progress lasts until the page closes
+        }
+    }
+
+    isAnswered(question) {
+        return question.multiple || ProjectScope.cleanAnswer(question, this.answers[question.name]) !== undefined;
+    }
+
+    // Index of the first single-choice question without an answer, or the summary
+    firstUnanswered() {
+        const index = this.scope.questions.findIndex(question => !this.isAnswered(question));
+        return index === -1 ? this.summaryStep : index;
+    }
+
+    setAnswer(name, value, checked = true) {
+        const question = this.scope.question(name);
+        if (!question) return;
+
+        if (question.multiple) {
+            const values = (this.answers[name] || []).filter(other => other !== value);
+            this.answers[name] = ProjectScope.cleanAnswer(question, checked ? values.concat(value) : values) || [];
+        } else {
+            this.answers[name] = value;
+        }
+        this.error = null;
+        this.save();
+    }
+
+    goTo(step) {
+        this.step = Math.max(0, Math.min(step, this.summaryStep));
+        this.error = null;
+        this.save();
+        this.render();
+        const heading = this.container.querySelector('[data-wizard-heading]');
+        if (heading && heading.focus) {
+            heading.focus();
+        }
+    }
+
+    next() {
+        const question = this.scope.questions[this.step];
+        if (question && !this.isAnswered(question)) {
+            this.showError(this.scope.scoping.messages.required);
+            return false;
+        }
+        this.goTo(this.step + 1);
+        return true;
+    }
+
+    back() {
+        this.goTo(this.step - 1);
+    }
+
+    reset() {
+        this.answers = {};
+        this.goTo(0);
+    }
+
+    // Validated answers once complete, otherwise null
+    getScope() {
+        return this.scope.validate(this.answers);
+    }
+
+    getEstimate() {
+        const answers = this.getScope();
+        return answers ? this.scope.estimate(answers) : null;
+    }
+
+    showError(message) {
+        this.error = message;
+        this.render();
+    }
+
+    handleChange(e) {
+        const input = e.target;
+        if (!input || !input.dataset || !input.dataset.question) return;
+        this.setAnswer(input.dataset.question, input.value, input.type === 'checkbox' ? input.checked : true);
+    }
+
+    handleClick(e) {
+        const button = e.target && e.target.closest ? e.target.closest('[data-wizard-action]') : null;
+        if (!button) return;
+
+        const action = button.dataset.wizardAction;
+        if (action === 'next') {
+            this.next();
+        } else if (action === 'back') {
+            this.back();
+        } else if (action === 'restart') {
+            this.reset();
+        } else if (action === 'continue') {
+            this.options.onComplete(this.getScope());
+        }
+    }
+
+    renderQuestion(question) {
+        const escape = ScopingWizard.escape;
+        const type = question.multiple ? 'checkbox' : 'radio';
+        const answer = [].concat(this.answers[question.name] || []);
+        const options = question.options.map(option => {
+            const id = `scope-${question.name}-${option.value}`;
+            return `
+                <div class="form-check">
+                    <input class="form-check-input" type="${type}" name="scope-${escape(question.name)}" id="${escape(id)}"
+                        value="${escape(option.value)}" data-question="${escape(question.name)}"${answer.includes(option.value) ? ' checked' : ''}>
+                    <label class="form-check-label" for="${escape(id)}">${escape(option.label)}</label>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <fieldset>
+                <legend class="h5" tabindex="-1" data-wizard-heading>${escape(question.label)}</legend>
+                ${question.multiple ? '<p class="form-text mt-0">Select all that apply.</p>' : ''}
+                ${options}
+            </fieldset>
+        `;
+    }
+
+    renderSummary() {
+        const escape = ScopingWizard.escape;
+        const answers = this.getScope();
+        const rows = this.scope.describe(answers).map(({ question, answer }) =>
+            `<dt class="col-sm-6">${escape(question)}</dt><dd class="col-sm-6">${escape(answer)}</dd>`).join('');
+
+        return `
+            <h3 class="h5" tabindex="-1" data-wizard-heading>Your project</h3>
+            <dl class="row small mb-2">${rows}</dl>
+            <p class="scoping-estimate mb-1"><strong>Indicative effort:</strong> ${escape(ProjectScope.formatEstimate(this.scope.estimate(answers)))}</p>
+            <p class="form-text mt-0">A rough band to start the conversation; we confirm scope and price once we have seen the details. Your answers are sent with your message.</p>
+        `;
+    }
+
+    render() {
+        const questions = this.scope.questions;
+        const onSummary = this.step === this.summaryStep;
+        const body = onSummary ? this.renderSummary() : this.renderQuestion(questions[this.step]);
+
+        this.container.innerHTML = `
+            <p class="scoping-progress small text-muted mb-2" aria-live="polite">
+                ${onSummary ? 'Summary' : `Step ${this.step + 1} of ${questions.length}`}
+            </p>
+            ${body}
+            ${this.error ? `<div class="field-error text-danger small mt-1" role="alert">${ScopingWizard.escape(this.error)}</div>` : ''}
+            <div class="d-flex gap-2 mt-3">
+                ${this.step > 0 ? '<button type="button" class="btn btn-outline-secondary" data-wizard-action="back">Back</button>' : ''}
+                ${onSummary ?
+                    `<button type="button" class="btn btn-outline-secondary" data-wizard-action="restart">Start over</button>
+                     <button type="button" class="btn btn-primary ms-auto" data-wizard-action="continue">Continue to your details</button>` :
+                    '<button type="button" class="btn btn-primary ms-auto" data-wizard-action="next">Next</button>'}
+            </div>
+        `;
+    }
+
+    destroy() {
+        this.container.removeEventListener('change', this.onChange);
+        this.container.removeEventListener('click', this.onClick);
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScopingWizard;
+} else {
+    window.ScopingWizard = ScopingWizard;
+}
@@ -0,0 +1,380 @@
+// Simulation Recorder
+// Samples a FlowSimulation every N fixed steps and exports the run: particle
+// state and aggregate metrics as CSV or JSON Lines, and the canvas as WebM
+// video through MediaRecorder, or where MediaRecorder is not available as PNG
+// frames saved together in one ZIP archive. Sampling hooks into the step loop
+// and frames into the render loop, so it needs the simulation on this thread
+// rather than a WorkerFlowSimulation.
+
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.ParticleStore = require('./particle-store');
+}
+
+// Metric columns in CSV order, read from getDiagnostics()
+const RECORDER_METRICS = [
+    ['particleCount', d => d.particleCount],
+    ['voidFraction', d => d.voidFraction],
+    ['meanTemperatureGas', d => d.meanTemperature.gas],
+    ['meanTemperatureLiquid', d => d.meanTemperature.liquid],
+    ['meanTemperatureVapor', d => d.meanTemperature.vapor],
+    ['kineticEnergy', d => d.kineticEnergy],
+    ['evaporation', d => d.phaseChanges.evaporation],
+    ['condensation', d => d.phaseChanges.condensation],
+    ['cavitationNumber', d => d.cavitationNumber],
+    ['cavitationInception', d => d.cavitation.inception],
+    ['cavitationCollapse', d => d.cavitation.collapse]
+];
+
+const RECORDER_VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// CRC-32 (IEEE) lookup table for the ZIP archive of PNG frames
+const RECORDER_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class SimulationRecorder {
+    constructor(simulation, options = {}) {
+        // A WorkerFlowSimulation has events, but its particles are in the worker
+        if (typeof simulation.on !== 'function' || !simulation.particles) {
+            throw new Error('The recorder needs a FlowSimulation running on this thread');
+        }
+
+        this.simulation = simulation;
+        this.options = {
+            interval: options.interval || 10, // steps between samples
+            particles: true, // record per-particle state
+            metrics: true, // record getDiagnostics() aggregates
+            fields: ['id', 'x', 'y', 'vx', 'vy', 'size', 'phase', 'temperature', 'quality'],
+            maxSamples: options.maxSamples || 10000, // recording stops when reached
+            canvas: options.canvas || simulation.canvas || null,
+            fps: options.fps || 30, // video frame rate
+            frameInterval: options.frameInterval || 2, // least steps between PNG frames
+            ...options
+        };
+
+        this.samples = [];
+        this.recording = false;
+        this.video = null;
+        this.listening = false;
+        this.onStep = () => this.handleStep();
+        this.onRender = () => this.handleRender();
+    }
+
+    start() {
+        if (this.recording) return;
+        this.recording = true;
+        this.updateListener();
+        this.sample();
+    }
+
+    stop() {
+        this.recording = false;
+        this.updateListener();
+    }
+
+    // Samples are taken after a step; PNG frames after a render, once the
+    // canvas shows the new state
+    updateListener() {
+        const needed = this.recording;
+        if (needed && !this.listening) {
+            this.simulation.on('step', this.onStep);
+        } else if (!needed && this.listening) {
+            this.simulation.off('step', this.onStep);
+        }
+        this.listening = needed;
+    }
+
+    clear() {
+        this.samples = [];
+    }
+
+    handleStep() {
+        if (this.recording && this.simulation.time % this.options.interval === 0) {
+            this.sample();
+        }
+    }
+
+    // A frame is drawn for any number of steps, so frames are taken from the
+    // first render at least frameInterval steps after the last one
+    handleRender() {
+        const video = this.video;
+        const step = this.simulation.time;
+        if (video.lastStep === null || step - video.lastStep >= this.options.frameInterval) {
+            video.lastStep = step;
+            video.frames.push(this.captureFrame());
+        }
+    }
+
+    // Record the current state as one sample
+    sample() {
+        if (this.samples.length >= this.options.maxSamples) {
+            this.stop();
+            return null;
+        }
+
+        const simulation = this.simulation;
+        const sample = {
+            step: simulation.time,
+            time: simulation.time * simulation.options.timeStep // s
+        };
+
+        if (this.options.metrics) {
+            const diagnostics = simulation.getDiagnostics();
+            sample.metrics = {};
+            RECORDER_METRICS.forEach(([name, read]) => {
+                sample.metrics[name] = read(diagnostics);
+            });
+        }
+
+        if (this.options.particles) {
+            const p = simulation.particles;
+            sample.particles = {};
+            this.options.fields.forEach(field => {
+                sample.particles[field] = p[field].slice(0, p.count);
+            });
+        }
+
+        this.samples.push(sample);
+        return sample;
+    }
+
+    // 'metrics' gives one row per sample, 'particles' one row per particle
+    // per sample. Phases are written by name.
+    toCSV(table = 'metrics') {
+        if (table === 'metrics') {
+            const header = ['step', 'time', ...RECORDER_METRICS.map(([name]) => name)];
+            const rows = this.samples.filter(sample => sample.metrics).map(sample =>
+                [sample.step, sample.time, ...RECORDER_METRICS.map(([name]) => sample.metrics[name])]
+            );
+            return SimulationRecorder.formatCSV(header, rows);
+        }
+
+        if (table === 'particles') {
+            const fields = this.options.fields;
+            const rows = [];
+            this.samples.forEach(sample => {
+                if (!sample.particles) return;
+                const count = sample.particles[fields[0]].length;
+                for (let i = 0; i < count; i++) {
+                    rows.push([sample.step, sample.time, ...fields.map(field => {
+                        const value = sample.particles[field][i];
+                        return field === 'phase' ? ParticleStore.phaseName(value) : value;
+                    })]);
+                }
+            });
+            return SimulationRecorder.formatCSV(['step', 'time', ...fields], rows);
+        }
+
+        throw new Error(`Unknown CSV table: ${table}`);
+    }
+
+    // One JSON object per sample and line; particle fields are columns
+    toJSONLines() {
+        return this.samples.map(sample => {
+            const line = { step: sample.step, time: sample.time };
+            if (sample.metrics) {
+                line.metrics = sample.metrics;
+            }
+            if (sample.particles) {
+                line.particles = {};
+                Object.keys(sample.particles).forEach(field => {
+                    const values = Array.from(sample.particles[field]);
+                    line.particles[field] = field === 'phase' ? values.map(ParticleStore.phaseName) : values;
+                });
+            }
+            return JSON.stringify(line);
+        }).join('\n') + (this.samples.length > 0 ? '\n' : '');
+    }
+
+    static formatCSV(header, rows) {
+        const cell = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [header, ...rows].map(row => row.map(cell).join(',')).join('\n') + '\n';
+    }
+
+    // Save the recording: format is 'csv' (metrics), 'particles.csv' or 'jsonl'
+    download(format = 'csv', filename = `flow-run.${format}`) {
+        const types = { csv: 'text/csv', 'particles.csv': 'text/csv', jsonl: 'application/x-ndjson' };
+        if (!types[format]) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+        const text = format === 'jsonl' ? this.toJSONLines() :
+            this.toCSV(format === 'csv' ? 'metrics' : 'particles');
+        SimulationRecorder.saveBlob(new Blob([text], { type: types[format] }), filename);
+    }
+
+    static saveBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    static supportsVideo(canvas) {
+        return typeof MediaRecorder !== 'undefined' && !!canvas && typeof canvas.captureStream === 'function' &&
+            RECORDER_VIDEO_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+    }
+
+    // Capture the canvas as WebM, or as PNG frames every frameInterval steps
+    // when MediaRecorder cannot record it. PNG frames are taken as the
+    // simulation renders, so it has to be animating. A WebGL canvas needs the
+    // renderer's preserveDrawingBuffer option for them.
+    startVideo() {
+        const canvas = this.options.canvas;
+        if (!canvas) {
+            throw new Error('Video capture needs a canvas');
+        }
+        if (this.video) return this.video.type;
+
+        if (SimulationRecorder.supportsVideo(canvas)) {
+            const mimeType = RECORDER_VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+            const recorder = new MediaRecorder(canvas.captureStream(this.options.fps), { mimeType });
+            const chunks = [];
+            recorder.ondataavailable = event => {
+                if (event.data.size > 0) chunks.push(event.data);
+            };
+            recorder.start(1000);
+            this.video = { type: 'webm', recorder, chunks, mimeType };
+        } else {
+            this.video = { type: 'png', frames: [], lastStep: null };
+            this.simulation.on('render', this.onRender);
+        }
+        return this.video.type;
+    }
+
+    // Resolves to { type: 'webm', blob } or { type: 'png', frames: [Blob] }
+    stopVideo() {
+        const video = this.video;
+        if (!video) {
+            return Promise.reject(new Error('No video is being recorded'));
+        }
+        this.video = null;
+
+        if (video.type === 'webm') {
+            return new Promise(resolve => {
+                video.recorder.onstop = () => resolve({ type: 'webm', blob: new Blob(video.chunks, { type: 'video/webm' }) });
+                video.recorder.stop();
+            });
+        }
+
+        this.simulation.off('render', this.onRender);
+        return Promise.all(video.frames).then(frames => ({ type: 'png', frames: frames.filter(Boolean) }));
+    }
+
+    captureFrame() {
+        return new Promise(resolve => this.options.canvas.toBlob(resolve, 'image/png'));
+    }
+
+    // Stop the video and save it as one download: flow-run.webm, or
+    // flow-run-frames.zip holding flow-run-0001.png, ...
+    downloadVideo(basename = 'flow-run') {
+        return this.stopVideo().then(result => {
+            if (result.type === 'webm') {
+                SimulationRecorder.saveBlob(result.blob, `${basename}.webm`);
+                return result;
+            }
+            const files = result.frames.map((frame, index) => ({
+                name: `${basename}-${String(index + 1).padStart(4, '0')}.png`,
+                blob: frame
+            }));
+            return SimulationRecorder.createZip(files).then(archive => {
+                SimulationRecorder.saveBlob(archive, `${basename}-frames.zip`);
+                return { ...result, archive };
+            });
+        });
+    }
+
+    static crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = RECORDER_CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // ZIP archive of [{ name, blob }], stored without compression since PNG
+    // is compressed already. Resolves to a Blob.
+    static createZip(files) {
+        return Promise.all(files.map(file => file.blob.arrayBuffer())).then(buffers => {
+            const encoder = new TextEncoder();
+            const parts = [];
+            const directory = [];
+            let offset = 0;
+
+            buffers.forEach((buffer, index) => {
+                const data = new Uint8Array(buffer);
+                const name = encoder.encode(files[index].name);
+                const crc = SimulationRecorder.crc32(data);
+
+                // Local file header, then the data
+                const local = new DataView(new ArrayBuffer(30));
+                local.setUint32(0, 0x04034b50, true);
+                SimulationRecorder.writeZipEntry(local, 4, crc, data.length, name.length);
+                parts.push(local, name, data);
+
+                const central = new DataView(new ArrayBuffer(46));
+                central.setUint32(0, 0x02014b50, true);
+                central.setUint16(4, 20, true); // made by: version 2.0
+                SimulationRecorder.writeZipEntry(central, 6, crc, data.length, name.length);
+                central.setUint32(42, offset, true);
+                directory.push(central, name);
+
+                offset += 30 + name.length + data.length;
+            });
+
+            const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(8, files.length, true);
+            end.setUint16(10, files.length, true);
+            end.setUint32(12, directorySize, true);
+            end.setUint32(16, offset, true);
+
+            return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+        });
+    }
+
+    // The fields local and central headers share, from version needed to
+    // extract through the name length. Names are UTF-8 and the date is left
+    // at 1980-01-01.
+    static writeZipEntry(view, at, crc, size, nameLength) {
+        view.setUint16(at, 20, true); // version needed: 2.0
+        view.setUint16(at + 2, 0x0800, true); // UTF-8 names
+        view.setUint16(at + 4, 0, true); // stored
+        view.setUint16(at + 6, 0, true); // time
+        view.setUint16(at + 8, 0x21, true); // date
+        view.setUint32(at + 10, crc, true);
+        view.setUint32(at + 14, size, true); // compressed
+        view.setUint32(at + 18, size, true);
+        view.setUint16(at + 22, nameLength, true);
+    }
+
+    destroy() {
+        if (this.video) {
+            this.stopVideo();
+        }
+        this.stop();
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulationRecorder;
+} else {
+    window.SimulationRecorder = SimulationRecorder;
+}
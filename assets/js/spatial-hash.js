@@ -0,0 +1,126 @@
+// Uniform Grid Spatial Hash
+// Buckets particle indices by position so neighbour lookups only visit nearby
+// cells instead of every particle. The grid is rebuilt each step with a
+// counting sort into flat typed arrays, so it allocates nothing once warm.
+class SpatialHash {
+    constructor(cellSize = 20) {
+        this.cellSize = cellSize;
+        this.cols = 0;
+        this.rows = 0;
+        this.cellStart = new Uint32Array(1);
+        this.entries = new Uint32Array(0);
+        this.cellOf = new Uint32Array(0);
+    }
+
+    // Index count points from the xs/ys arrays over a width x height domain;
+    // points outside it are clamped into the edge cells
+    build(count, xs, ys, width, height) {
+        const size = this.cellSize;
+        this.cols = Math.max(1, Math.ceil(width / size));
+        this.rows = Math.max(1, Math.ceil(height / size));
+
+        const cells = this.cols * this.rows;
+        if (this.cellStart.length < cells + 1) {
+            this.cellStart = new Uint32Array(cells + 1);
+        } else {
+            this.cellStart.fill(0, 0, cells + 1);
+        }
+        if (this.entries.length < count) {
+            this.entries = new Uint32Array(count);
+            this.cellOf = new Uint32Array(count);
+        }
+
+        const { cellStart, entries, cellOf } = this;
+
+        for (let i = 0; i < count; i++) {
+            const cell = this.cellIndex(xs[i], ys[i]);
+            cellOf[i] = cell;
+            cellStart[cell + 1]++;
+        }
+        for (let c = 0; c < cells; c++) {
+            cellStart[c + 1] += cellStart[c];
+        }
+        // Fill each bucket, then shift the offsets back to bucket starts
+        for (let i = 0; i < count; i++) {
+            entries[cellStart[cellOf[i]]++] = i;
+        }
+        for (let c = cells; c > 0; c--) {
+            cellStart[c] = cellStart[c - 1];
+        }
+        cellStart[0] = 0;
+    }
+
+    cellIndex(x, y) {
+        const cx = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+        const cy = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+        return cx + cy * this.cols;
+    }
+
+    // Visits each unordered pair of points in the same or adjacent cells once,
+    // as callback(i, j). A point's candidates are the later entries of its own
+    // cell followed by the four forward neighbouring cells; returning false
+    // from the callback moves on to the next point. Pair searches within a
+    // radius need cellSize >= radius.
+    forEachPair(callback) {
+        const { cellStart, entries, cols, rows } = this;
+
+        for (let cy = 0; cy < rows; cy++) {
+            for (let cx = 0; cx < cols; cx++) {
+                const cell = cx + cy * cols;
+                const end = cellStart[cell + 1];
+
+                // Forward neighbours: right, and the row below
+                const forward = [];
+                if (cx + 1 < cols) forward.push(cell + 1);
+                if (cy + 1 < rows) {
+                    if (cx > 0) forward.push(cell + cols - 1);
+                    forward.push(cell + cols);
+                    if (cx + 1 < cols) forward.push(cell + cols + 1);
+                }
+
+                for (let n = cellStart[cell]; n < end; n++) {
+                    const i = entries[n];
+                    let searching = true;
+
+                    for (let m = n + 1; m < end && searching; m++) {
+                        searching = callback(i, entries[m]) !== false;
+                    }
+                    for (let f = 0; f < forward.length && searching; f++) {
+                        const other = forward[f];
+                        for (let m = cellStart[other]; m < cellStart[other + 1] && searching; m++) {
+                            searching = callback(i, entries[m]) !== false;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Calls callback(index) for every point in the cells overlapping the
+    // circle; callers do the exact distance test. Returning false from the
+    // callback stops the search.
+    forEachNear(x, y, radius, callback) {
+        const size = this.cellSize;
+        const minX = Math.max(0, Math.floor((x - radius) / size));
+        const maxX = Math.min(this.cols - 1, Math.floor((x + radius) / size));
+        const minY = Math.max(0, Math.floor((y - radius) / size));
+        const maxY = Math.min(this.rows - 1, Math.floor((y + radius) / size));
+        const { cellStart, entries } = this;
+
+        for (let cy = minY; cy <= maxY; cy++) {
+            for (let cx = minX; cx <= maxX; cx++) {
+                const cell = cx + cy * this.cols;
+                for (let n = cellStart[cell]; n < cellStart[cell + 1]; n++) {
+                    if (callback(entries[n]) === false) return;
+                }
+            }
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpatialHash;
+} else {
+    window.SpatialHash = SpatialHash;
+}
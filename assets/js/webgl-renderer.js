@@ -0,0 +1,553 @@
+// WebGL Renderer
+// Draws a FlowSimulation with WebGL in three passes: the velocity field as a
+// colour-mapped texture (with obstacles and walls), phase interfaces as a
+// metaball isosurface, and the particles themselves as point sprites, with
+// rings over collapsing cavitation bubbles on top. It has the same
+// attach/detach/resize/render interface as CanvasRenderer, which remains the
+// fallback wherever WebGL is unavailable. Particles and shocks are in m and
+// are uploaded in px, at 1 / options.lengthScale px per m.
+
+const WEBGL_PARTICLE_STRIDE = 4; // x, y, radius (px), phase code
+const WEBGL_SHOCK_STRIDE = 4; // x, y, radius (px), alpha
+
+// px a bubble collapse ring grows to over its lifetime
+const WEBGL_SHOCK_RADIUS = 15;
+
+// RGBA per phase code, matching the Canvas 2D fills
+const WEBGL_PHASE_COLORS = [
+    [0, 170 / 255, 1, 0.23], // gas
+    [0, 100 / 255, 200 / 255, 0.53], // liquid
+    [200 / 255, 200 / 255, 1, 0.15] // vapor
+];
+const WEBGL_PHASE_UNIFORM = new Float32Array([].concat(...WEBGL_PHASE_COLORS));
+
+// Edge codes for the field shader
+const WEBGL_EDGE_CODES = { periodic: 0, outflow: 0, wall: 1, inlet: 2 };
+
+const QUAD_VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_uv;
+
+void main() {
+    v_uv = a_position * 0.5 + 0.5;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+// Field texture: red is speed over u_maxSpeed, green marks solid cells. Rows
+// are uploaded top first, so v is flipped to match canvas coordinates.
+const FIELD_FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_field;
+uniform vec2 u_resolution;
+uniform vec4 u_edges;
+uniform float u_opacity;
+varying vec2 v_uv;
+
+const vec4 SOLID = vec4(60.0 / 255.0, 70.0 / 255.0, 90.0 / 255.0, 0.85);
+const vec4 INLET = vec4(0.0, 170.0 / 255.0, 1.0, 0.6);
+
+vec3 colormap(float t) {
+    vec3 low = mix(vec3(0.0, 0.1, 0.35), vec3(0.0, 0.67, 1.0), smoothstep(0.0, 0.6, t));
+    return mix(low, vec3(1.0), smoothstep(0.6, 1.0, t));
+}
+
+void main() {
+    vec2 uv = vec2(v_uv.x, 1.0 - v_uv.y);
+    vec4 field = texture2D(u_field, uv);
+    vec4 color = vec4(colormap(field.r), field.r * u_opacity);
+    color = mix(color, SOLID, smoothstep(0.4, 0.6, field.g));
+
+    // Walls and inlets as lines along the edges (left, right, top, bottom)
+    vec2 pixel = uv * u_resolution;
+    float edge = 0.0;
+    if (pixel.x < 2.0) edge = u_edges.x;
+    if (pixel.x > u_resolution.x - 2.0) edge = max(edge, u_edges.y);
+    if (pixel.y < 2.0) edge = max(edge, u_edges.z);
+    if (pixel.y > u_resolution.y - 2.0) edge = max(edge, u_edges.w);
+    if (edge > 1.5) {
+        color = INLET;
+    } else if (edge > 0.5) {
+        color = SOLID;
+    }
+
+    gl_FragColor = color;
+}
+`;
+
+// Shared by the metaball splats and the particle sprites. Only the vertex
+// shader may index uniform arrays dynamically, so the colour is picked here.
+const PARTICLE_VERTEX_SHADER = `
+attribute vec4 a_particle;
+uniform vec2 u_resolution;
+uniform float u_pointScale;
+uniform vec4 u_colors[3];
+varying vec4 v_color;
+varying float v_phase;
+
+void main() {
+    vec2 clip = a_particle.xy / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+
+    // Vapor gets a wider sprite for its glow
+    float glow = a_particle.w > 1.5 ? 1.6 : 1.0;
+    gl_PointSize = max(1.0, a_particle.z * 2.0 * u_pointScale * glow);
+
+    v_color = u_colors[int(a_particle.w + 0.5)];
+    v_phase = a_particle.w;
+}
+`;
+
+const SPRITE_FRAGMENT_SHADER = `
+precision mediump float;
+varying vec4 v_color;
+varying float v_phase;
+
+void main() {
+    float r = length(gl_PointCoord * 2.0 - 1.0);
+    if (r > 1.0) discard;
+
+    // Hard edged disc, or a soft halo around a smaller core for vapor
+    float alpha = v_phase > 1.5 ?
+        mix(1.0, 0.0, smoothstep(0.5, 1.0, r)) :
+        1.0 - smoothstep(0.9, 1.0, r);
+    gl_FragColor = vec4(v_color.rgb, v_color.a * alpha);
+}
+`;
+
+// Additive density splats: liquid into red, gas and vapor into green
+const SPLAT_FRAGMENT_SHADER = `
+precision mediump float;
+uniform float u_strength;
+varying float v_phase;
+
+void main() {
+    vec2 d = gl_PointCoord * 2.0 - 1.0;
+    float r2 = dot(d, d);
+    if (r2 > 1.0) discard;
+
+    float weight = (1.0 - r2) * (1.0 - r2) * u_strength;
+    bool liquid = v_phase > 0.5 && v_phase < 1.5;
+    gl_FragColor = liquid ? vec4(weight, 0.0, 0.0, 1.0) : vec4(0.0, weight, 0.0, 1.0);
+}
+`;
+
+// Thresholds the density field: filled regions for each phase and a bright
+// rim where the liquid field crosses the isosurface
+const COMPOSITE_FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_density;
+uniform float u_threshold;
+uniform vec4 u_liquidColor;
+uniform vec4 u_gasColor;
+uniform vec4 u_interfaceColor;
+varying vec2 v_uv;
+
+void main() {
+    vec4 density = texture2D(u_density, v_uv);
+    float liquid = smoothstep(u_threshold - 0.05, u_threshold + 0.05, density.r);
+    float gas = smoothstep(u_threshold - 0.05, u_threshold + 0.05, density.g);
+    float rim = 1.0 - smoothstep(0.0, 0.06, abs(density.r - u_threshold));
+
+    vec4 color = vec4(u_gasColor.rgb, u_gasColor.a * gas);
+    color = mix(color, u_liquidColor, liquid);
+    color = mix(color, u_interfaceColor, rim * (0.4 + 0.6 * gas));
+    gl_FragColor = color;
+}
+`;
+
+// Expanding rings where cavitation bubbles collapsed
+const SHOCK_VERTEX_SHADER = `
+attribute vec4 a_shock;
+uniform vec2 u_resolution;
+varying float v_alpha;
+
+void main() {
+    vec2 clip = a_shock.xy / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    gl_PointSize = a_shock.z * 2.0 + 2.0;
+    v_alpha = a_shock.w;
+}
+`;
+
+const SHOCK_FRAGMENT_SHADER = `
+precision mediump float;
+varying float v_alpha;
+
+void main() {
+    float r = length(gl_PointCoord * 2.0 - 1.0);
+    float ring = smoothstep(0.7, 0.85, r) * (1.0 - smoothstep(0.9, 1.0, r));
+    if (ring <= 0.0) discard;
+    gl_FragColor = vec4(1.0, 1.0, 1.0, ring * v_alpha);
+}
+`;
+
+class WebGLRenderer {
+    // Probes a throwaway canvas so a failed check does not claim the real one
+    static isSupported() {
+        try {
+            let canvas = null;
+            if (typeof OffscreenCanvas !== 'undefined') {
+                canvas = new OffscreenCanvas(1, 1);
+            } else if (typeof document !== 'undefined') {
+                canvas = document.createElement('canvas');
+            }
+            return !!(canvas && (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.simulation = null;
+        this.options = {
+            context: null, // an existing WebGLRenderingContext, e.g. from headless-gl
+            pointScale: 1,
+            metaballs: true,
+            metaballScale: 3, // splat radius relative to the particle radius
+            metaballStrength: 0.35, // peak density contributed by one splat
+            threshold: 0.5, // isosurface level
+            flowField: true,
+            fieldCellSize: 10, // px per field texel
+            maxSpeed: 20, // flow vector length mapped to the top of the colour map
+            fieldOpacity: 0.35,
+            preserveDrawingBuffer: false,
+            ...options
+        };
+
+        const attributes = {
+            alpha: true,
+            premultipliedAlpha: false,
+            antialias: true,
+            preserveDrawingBuffer: this.options.preserveDrawingBuffer
+        };
+        const gl = this.options.context ||
+            canvas.getContext('webgl', attributes) ||
+            canvas.getContext('experimental-webgl', attributes);
+        if (!gl) {
+            throw new Error('WebGL is not available');
+        }
+        this.gl = gl;
+
+        this.programs = {
+            field: this.createProgram(QUAD_VERTEX_SHADER, FIELD_FRAGMENT_SHADER),
+            sprite: this.createProgram(PARTICLE_VERTEX_SHADER, SPRITE_FRAGMENT_SHADER),
+            splat: this.createProgram(PARTICLE_VERTEX_SHADER, SPLAT_FRAGMENT_SHADER),
+            composite: this.createProgram(QUAD_VERTEX_SHADER, COMPOSITE_FRAGMENT_SHADER),
+            shock: this.createProgram(SHOCK_VERTEX_SHADER, SHOCK_FRAGMENT_SHADER)
+        };
+
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+        this.particleBuffer = gl.createBuffer();
+        this.particleData = new Float32Array(0);
+
+        this.shockBuffer = gl.createBuffer();
+        this.shockData = new Float32Array(0);
+
+        this.fieldTexture = this.createTexture();
+        this.fieldData = new Uint8Array(0);
+        this.fieldSize = { cols: 0, rows: 0 };
+
+        this.densityTexture = this.createTexture();
+        this.densityFramebuffer = gl.createFramebuffer();
+    }
+
+    createShader(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error(`WebGL shader failed to compile: ${log}`);
+        }
+        return shader;
+    }
+
+    // Returns the program with its attribute and uniform locations
+    createProgram(vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        gl.attachShader(program, this.createShader(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, this.createShader(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`WebGL program failed to link: ${gl.getProgramInfoLog(program)}`);
+        }
+
+        const attributes = {};
+        const uniforms = {};
+        const source = vertexSource + fragmentSource;
+        (source.match(/attribute \w+ \w+/g) || []).forEach(declaration => {
+            const name = declaration.split(' ')[2];
+            attributes[name] = gl.getAttribLocation(program, name);
+        });
+        (source.match(/uniform \w+ \w+/g) || []).forEach(declaration => {
+            const name = declaration.split(' ')[2];
+            uniforms[name] = gl.getUniformLocation(program, name);
+        });
+
+        return { program, attributes, uniforms };
+    }
+
+    // Non-power-of-two textures need clamping and no mipmaps in WebGL 1
+    createTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        return texture;
+    }
+
+    attach(simulation) {
+        this.simulation = simulation;
+        this.resize(simulation.width, simulation.height);
+    }
+
+    detach() {
+        this.simulation = null;
+    }
+
+    resize(width, height) {
+        const gl = this.gl;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.width = width;
+        this.height = height;
+
+        gl.bindTexture(gl.TEXTURE_2D, this.densityTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.densityFramebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.densityTexture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    render() {
+        const gl = this.gl;
+        if (!this.simulation || gl.isContextLost()) return;
+
+        const count = this.uploadParticles();
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, this.width, this.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.enable(gl.BLEND);
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+        if (this.options.flowField) {
+            this.drawField();
+        }
+        if (this.options.metaballs && count > 0) {
+            this.drawInterfaces(count);
+        }
+        if (count > 0) {
+            this.drawParticles(count);
+        }
+        if (this.simulation.shocks.length > 0) {
+            this.drawShocks();
+        }
+    }
+
+    // Pack [x, y, radius, phase code] records into the vertex buffer
+    uploadParticles() {
+        const gl = this.gl;
+        const { x, y, size, life, phase, count } = this.simulation.particles;
+        const scale = 1 / this.simulation.options.lengthScale;
+
+        if (this.particleData.length < count * WEBGL_PARTICLE_STRIDE) {
+            this.particleData = new Float32Array(count * WEBGL_PARTICLE_STRIDE * 2);
+        }
+        const data = this.particleData;
+        for (let i = 0; i < count; i++) {
+            const offset = i * WEBGL_PARTICLE_STRIDE;
+            data[offset] = x[i] * scale;
+            data[offset + 1] = y[i] * scale;
+            data[offset + 2] = size[i] * life[i] * scale;
+            data[offset + 3] = phase[i];
+        }
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.particleBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, count * WEBGL_PARTICLE_STRIDE), gl.DYNAMIC_DRAW);
+        return count;
+    }
+
+    // Sample the flow vector and obstacles at texel centres
+    updateFieldTexture() {
+        const gl = this.gl;
+        const simulation = this.simulation;
+        const cellSize = this.options.fieldCellSize;
+        const cols = Math.max(1, Math.ceil(this.width / cellSize));
+        const rows = Math.max(1, Math.ceil(this.height / cellSize));
+
+        if (this.fieldData.length !== cols * rows * 4) {
+            this.fieldData = new Uint8Array(cols * rows * 4);
+        }
+        const data = this.fieldData;
+        const maxSpeed = this.options.maxSpeed;
+        const hasObstacles = simulation.obstacles.length > 0;
+
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const px = (i + 0.5) * cellSize;
+                const py = (j + 0.5) * cellSize;
+                const { flowX, flowY } = simulation.getFlowVector(px, py);
+                const k = (i + j * cols) * 4;
+                data[k] = Math.min(255, Math.round(Math.hypot(flowX, flowY) / maxSpeed * 255));
+                data[k + 1] = hasObstacles && simulation.isInsideObstacle(px, py) ? 255 : 0;
+                data[k + 2] = 0;
+                data[k + 3] = 255;
+            }
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, this.fieldTexture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        if (this.fieldSize.cols === cols && this.fieldSize.rows === rows) {
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, cols, rows, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, cols, rows, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+            this.fieldSize = { cols, rows };
+        }
+    }
+
+    drawField() {
+        const gl = this.gl;
+        const { program, uniforms } = this.programs.field;
+        const boundaries = this.simulation.boundaries;
+
+        this.updateFieldTexture();
+
+        gl.useProgram(program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.fieldTexture);
+        gl.uniform1i(uniforms.u_field, 0);
+        gl.uniform2f(uniforms.u_resolution, this.width, this.height);
+        gl.uniform1f(uniforms.u_opacity, this.options.fieldOpacity);
+        gl.uniform4f(uniforms.u_edges,
+            WEBGL_EDGE_CODES[boundaries.left.type],
+            WEBGL_EDGE_CODES[boundaries.right.type],
+            WEBGL_EDGE_CODES[boundaries.top.type],
+            WEBGL_EDGE_CODES[boundaries.bottom.type]);
+        this.drawQuad(this.programs.field);
+    }
+
+    // Splat particle densities into the offscreen target, then threshold it
+    // onto the canvas
+    drawInterfaces(count) {
+        const gl = this.gl;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.densityFramebuffer);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.blendFunc(gl.ONE, gl.ONE);
+
+        const splat = this.programs.splat;
+        gl.useProgram(splat.program);
+        gl.uniform1f(splat.uniforms.u_strength, this.options.metaballStrength);
+        this.drawPoints(splat, count, this.options.metaballScale);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+        const composite = this.programs.composite;
+        const [gas, liquid] = WEBGL_PHASE_COLORS;
+        gl.useProgram(composite.program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.densityTexture);
+        gl.uniform1i(composite.uniforms.u_density, 0);
+        gl.uniform1f(composite.uniforms.u_threshold, this.options.threshold);
+        gl.uniform4f(composite.uniforms.u_liquidColor, liquid[0], liquid[1], liquid[2], liquid[3] * 0.6);
+        gl.uniform4f(composite.uniforms.u_gasColor, gas[0], gas[1], gas[2], gas[3] * 0.3);
+        gl.uniform4f(composite.uniforms.u_interfaceColor, 0.75, 0.9, 1, 0.7);
+        this.drawQuad(composite);
+    }
+
+    drawParticles(count) {
+        const gl = this.gl;
+        const sprite = this.programs.sprite;
+        gl.useProgram(sprite.program);
+        this.drawPoints(sprite, count, this.options.pointScale);
+    }
+
+    drawShocks() {
+        const gl = this.gl;
+        const shocks = this.simulation.shocks;
+        const { shockLifetime, lengthScale } = this.simulation.options;
+
+        if (this.shockData.length < shocks.length * WEBGL_SHOCK_STRIDE) {
+            this.shockData = new Float32Array(shocks.length * WEBGL_SHOCK_STRIDE * 2);
+        }
+        const data = this.shockData;
+        shocks.forEach((shock, index) => {
+            const offset = index * WEBGL_SHOCK_STRIDE;
+            const progress = shock.age / shockLifetime;
+            data[offset] = shock.x / lengthScale;
+            data[offset + 1] = shock.y / lengthScale;
+            data[offset + 2] = 2 + progress * WEBGL_SHOCK_RADIUS;
+            data[offset + 3] = 1 - progress;
+        });
+
+        const { program, attributes, uniforms } = this.programs.shock;
+        gl.useProgram(program);
+        gl.uniform2f(uniforms.u_resolution, this.width, this.height);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.shockBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, shocks.length * WEBGL_SHOCK_STRIDE), gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(attributes.a_shock);
+        gl.vertexAttribPointer(attributes.a_shock, 4, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.POINTS, 0, shocks.length);
+        gl.disableVertexAttribArray(attributes.a_shock);
+    }
+
+    drawPoints({ attributes, uniforms }, count, pointScale) {
+        const gl = this.gl;
+        gl.uniform2f(uniforms.u_resolution, this.width, this.height);
+        gl.uniform1f(uniforms.u_pointScale, pointScale);
+        gl.uniform4fv(uniforms.u_colors, WEBGL_PHASE_UNIFORM);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.particleBuffer);
+        gl.enableVertexAttribArray(attributes.a_particle);
+        gl.vertexAttribPointer(attributes.a_particle, 4, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.POINTS, 0, count);
+        gl.disableVertexAttribArray(attributes.a_particle);
+    }
+
+    drawQuad({ attributes }) {
+        const gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.enableVertexAttribArray(attributes.a_position);
+        gl.vertexAttribPointer(attributes.a_position, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        gl.disableVertexAttribArray(attributes.a_position);
+    }
+
+    // RGBA bytes of the drawn frame, top row first like getImageData
+    readPixels() {
+        const gl = this.gl;
+        const { width, height } = this;
+        const pixels = new Uint8Array(width * height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+        const rowLength = width * 4;
+        const flipped = new Uint8Array(pixels.length);
+        for (let row = 0; row < height; row++) {
+            flipped.set(pixels.subarray(row * rowLength, (row + 1) * rowLength), (height - 1 - row) * rowLength);
+        }
+        return flipped;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebGLRenderer;
+} else {
+    window.WebGLRenderer = WebGLRenderer;
+}
@@ -0,0 +1,40 @@
+// FlowSimulation frame-time benchmark.
+// Usage: node scripts/benchmark.js [--headless] [particleCount ...]
+// Runs the default configuration (merges, breakups and collisions on, the
+// population topped up to particleCount) at 1280x720 with the Canvas 2D
+// renderer drawing every frame. This is the setup the 100k-particle, 60 fps
+// target applies to. @napi-rs/canvas rasterises on the CPU, so render times
+// run well above a browser's; compare them with earlier runs, not with the
+// target. --headless leaves the renderer out to time the physics alone.
+// Prints one JSON line per particle count so results can be appended to a log
+// and compared over time.
+const { createCanvas } = require('@napi-rs/canvas');
+const FlowSimulation = require('../assets/js/flow-simulation');
+const CanvasRenderer = require('../assets/js/canvas-renderer');
+
+const WIDTH = 1280;
+const HEIGHT = 720;
+
+const args = process.argv.slice(2);
+const headless = args.includes('--headless');
+const counts = args.map(Number).filter(n => n > 0);
+
+(counts.length > 0 ? counts : [1000, 10000, 100000]).forEach(particleCount => {
+    const simulation = new FlowSimulation(null, {
+        seed: 'benchmark',
+        particleCount,
+        width: WIDTH,
+        height: HEIGHT
+    });
+    if (!headless) {
+        simulation.attachRenderer(new CanvasRenderer(createCanvas(WIDTH, HEIGHT)));
+    }
+    const result = simulation.benchmark({ frames: particleCount >= 100000 ? 30 : 120 });
+
+    console.log(JSON.stringify({
+        date: new Date().toISOString(),
+        node: process.version,
+        renderer: headless ? 'none' : 'canvas',
+        ...result
+    }));
+});
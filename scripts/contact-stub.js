@@ -0,0 +1,443 @@
+// Local stand-in for api/contact.php, for trying the contact form without
+// PHP or a mail server.
+// Usage: node scripts/contact-stub.js [port]
+// Serves the site and answers POST /api/contact.php as the PHP endpoint does,
+// with the same schema, honeypot, fill time, proof-of-work and rate limit
+// checks in the same order, but prints submissions instead of mailing them.
+// GET /api/contact-start.php issues the signed start tokens the fill time is
+// measured from, as api/contact-start.php does (as a cookie with ?cookie=1);
+// issueStart() makes one. Plain form posts without a proof are held for
+// review as api/contact.php holds them, and redirected back to the page.
+// Scoping wizard answers are checked and estimated as api/scoping.php does.
+// POST /api/upload.php takes attachment chunks as api/upload.php does, with
+// its start token, upload limit and clean-up, and keeps them in memory. Tests use ContactStub directly: handle() and
+// handleUpload() take a request and fetch() stands in for window.fetch.
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const ContactForm = require('../assets/js/contact-form');
+const ContactProof = require('../assets/js/contact-proof');
+const ProjectScope = require('../assets/js/project-scope');
+
+const STUB_ROOT = path.join(__dirname, '..');
+const STUB_ENDPOINT = '/api/contact.php';
+const STUB_START_ENDPOINT = '/api/contact-start.php';
+const STUB_UPLOAD_ENDPOINT = '/api/upload.php';
+
+const STUB_CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+class ContactStub {
+    constructor(options = {}) {
+        this.options = {
+            schema: options.schema || ContactForm.SCHEMA,
+            rateLimit: options.rateLimit || 5, // messages per address within the window
+            rateWindow: options.rateWindow || 3600, // s
+            heldRateLimit: options.heldRateLimit || 2, // held messages (plain posts without a proof) per address within the window
+            uploadRateLimit: options.uploadRateLimit || 10, // uploads started per address within the window
+            uploadPartMaxAge: options.uploadPartMaxAge || 86400, // s without a chunk before a partial upload goes
+            uploadMaxAge: options.uploadMaxAge || 604800, // s before an unreferenced finished upload goes
+            now: options.now || (() => Date.now()), // ms
+            secret: options.secret || 'contact-stub-secret', // signs start tokens
+            log: options.log || (() => {}),
+            ...options
+        };
+
+        this.form = new ContactForm(this.options.schema);
+        this.scope = new ProjectScope(this.options.schema.scoping);
+        this.submissions = []; // { data, address, honeypot, held }
+        this.messageTimes = new Map(); // address -> times (s)
+        this.heldTimes = new Map(); // address -> times (s) of held messages
+        this.uploadTimes = new Map(); // address -> upload start times (s)
+        this.uploads = new Map(); // id -> { name, size, chunks, complete, updated (s), referenced }
+    }
+
+    static respond(status, message, errors = null, headers = {}) {
+        const body = { status: status < 300 ? 'success' : 'error', message };
+        if (errors) {
+            body.errors = errors;
+        }
+        return { status, headers, body };
+    }
+
+    recentMessages(address, now, counts = this.messageTimes) {
+        const times = (counts.get(address) || []).filter(time => time > now - this.options.rateWindow);
+        counts.set(address, times);
+        return times;
+    }
+
+    // Seconds until another can go, 0 if it may now
+    static rateLimitWait(times, limit, window, now) {
+        return times.length >= limit ? times[times.length - limit] + window - now : 0;
+    }
+
+    startSignature(issued) {
+        return crypto.createHmac('sha256', this.options.secret).update(`contact-start:${issued}`).digest('hex');
+    }
+
+    // Start token "issued.signature" for a form opened at issued (ms)
+    issueStart(issued = this.options.now()) {
+        return `${issued}.${this.startSignature(issued)}`;
+    }
+
+    // When the token was issued (ms), or null if it is forged, from the future
+    // or older than the schema's startMaxAge
+    startTime(token, nowMs) {
+        const match = typeof token === 'string' && token.match(/^(\d{1,15})\.([a-f0-9]{64})$/);
+        if (!match) return null;
+        const issued = Number(match[1]);
+        const expected = Buffer.from(this.startSignature(issued));
+        if (!crypto.timingSafeEqual(expected, Buffer.from(match[2]))) return null;
+        if (issued > nowMs || nowMs - issued > this.options.schema.protection.startMaxAge) return null;
+        return issued;
+    }
+
+    // { method, cookie } -> { status, headers, body }; cookie as ?cookie=1
+    handleStart({ method, cookie = false }) {
+        if (method !== 'GET') {
+            return ContactStub.respond(405, 'Invalid request method.', null, { Allow: 'GET' });
+        }
+        const protection = this.options.schema.protection;
+        if (cookie) {
+            const maxAge = Math.floor(protection.startMaxAge / 1000);
+            return {
+                status: 204,
+                headers: {
+                    'Cache-Control': 'no-store',
+                    'Set-Cookie': `${protection.startCookie}=${this.issueStart()}; Max-Age=${maxAge}; Path=/; HttpOnly; SameSite=Lax`
+                },
+                body: null
+            };
+        }
+        return { status: 200, headers: { 'Cache-Control': 'no-store' }, body: { status: 'success', token: this.issueStart() } };
+    }
+
+    // { method, body (parsed JSON or form fields), address, form, cookies } ->
+    // { status, headers, body }; form is true for a plain form post
+    handle({ method, body, address = '127.0.0.1', form = false, cookies = {} }) {
+        const schema = this.options.schema;
+        const protection = schema.protection;
+        const nowMs = this.options.now();
+        const now = Math.floor(nowMs / 1000);
+        const success = 'Thank you! Your message has been sent successfully. We will get back to you soon.';
+
+        if (method !== 'POST') {
+            return ContactStub.respond(405, 'Invalid request method.', null, { Allow: 'POST' });
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return ContactStub.respond(400, 'The request could not be read. Please try again.');
+        }
+
+        const held = form && body.proof === undefined;
+        const times = this.recentMessages(address, now);
+        const heldTimes = this.recentMessages(address, now, this.heldTimes);
+        const wait = Math.max(
+            ContactStub.rateLimitWait(times, this.options.rateLimit, this.options.rateWindow, now),
+            held ? ContactStub.rateLimitWait(heldTimes, this.options.heldRateLimit, this.options.rateWindow, now) : 0
+        );
+        if (wait > 0) {
+            return ContactStub.respond(429, protection.messages.rateLimit.replace('{minutes}', Math.ceil(wait / 60)),
+                null, { 'Retry-After': String(wait) });
+        }
+
+        const honeypot = body[protection.honeypot];
+        if (honeypot !== undefined && honeypot !== null && (typeof honeypot !== 'string' || ContactForm.normalize(honeypot) !== '')) {
+            times.push(now);
+            this.submissions.push({ data: body, address, honeypot: true });
+            return ContactStub.respond(200, success);
+        }
+
+        const { data, errors } = this.form.validate(body);
+        let attachment = null;
+        if (body.attachment !== undefined && body.attachment !== null) {
+            attachment = this.findUpload(body.attachment);
+            if (!attachment) {
+                errors.attachment = schema.attachment.messages.incomplete;
+            }
+        }
+        let scope = null;
+        if (body.scope !== undefined && body.scope !== null) {
+            scope = this.scope.validate(body.scope);
+            if (!scope) {
+                errors.scope = schema.scoping.messages.invalid;
+            }
+        }
+        if (Object.keys(errors).length > 0) {
+            return ContactStub.respond(422, 'Please correct the errors below.', errors);
+        }
+
+        // A plain post's start token may be the cookie set for a browser without JavaScript
+        const start = held && body.start === undefined ? cookies[protection.startCookie] : body.start;
+        const startedAt = this.startTime(start, nowMs);
+        if (startedAt === null) {
+            return ContactStub.respond(422, protection.messages.proof);
+        }
+        if (nowMs - startedAt < protection.minFillTime) {
+            return ContactStub.respond(422, protection.messages.tooFast);
+        }
+        if (!held && !ContactProof.verify(schema, { ...data, start, proof: body.proof }, nowMs)) {
+            return ContactStub.respond(422, protection.messages.proof);
+        }
+
+        times.push(now);
+        if (held) {
+            heldTimes.push(now);
+        }
+        if (attachment) {
+            attachment.referenced = now;
+        }
+        const estimate = scope ? this.scope.estimate(scope) : null;
+        this.submissions.push({ data, address, honeypot: false, held, attachment, scope, estimate });
+        this.options.log(`${held ? 'Held for review: contact' : 'Contact'} message from ${data.name} <${data.email}>:\n${data.message}\n` +
+            (scope ? `Indicative effort: ${ProjectScope.formatEstimate(estimate)}\n` : '') +
+            (attachment ? `Attachment: ${attachment.name} (${attachment.size} bytes)\n` : ''));
+        if (held) {
+            return { status: 200, headers: {}, body: { status: 'held', message: protection.messages.held } };
+        }
+        return ContactStub.respond(200, success);
+    }
+
+    // The redirect api/contact.php answers a plain form post with
+    static redirect({ status, headers, body }) {
+        const result = body.status;
+        return {
+            status: 303,
+            headers: { ...headers, Location: `/index.html?contact=${result}#contact-${result}` },
+            body: null
+        };
+    }
+
+    // The complete upload a submission's { id, name, size } refers to, or null
+    findUpload(reference) {
+        const upload = reference && typeof reference === 'object' ? this.uploads.get(reference.id) : null;
+        if (!upload || !upload.complete || upload.name !== reference.name || upload.size !== reference.size) {
+            return null;
+        }
+        return upload;
+    }
+
+    static uploadResponse(status, message, received = 0, complete = false) {
+        return { status, headers: {}, body: { status: status < 300 ? 'success' : 'error', message, received, complete } };
+    }
+
+    // Drops partial uploads left idle and finished ones no message took
+    cleanupUploads(now) {
+        this.uploads.forEach((upload, id) => {
+            const maxAge = upload.complete ? this.options.uploadMaxAge : this.options.uploadPartMaxAge;
+            if (!upload.referenced && upload.updated < now - maxAge) {
+                this.uploads.delete(id);
+            }
+        });
+    }
+
+    // { method, query (URLSearchParams), chunk (Uint8Array), address } -> { status, headers, body }
+    handleUpload({ method, query, chunk, address = '127.0.0.1' }) {
+        const schema = this.options.schema;
+        const attachment = schema.attachment;
+        const nowMs = this.options.now();
+        const now = Math.floor(nowMs / 1000);
+        const unreadable = 'The upload could not be read. Please try again.';
+        if (method !== 'POST') {
+            return { ...ContactStub.uploadResponse(405, 'Invalid request method.'), headers: { Allow: 'POST' } };
+        }
+
+        const whole = name => (/^\d+$/.test(query.get(name) || '') ? Number(query.get(name)) : -1);
+        const id = query.get('id') || '';
+        const name = path.basename(query.get('name') || '');
+        const size = whole('size');
+        const index = whole('index');
+        const count = whole('count');
+        const extension = (/\.([^./\\]+)$/.exec(name) || ['', ''])[1].toLowerCase();
+
+        if (!/^[a-f0-9]{32}$/.test(id) || name === '' || size < 1 || index < 0) {
+            return ContactStub.uploadResponse(400, unreadable);
+        }
+        if (!attachment.extensions.includes(extension)) {
+            return ContactStub.uploadResponse(400, attachment.messages.type);
+        }
+        if (size > attachment.maxSize) {
+            return ContactStub.uploadResponse(413, attachment.messages.size);
+        }
+        if (count !== Math.ceil(size / attachment.chunkSize) || index >= count) {
+            return ContactStub.uploadResponse(400, unreadable);
+        }
+        const expected = index < count - 1 ? attachment.chunkSize : size - index * attachment.chunkSize;
+        if (!chunk || chunk.length !== expected) {
+            return ContactStub.uploadResponse(400, unreadable);
+        }
+
+        const existing = this.uploads.get(id);
+        if (existing && existing.complete) {
+            return ContactStub.uploadResponse(200, 'Upload complete.', size, true);
+        }
+        if (!existing) {
+            if (index !== 0) {
+                return ContactStub.uploadResponse(409, 'The upload is out of order. Please attach the file again.');
+            }
+
+            // A new upload
+            if (this.startTime(query.get('start'), nowMs) === null) {
+                return ContactStub.uploadResponse(403, attachment.messages.start);
+            }
+            const times = this.recentMessages(address, now, this.uploadTimes);
+            const wait = ContactStub.rateLimitWait(times, this.options.uploadRateLimit, this.options.rateWindow, now);
+            if (wait > 0) {
+                return {
+                    ...ContactStub.uploadResponse(429, attachment.messages.rateLimit.replace('{minutes}', Math.ceil(wait / 60))),
+                    headers: { 'Retry-After': String(wait) }
+                };
+            }
+            times.push(now);
+            this.cleanupUploads(now);
+            this.uploads.set(id, { name, size, chunks: [], complete: false, updated: now, referenced: null });
+        }
+        const upload = this.uploads.get(id);
+        if (index < upload.chunks.length) {
+            return ContactStub.uploadResponse(200, 'Chunk received.', upload.chunks.length * attachment.chunkSize);
+        }
+        if (index !== upload.chunks.length) {
+            return ContactStub.uploadResponse(409, 'The upload is out of order. Please attach the file again.',
+                upload.chunks.length * attachment.chunkSize);
+        }
+
+        upload.chunks.push(chunk);
+        upload.updated = now;
+        if (index < count - 1) {
+            return ContactStub.uploadResponse(200, 'Chunk received.', upload.chunks.length * attachment.chunkSize);
+        }
+        upload.complete = true;
+        return ContactStub.uploadResponse(200, 'Upload complete.', size, true);
+    }
+
+    // Response-like answer for ContactClient's and AttachmentUpload's fetch option
+    async fetch(url, init = {}) {
+        const location = new URL(url, 'http://localhost/');
+        if (location.pathname.endsWith(STUB_START_ENDPOINT)) {
+            return ContactStub.response(this.handleStart({ method: init.method || 'GET' }));
+        }
+        if (location.pathname.endsWith(STUB_UPLOAD_ENDPOINT)) {
+            const chunk = init.body && init.body.arrayBuffer ? new Uint8Array(await init.body.arrayBuffer()) : null;
+            return ContactStub.response(this.handleUpload({
+                method: init.method || 'GET',
+                query: location.searchParams,
+                chunk,
+                address: init.address
+            }));
+        }
+
+        let body = null;
+        try {
+            body = JSON.parse(init.body);
+        } catch (error) {
+            body = null;
+        }
+        return ContactStub.response(this.handle({ method: init.method || 'GET', body, address: init.address }));
+    }
+
+    static response({ status, headers, body }) {
+        return {
+            status,
+            ok: status >= 200 && status < 300,
+            headers: { get: name => (name in headers ? headers[name] : null) },
+            json: async () => body
+        };
+    }
+
+    // Serve the site with the stub endpoint
+    listen(port = 3000, root = STUB_ROOT) {
+        const server = http.createServer((request, response) => {
+            const url = new URL(request.url, 'http://localhost');
+
+            if (url.pathname === STUB_START_ENDPOINT) {
+                const answer = this.handleStart({ method: request.method, cookie: url.searchParams.has('cookie') });
+                response.writeHead(answer.status, { 'Content-Type': 'application/json', ...answer.headers });
+                response.end(answer.body === null ? undefined : JSON.stringify(answer.body));
+                return;
+            }
+
+            if (url.pathname === STUB_UPLOAD_ENDPOINT) {
+                const chunks = [];
+                request.on('data', chunk => chunks.push(chunk));
+                request.on('end', () => {
+                    const answer = this.handleUpload({
+                        method: request.method,
+                        query: url.searchParams,
+                        chunk: new Uint8Array(Buffer.concat(chunks)),
+                        address: request.socket.remoteAddress
+                    });
+                    response.writeHead(answer.status, { 'Content-Type': 'application/json', ...answer.headers });
+                    response.end(JSON.stringify(answer.body));
+                });
+                return;
+            }
+
+            if (url.pathname === STUB_ENDPOINT) {
+                let text = '';
+                request.on('data', chunk => {
+                    text += chunk;
+                });
+                request.on('end', () => {
+                    // Plain form posts are answered with a redirect, as api/contact.php does
+                    const isJson = /application\/json/i.test(request.headers['content-type'] || '');
+                    const wantsJson = isJson || /application\/json/i.test(request.headers.accept || '');
+                    let body = null;
+                    try {
+                        body = isJson ? JSON.parse(text) : Object.fromEntries(new URLSearchParams(text));
+                    } catch (error) {
+                        body = null;
+                    }
+                    const cookies = Object.fromEntries((request.headers.cookie || '').split(';')
+                        .map(pair => pair.trim().split('='))
+                        .filter(pair => pair.length === 2));
+                    const answer = this.handle({
+                        method: request.method,
+                        body,
+                        address: request.socket.remoteAddress,
+                        form: !isJson,
+                        cookies
+                    });
+                    const sent = wantsJson ? answer : ContactStub.redirect(answer);
+                    response.writeHead(sent.status, { 'Content-Type': 'application/json', ...sent.headers });
+                    response.end(sent.body === null ? undefined : JSON.stringify(sent.body));
+                });
+                return;
+            }
+
+            // Static files, never outside the root
+            const file = path.join(root, path.normalize(decodeURIComponent(url.pathname)).replace(/^(\.\.[/\\])+/, ''));
+            const target = file.endsWith(path.sep) ? path.join(file, 'index.html') : file;
+            if (!target.startsWith(root)) {
+                response.writeHead(403);
+                response.end();
+                return;
+            }
+            fs.readFile(target, (error, content) => {
+                if (error) {
+                    response.writeHead(404);
+                    response.end('Not found');
+                    return;
+                }
+                response.writeHead(200, { 'Content-Type': STUB_CONTENT_TYPES[path.extname(target)] || 'application/octet-stream' });
+                response.end(content);
+            });
+        });
+        return server.listen(port);
+    }
+}
+
+module.exports = ContactStub;
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || 3000;
+    new ContactStub({ log: message => console.log(message) }).listen(port);
+    console.log(`Contact stub on http://localhost:${port}/ (POST ${STUB_ENDPOINT})`);
+}
@@ -0,0 +1,11 @@
+// Writes the contact form's validation schema for the server side.
+// Usage: node scripts/export-contact-schema.js
+// api/validation.php reads api/contact-schema.json; run this after changing
+// CONTACT_SCHEMA in assets/js/contact-form.js (tests fail while they differ).
+const fs = require('fs');
+const path = require('path');
+const ContactForm = require('../assets/js/contact-form');
+
+const file = path.join(__dirname, '..', 'api', 'contact-schema.json');
+fs.writeFileSync(file, JSON.stringify(ContactForm.SCHEMA, null, 4) + '\n');
+console.log(`Wrote ${path.relative(process.cwd(), file)}`);
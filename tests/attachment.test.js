@@ -0,0 +1,292 @@
+const { installMockDom } = require('./setup');
+const ContactForm = require('../assets/js/contact-form');
+const ContactProof = require('../assets/js/contact-proof');
+const ContactClient = require('../assets/js/contact-client');
+const ContactQueue = require('../assets/js/contact-queue');
+const AttachmentField = require('../assets/js/attachment-field');
+const AttachmentUpload = require('../assets/js/attachment-upload');
+const ContactStub = require('../scripts/contact-stub');
+
+// Small chunks and easy proofs keep the tests quick
+const schema = {
+    ...ContactForm.SCHEMA,
+    protection: { ...ContactForm.SCHEMA.protection, proofDifficulty: 8 },
+    attachment: { ...ContactForm.SCHEMA.attachment, chunkSize: 16 }
+};
+const { attachment } = schema;
+
+const NOW = 1760000000000;
+
+const form = {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    company: '',
+    industry: 'Marine',
+    message: 'Sloshing in a ballast tank',
+    website: '',
+    start: new ContactStub({ schema }).issueStart(NOW - 12000)
+};
+
+const asciiStl = `solid wedge
+facet normal 0 0 1
+outer loop
+vertex 0 0 0
+vertex 120 0 0
+vertex 0 45 30
+endloop
+endfacet
+endsolid wedge
+`;
+
+// File stand-in: a Blob with a name
+function createFile(name, content) {
+    return Object.assign(new Blob([content]), { name });
+}
+
+function createUpload(file, fetch, options = {}) {
+    const upload = new AttachmentUpload(file, { fetch, chunkSize: attachment.chunkSize, start: form.start, ...options });
+    upload.wait = jest.fn(() => Promise.resolve());
+    return upload;
+}
+
+describe('AttachmentField', () => {
+    beforeEach(() => {
+        installMockDom();
+    });
+
+    function createField() {
+        const zone = document.createElement('div');
+        const input = zone.appendChild(document.createElement('input'));
+        return { field: new AttachmentField(input, { attachment }), input, zone };
+    }
+
+    test('checks type, emptiness and size from the schema', () => {
+        expect(AttachmentField.check({ name: 'pump.STEP', size: 2048 }, attachment)).toBeNull();
+        expect(AttachmentField.check({ name: 'drawing.pdf', size: 2048 }, attachment)).toBe(attachment.messages.type);
+        expect(AttachmentField.check({ name: 'empty.stl', size: 0 }, attachment)).toBe(attachment.messages.empty);
+        expect(AttachmentField.check({ name: 'huge.obj', size: attachment.maxSize + 1 }, attachment)).toBe(attachment.messages.size);
+    });
+
+    test('previews an STL file with its dimensions', async () => {
+        const { field, zone } = createField();
+        const file = createFile('<wedge>.stl', asciiStl);
+
+        expect(await field.select(file)).toBeNull();
+        expect(field.file).toBe(file);
+        expect(field.mesh.triangleCount).toBe(1);
+        expect(field.details.innerHTML).toContain('&#60;wedge&#62;.stl');
+        expect(field.details.innerHTML).toContain('120 × 45 × 30');
+
+        const canvas = field.previewContainer.children[0];
+        expect(canvas.getAttribute('role')).toBe('img');
+        expect(canvas.getAttribute('aria-label')).toContain('120 × 45 × 30');
+        expect(zone.classList.contains('attachment-drop')).toBe(true);
+
+        field.clear();
+        expect(field.file).toBeNull();
+        expect(field.previewContainer.children).toHaveLength(0);
+    });
+
+    test('lists STEP files without a preview', async () => {
+        const { field } = createField();
+        expect(await field.select(createFile('pump.step', 'ISO-10303-21;'))).toBeNull();
+        expect(field.preview).toBeNull();
+        expect(field.details.innerHTML).toContain('No preview');
+    });
+
+    test('shows why a file was turned down', async () => {
+        const { field, input } = createField();
+
+        expect(await field.select(createFile('notes.txt', 'hello'))).toBe(attachment.messages.type);
+        expect(field.file).toBeNull();
+        expect(input.classList.contains('is-invalid')).toBe(true);
+        expect(field.details.textContent).toBe(attachment.messages.type);
+
+        const message = await field.select(createFile('broken.stl', 'solid broken\nvertex 1 2 3\nendsolid'));
+        expect(message).toContain('could not be read');
+        expect(field.file).toBeNull();
+    });
+
+    test('reports upload progress for assistive technology', () => {
+        const { field } = createField();
+        field.setProgress(3, 12);
+        expect(field.progress.getAttribute('aria-valuenow')).toBe('25');
+        expect(field.progress.style.display).toBe('');
+    });
+
+    test('formats sizes', () => {
+        expect(AttachmentField.formatBytes(512)).toBe('512 bytes');
+        expect(AttachmentField.formatBytes(2048)).toBe('2 KB');
+        expect(AttachmentField.formatBytes(5 * 1048576)).toBe('5.0 MB');
+    });
+});
+
+describe('AttachmentUpload', () => {
+    const content = 'solid x\n' + 'v'.repeat(40); // 48 bytes, 3 chunks
+
+    test('uploads in chunks the stub puts back together', async () => {
+        const stub = new ContactStub({ schema, now: () => NOW });
+        const progress = jest.fn();
+        const file = createFile('riser.stl', content);
+        const upload = createUpload(file, (url, init) => stub.fetch(url, init), { onProgress: progress });
+
+        const reference = await upload.upload();
+        expect(reference).toEqual({ id: expect.stringMatching(/^[a-f0-9]{32}$/), name: 'riser.stl', size: 48 });
+        expect(progress.mock.calls).toEqual([[0, 48], [16, 48], [32, 48], [48, 48]]);
+
+        const stored = stub.findUpload(reference);
+        expect(Buffer.concat(stored.chunks).toString()).toBe(content);
+        expect(stub.findUpload({ ...reference, size: 47 })).toBeNull();
+    });
+
+    test('retries a chunk whose answer was lost', async () => {
+        const stub = new ContactStub({ schema, now: () => NOW });
+        let calls = 0;
+        const fetch = jest.fn(async (url, init) => {
+            const answer = await stub.fetch(url, init);
+            // The second chunk arrives, but the connection drops
+            return ++calls === 2 ? Promise.reject(new TypeError('Failed to fetch')) : answer;
+        });
+        const upload = createUpload(createFile('riser.stl', content), fetch);
+
+        const reference = await upload.upload();
+        expect(fetch).toHaveBeenCalledTimes(4);
+        expect(upload.wait).toHaveBeenCalledWith(1000);
+        expect(stub.findUpload(reference)).not.toBeNull();
+    });
+
+    test('gives up with an attachment error', async () => {
+        const stub = new ContactStub({ schema });
+        const rejected = createUpload(createFile('notes.txt', content), (url, init) => stub.fetch(url, init));
+        await expect(rejected.upload()).rejects.toMatchObject({
+            message: attachment.messages.type,
+            attachment: true,
+            retryable: false
+        });
+
+        const offline = createUpload(createFile('riser.stl', content), () => Promise.reject(new TypeError('Failed to fetch')));
+        await expect(offline.upload()).rejects.toMatchObject({ attachment: true, retryable: true });
+        expect(offline.wait).toHaveBeenCalledTimes(3);
+    });
+
+    test('the stub takes chunks in order only', async () => {
+        const stub = new ContactStub({ schema, now: () => NOW });
+        const query = index => new URLSearchParams({ id: 'a'.repeat(32), index, count: 2, name: 'a.stl', size: 20, start: form.start });
+        const chunk = length => new Uint8Array(length);
+
+        expect(stub.handleUpload({ method: 'POST', query: query(1), chunk: chunk(4) }).status).toBe(409);
+        expect(stub.handleUpload({ method: 'POST', query: query(0), chunk: chunk(15) }).status).toBe(400);
+        expect(stub.handleUpload({ method: 'POST', query: query(0), chunk: chunk(16) }).body.complete).toBe(false);
+        expect(stub.handleUpload({ method: 'POST', query: query(0), chunk: chunk(16) }).status).toBe(200);
+        expect(stub.handleUpload({ method: 'POST', query: query(1), chunk: chunk(4) }).body.complete).toBe(true);
+    });
+
+    test('the stub starts uploads only with a start token, and so many per address', async () => {
+        let now = NOW;
+        const stub = new ContactStub({ schema, now: () => now, uploadRateLimit: 2 });
+        const file = createFile('riser.stl', content);
+        const send = (options = {}) => createUpload(file, (url, init) => stub.fetch(url, { ...init, address: '203.0.113.7' }), options).upload();
+
+        await expect(send({ start: null })).rejects.toMatchObject({ message: attachment.messages.start, retryable: false });
+        await expect(send({ start: new ContactStub({ schema, secret: 'other' }).issueStart(NOW) })).rejects.toMatchObject({ retryable: false });
+
+        await send();
+        now += 60000;
+        await send();
+        const limited = createUpload(file, (url, init) => stub.fetch(url, { ...init, address: '203.0.113.7' }));
+        await expect(limited.upload()).rejects.toMatchObject({ message: expect.stringContaining('59 minutes'), retryable: false });
+        expect(limited.wait).not.toHaveBeenCalled();
+
+        // Another address, and the same one once the window has passed
+        expect(await createUpload(file, (url, init) => stub.fetch(url, init)).upload()).toMatchObject({ size: 48 });
+        now += 3600000;
+        expect(await send()).toMatchObject({ size: 48 });
+    });
+
+    test('the stub clears out abandoned uploads when another starts', async () => {
+        let now = NOW;
+        const stub = new ContactStub({ schema, now: () => now });
+        const day = 86400000;
+        const chunk = new Uint8Array(16);
+        const query = (id, index) => new URLSearchParams({ id: id.repeat(32), index, count: 3, name: 'a.stl', size: 48, start: stub.issueStart(now - 12000) });
+
+        // One left half-way, one finished but never sent
+        stub.handleUpload({ method: 'POST', query: query('a', 0), chunk });
+        const finished = await createUpload(createFile('riser.stl', content), (url, init) => stub.fetch(url, init)).upload();
+
+        now += day + 1000;
+        stub.handleUpload({ method: 'POST', query: query('b', 0), chunk });
+        expect(stub.uploads.has('a'.repeat(32))).toBe(false);
+        expect(stub.findUpload(finished)).not.toBeNull();
+
+        now += 6 * day;
+        stub.handleUpload({ method: 'POST', query: query('c', 0), chunk });
+        expect(stub.findUpload(finished)).toBeNull();
+        expect(stub.uploads.has('b'.repeat(32))).toBe(false);
+        expect(stub.uploads.has('c'.repeat(32))).toBe(true);
+    });
+});
+
+describe('Submitting with an attachment', () => {
+    const proof = new ContactProof({ schema, worker: false });
+
+    function createClient(stub, fetch = (url, init) => stub.fetch(url, init)) {
+        const client = new ContactClient({
+            fetch,
+            queue: new ContactQueue({ indexedDB: null }),
+            prepare: async data => proof.sign({
+                ...data,
+                attachment: await createUpload(data.attachment, fetch).upload()
+            }, NOW)
+        });
+        client.wait = jest.fn(() => Promise.resolve());
+        return client;
+    }
+
+    test('sends the upload reference with the message', async () => {
+        const stub = new ContactStub({ schema, now: () => NOW });
+        const file = createFile('riser.stl', asciiStl);
+
+        const result = await createClient(stub).submit({ ...form, attachment: file });
+        expect(result.status).toBe('success');
+        expect(stub.submissions[0].attachment).toMatchObject({ name: 'riser.stl', size: file.size, complete: true });
+    });
+
+    test('keeps the upload a sent message refers to', async () => {
+        let now = NOW;
+        const stub = new ContactStub({ schema, now: () => now });
+        await createClient(stub).submit({ ...form, attachment: createFile('riser.stl', asciiStl) });
+        const reference = { id: [...stub.uploads.keys()][0], name: 'riser.stl', size: asciiStl.length };
+
+        now += 30 * 86400000;
+        stub.cleanupUploads(Math.floor(now / 1000));
+        expect(stub.findUpload(reference)).not.toBeNull();
+    });
+
+    test('turns away references to unfinished uploads', async () => {
+        const stub = new ContactStub({ schema, now: () => NOW });
+        const body = await proof.sign({ ...form, attachment: { id: 'b'.repeat(32), name: 'riser.stl', size: 10 } }, NOW);
+        const answer = stub.handle({ method: 'POST', body });
+
+        expect(answer.status).toBe(422);
+        expect(answer.body.errors).toEqual({ attachment: attachment.messages.incomplete });
+        expect(stub.submissions).toHaveLength(0);
+    });
+
+    test('queues the message when the upload cannot get through, and uploads it later', async () => {
+        const stub = new ContactStub({ schema, now: () => NOW });
+        let online = false;
+        const fetch = (url, init) => (online ? stub.fetch(url, init) : Promise.reject(new TypeError('Failed to fetch')));
+        const client = createClient(stub, fetch);
+        const file = createFile('riser.stl', asciiStl);
+
+        expect((await client.submit({ ...form, attachment: file })).status).toBe('queued');
+        expect(await client.options.queue.count()).toBe(1);
+
+        online = true;
+        const flushed = await client.flush();
+        expect(flushed.sent).toHaveLength(1);
+        expect(flushed.remaining).toBe(0);
+        expect(stub.submissions[0].attachment.name).toBe('riser.stl');
+    });
+});
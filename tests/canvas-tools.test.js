@@ -0,0 +1,264 @@
+const { installMockDom, createMockContainer } = require('./setup');
+const FlowSimulation = require('../assets/js/flow-simulation');
+const CanvasTools = require('../assets/js/canvas-tools');
+
+function createSimulation(options = {}) {
+    return new FlowSimulation(null, { seed: 'tools', width: 200, height: 100, ...options });
+}
+
+// One still particle per entry, in m and m/s; the 200 x 100 px domain is
+// 2 m x 1 m
+function placeParticles(simulation, particles) {
+    const p = simulation.particles;
+    p.clear();
+    particles.forEach(values => {
+        simulation.setPhaseProperties(p.add({ density: 1, life: 1, maxLife: 100, baseSize: 0.05, temperature: 300, ...values }));
+    });
+}
+
+describe('FlowSimulation probes', () => {
+    test('read velocity, temperature and the dominant phase around a point', () => {
+        const simulation = createSimulation();
+        placeParticles(simulation, [
+            { x: 0.5, y: 0.5, vx: 0.6, phase: 'liquid', temperature: 290 },
+            { x: 0.55, y: 0.5, vx: 1.8, phase: 'gas', temperature: 310 },
+            { x: 1.5, y: 0.5, vx: 5.4, phase: 'gas' }
+        ]);
+
+        // Within the 20 px (0.2 m) probe radius of the first two
+        const reading = simulation.readProbe(0.52, 0.5);
+        expect(reading.velocity.x).toBeCloseTo(1.2);
+        expect(reading.speed).toBeCloseTo(1.2);
+        expect(reading.temperature).toBeCloseTo(300);
+        expect(reading.phase).toBe('liquid');
+
+        expect(simulation.readProbe(1, 0.1)).toEqual({
+            velocity: { x: 0, y: 0 },
+            speed: 0,
+            temperature: simulation.options.temperature,
+            phase: null
+        });
+    });
+
+    test('read the solved velocity with the grid solver', () => {
+        const simulation = createSimulation({ solver: { cellSize: 10 } });
+        simulation.solver.u.fill(1);
+        simulation.solver.v.fill(0);
+        // 1 px/step at 0.01 m/px and 60 steps/s
+        expect(simulation.readProbe(1, 0.5).velocity.x).toBeCloseTo(0.6);
+    });
+
+    test('sample every probeInterval steps, up to probeHistory samples', () => {
+        const simulation = createSimulation({ particleCount: 20, probeInterval: 2, probeHistory: 4 });
+        const id = simulation.addProbe(1, 0.5);
+
+        simulation.run(4);
+        let [probe] = simulation.getProbes();
+        expect(probe.id).toBe(id);
+        expect(probe.samples.map(sample => sample.time * 60)).toEqual([0, 2, 4].map(step => expect.closeTo(step)));
+
+        simulation.run(6);
+        [probe] = simulation.getProbes();
+        expect(probe.samples).toHaveLength(4);
+        expect(probe.samples[3].time).toBeCloseTo(10 / 60);
+
+        simulation.reset();
+        expect(simulation.getProbes()[0].samples).toEqual([]);
+
+        simulation.removeProbe(id);
+        expect(simulation.getProbes()).toEqual([]);
+    });
+});
+
+describe('FlowSimulation injectors', () => {
+    test('emit the chosen phase at the set rate and velocity', () => {
+        const simulation = createSimulation({ particleCount: 10, phaseTypes: ['liquid'] });
+        const id = simulation.addInjector({ x: 0.2, y: 0.3, vx: 1.2, vy: 0, phase: 'vapor', rate: 30 });
+
+        simulation.run(60);
+        const injected = simulation.getPhaseDistribution().vapor;
+        // 30 per second for one second, less any that condensed
+        expect(injected).toBeGreaterThan(0);
+        expect(simulation.getParticleCount()).toBeGreaterThan(10);
+        expect(simulation.getInjectors()).toEqual([
+            { id, x: 0.2, y: 0.3, vx: 1.2, vy: 0, phase: 'vapor', rate: 30, temperature: simulation.options.temperature }
+        ]);
+
+        simulation.removeInjector(id);
+        expect(simulation.getInjectors()).toEqual([]);
+    });
+
+    test('place particles at the nozzle with its velocity', () => {
+        const simulation = createSimulation({ particleCount: 1 });
+        simulation.addInjector({ x: 0.2, y: 0.3, vx: 1.5, vy: -0.75, phase: 'gas', rate: 60 });
+        placeParticles(simulation, []);
+
+        simulation.updateInjectors();
+        const particle = simulation.getParticle(0);
+        expect(particle.phase).toBe('gas');
+        // Within 2 px
+        expect(Math.abs(particle.x - 0.2)).toBeLessThanOrEqual(0.02);
+        expect(Math.abs(particle.y - 0.3)).toBeLessThanOrEqual(0.02);
+        expect(simulation.particles.vx[0]).toBe(1.5);
+        expect(simulation.particles.vy[0]).toBe(-0.75);
+    });
+
+    test('pause at twice the particle count', () => {
+        const simulation = createSimulation({ particleCount: 5 });
+        simulation.addInjector({ x: 0.2, y: 0.3, rate: 6000 });
+
+        simulation.updateInjectors();
+        expect(simulation.getParticleCount()).toBe(10);
+    });
+
+    test('reject unknown phases', () => {
+        expect(() => createSimulation().addInjector({ x: 0, y: 0, phase: 'plasma' })).toThrow('Unknown phase: plasma');
+    });
+});
+
+describe('FlowSimulation stir', () => {
+    test('pushes grid cells along the path', () => {
+        const simulation = createSimulation({ solver: { cellSize: 10 }, stirStrength: 0.5 });
+        const solver = simulation.solver;
+        solver.uPrev.fill(0);
+
+        // 40 px along the grid at half strength
+        simulation.stir(0.2, 0.5, 0.6, 0.5);
+        const pushed = Array.from(solver.uPrev).reduce((sum, value) => sum + value, 0);
+        expect(pushed).toBeCloseTo(20);
+        expect(solver.uPrev[solver.index(solver.cellAt(40, 50).i, solver.cellAt(40, 50).j)]).toBeGreaterThan(0);
+    });
+
+    test('kicks nearby particles without the solver', () => {
+        const simulation = createSimulation({ stirStrength: 0.5, stirRadius: 20 });
+        placeParticles(simulation, [{ x: 0.4, y: 0.5 }, { x: 0.4, y: 0.9 }]);
+
+        simulation.stir(0.3, 0.5, 0.5, 0.5);
+        expect(simulation.particles.vx[0]).toBeGreaterThan(0);
+        expect(simulation.particles.vx[1]).toBe(0);
+    });
+});
+
+describe('CanvasTools', () => {
+    beforeAll(() => {
+        installMockDom();
+        jest.useFakeTimers();
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    function createTools(options = {}) {
+        const container = createMockContainer(400, 200);
+        const simulation = new FlowSimulation(container, { seed: 'tools', particleCount: 20, renderer: 'canvas', ...options });
+        // Drawn at half size, so pointer coordinates scale by two
+        simulation.canvas.getBoundingClientRect = () => ({ left: 10, top: 20, width: 200, height: 100 });
+        simulation.canvas.setPointerCapture = jest.fn();
+        const tools = new CanvasTools(simulation);
+        return { container, simulation, tools };
+    }
+
+    function pointer(type, tools, pointerId, clientX, clientY) {
+        const event = { pointerId, clientX, clientY, preventDefault: jest.fn() };
+        const handlers = { down: 'handlePointerDown', move: 'handlePointerMove', up: 'handlePointerUp' };
+        tools[handlers[type]](event);
+        return event;
+    }
+
+    test('leaves the canvas to the page until a tool is picked', () => {
+        const { simulation, tools } = createTools();
+        const style = simulation.canvas.style;
+
+        pointer('down', tools, 1, 60, 70);
+        expect(simulation.getProbes()).toEqual([]);
+
+        tools.setMode('stir');
+        expect(style.pointerEvents).toBe('auto');
+        expect(style.touchAction).toBe('none');
+
+        tools.setMode(null);
+        expect(style.pointerEvents).toBe('none');
+        expect(style.touchAction).toBe('');
+        expect(() => tools.setMode('paint')).toThrow('Unknown canvas tool: paint');
+        tools.destroy();
+    });
+
+    test('places probes in simulation coordinates (m) and shows their readings', () => {
+        const { simulation, tools } = createTools();
+        tools.setMode('probe');
+
+        const event = pointer('down', tools, 1, 60, 70);
+        pointer('up', tools, 1, 60, 70);
+        expect(event.preventDefault).toHaveBeenCalled();
+        expect(simulation.canvas.setPointerCapture).toHaveBeenCalledWith(1);
+
+        const [probe] = simulation.getProbes();
+        // (100, 100) px on the canvas
+        expect(probe).toMatchObject({ x: 1, y: 1 });
+        const marker = tools.markers.get(probe.id);
+        expect(marker.readout.textContent).toMatch(/m\/s · .* K · /);
+
+        simulation.run(10);
+        jest.advanceTimersByTime(250);
+        expect(marker.readout.textContent).toContain(`${simulation.getProbes()[0].samples.pop().temperature.toFixed(1)} K`);
+
+        tools.removeProbe(probe.id);
+        expect(simulation.getProbes()).toEqual([]);
+        expect(tools.markers.size).toBe(0);
+        tools.destroy();
+    });
+
+    test('drags out injectors with the chosen phase and rate', () => {
+        const { simulation, tools } = createTools();
+        tools.setMode('inject');
+        tools.options.injectorPhase = 'liquid';
+        tools.options.injectorRate = 12;
+
+        pointer('down', tools, 1, 60, 70);
+        pointer('move', tools, 1, 80, 70);
+        pointer('up', tools, 1, 110, 70);
+
+        // Dragged 100 px at 0.05 px/step per px, handed over in m and m/s
+        expect(simulation.getInjectors()).toEqual([expect.objectContaining({
+            x: 1, y: 1, vx: expect.closeTo(simulation.toMetresPerSecond(100 * 0.05)), vy: 0, phase: 'liquid', rate: 12
+        })]);
+        tools.destroy();
+        expect(simulation.getInjectors()).toEqual([]);
+    });
+
+    test('stirs along every active pointer separately', () => {
+        const { simulation, tools } = createTools();
+        simulation.stir = jest.fn();
+        tools.setMode('stir');
+
+        pointer('down', tools, 1, 20, 30);
+        pointer('down', tools, 2, 110, 30);
+        pointer('move', tools, 1, 30, 30);
+        pointer('move', tools, 2, 110, 40);
+        pointer('up', tools, 1, 30, 30);
+        pointer('move', tools, 1, 50, 30);
+
+        // Canvas px handed over in m
+        expect(simulation.stir.mock.calls).toEqual([
+            [20, 20, 40, 20].map(value => expect.closeTo(value / 100)),
+            [200, 20, 200, 40].map(value => expect.closeTo(value / 100))
+        ]);
+        tools.destroy();
+    });
+
+    test('removes its toolbar and markers on destroy', () => {
+        const { container, tools } = createTools();
+        tools.setMode('probe');
+        pointer('down', tools, 1, 60, 70);
+
+        tools.destroy();
+        expect(container.children).not.toContain(tools.toolbar);
+        expect(container.children.filter(child => child.className === 'flow-tool-marker')).toHaveLength(0);
+        expect(tools.timer).toBeNull();
+    });
+
+    test('needs a canvas', () => {
+        expect(() => new CanvasTools(createSimulation())).toThrow('need the simulation canvas and container');
+    });
+});
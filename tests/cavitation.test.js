@@ -0,0 +1,164 @@
+const FlowSimulation = require('../assets/js/flow-simulation');
+const FlowPresets = require('../assets/js/flow-presets');
+const FluidProperties = require('../assets/js/fluid-properties');
+const Scenario = require('../assets/js/scenario');
+
+const WATER_DENSITY = FluidProperties.get('water').liquidDensity;
+
+// Inlet at 2 px/step: 2 * 0.01 m/px * 60 steps/s = 1.2 m/s
+function createSimulation(options = {}) {
+    return new FlowSimulation(null, {
+        seed: 'cavitation',
+        particleCount: 1,
+        width: 200,
+        height: 100,
+        phaseTypes: ['liquid'],
+        solver: { cellSize: 10 },
+        boundaries: { left: { type: 'inlet', velocity: 2 }, right: 'outflow', top: 'wall', bottom: 'wall' },
+        ...options
+    });
+}
+
+// Uniform grid velocity in px/step
+function setFlow(simulation, u) {
+    simulation.solver.u.fill(u);
+    simulation.solver.v.fill(0);
+}
+
+describe('FlowSimulation local pressure', () => {
+    test('is the ambient pressure without the grid solver', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, pressure: 50000 });
+        expect(simulation.getLocalPressure(10, 10)).toBe(50000);
+    });
+
+    test('drops with the square of the local flow speed', () => {
+        const simulation = createSimulation({ pressure: 80000 });
+        expect(simulation.getReferenceSpeed()).toBeCloseTo(1.2);
+
+        setFlow(simulation, 2);
+        expect(simulation.getLocalPressure(100, 50)).toBeCloseTo(80000);
+
+        setFlow(simulation, 4); // 2.4 m/s
+        expect(simulation.getLocalPressure(100, 50)).toBeCloseTo(80000 + 0.5 * WATER_DENSITY * (1.2 ** 2 - 2.4 ** 2));
+    });
+
+    test('reports the cavitation number at the reference speed', () => {
+        const simulation = createSimulation({ pressure: 80000 });
+        const vaporPressure = FluidProperties.saturationPressure('water', simulation.options.temperature);
+
+        expect(simulation.getVaporPressure()).toBeCloseTo(vaporPressure);
+        expect(simulation.getCavitationNumber()).toBeCloseTo((80000 - vaporPressure) / (0.5 * WATER_DENSITY * 1.2 ** 2));
+        expect(simulation.getDiagnostics().cavitationNumber).toBe(simulation.getCavitationNumber());
+
+        const still = new FlowSimulation(null, { seed: 1, flowSpeed: 0 });
+        expect(still.getCavitationNumber()).toBe(Infinity);
+    });
+});
+
+describe('FlowSimulation cavitation', () => {
+    // Liquid at 300 K, vapor pressure about 3.5 kPa, in a 5 kPa stream
+    function createBubbleSimulation() {
+        const simulation = createSimulation({ pressure: 5000 });
+        const p = simulation.particles;
+        p.phase[0] = 1;
+        p.temperature[0] = 300;
+        p.cavity[0] = 0;
+        simulation.setPhaseProperties(0);
+        return simulation;
+    }
+
+    test('liquid flashes to vapor below the vapor pressure', () => {
+        const simulation = createBubbleSimulation();
+        const p = simulation.particles;
+
+        setFlow(simulation, 2);
+        simulation.checkCavitation(0);
+        expect(simulation.getParticle(0).phase).toBe('liquid');
+
+        setFlow(simulation, 4); // 5 kPa - 3 * 0.5 * 998 * 1.44 Pa is below 3.5 kPa
+        simulation.checkCavitation(0);
+        expect(simulation.getParticle(0).phase).toBe('vapor');
+        expect(p.cavity[0]).toBe(1);
+        expect(simulation.getDiagnostics().cavitation).toEqual({ inception: 1, collapse: 0 });
+    });
+
+    test('bubbles collapse back in high pressure and leave a shock marker', () => {
+        const simulation = createBubbleSimulation();
+        const p = simulation.particles;
+
+        setFlow(simulation, 4);
+        simulation.checkCavitation(0);
+        setFlow(simulation, 2);
+        simulation.checkCavitation(0);
+
+        expect(simulation.getParticle(0).phase).toBe('liquid');
+        expect(p.cavity[0]).toBe(0);
+        expect(simulation.shocks).toEqual([{ x: p.x[0], y: p.y[0], age: 0 }]);
+        expect(simulation.getDiagnostics().cavitation).toEqual({ inception: 1, collapse: 1 });
+
+        for (let i = 0; i < simulation.options.shockLifetime; i++) {
+            simulation.updateShocks();
+        }
+        expect(simulation.shocks).toHaveLength(0);
+    });
+
+    test('bubbles stay out of the latent heat balance', () => {
+        const simulation = createBubbleSimulation();
+        const p = simulation.particles;
+
+        setFlow(simulation, 4);
+        simulation.checkCavitation(0);
+        simulation.checkPhaseChange(0);
+
+        expect(p.temperature[0]).toBe(300);
+        expect(p.quality[0]).toBe(0);
+    });
+
+    test('liquid that boils at the ambient pressure is left to the thermal model', () => {
+        const simulation = createSimulation({ pressure: 101325 });
+        const p = simulation.particles;
+        p.phase[0] = 1;
+        p.temperature[0] = 380;
+
+        setFlow(simulation, 4);
+        simulation.checkCavitation(0);
+        expect(p.cavity[0]).toBe(0);
+        expect(simulation.getParticle(0).phase).toBe('liquid');
+    });
+
+    test('the venturi preset cavitates in its throat', () => {
+        const simulation = new FlowSimulation(null, FlowPresets.createOptions('cavitating-venturi', { width: 400, height: 200 }));
+        simulation.run(150);
+
+        const { cavitationNumber, cavitation } = simulation.getDiagnostics();
+        expect(cavitationNumber).toBeGreaterThan(1);
+        expect(cavitationNumber).toBeLessThan(1.5);
+        expect(cavitation.inception).toBeGreaterThan(0);
+        expect(cavitation.collapse).toBeGreaterThan(0);
+    });
+
+    test('can be switched off', () => {
+        const simulation = new FlowSimulation(null, FlowPresets.createOptions('cavitating-venturi', {
+            width: 400,
+            height: 200,
+            cavitation: false
+        }));
+        simulation.run(60);
+
+        expect(simulation.getDiagnostics().cavitation).toEqual({ inception: 0, collapse: 0 });
+    });
+
+    test('scenarios carry bubbles, and older particle states load without them', () => {
+        const simulation = createBubbleSimulation();
+        setFlow(simulation, 4);
+        simulation.checkCavitation(0);
+
+        const scenario = simulation.exportScenario({ particles: true });
+        expect(scenario.particles.fields.cavity).toEqual([1]);
+
+        delete scenario.particles.fields.cavity;
+        const copy = createSimulation({ pressure: 5000 });
+        copy.importScenario(Scenario.validate(scenario));
+        expect(copy.particles.cavity[0]).toBe(0);
+    });
+});
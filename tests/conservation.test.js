@@ -0,0 +1,141 @@
+const FlowSimulation = require('../assets/js/flow-simulation');
+const FlowPresets = require('../assets/js/flow-presets');
+const FluidProperties = require('../assets/js/fluid-properties');
+const ConservationLedger = require('../assets/js/conservation-ledger');
+const ParticleStore = require('../assets/js/particle-store');
+
+// Residual relative to the size of the budget
+function relativeResidual(budget) {
+    const scale = Math.max(Math.abs(budget.total), Math.abs(budget.initial), Math.abs(budget.inflow), 1e-30);
+    return Math.abs(budget.residual) / scale;
+}
+
+function expectBalanced(report) {
+    expect(relativeResidual(report.mass)).toBeLessThan(1e-4);
+    expect(relativeResidual(report.kineticEnergy)).toBeLessThan(1e-4);
+    expect(relativeResidual(report.thermalEnergy)).toBeLessThan(1e-4);
+}
+
+describe('FlowSimulation unit scales', () => {
+    test('convert simulation units to SI', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, lengthScale: 0.001, timeStep: 1 / 50 });
+        const scales = simulation.getUnitScales();
+        const density = FluidProperties.get('water').liquidDensity;
+
+        // The particle state is SI; only the mass is relative, to discs one px deep
+        expect(scales.length).toBe(1);
+        expect(scales.time).toBeCloseTo(0.02);
+        expect(scales.velocity).toBe(1);
+        expect(scales.pixel).toBe(0.001);
+        expect(scales.mass).toBeCloseTo(density * Math.PI * 0.001, 12);
+        expect(scales.energy).toBe(scales.mass);
+    });
+});
+
+describe('ConservationLedger', () => {
+    test('reports the totals in SI units', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, particleCount: 50 });
+        const p = simulation.particles;
+        const report = simulation.getConservation();
+        let mass = 0;
+        for (let i = 0; i < p.count; i++) {
+            mass += p.density[i] * p.size[i] * p.size[i];
+        }
+
+        expect(report.units).toEqual({ mass: 'kg', energy: 'J' });
+        expect(report.time).toBe(0);
+        expect(report.mass.total / (mass * simulation.getUnitScales().mass)).toBeCloseTo(1, 12);
+        expect(report.mass.initial).toBe(report.mass.total);
+        expect(report.mass.residual).toBe(0);
+        expect(Object.keys(report.kineticEnergy.terms)).toEqual(ConservationLedger.TERMS.kineticEnergy);
+        expect(Object.keys(report.thermalEnergy.terms)).toEqual(ConservationLedger.TERMS.thermalEnergy);
+    });
+
+    test('keeps the particle mass through phase changes', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, particleCount: 1, phaseTypes: ['liquid'] });
+        const before = simulation.ledger.mass(0);
+
+        simulation.setPhase(0, ParticleStore.phaseCode('vapor'));
+        expect(simulation.particles.phase[0]).toBe(2);
+        expect(simulation.ledger.mass(0)).toBeCloseTo(before, 12);
+    });
+
+    test('balances a free run with respawns and damping', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, particleCount: 200 });
+        simulation.run(300);
+        const report = simulation.getConservation();
+
+        expectBalanced(report);
+        expect(report.time).toBeCloseTo(5);
+        expect(report.kineticEnergy.terms.damping).toBeLessThan(0);
+        expect(report.kineticEnergy.terms.work).toBeGreaterThan(0);
+        expect(report.mass.inflowByCause.respawn).toBeGreaterThan(0);
+    });
+
+    test('balances the grid solver with inlets, outflow and walls', () => {
+        const simulation = new FlowSimulation(null, {
+            seed: 1,
+            particleCount: 200,
+            solver: { cellSize: 20 },
+            boundaries: { left: 'inlet', right: 'outflow', top: 'wall', bottom: 'wall' }
+        });
+        simulation.run(300);
+        const report = simulation.getConservation();
+
+        expectBalanced(report);
+        expect(report.kineticEnergy.terms.damping).toBe(0);
+        expect(report.kineticEnergy.terms.walls).toBeLessThan(0);
+        expect(report.mass.inflowByCause.boundary).toBeGreaterThan(0);
+    });
+
+    test('balances boiling and cavitation', () => {
+        const boiling = new FlowSimulation(null, { seed: 1, particleCount: 200, fluid: 'nitrogen', phaseTypes: ['liquid'] });
+        boiling.run(300);
+        const boiled = boiling.getConservation();
+        expectBalanced(boiled);
+        expect(boiled.mass.byPhase.vapor).toBeGreaterThan(0);
+
+        const venturi = new FlowSimulation(null, FlowPresets.createOptions('cavitating-venturi', { width: 300, height: 150 }));
+        venturi.run(200);
+        expectBalanced(venturi.getConservation());
+    });
+
+    test('balances injectors, population changes, pressure changes and stirring', () => {
+        const simulation = new FlowSimulation(null, { seed: 2, particleCount: 100 });
+        simulation.addInjector({ x: 100, y: 100, rate: 60, phase: 'vapor' });
+        simulation.run(50);
+        simulation.setPressure(50000);
+        simulation.setParticleCount(150);
+        simulation.stir(0, 0, 300, 300);
+        simulation.run(100);
+        const report = simulation.getConservation();
+
+        expectBalanced(report);
+        expect(Object.keys(report.mass.inflowByCause)).toEqual(expect.arrayContaining(['injector', 'population']));
+        expect(report.thermalEnergy.terms.properties).not.toBe(0);
+    });
+
+    test('only measures the particles for a property change when there is one', () => {
+        const simulation = new FlowSimulation(null, { seed: 2, particleCount: 50 });
+        const measure = jest.spyOn(simulation.ledger, 'measure');
+
+        simulation.run(10);
+        expect(measure).not.toHaveBeenCalled();
+
+        simulation.setFluid('r134a');
+        simulation.run(10);
+        expect(measure).toHaveBeenCalledTimes(2);
+        expect(simulation.getConservation().thermalEnergy.terms.properties).not.toBe(0);
+    });
+
+    test('starts over on reset', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, particleCount: 50 });
+        simulation.run(100);
+        simulation.reset();
+        const report = simulation.getConservation();
+
+        expect(report.mass.inflow).toBe(0);
+        expect(report.kineticEnergy.terms.work).toBe(0);
+        expect(report.mass.residual).toBe(0);
+    });
+});
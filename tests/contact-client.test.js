@@ -0,0 +1,180 @@
+const ContactClient = require('../assets/js/contact-client');
+const ContactQueue = require('../assets/js/contact-queue');
+
+// Stand-in for a fetch Response
+function response(status, body, headers = {}) {
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        headers: { get: name => (name in headers ? headers[name] : null) },
+        json: () => (body === undefined ? Promise.reject(new SyntaxError('Unexpected token')) : Promise.resolve(body))
+    };
+}
+
+function createClient(replies, options = {}) {
+    const fetch = jest.fn(() => {
+        const reply = replies.shift();
+        return reply instanceof Error ? Promise.reject(reply) : Promise.resolve(reply);
+    });
+    const client = new ContactClient({ fetch, queue: new ContactQueue({ indexedDB: null }), ...options });
+    client.wait = jest.fn(() => Promise.resolve());
+    return { client, fetch };
+}
+
+const form = { name: 'Ada', email: 'ada@example.com', message: 'Slug flow in a riser' };
+
+describe('ContactClient', () => {
+    afterEach(() => {
+        delete global.navigator;
+    });
+
+    test('posts the form as JSON and returns the answer', async () => {
+        const { client, fetch } = createClient([response(200, { status: 'success', message: 'Thanks' })]);
+
+        await expect(client.submit(form)).resolves.toEqual({ status: 'success', message: 'Thanks', errors: {} });
+        const [url, request] = fetch.mock.calls[0];
+        expect(url).toBe('api/contact.php');
+        expect(request.method).toBe('POST');
+        expect(request.headers['Content-Type']).toBe('application/json');
+        expect(JSON.parse(request.body)).toEqual(form);
+    });
+
+    test('returns field errors without retrying', async () => {
+        const { client, fetch } = createClient([response(422, {
+            status: 'error',
+            message: 'Please correct the errors below.',
+            errors: { email: 'Please enter a valid email address' }
+        })]);
+
+        const result = await client.submit(form);
+        expect(result.status).toBe('error');
+        expect(result.errors).toEqual({ email: 'Please enter a valid email address' });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries network and server failures with backoff', async () => {
+        const { client, fetch } = createClient([
+            new TypeError('Failed to fetch'),
+            response(503, { status: 'error', message: 'Busy' }),
+            response(502, undefined),
+            response(200, { status: 'success', message: 'Thanks' })
+        ]);
+
+        await expect(client.submit(form)).resolves.toMatchObject({ status: 'success' });
+        expect(fetch).toHaveBeenCalledTimes(4);
+        expect(client.wait.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000, 4000]);
+    });
+
+    test('honours Retry-After, and shows waits longer than it would retry', async () => {
+        const { client } = createClient([
+            response(429, { status: 'error', message: 'Slow down' }, { 'Retry-After': '3' }),
+            response(429, { status: 'error', message: 'Too many messages, try again in an hour' }, { 'Retry-After': '3600' })
+        ]);
+
+        const result = await client.submit(form);
+        expect(client.wait.mock.calls).toEqual([[3000]]);
+        expect(result).toEqual({ status: 'error', message: 'Too many messages, try again in an hour', errors: {} });
+    });
+
+    test('rejects answers that are not the endpoint\'s', async () => {
+        const { client } = createClient([response(404, undefined)]);
+        await expect(client.submit(form)).rejects.toThrow('Unexpected response from the server (404)');
+    });
+
+    test('queues the submission once the retries run out', async () => {
+        const { client } = createClient(Array(4).fill(null).map(() => new TypeError('Failed to fetch')));
+
+        const result = await client.submit(form);
+        expect(result.status).toBe('queued');
+        expect(await client.options.queue.count()).toBe(1);
+
+        const { client: unqueued } = createClient([new TypeError('Failed to fetch')], { retries: 0, queue: null });
+        await expect(unqueued.submit(form)).rejects.toThrow('Could not reach the server');
+    });
+
+    test('queues straight away while offline and sends the queue when back online', async () => {
+        global.navigator = { onLine: false };
+        const { client, fetch } = createClient([
+            response(200, { status: 'success', message: 'Thanks' }),
+            response(422, { status: 'error', message: 'Invalid', errors: { name: 'Too short' } })
+        ]);
+
+        expect((await client.submit(form)).status).toBe('queued');
+        expect((await client.submit({ ...form, name: 'A' })).status).toBe('queued');
+        expect(fetch).not.toHaveBeenCalled();
+        expect((await client.flush()).remaining).toBe(2);
+
+        global.navigator.onLine = true;
+        const flushed = await client.flush();
+        expect(flushed.sent.map(entry => entry.data)).toEqual([form]);
+        expect(flushed.rejected[0].result.errors).toEqual({ name: 'Too short' });
+        expect(flushed.remaining).toBe(0);
+    });
+
+    test('keeps the queue while the server is still unreachable', async () => {
+        const { client } = createClient([new TypeError('Failed to fetch')]);
+        await client.options.queue.add(form);
+
+        const flushed = await client.flush();
+        expect(flushed).toEqual({ sent: [], rejected: [], remaining: 1 });
+    });
+
+    test('reads the server\'s clock from the start token', async () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1760000000000);
+        try {
+            // The visitor's clock is an hour behind the server's
+            const issued = 1760003600000;
+            const { client, fetch } = createClient([response(200, { status: 'success', token: `${issued}.abc` })]);
+
+            await expect(client.serverNow()).resolves.toBe(issued);
+            expect(fetch.mock.calls[0][0]).toBe('api/contact-start.php');
+            now.mockReturnValue(1760000005000);
+            await expect(client.serverNow()).resolves.toBe(issued + 5000);
+            expect(fetch).toHaveBeenCalledTimes(1);
+
+            const offline = createClient([new TypeError('Failed to fetch')]).client;
+            await expect(offline.serverNow()).resolves.toBe(1760000005000);
+            expect(ContactClient.tokenTime('not-a-token')).toBeNull();
+        } finally {
+            now.mockRestore();
+        }
+    });
+
+    test('computes the backoff delays', () => {
+        const client = new ContactClient({ queue: null, retryDelay: 500, maxRetryDelay: 3000 });
+        expect([1, 2, 3, 4, 5].map(attempt => client.getRetryDelay(attempt))).toEqual([500, 1000, 2000, 3000, 3000]);
+        expect(client.getRetryDelay(1, 1500)).toBe(1500);
+        expect(ContactClient.parseRetryAfter('2')).toBe(2000);
+        expect(ContactClient.parseRetryAfter(null)).toBeNull();
+    });
+});
+
+describe('ContactQueue', () => {
+    test('keeps entries in memory without IndexedDB', async () => {
+        const queue = new ContactQueue({ indexedDB: null });
+        const first = await queue.add({ name: 'Ada' });
+        await queue.add({ name: 'Grace' });
+
+        expect((await queue.all()).map(entry => entry.data.name)).toEqual(['Ada', 'Grace']);
+        await queue.remove(first);
+        expect(await queue.count()).toBe(1);
+    });
+
+    test('falls back to memory when IndexedDB will not open', async () => {
+        const request = {};
+        const indexedDB = {
+            open: jest.fn(() => {
+                setTimeout(() => {
+                    request.error = new Error('SecurityError');
+                    request.onerror();
+                });
+                return request;
+            })
+        };
+        const queue = new ContactQueue({ indexedDB });
+
+        const id = await queue.add({ name: 'Ada' });
+        expect(indexedDB.open).toHaveBeenCalledWith('multi-flows-contact', 1);
+        expect(await queue.all()).toEqual([expect.objectContaining({ id, data: { name: 'Ada' } })]);
+    });
+});
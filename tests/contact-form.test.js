@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const ContactForm = require('../assets/js/contact-form');
+
+const valid = {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    company: 'Analytical Engines',
+    industry: 'Oil & Gas',
+    message: 'Slug flow in a 6 inch riser'
+};
+
+describe('ContactForm', () => {
+    const form = new ContactForm();
+
+    test('accepts a complete submission and normalizes it', () => {
+        const result = form.validate({ ...valid, name: '  Ada Lovelace\n', extra: 'dropped' });
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual({});
+        expect(result.data).toEqual(valid);
+    });
+
+    test('lets optional fields stay empty', () => {
+        expect(form.validate({ ...valid, company: '', industry: undefined }).valid).toBe(true);
+    });
+
+    test('reports the first broken rule per field with its message', () => {
+        const { valid: isValid, errors } = form.validate({
+            name: 'A',
+            email: 'ada@example',
+            company: 'x'.repeat(101),
+            industry: 'Aerospace',
+            message: '   '
+        });
+
+        expect(isValid).toBe(false);
+        expect(errors).toEqual({
+            name: 'Name must be at least 2 characters',
+            email: 'Please enter a valid email address',
+            company: 'Company must be at most 100 characters',
+            industry: 'Please select an industry from the list',
+            message: 'Message must be at least 10 characters'
+        });
+    });
+
+    test('matches patterns against the whole value', () => {
+        ['ada@example.com', "o'brien+flow@mail.example.co.uk"].forEach(email => {
+            expect(form.validateField('email', email)).toBeNull();
+        });
+        ['ada@example.com\nBcc: x@y.z', 'ada @example.com', '@example.com', 'ada@.com', 'ada@example.c'].forEach(email => {
+            expect(form.validateField('email', email)).toBe('Please enter a valid email address');
+        });
+    });
+
+    test('trims ASCII whitespace only and counts code points', () => {
+        expect(ContactForm.normalize('\t x \r\n')).toBe('x');
+        expect(ContactForm.normalize(' x')).toBe(' x');
+        expect(ContactForm.length('💧💧')).toBe(2);
+        expect(form.validateField('name', '💧💧')).toBeNull();
+        expect(form.validateField('name', '💧')).toBe('Name must be at least 2 characters');
+    });
+
+    test('rejects values that are not text', () => {
+        expect(form.validateField('name', 42)).toBe('Name must be text');
+        expect(form.validateField('message', ['a'])).toBe('Message must be text');
+        expect(form.validateField('company', null)).toBeNull();
+        expect(form.validateField('unknown', 42)).toBeNull();
+    });
+
+    test('fills in default messages from the schema', () => {
+        const custom = new ContactForm({
+            messages: ContactForm.SCHEMA.messages,
+            fields: { code: { label: 'Code', minLength: 3, maxLength: 4, pattern: '[0-9]+' } }
+        });
+        expect(custom.validateField('code', '12')).toBe('Code must be at least 3 characters');
+        expect(custom.validateField('code', '12345')).toBe('Code must be at most 4 characters');
+        expect(custom.validateField('code', '12a')).toBe('Code is not valid');
+    });
+
+    test('is exported unchanged for the server', () => {
+        const exported = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'api', 'contact-schema.json'), 'utf8'));
+        expect(exported).toEqual(ContactForm.SCHEMA);
+    });
+
+    test('offers only industries the schema allows', () => {
+        const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+        const select = html.match(/<select[^>]*name="industry"[^>]*>([\s\S]*?)<\/select>/)[1];
+        const options = Array.from(select.matchAll(/<option(?: value="([^"]*)")?>([^<]*)<\/option>/g))
+            .map(([, value, text]) => (value !== undefined ? value : text).replace(/&amp;/g, '&'));
+
+        options.forEach(option => {
+            expect(form.validateField('industry', option)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,253 @@
+const ContactForm = require('../assets/js/contact-form');
+const ContactProof = require('../assets/js/contact-proof');
+const ContactClient = require('../assets/js/contact-client');
+const ContactQueue = require('../assets/js/contact-queue');
+const { solveProofMessage } = require('../assets/js/contact-proof-worker');
+const ContactStub = require('../scripts/contact-stub');
+
+// Easier proofs keep the tests quick
+const schema = {
+    ...ContactForm.SCHEMA,
+    protection: { ...ContactForm.SCHEMA.protection, proofDifficulty: 8 }
+};
+
+const NOW = 1760000000000;
+
+// Opened 12 s before NOW, as the stub's start endpoint would have said
+const form = {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    company: '',
+    industry: 'Marine',
+    message: 'Sloshing in a ballast tank',
+    website: '',
+    start: new ContactStub({ schema }).issueStart(NOW - 12000)
+};
+
+describe('ContactProof', () => {
+    const proof = new ContactProof({ schema, worker: false });
+
+    test('hashes with SHA-256', () => {
+        expect(ContactProof.sha256('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        expect(ContactProof.sha256('')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+        expect(ContactProof.sha256('💧'.repeat(40))).toHaveLength(64);
+    });
+
+    test('counts leading zero bits', () => {
+        expect(ContactProof.leadingZeroBits('ffff')).toBe(0);
+        expect(ContactProof.leadingZeroBits('00f0')).toBe(8);
+        expect(ContactProof.leadingZeroBits('0010')).toBe(11);
+        expect(ContactProof.leadingZeroBits('0000')).toBe(16);
+    });
+
+    test('signs a submission with a proof the server accepts', async () => {
+        const signed = await proof.sign(form, NOW);
+        expect(signed.proof).toMatch(new RegExp(`^${NOW}:\\d+$`));
+        expect(ContactProof.verify(schema, signed, NOW + 5000)).toBe(true);
+    });
+
+    test('binds the proof to the content, start token and time', async () => {
+        const signed = await proof.sign(form, NOW);
+        // Normalization does not change what was signed
+        expect(ContactProof.verify(schema, { ...signed, name: ' Ada Lovelace ' }, NOW)).toBe(true);
+
+        expect(ContactProof.verify(schema, { ...signed, message: 'Buy now' }, NOW)).toBe(false);
+        expect(ContactProof.verify(schema, { ...signed, start: new ContactStub({ schema }).issueStart(NOW - 99999) }, NOW)).toBe(false);
+        expect(ContactProof.verify(schema, signed, NOW + schema.protection.proofMaxAge + 1)).toBe(false);
+        expect(ContactProof.verify(schema, { ...signed, proof: undefined }, NOW)).toBe(false);
+        expect(ContactProof.verify(schema, { ...signed, start: undefined }, NOW)).toBe(false);
+    });
+
+    test('solves in the worker the same way', () => {
+        const challenge = ContactProof.challenge(schema, form, NOW);
+        expect(solveProofMessage({ id: 3, challenge, difficulty: 8 })).toEqual({ id: 3, nonce: ContactProof.solve(challenge, 8) });
+    });
+
+    test('hands the work to a worker when there is one', async () => {
+        const posted = [];
+        global.Worker = class {
+            constructor(url) {
+                this.url = url;
+            }
+
+            postMessage(message) {
+                posted.push(this.url);
+                setTimeout(() => this.onmessage({ data: solveProofMessage(message) }));
+            }
+
+            terminate() {}
+        };
+
+        const workerProof = new ContactProof({ schema });
+        const signed = await workerProof.sign(form, NOW);
+        expect(posted).toEqual(['assets/js/contact-proof-worker.js']);
+        expect(ContactProof.verify(schema, signed, NOW)).toBe(true);
+        workerProof.destroy();
+        delete global.Worker;
+    });
+});
+
+describe('ContactStub', () => {
+    function createStub(options = {}) {
+        let now = NOW;
+        const log = jest.fn();
+        const stub = new ContactStub({ schema, now: () => now, log, rateLimit: 2, ...options });
+        return { stub, log, advance: ms => { now += ms; } };
+    }
+
+    const proof = new ContactProof({ schema, worker: false });
+
+    test('accepts a signed submission and logs it', async () => {
+        const { stub, log } = createStub();
+        const answer = stub.handle({ method: 'POST', body: await proof.sign(form, NOW) });
+
+        expect(answer.status).toBe(200);
+        expect(answer.body.status).toBe('success');
+        expect(stub.submissions).toHaveLength(1);
+        expect(log.mock.calls[0][0]).toContain('Ada Lovelace <ada@example.com>');
+    });
+
+    test('answers a filled honeypot as if sent, without sending', async () => {
+        const { stub, log } = createStub();
+        const answer = stub.handle({ method: 'POST', body: { ...form, website: 'http://spam.example' } });
+
+        expect(answer.status).toBe(200);
+        expect(stub.submissions[0].honeypot).toBe(true);
+        expect(log).not.toHaveBeenCalled();
+    });
+
+    test('turns away forms filled too quickly or without a valid proof', async () => {
+        const { stub } = createStub();
+
+        const quick = stub.handle({ method: 'POST', body: await proof.sign({ ...form, start: stub.issueStart(NOW - 800) }, NOW) });
+        expect(quick.status).toBe(422);
+        expect(quick.body.message).toBe(schema.protection.messages.tooFast);
+
+        const unsigned = stub.handle({ method: 'POST', body: form });
+        expect(unsigned.status).toBe(422);
+        expect(unsigned.body.message).toBe(schema.protection.messages.proof);
+
+        // Field errors come first
+        const invalid = stub.handle({ method: 'POST', body: { ...form, email: 'ada' } });
+        expect(invalid.body.errors).toEqual({ email: 'Please enter a valid email address' });
+        expect(stub.submissions).toHaveLength(0);
+    });
+
+    test('measures the fill time from its own start tokens only', async () => {
+        const { stub } = createStub();
+        const sendWith = async start => stub.handle({ method: 'POST', body: await proof.sign({ ...form, start }, NOW) });
+        const [issued, signature] = stub.issueStart(NOW - 12000).split('.');
+
+        // Claiming an earlier start breaks the signature
+        expect((await sendWith(`${issued - 60000}.${signature}`)).body.message).toBe(schema.protection.messages.proof);
+        expect((await sendWith(new ContactStub({ schema, secret: 'other' }).issueStart(NOW - 12000))).status).toBe(422);
+        expect((await sendWith(stub.issueStart(NOW + 60000))).status).toBe(422);
+        expect((await sendWith(stub.issueStart(NOW - schema.protection.startMaxAge - 1))).status).toBe(422);
+        expect((await sendWith('12000')).status).toBe(422);
+        expect(stub.submissions).toHaveLength(0);
+
+        // A form kept open for a few days, or queued offline, still counts
+        expect((await sendWith(stub.issueStart(NOW - 3 * 86400000))).status).toBe(200);
+    });
+
+    test('issues start tokens to the client', async () => {
+        const { stub, advance } = createStub();
+        const client = new ContactClient({ fetch: (url, init) => stub.fetch(url, init), queue: null });
+
+        const start = await client.start();
+        expect(stub.startTime(start, NOW)).toBe(NOW);
+        expect(stub.handleStart({ method: 'POST' })).toMatchObject({ status: 405, headers: { Allow: 'GET' } });
+
+        advance(12000);
+        expect(stub.handle({ method: 'POST', body: await proof.sign({ ...form, start }, NOW + 12000) }).status).toBe(200);
+
+        // No token while the server cannot be reached
+        const offline = new ContactClient({ fetch: () => Promise.reject(new TypeError('Failed to fetch')), queue: null });
+        expect(await offline.start()).toBeNull();
+    });
+
+    test('holds plain form posts without a proof for review', async () => {
+        const { stub, log, advance } = createStub({ rateLimit: 5 });
+        const { start, ...fields } = form;
+
+        // The <noscript> image gets the start token as a cookie
+        const image = stub.handleStart({ method: 'GET', cookie: true });
+        expect(image.status).toBe(204);
+        const [cookie] = image.headers['Set-Cookie'].split(';');
+        const [name, token] = cookie.split('=');
+        expect(name).toBe(schema.protection.startCookie);
+        const cookies = { [name]: token };
+        const post = (address = '203.0.113.7') => stub.handle({ method: 'POST', body: fields, form: true, cookies, address });
+
+        expect(post().body.message).toBe(schema.protection.messages.tooFast);
+        expect(stub.handle({ method: 'POST', body: fields, form: true }).body.message).toBe(schema.protection.messages.proof);
+
+        advance(12000);
+        const answer = post();
+        expect(answer).toMatchObject({ status: 200, body: { status: 'held', message: schema.protection.messages.held } });
+        expect(stub.submissions[0]).toMatchObject({ held: true, data: { name: 'Ada Lovelace' } });
+        expect(log.mock.calls[0][0]).toMatch(/^Held for review/);
+        expect(ContactStub.redirect(answer).headers.Location).toBe('/index.html?contact=held#contact-held');
+
+        // Fewer of them get through than signed messages
+        expect(post().status).toBe(200);
+        expect(post().status).toBe(429);
+        expect(stub.handle({ method: 'POST', body: await proof.sign(form, NOW), address: '203.0.113.7' }).status).toBe(200);
+        expect(stub.submissions.filter(submission => !submission.held)).toHaveLength(1);
+    });
+
+    test('limits messages per address', async () => {
+        const { stub, advance } = createStub();
+        const send = async (address = '203.0.113.7') =>
+            stub.handle({ method: 'POST', body: await proof.sign(form, NOW), address });
+
+        expect((await send()).status).toBe(200);
+        advance(60000);
+        expect((await send()).status).toBe(200);
+
+        const limited = await send();
+        expect(limited.status).toBe(429);
+        expect(limited.headers['Retry-After']).toBe('3540');
+        expect(limited.body.message).toContain('try again in 59 minutes');
+        expect((await send('198.51.100.2')).status).toBe(200);
+    });
+
+    test('lets the client show the rate limit instead of retrying', async () => {
+        const { stub } = createStub({ rateLimit: 1 });
+        const client = new ContactClient({
+            fetch: (url, init) => stub.fetch(url, init),
+            prepare: data => proof.sign(data, NOW),
+            queue: null
+        });
+        client.wait = jest.fn(() => Promise.resolve());
+
+        expect((await client.submit(form)).status).toBe('success');
+        const result = await client.submit(form);
+        expect(result.status).toBe('error');
+        expect(result.message).toContain('Too many messages');
+        expect(client.wait).not.toHaveBeenCalled();
+    });
+
+    test('gets queued submissions signed when they are sent', async () => {
+        const { stub, advance } = createStub();
+        const prepare = jest.fn(data => proof.sign(data, NOW + 3600000));
+        const client = new ContactClient({
+            fetch: (url, init) => stub.fetch(url, init),
+            prepare,
+            queue: new ContactQueue({ indexedDB: null })
+        });
+
+        await client.options.queue.add(form);
+        advance(3600000);
+        const flushed = await client.flush();
+
+        expect(flushed.sent).toHaveLength(1);
+        expect(prepare).toHaveBeenCalledWith(form);
+    });
+
+    test('only takes POST requests with a JSON body', () => {
+        const { stub } = createStub();
+        expect(stub.handle({ method: 'GET' })).toMatchObject({ status: 405, headers: { Allow: 'POST' } });
+        expect(stub.handle({ method: 'POST', body: null }).status).toBe(400);
+    });
+});
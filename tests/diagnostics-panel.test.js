@@ -0,0 +1,167 @@
+const { installMockDom, createMockContainer } = require('./setup');
+const FlowSimulation = require('../assets/js/flow-simulation');
+const DiagnosticsPanel = require('../assets/js/diagnostics-panel');
+const FlowControls = require('../assets/js/flow-controls');
+
+// Stand-in for Chart.js that keeps the config it was built with
+class MockChart {
+    constructor(canvas, config) {
+        this.canvas = canvas;
+        this.config = config;
+        this.data = config.data;
+        this.update = jest.fn();
+        this.destroy = jest.fn();
+    }
+}
+
+function createSimulation(particles, options = {}) {
+    const simulation = new FlowSimulation(null, { seed: 1, particleCount: particles.length, ...options });
+    const p = simulation.particles;
+    p.clear();
+    particles.forEach(values => {
+        simulation.setPhaseProperties(p.add({ density: 1, life: 1, maxLife: 100, ...values }));
+    });
+    return simulation;
+}
+
+describe('FlowSimulation diagnostics', () => {
+    test('reports void fraction, mean temperatures and kinetic energy', () => {
+        const simulation = createSimulation([
+            { phase: 'gas', baseSize: 5, temperature: 300, vx: 1 }, // size 4
+            { phase: 'liquid', baseSize: 5, temperature: 290, vy: 2 }, // size 6
+            { phase: 'liquid', baseSize: 5, temperature: 310 }
+        ]);
+
+        const diagnostics = simulation.getDiagnostics();
+
+        expect(diagnostics.particleCount).toBe(3);
+        expect(diagnostics.voidFraction).toBeCloseTo(16 / (16 + 36 + 36));
+        expect(diagnostics.meanTemperature).toEqual({ gas: 300, liquid: 300, vapor: null });
+        expect(diagnostics.kineticEnergy).toBeCloseTo(0.5 * 16 * 1 + 0.5 * 36 * 4);
+        expect(diagnostics.phaseChanges).toEqual({ evaporation: 0, condensation: 0 });
+    });
+
+    test('counts phase changes until reset', () => {
+        const simulation = new FlowSimulation(null, {
+            seed: 2,
+            particleCount: 50,
+            phaseTypes: ['liquid'],
+            fluid: 'nitrogen' // liquid nitrogen boils at room temperature
+        });
+
+        simulation.run(60);
+        const { time, phaseChanges } = simulation.getDiagnostics();
+        expect(time).toBeCloseTo(1);
+        expect(phaseChanges.evaporation).toBeGreaterThan(0);
+
+        simulation.reset();
+        expect(simulation.getDiagnostics().phaseChanges).toEqual({ evaporation: 0, condensation: 0 });
+    });
+
+    test('bins particle radii into a histogram', () => {
+        const simulation = new FlowSimulation(null, { seed: 3, particleCount: 40 });
+        const { edges, counts } = simulation.getSizeHistogram(5);
+
+        expect(edges).toHaveLength(6);
+        expect(edges[0]).toBe(0);
+        expect(counts.reduce((sum, count) => sum + count, 0)).toBe(40);
+    });
+});
+
+describe('DiagnosticsPanel', () => {
+    beforeAll(installMockDom);
+    beforeEach(() => jest.useFakeTimers());
+
+    afterEach(() => jest.useRealTimers());
+
+    afterAll(() => {
+        delete global.document;
+        delete global.window;
+        delete global.requestAnimationFrame;
+        delete global.cancelAnimationFrame;
+    });
+
+    function createPanel(options = {}) {
+        const container = createMockContainer();
+        const simulation = new FlowSimulation(container, { seed: 4, particleCount: 30, phaseTypes: ['liquid'], fluid: 'nitrogen' });
+        const panel = new DiagnosticsPanel(simulation, { Chart: MockChart, ...options });
+        return { container, simulation, panel };
+    }
+
+    test('overlays one chart per quantity on the simulation container', () => {
+        const { container, panel } = createPanel();
+
+        expect(FlowControls.dock(container).children).toContain(panel.element);
+        expect(Object.keys(panel.charts)).toEqual(['voidFraction', 'temperature', 'kineticEnergy', 'phaseChanges', 'sizes']);
+        expect(panel.charts.temperature.config.type).toBe('line');
+        expect(panel.charts.sizes.config.type).toBe('bar');
+        panel.destroy();
+    });
+
+    test('stacks below the control panel instead of covering it', () => {
+        const { container, simulation, panel } = createPanel();
+        const [dock] = container.children.filter(child => child.className === 'flow-dock');
+
+        expect(container.children).toEqual([simulation.canvas, dock]);
+        expect(dock.children).toEqual([simulation.controls, panel.element]);
+        expect(dock.style.cssText).toMatch(/position: absolute;[\s\S]*flex-direction: column;/);
+        [simulation.controls, panel.element].forEach(element => {
+            expect(element.style.cssText).not.toMatch(/position|top:|right:/);
+            expect(element.style.cssText).toMatch(/overflow-y: auto;/);
+        });
+
+        // The dock goes with the last panel in it
+        panel.destroy();
+        expect(dock.children).toEqual([simulation.controls]);
+        simulation.destroy();
+        expect(container.children).toHaveLength(0);
+    });
+
+    test('samples on a timer and derives phase changes per second', () => {
+        const { simulation, panel } = createPanel();
+
+        jest.advanceTimersByTime(500);
+        simulation.run(30);
+        jest.advanceTimersByTime(500);
+
+        const { labels, datasets } = panel.charts.phaseChanges.data;
+        expect(labels).toEqual(['0.0', '0.5']);
+        expect(datasets[0].data[0]).toBeNull();
+        expect(datasets[0].data[1]).toBeCloseTo(simulation.getDiagnostics().phaseChanges.evaporation / 0.5);
+        expect(panel.charts.sizes.data.datasets[0].data.reduce((sum, count) => sum + count, 0))
+            .toBe(simulation.getParticleCount());
+        panel.destroy();
+    });
+
+    test('keeps a rolling window of samples', () => {
+        const { simulation, panel } = createPanel({ history: 3 });
+
+        for (let i = 0; i < 5; i++) {
+            simulation.run(6);
+            panel.update();
+        }
+
+        expect(panel.charts.voidFraction.data.labels).toEqual(['0.3', '0.4', '0.5']);
+        expect(panel.charts.temperature.data.datasets[1].data).toHaveLength(3);
+        panel.destroy();
+    });
+
+    test('destroy stops sampling and removes the overlay', () => {
+        const { container, panel } = createPanel();
+        const charts = Object.values(panel.charts);
+
+        panel.destroy();
+        jest.advanceTimersByTime(2000);
+
+        expect(container.children).not.toContain(panel.element);
+        charts.forEach(chart => {
+            expect(chart.destroy).toHaveBeenCalled();
+            expect(chart.update).not.toHaveBeenCalled();
+        });
+    });
+
+    test('requires Chart.js', () => {
+        const simulation = new FlowSimulation(createMockContainer(), { seed: 1 });
+        expect(() => new DiagnosticsPanel(simulation)).toThrow('Chart.js is required');
+    });
+});
@@ -0,0 +1,100 @@
+const { installMockDom, createMockContainer } = require('./setup');
+const FlowSimulation = require('../assets/js/flow-simulation');
+const FlowComparison = require('../assets/js/flow-comparison');
+
+describe('FlowComparison', () => {
+    beforeAll(() => {
+        installMockDom();
+        // Panes split the container's width between them
+        const createElement = document.createElement;
+        document.createElement = (tag) => Object.assign(createElement(tag), { offsetWidth: 200, offsetHeight: 150 });
+    });
+
+    afterAll(() => {
+        delete global.document;
+        delete global.window;
+        delete global.requestAnimationFrame;
+        delete global.cancelAnimationFrame;
+    });
+
+    function createComparison(options = {}) {
+        const container = createMockContainer(400, 150);
+        const comparison = new FlowComparison(container, [
+            { label: 'Water', options: { particleCount: 40, fluid: 'water' } },
+            { label: 'Hot water', options: { particleCount: 40, fluid: 'water', temperature: 360 } }
+        ], { seed: 'compare', ...options });
+        return { container, comparison };
+    }
+
+    test('builds one simulation per configuration from the same seed', () => {
+        const { container, comparison } = createComparison();
+        const [water, hot] = comparison.simulations;
+
+        expect(container.children).toEqual([comparison.element]);
+        expect(water).toBeInstanceOf(FlowSimulation);
+        expect(water.getSeed()).toBe('compare');
+        expect(hot.getSeed()).toBe('compare');
+        expect(hot.options.temperature).toBe(360);
+        expect(water.controls).toBeNull();
+        expect(water.container.getAttribute('aria-label')).toBe('Water');
+        // Same seed, so the same starting positions
+        expect(Array.from(hot.particles.x.subarray(0, 40))).toEqual(Array.from(water.particles.x.subarray(0, 40)));
+        comparison.destroy();
+    });
+
+    test('advances every simulation by the same fixed steps', () => {
+        const { comparison } = createComparison();
+
+        expect(comparison.step(2.5 / 60)).toBe(2);
+        expect(comparison.step(0.5 / 60)).toBe(1);
+        comparison.run(4);
+        expect(comparison.simulations.map(simulation => simulation.time)).toEqual([7, 7]);
+
+        comparison.render();
+        expect(comparison.timeLabel.textContent).toBe('0.12 s');
+        comparison.destroy();
+    });
+
+    test('drives the simulations from one animation loop', () => {
+        const { comparison } = createComparison();
+        const frames = [];
+        comparison.requestFrame = (callback) => frames.push(callback);
+
+        // One step on start, one for the first frame, two for 1/30 s
+        comparison.start();
+        frames.shift()(1000);
+        frames.shift()(1000 + 1000 / 30);
+        expect(comparison.simulations.map(simulation => simulation.time)).toEqual([4, 4]);
+        expect(comparison.simulations.every(simulation => !simulation.isRunning)).toBe(true);
+
+        comparison.stop();
+        expect(comparison.isRunning).toBe(false);
+        comparison.destroy();
+    });
+
+    test('resets both simulations to the shared seed', () => {
+        const { comparison } = createComparison();
+        const [water] = comparison.simulations;
+        const start = Array.from(water.particles.x.subarray(0, 40));
+
+        comparison.run(10);
+        comparison.reset();
+        expect(comparison.simulations.map(simulation => simulation.time)).toEqual([0, 0]);
+        expect(Array.from(water.particles.x.subarray(0, 40))).toEqual(start);
+        comparison.destroy();
+    });
+
+    test('removes everything on destroy', () => {
+        const { container, comparison } = createComparison();
+        const [water] = comparison.simulations;
+
+        comparison.destroy();
+        expect(container.children).toHaveLength(0);
+        expect(water.canvas).toBeNull();
+    });
+
+    test('needs a container and at least two configurations', () => {
+        expect(() => new FlowComparison(null, [{}, {}])).toThrow('needs a container element');
+        expect(() => new FlowComparison(createMockContainer(), [{}])).toThrow('at least two configurations');
+    });
+});
@@ -0,0 +1,212 @@
+const { installMockDom, createMockContainer } = require('./setup');
+const FlowSimulation = require('../assets/js/flow-simulation');
+const FlowControls = require('../assets/js/flow-controls');
+const FlowPresets = require('../assets/js/flow-presets');
+
+// Stand-in for an input element that dispatched an event
+function target(control, values = {}) {
+    return { dataset: { control }, setAttribute: jest.fn(), ...values };
+}
+
+describe('FlowSimulation particle count and phase types', () => {
+    test('setParticleCount adds and removes particles straight away', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, particleCount: 50 });
+
+        simulation.setParticleCount(80);
+        expect(simulation.getParticleCount()).toBe(80);
+        simulation.setParticleCount(20);
+        expect(simulation.getParticleCount()).toBe(20);
+
+        simulation.reset();
+        expect(simulation.getParticleCount()).toBe(20);
+    });
+
+    test('setPhaseTypes picks the phases of new particles', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, particleCount: 50 });
+
+        simulation.setPhaseTypes(['vapor']);
+        simulation.reset();
+        expect(simulation.getPhaseDistribution()).toEqual({ vapor: 50 });
+
+        expect(() => simulation.setPhaseTypes([])).toThrow('At least one phase type is needed');
+        expect(() => simulation.setPhaseTypes(['plasma'])).toThrow('Unknown phase: plasma');
+        expect(simulation.options.phaseTypes).toEqual(['vapor']);
+    });
+});
+
+describe('FlowControls', () => {
+    beforeAll(installMockDom);
+
+    afterAll(() => {
+        delete global.document;
+        delete global.window;
+        delete global.requestAnimationFrame;
+        delete global.cancelAnimationFrame;
+    });
+
+    function createSimulation(options = {}) {
+        return new FlowSimulation(createMockContainer(), { seed: 1, particleCount: 40, ...options });
+    }
+
+    test('formats readouts to the step with their unit', () => {
+        expect(FlowControls.format({ step: 0.1, unit: 'px/step' }, 1)).toBe('1.0 px/step');
+        expect(FlowControls.format({ step: 1, unit: 'K' }, 293.15)).toBe('293 K');
+        expect(FlowControls.format({ step: 0.01, unit: '' }, 0.1)).toBe('0.10');
+        expect(FlowControls.format({ step: 1, unit: '°' }, -5)).toBe('-5°');
+        expect(FlowControls.format({ step: 1, unit: 'bar', digits: 2 }, 3)).toBe('3.00 bar');
+    });
+
+    test('generates a labelled, described control with a readout per parameter', () => {
+        const simulation = createSimulation();
+        const html = simulation.controls.innerHTML;
+        const id = simulation.instanceId;
+
+        ['flowSpeed', 'turbulence', 'temperature', 'pressure', 'particleCount'].forEach(name => {
+            expect(html).toContain(`<label class="small" for="${id}-${name}">`);
+            expect(html).toContain(`aria-describedby="${id}-${name}-description"`);
+            expect(html).toContain(`data-readout="${name}"`);
+        });
+        expect(html).toContain('aria-valuetext="101 kPa"');
+        expect(html).toContain('>40</output>');
+        expect(simulation.controls.getAttribute('role')).toBe('group');
+
+        // Phases as a fieldset of checkboxes
+        expect(html).toContain('<legend');
+        expect(html).toMatch(/id="[\w-]+-phaseTypes-gas" data-control="phaseTypes" value="gas" checked/);
+        expect(html).toMatch(/value="vapor">/);
+        // Pipe sliders only for pipes
+        expect(html).not.toContain('superficialGas');
+    });
+
+    test('adds the pipe sliders for pipe presets', () => {
+        const simulation = new FlowSimulation(createMockContainer(), FlowPresets.createOptions('slug-flow-pipe'));
+        const names = simulation.controlPanel.parameters.map(parameter => parameter.name);
+        expect(names).toEqual(expect.arrayContaining(['superficialGas', 'superficialLiquid', 'inclination']));
+        expect(simulation.controls.innerHTML).toContain('aria-valuetext="1.0 m/s"');
+    });
+
+    test('lets embedders hide and add parameters', () => {
+        const simulation = createSimulation({
+            controls: {
+                hide: ['turbulence', 'phaseTypes'],
+                parameters: [{
+                    name: 'gravity',
+                    label: 'Gravity',
+                    unit: 'm/s²',
+                    min: 0,
+                    max: 20,
+                    step: 0.01,
+                    description: 'Gravitational acceleration'
+                }]
+            }
+        });
+        const panel = simulation.controlPanel;
+        const names = panel.parameters.map(parameter => parameter.name);
+
+        expect(names).not.toContain('turbulence');
+        expect(names).not.toContain('phaseTypes');
+        expect(names[names.length - 1]).toBe('gravity');
+        expect(simulation.controls.innerHTML).toContain('aria-valuetext="9.81 m/s²"');
+
+        // Without a set function the matching setter is used
+        panel.handleInput(target('gravity', { value: '3.7' }));
+        expect(simulation.options.gravity).toBe(3.7);
+    });
+
+    test('escapes the text embedders give their parameters', () => {
+        const simulation = createSimulation({
+            controls: {
+                parameters: [{
+                    name: 'gravity',
+                    label: '<img src=x onerror="alert(1)">',
+                    unit: '<b>g</b>',
+                    min: 0,
+                    max: 20,
+                    step: 0.01,
+                    description: 'Pull & "drag" <script>alert(2)</script>'
+                }]
+            }
+        });
+        const html = simulation.controls.innerHTML;
+
+        expect(html).not.toContain('<img');
+        expect(html).not.toContain('<script>');
+        expect(html).not.toContain('<b>');
+        expect(html).toContain('&#60;img src=x onerror=&#34;alert(1)&#34;&#62;</label>');
+        expect(html).toContain('>Pull &#38; &#34;drag&#34; &#60;script&#62;alert(2)&#60;/script&#62;</div>');
+        expect(html).toContain('aria-valuetext="9.81 &#60;b&#62;g&#60;/b&#62;"');
+    });
+
+    test('passes input to the simulation and updates the readout', () => {
+        const simulation = createSimulation();
+        const panel = simulation.controlPanel;
+        const readout = { textContent: '' };
+        panel.element.querySelector = () => readout;
+
+        const input = target('pressure', { value: '250' });
+        panel.handleInput(input);
+        expect(simulation.options.pressure).toBe(250000);
+        expect(readout.textContent).toBe('250 kPa');
+        expect(input.setAttribute).toHaveBeenCalledWith('aria-valuetext', '250 kPa');
+
+        panel.handleInput(target('particleCount', { value: '60' }));
+        expect(simulation.getParticleCount()).toBe(60);
+
+        // Buttons are not parameters
+        expect(() => panel.handleInput(target('start'))).not.toThrow();
+    });
+
+    test('keeps at least one phase checked', () => {
+        const simulation = createSimulation();
+        const panel = simulation.controlPanel;
+        const boxes = ['gas', 'liquid', 'vapor'].map(value => target('phaseTypes', { value, checked: value === 'liquid' }));
+        panel.element.querySelectorAll = () => boxes;
+
+        panel.handleInput(boxes[1]);
+        expect(simulation.options.phaseTypes).toEqual(['liquid']);
+
+        boxes[1].checked = false;
+        panel.handleInput(boxes[1]);
+        expect(boxes[1].checked).toBe(true);
+        expect(simulation.options.phaseTypes).toEqual(['liquid']);
+    });
+
+    test('runs the buttons', () => {
+        const simulation = createSimulation();
+        simulation.start = jest.fn();
+        simulation.stop = jest.fn();
+        simulation.reset = jest.fn();
+
+        simulation.controlPanel.handleClick(target('reset'));
+        expect(simulation.stop).toHaveBeenCalled();
+        expect(simulation.reset).toHaveBeenCalled();
+        expect(simulation.start).toHaveBeenCalled();
+    });
+
+    test('syncs to imported options', () => {
+        const simulation = createSimulation();
+        const inputs = {};
+        const boxes = ['gas', 'liquid', 'vapor'].map(value => target('phaseTypes', { value, checked: true }));
+        simulation.controls.querySelector = (selector) => {
+            const name = selector.match(/"(\w+)"/)[1];
+            inputs[name] = inputs[name] || target(name);
+            return inputs[name];
+        };
+        simulation.controls.querySelectorAll = () => boxes;
+
+        simulation.importScenario({ ...simulation.exportScenario(), options: { temperature: 350, phaseTypes: ['gas'] } });
+        expect(inputs.temperature.value).toBe(350);
+        expect(inputs.temperature.textContent).toBe('350 K');
+        expect(boxes.map(box => box.checked)).toEqual([true, false, false]);
+    });
+
+    test('is removed with the simulation', () => {
+        const container = createMockContainer();
+        const simulation = new FlowSimulation(container, { seed: 1 });
+        const panel = simulation.controlPanel;
+
+        simulation.destroy();
+        expect(container.children).not.toContain(panel.element);
+        expect(simulation.controlPanel).toBeNull();
+    });
+});
@@ -0,0 +1,166 @@
+const FlowSimulation = require('../assets/js/flow-simulation');
+
+function createSimulation(options = {}) {
+    return new FlowSimulation(null, { seed: 'events', particleCount: 30, ...options });
+}
+
+describe('FlowSimulation events', () => {
+    test('step fires after every fixed step with the step count and time', () => {
+        const simulation = createSimulation();
+        const steps = [];
+        simulation.on('step', event => steps.push([event.step, event.time, event.simulation]));
+
+        simulation.run(3);
+        expect(steps).toEqual([
+            [1, 1 / 60, simulation],
+            [2, 2 / 60, simulation],
+            [3, 3 / 60, simulation]
+        ]);
+    });
+
+    test('off and once remove listeners', () => {
+        const simulation = createSimulation();
+        const listener = jest.fn();
+        const single = jest.fn();
+        simulation.on('step', listener).once('step', single);
+
+        simulation.run(2);
+        simulation.off('step', listener);
+        simulation.run(2);
+
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(single).toHaveBeenCalledTimes(1);
+        expect(simulation.hasListeners('step')).toBe(false);
+    });
+
+    test('phaseChange reports evaporation with the particle', () => {
+        // Liquid nitrogen boils at room temperature
+        const simulation = createSimulation({ phaseTypes: ['liquid'], fluid: 'nitrogen' });
+        const changes = [];
+        simulation.on('phaseChange', event => changes.push(event));
+
+        simulation.run(60);
+        expect(changes).toHaveLength(simulation.getDiagnostics().phaseChanges.evaporation);
+        expect(changes[0]).toMatchObject({ type: 'phaseChange', from: 'liquid', to: 'vapor', cause: 'evaporation' });
+        expect(changes[0].id).toEqual(expect.any(Number));
+        expect(changes[0].temperature).toBeGreaterThan(simulation.saturationTemperature);
+    });
+
+    test('phaseChange reports cavitation and collapse', () => {
+        const simulation = createSimulation({
+            particleCount: 1,
+            phaseTypes: ['liquid'],
+            pressure: 5000,
+            solver: { cellSize: 10 },
+            boundaries: { left: { type: 'inlet', velocity: 2 }, right: 'outflow', top: 'wall', bottom: 'wall' }
+        });
+        const p = simulation.particles;
+        p.temperature[0] = 300;
+        const causes = [];
+        simulation.on('phaseChange', event => causes.push(`${event.cause}:${event.from}>${event.to}`));
+
+        simulation.solver.u.fill(4);
+        simulation.checkCavitation(0);
+        simulation.solver.u.fill(2);
+        simulation.checkCavitation(0);
+        expect(causes).toEqual(['cavitation:liquid>vapor', 'collapse:vapor>liquid']);
+    });
+
+    test('particleReset fires when a particle respawns', () => {
+        const simulation = createSimulation();
+        const resets = [];
+        simulation.on('particleReset', event => resets.push(event));
+
+        simulation.resetParticle(3);
+        expect(resets).toEqual([expect.objectContaining({
+            index: 3,
+            id: simulation.particles.id[3],
+            x: simulation.particles.x[3],
+            phase: simulation.getParticle(3).phase
+        })]);
+    });
+
+    test('start and stop fire on changes of the running state', () => {
+        const simulation = createSimulation();
+        simulation.requestFrame = () => 1;
+        simulation.cancelFrame = () => {};
+        const events = [];
+        ['start', 'stop'].forEach(type => simulation.on(type, event => events.push(event.type)));
+
+        simulation.start();
+        simulation.start();
+        simulation.stop();
+        simulation.stop();
+        expect(events).toEqual(['start', 'stop']);
+    });
+
+    test('addStepListener is kept as an alias', () => {
+        const simulation = createSimulation();
+        const listener = jest.fn();
+        simulation.addStepListener(listener);
+        simulation.run(1);
+        simulation.removeStepListener(listener);
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(simulation.stepListeners).toHaveLength(0);
+    });
+});
+
+describe('FlowSimulation plugins', () => {
+    test('add per-particle forces', () => {
+        const simulation = createSimulation({ particleCount: 5, turbulence: 0 });
+        const still = createSimulation({ particleCount: 5, turbulence: 0 });
+        simulation.use({
+            name: 'wind',
+            force(sim, i) {
+                sim.particles.vx[i] += 0.5;
+            }
+        });
+
+        simulation.run(1);
+        still.run(1);
+        for (let i = 0; i < 5; i++) {
+            expect(simulation.particles.x[i]).toBeGreaterThan(still.particles.x[i]);
+        }
+    });
+
+    test('run passes around every step and hear about installs and resets', () => {
+        const simulation = createSimulation();
+        const calls = [];
+        const plugin = {
+            name: 'analytics',
+            install: (sim, options) => calls.push(['install', options.every]),
+            beforeStep: sim => calls.push(['before', sim.time]),
+            afterStep: sim => calls.push(['after', sim.time]),
+            reset: () => calls.push(['reset']),
+            uninstall: () => calls.push(['uninstall'])
+        };
+        simulation.on('step', event => calls.push(['step', event.step]));
+
+        simulation.use(plugin, { every: 10 });
+        simulation.run(1);
+        simulation.reset();
+        simulation.removePlugin('analytics');
+        simulation.run(1);
+
+        expect(calls).toEqual([
+            ['install', 10],
+            ['before', 1],
+            ['after', 1],
+            ['step', 1],
+            ['reset'],
+            ['uninstall'],
+            ['step', 1]
+        ]);
+        expect(simulation.getPlugin('analytics')).toBeNull();
+    });
+
+    test('need unique names', () => {
+        const simulation = createSimulation();
+        simulation.use({ name: 'drag' });
+
+        expect(() => simulation.use({ name: 'drag' })).toThrow('Plugin drag is already installed');
+        expect(() => simulation.use({})).toThrow('Plugins need a name');
+        expect(simulation.getPlugin('drag')).toEqual({ name: 'drag' });
+    });
+});
@@ -0,0 +1,118 @@
+const FlowSimulation = require('../assets/js/flow-simulation');
+const FlowPresets = require('../assets/js/flow-presets');
+const FluidProperties = require('../assets/js/fluid-properties');
+
+describe('FlowPresets', () => {
+    test('offers one preset per advertised service', () => {
+        expect(FlowPresets.list().map(preset => preset.slug)).toEqual([
+            'slug-flow-pipe',
+            'pool-boiling',
+            'cavitating-venturi',
+            'spray-droplets',
+            'ballast-tank-sloshing'
+        ]);
+        expect(FlowPresets.list('marine')).toEqual([{
+            slug: 'ballast-tank-sloshing',
+            title: 'Ballast tank sloshing',
+            description: expect.any(String),
+            service: 'marine'
+        }]);
+    });
+
+    test.each(Object.keys(FlowPresets.presets))('%s runs headless', slug => {
+        const simulation = new FlowSimulation(null, FlowPresets.createOptions(slug, { width: 200, height: 120 }));
+        simulation.run(20);
+
+        const { x, y, count } = simulation.particles;
+        expect(count).toBeGreaterThan(0);
+        for (let i = 0; i < count; i++) {
+            expect(Number.isFinite(x[i]) && Number.isFinite(y[i])).toBe(true);
+        }
+    });
+
+    test('scales geometry to the domain', () => {
+        const options = FlowPresets.createOptions('cavitating-venturi', { width: 400, height: 200 });
+        expect(options.obstacles[0].points).toEqual([[100, 0], [200, 70], [300, 0]]);
+
+        const [heater] = FlowPresets.createOptions('pool-boiling', { width: 400, height: 200 }).obstacles;
+        expect(heater).toEqual({ type: 'circle', x: 200, y: 170, radius: 12 });
+
+        const [baffle] = FlowPresets.toScenario('ballast-tank-sloshing', 100, 50).obstacles;
+        expect(baffle).toEqual({ type: 'rect', x: 32, y: 20, width: 2, height: 30 });
+    });
+
+    test('rolls the ballast tank so its contents slosh', () => {
+        const simulation = new FlowSimulation(null, FlowPresets.createOptions('ballast-tank-sloshing', { width: 200, height: 120 }));
+        expect(simulation.getTilt()).toBe(0);
+
+        // A quarter of the 6 s roll: heeled over by the full 10 degrees
+        simulation.run(90);
+        expect(simulation.getTilt()).toBeCloseTo(10);
+        expect(simulation.gravity.x).toBeCloseTo(-Math.sin(Math.PI / 18));
+        simulation.run(180);
+        expect(simulation.getTilt()).toBeCloseTo(-10);
+        expect(simulation.gravity.x).toBeCloseTo(Math.sin(Math.PI / 18));
+
+        simulation.setRoll(0);
+        expect(simulation.getTilt()).toBe(0);
+        expect(simulation.gravity).toEqual({ x: expect.any(Number), y: 1 });
+    });
+
+    test('overrides win over the preset', () => {
+        const options = FlowPresets.createOptions('spray-droplets', { particleCount: 10, seed: 7 });
+        expect(options.particleCount).toBe(10);
+        expect(options.seed).toBe(7);
+        expect(options.criticalWeber).toBe(8);
+        expect(FlowPresets.createOptions('spray-droplets').seed).toBe('spray-droplets');
+    });
+
+    test('registers the fluids a preset brings', () => {
+        FlowPresets.toScenario('ballast-tank-sloshing');
+        expect(FluidProperties.get('seawater').name).toBe('Seawater');
+        // Dissolved salt raises the boiling point a little
+        expect(FluidProperties.saturationTemperature('seawater', 101325)).toBeCloseTo(373.75);
+    });
+
+    test('applies to a running simulation as a scenario', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, width: 300, height: 150 });
+        simulation.importScenario(FlowPresets.toScenario('slug-flow-pipe', 300, 150));
+
+        expect(simulation.getSeed()).toBe('slug-flow-pipe');
+        expect(simulation.boundaries.left).toEqual({ type: 'inlet' });
+        expect(simulation.getFlowRegime().regime).toBe('slug');
+        expect(simulation.solver).not.toBeNull();
+    });
+
+    test('checks new presets against the scenario schema', () => {
+        expect(() => FlowPresets.register('broken', {
+            title: 'Broken',
+            service: 'gas-liquid-flow',
+            options: { particleCount: 0 }
+        })).toThrow('Preset broken: Invalid scenario: options.particleCount must be at least 1');
+        expect(() => FlowPresets.register('untitled', { service: 'marine' })).toThrow('needs a title and a service');
+
+        FlowPresets.register('bubble-column', { title: 'Bubble column', service: 'gas-liquid-flow', options: { phaseTypes: ['gas'] } });
+        expect(FlowPresets.list('gas-liquid-flow').map(preset => preset.slug)).toContain('bubble-column');
+        delete FlowPresets.presets['bubble-column'];
+    });
+
+    test('rejects unknown presets', () => {
+        expect(() => FlowPresets.get('lava-lamp')).toThrow('Unknown preset: lava-lamp');
+    });
+});
+
+describe('FluidProperties.register', () => {
+    test('requires thermal properties and a saturation model', () => {
+        expect(() => FluidProperties.register('mystery', { name: 'Mystery' })).toThrow('Fluid mystery is missing latentHeat');
+        expect(() => FluidProperties.register('mystery', {
+            name: 'Mystery',
+            latentHeat: 1e5,
+            cpLiquid: 1000,
+            cpVapor: 500,
+            liquidDensity: 900,
+            criticalTemperature: 400,
+            criticalPressure: 4e6
+        })).toThrow('needs an Antoine fit or a Clausius-Clapeyron reference');
+        expect(FluidProperties.fluids).not.toHaveProperty('mystery');
+    });
+});
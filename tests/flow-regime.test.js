@@ -0,0 +1,271 @@
+const { installMockDom, createMockContainer } = require('./setup');
+const FlowSimulation = require('../assets/js/flow-simulation');
+const FlowRegime = require('../assets/js/flow-regime');
+const FlowRegimePanel = require('../assets/js/flow-regime-panel');
+const FlowPresets = require('../assets/js/flow-presets');
+const FluidProperties = require('../assets/js/fluid-properties');
+
+// Air and water at 1 atm and 20 C in a 5 cm pipe
+const AIR_WATER = {
+    diameter: 0.05,
+    inclination: 0,
+    gravity: 9.81,
+    liquidDensity: 998,
+    gasDensity: FlowRegime.airDensity(101325, 293.15),
+    liquidViscosity: 1e-3,
+    gasViscosity: FlowRegime.AIR_VISCOSITY,
+    surfaceTension: 0.0728,
+    pipeLength: 10
+};
+
+function classify(superficialGas, superficialLiquid, overrides = {}) {
+    return FlowRegime.classify({ ...AIR_WATER, superficialGas, superficialLiquid, ...overrides });
+}
+
+describe('FlowRegime', () => {
+    test('finds the horizontal Taitel-Dukler regimes', () => {
+        expect(classify(0.1, 0.01)).toBe('stratified');
+        expect(classify(1, 0.5)).toBe('slug');
+        expect(classify(30, 0.01)).toBe('annular');
+        expect(classify(0.1, 5)).toBe('bubbly');
+    });
+
+    test('rising pipes lose stratified flow sooner than falling ones', () => {
+        expect(classify(1, 0.02)).toBe('stratified');
+        expect(classify(1, 0.02, { inclination: 5 })).toBe('slug');
+        expect(classify(1, 0.02, { inclination: -5 })).toBe('stratified');
+    });
+
+    test('finds the upward-flow regimes in steep pipes', () => {
+        const vertical = { inclination: 90 };
+        expect(classify(0.1, 0.5, vertical)).toBe('slug');
+        expect(classify(5, 0.1, vertical)).toBe('churn');
+        expect(classify(20, 0.1, vertical)).toBe('annular');
+        expect(classify(0.1, 5, vertical)).toBe('bubbly');
+        // Bubbly flow at low void fraction needs a wide pipe
+        expect(classify(0.05, 0.5, { ...vertical, diameter: 0.2 })).toBe('bubbly');
+        // Churn flow develops into slugs further from the inlet
+        expect(classify(5, 0.1, { ...vertical, pipeLength: 100 })).toBe('slug');
+    });
+
+    test('handles single-phase inputs', () => {
+        expect(FlowRegime.REGIMES).toContain(classify(0, 0.01));
+        expect(FlowRegime.REGIMES).toContain(classify(1, 0));
+    });
+
+    test('samples the map on a log grid', () => {
+        const map = FlowRegime.map(AIR_WATER, { columns: 20, rows: 10 });
+
+        expect(map.regimes).toHaveLength(10);
+        expect(map.regimes[0]).toHaveLength(20);
+        // Low gas and liquid flow at the bottom left, high gas flow at the right
+        expect(map.regimes[0][0]).toBe('stratified');
+        expect(map.regimes[0][19]).toBe('annular');
+        expect(map.regimes[9][0]).toBe('bubbly');
+    });
+});
+
+describe('FlowSimulation gravity', () => {
+    function createSimulation(options = {}) {
+        const simulation = new FlowSimulation(null, { seed: 1, particleCount: 1, phaseTypes: ['gas'], turbulence: 0, ...options });
+        const p = simulation.particles;
+        p.vx[0] = 0;
+        p.vy[0] = 0;
+        return simulation;
+    }
+
+    // Velocity change from buoyancy alone, with the solver's fluid at rest;
+    // the buoyancy is an acceleration, applied over one step
+    function buoyancyKick(simulation) {
+        const p = simulation.particles;
+        simulation.solver.u.fill(0);
+        simulation.solver.v.fill(0);
+        simulation.applySolverForces(0);
+        return { x: p.vx[0], y: p.vy[0] };
+    }
+
+    test('gas rises against gravity, scaled by its magnitude', () => {
+        const simulation = createSimulation({ solver: { cellSize: 10 } });
+        const buoyancy = simulation.particles.buoyancy[0] * simulation.options.timeStep;
+
+        const kick = buoyancyKick(simulation);
+        expect(kick.x).toBeCloseTo(0);
+        expect(kick.y).toBeCloseTo(buoyancy);
+        expect(kick.y).toBeLessThan(0);
+
+        simulation.particles.vy[0] = 0;
+        simulation.setGravity(9.81 / 2);
+        expect(buoyancyKick(simulation).y).toBeCloseTo(buoyancy / 2);
+
+        simulation.particles.vy[0] = 0;
+        simulation.setGravity(0);
+        expect(buoyancyKick(simulation).y).toBe(0);
+    });
+
+    test('follows the gravity direction and the pipe inclination', () => {
+        const simulation = createSimulation({ solver: { cellSize: 10 }, gravityDirection: 0 });
+        const buoyancy = simulation.particles.buoyancy[0] * simulation.options.timeStep;
+        expect(buoyancyKick(simulation).x).toBeCloseTo(buoyancy);
+
+        // A pipe rising at 30 degrees: gravity pulls partly back along the axis
+        const inclined = createSimulation({ solver: { cellSize: 10 } });
+        inclined.setInclination(30);
+        const kick = buoyancyKick(inclined);
+        expect(kick.x).toBeCloseTo(-buoyancy * Math.sin(Math.PI / 6));
+        expect(kick.y).toBeCloseTo(buoyancy * Math.cos(Math.PI / 6));
+    });
+
+    test('round-trips through scenarios', () => {
+        const simulation = createSimulation({ gravity: 3.7, inclination: 10, superficialGas: 2, superficialLiquid: 0.2 });
+        const copy = new FlowSimulation(null, { seed: 2 });
+        copy.importScenario(simulation.exportScenario());
+
+        expect(copy.options.gravity).toBe(3.7);
+        expect(copy.options.inclination).toBe(10);
+        expect(copy.getSuperficialVelocities()).toEqual({ gas: 2, liquid: 0.2 });
+    });
+});
+
+describe('FlowSimulation superficial velocities', () => {
+    function createPipe(options = {}) {
+        return new FlowSimulation(null, {
+            seed: 'pipe',
+            particleCount: 400,
+            width: 200,
+            height: 100,
+            boundaries: { left: 'inlet', right: 'outflow', top: 'wall', bottom: 'wall' },
+            superficialGas: 1.5,
+            superficialLiquid: 0.5,
+            ...options
+        });
+    }
+
+    test('drive the inlets at the mixture velocity', () => {
+        const simulation = createPipe();
+        // 2 m/s at 0.01 m/px and 60 steps/s
+        expect(simulation.getInletSpeed(simulation.boundaries.left)).toBeCloseTo(2 / 60 / 0.01);
+        expect(simulation.getReferenceSpeed()).toBeCloseTo(2);
+
+        simulation.setSuperficialVelocities(null, null);
+        expect(simulation.getInletSpeed(simulation.boundaries.left)).toBe(simulation.options.flowSpeed);
+    });
+
+    test('feed gas and liquid in their volume ratio', () => {
+        const simulation = createPipe();
+        const distribution = simulation.getPhaseDistribution();
+        expect(distribution.gas / 400).toBeCloseTo(0.75, 1);
+
+        const p = simulation.particles;
+        simulation.setSuperficialVelocities(0, 1);
+        for (let i = 0; i < p.count; i++) {
+            simulation.resetParticle(i);
+        }
+        expect(simulation.getPhaseDistribution()).toEqual({ liquid: 400 });
+    });
+
+    test('are estimated from the particles when not imposed', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, particleCount: 2 });
+        const p = simulation.particles;
+        p.clear();
+        [
+            { phase: 'gas', baseSize: 5, vx: 3 }, // size 4
+            { phase: 'liquid', baseSize: 5, vx: 1 } // size 6
+        ].forEach(values => simulation.setPhaseProperties(p.add({ density: 1, life: 1, maxLife: 100, ...values })));
+
+        const { gas, liquid } = simulation.getSuperficialVelocities();
+        expect(gas).toBeCloseTo(3 * 16 / 52);
+        expect(liquid).toBeCloseTo(36 / 52);
+    });
+
+    test('classify the operating point of the pipe preset', () => {
+        const simulation = new FlowSimulation(null, FlowPresets.createOptions('slug-flow-pipe', { width: 300, height: 150 }));
+        simulation.run(20);
+
+        const { regime, conditions } = simulation.getFlowRegime();
+        expect(regime).toBe('slug');
+        expect(conditions).toMatchObject({ superficialGas: 1, superficialLiquid: 0.5, diameter: 0.05, liquidDensity: 998 });
+
+        simulation.setInclination(90);
+        expect(simulation.getFlowRegime().regime).toBe('slug');
+        simulation.setSuperficialVelocities(20, 0.1);
+        expect(simulation.getFlowRegime().regime).toBe('annular');
+    });
+
+    test('need viscosity and surface tension for the map', () => {
+        const simulation = new FlowSimulation(null, { seed: 1 });
+        expect(simulation.getPipeConditions().surfaceTension).toBe(0.0728);
+
+        FluidProperties.fluids.bare = { name: 'Bare', liquidDensity: 900 };
+        simulation.options.fluid = 'bare';
+        expect(() => simulation.getFlowRegime()).toThrow('Fluid bare needs liquidViscosity and surfaceTension');
+        delete FluidProperties.fluids.bare;
+    });
+});
+
+describe('FlowRegimePanel', () => {
+    beforeAll(() => {
+        installMockDom();
+        jest.useFakeTimers();
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    function createPanel(options = {}) {
+        const container = createMockContainer();
+        const simulation = new FlowSimulation(null, FlowPresets.createOptions('slug-flow-pipe', { width: 300, height: 150 }));
+        simulation.container = container;
+        const panel = new FlowRegimePanel(simulation, { columns: 12, rows: 10, ...options });
+        return { container, simulation, panel };
+    }
+
+    test('overlays the map on the simulation and names the regime', () => {
+        const { container, panel } = createPanel();
+
+        expect(container.children).toContain(panel.element);
+        expect(panel.element.style.cssText).toContain('position: absolute');
+        expect(panel.heading.textContent).toBe('Flow regime: Slug');
+        expect(panel.canvas.getAttribute('aria-label')).toContain('1.00 m/s gas');
+        expect(panel.map.regimes).toHaveLength(10);
+        panel.destroy();
+    });
+
+    test('places the operating point on the log axes', () => {
+        const { panel } = createPanel({ width: 254, height: 136 });
+        // 200 px by 100 px plot from (46, 8)
+        expect(panel.toCanvas(1, 0.1)).toEqual({ x: 46 + 100, y: 8 + 50 });
+        expect(panel.toCanvas(1000, 0)).toEqual({ x: 46 + 200, y: 8 + 100 });
+        panel.destroy();
+    });
+
+    test('follows the simulation and only remaps when the pipe changes', () => {
+        const { simulation, panel } = createPanel();
+        const map = panel.map;
+
+        simulation.setSuperficialVelocities(30, 0.01);
+        jest.advanceTimersByTime(500);
+        expect(panel.heading.textContent).toBe('Flow regime: Annular');
+        expect(panel.map).toBe(map);
+
+        simulation.setInclination(90);
+        jest.advanceTimersByTime(500);
+        expect(panel.map).not.toBe(map);
+        panel.destroy();
+    });
+
+    test('can sit beside the simulation and is removed on destroy', () => {
+        const beside = createMockContainer();
+        const { panel } = createPanel({ container: beside });
+
+        expect(panel.element.style.cssText).not.toContain('position: absolute');
+        panel.destroy();
+        expect(beside.children).toHaveLength(0);
+        expect(panel.timer).toBeNull();
+    });
+
+    test('needs a container', () => {
+        const simulation = new FlowSimulation(null, { seed: 1 });
+        expect(() => new FlowRegimePanel(simulation)).toThrow('needs a container element');
+    });
+});
@@ -0,0 +1,358 @@
+const { installMockDom, createMockContainer } = require('./setup');
+const FlowSimulation = require('../assets/js/flow-simulation');
+
+function snapshot(simulation) {
+    const { x, y, vx, vy, temperature, phase, count } = simulation.particles;
+    return Array.from({ length: count }, (_, i) => [x[i], y[i], vx[i], vy[i], temperature[i], phase[i]]);
+}
+
+describe('FlowSimulation seeding', () => {
+    test('same seed and options give identical trajectories', () => {
+        const options = { seed: 42, particleCount: 50, solver: true, phaseTypes: ['gas', 'liquid'] };
+        const a = new FlowSimulation(null, options);
+        const b = new FlowSimulation(null, options);
+
+        expect(snapshot(a)).toEqual(snapshot(b));
+        for (let step = 0; step < 20; step++) {
+            a.step();
+            b.step();
+            expect(snapshot(a)).toEqual(snapshot(b));
+        }
+    });
+
+    test('different seeds give different initial states', () => {
+        const a = new FlowSimulation(null, { seed: 1 });
+        const b = new FlowSimulation(null, { seed: 2 });
+
+        expect(snapshot(a)).not.toEqual(snapshot(b));
+    });
+
+    test('string seeds are accepted', () => {
+        const a = new FlowSimulation(null, { seed: 'cylinder-demo' });
+        const b = new FlowSimulation(null, { seed: 'cylinder-demo' });
+
+        expect(snapshot(a)).toEqual(snapshot(b));
+    });
+
+    test('an unseeded run reports a seed that replays it', () => {
+        const a = new FlowSimulation(null, { particleCount: 30 });
+        const b = new FlowSimulation(null, { particleCount: 30, seed: a.getSeed() });
+
+        a.run(10);
+        b.run(10);
+        expect(snapshot(a)).toEqual(snapshot(b));
+    });
+
+    test('reset replays the run from the start', () => {
+        const simulation = new FlowSimulation(null, { seed: 7, particleCount: 30 });
+        simulation.run(10);
+        const first = snapshot(simulation);
+
+        simulation.reset();
+        simulation.run(10);
+        expect(snapshot(simulation)).toEqual(first);
+    });
+
+    test('a custom PRNG can be plugged in', () => {
+        const prng = jest.fn(() => () => 0.5);
+        const simulation = new FlowSimulation(null, { seed: 3, prng, particleCount: 5 });
+
+        expect(prng).toHaveBeenCalledWith(3);
+        for (let i = 0; i < simulation.getParticleCount(); i++) {
+            // The middle of the 800 x 600 px domain, in m
+            expect(simulation.getParticle(i)).toMatchObject({ x: 4, y: 3 });
+        }
+    });
+});
+
+describe('FlowSimulation headless stepping', () => {
+    test('runs without a document', () => {
+        expect(typeof document).toBe('undefined');
+
+        const simulation = new FlowSimulation(null, { seed: 1, width: 320, height: 240, solver: true });
+        simulation.run(5);
+
+        expect(simulation.time).toBe(5);
+        expect(simulation.renderer).toBeNull();
+        // Merges and breakups change the count as it runs
+        const distribution = simulation.getPhaseDistribution();
+        const total = Object.values(distribution).reduce((sum, count) => sum + count, 0);
+        expect(simulation.getParticleCount()).toBe(total);
+    });
+
+    test('step(dt) advances in fixed steps and carries the remainder', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, timeStep: 0.01 });
+
+        expect(simulation.step(0.025)).toBe(2);
+        expect(simulation.step(0.005)).toBe(1);
+        expect(simulation.time).toBe(3);
+    });
+
+    test('step(dt) caps the number of sub-steps', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, timeStep: 0.01, maxSubSteps: 3 });
+
+        expect(simulation.step(1)).toBe(3);
+        expect(simulation.step(0.005)).toBe(0);
+    });
+
+    test('step(dt) and run(n) follow the same trajectory', () => {
+        const options = { seed: 9, particleCount: 40, timeStep: 0.02 };
+        const stepped = new FlowSimulation(null, options);
+        const ran = new FlowSimulation(null, options);
+
+        for (let i = 0; i < 10; i++) {
+            stepped.step(0.01);
+        }
+        ran.run(5);
+        expect(snapshot(stepped)).toEqual(snapshot(ran));
+    });
+
+    test('attached renderers receive size and render calls', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, width: 200, height: 100 });
+        const renderer = {
+            attach: jest.fn(),
+            detach: jest.fn(),
+            resize: jest.fn(),
+            render: jest.fn()
+        };
+
+        simulation.attachRenderer(renderer);
+        simulation.render();
+        simulation.resize(300, 150);
+        simulation.detachRenderer();
+
+        expect(renderer.attach).toHaveBeenCalledWith(simulation);
+        expect(renderer.render).toHaveBeenCalledTimes(1);
+        expect(renderer.resize).toHaveBeenCalledWith(300, 150);
+        expect(renderer.detach).toHaveBeenCalled();
+    });
+});
+
+describe('FlowSimulation particle interactions', () => {
+    // A simulation holding exactly the given particles, placed in px and px/step
+    function createWith(particles, options = {}) {
+        const simulation = new FlowSimulation(null, { seed: 1, particleCount: particles.length, width: 200, height: 200, ...options });
+        const p = simulation.particles;
+        p.clear();
+        particles.forEach(({ x, y, vx, vy, baseSize, ...values }) => {
+            simulation.setPhaseProperties(p.add({
+                density: 1,
+                life: 1,
+                maxLife: 100,
+                ...values,
+                x: simulation.toMetres(x),
+                y: simulation.toMetres(y),
+                vx: simulation.toMetresPerSecond(vx),
+                vy: simulation.toMetresPerSecond(vy),
+                baseSize: simulation.toMetres(baseSize)
+            }));
+        });
+        return simulation;
+    }
+
+    // Mass, momentum and kinetic energy in px and px/step
+    function totals(simulation) {
+        const p = simulation.particles;
+        const result = { mass: 0, px: 0, py: 0, energy: 0 };
+        for (let i = 0; i < p.count; i++) {
+            const mass = simulation.getParticleMass(i) / simulation.toMetres(1) ** 2;
+            const vx = simulation.toPixelsPerStep(p.vx[i]);
+            const vy = simulation.toPixelsPerStep(p.vy[i]);
+            result.mass += mass;
+            result.px += mass * vx;
+            result.py += mass * vy;
+            result.energy += 0.5 * mass * (vx * vx + vy * vy);
+        }
+        return result;
+    }
+
+    test('touching particles of the same phase merge, conserving mass and momentum', () => {
+        const simulation = createWith([
+            { x: 100, y: 100, vx: 1, vy: 0, baseSize: 5, phase: 'liquid' },
+            { x: 104, y: 100, vx: -0.5, vy: 0.5, baseSize: 3, phase: 'liquid', density: 0.6 }
+        ], { breakup: false });
+        const before = totals(simulation);
+
+        simulation.interactParticles();
+        const after = totals(simulation);
+
+        expect(simulation.getPhaseDistribution()).toEqual({ liquid: 1 });
+        expect(after.mass).toBeCloseTo(before.mass, 3);
+        expect(after.px).toBeCloseTo(before.px, 3);
+        expect(after.py).toBeCloseTo(before.py, 3);
+    });
+
+    test('particles of different phases collide elastically', () => {
+        const simulation = createWith([
+            { x: 100, y: 100, vx: 1, vy: 0.2, baseSize: 5, phase: 'liquid' },
+            { x: 107, y: 101, vx: -1, vy: 0, baseSize: 4, phase: 'gas', density: 0.5 }
+        ], { breakup: false });
+        const before = totals(simulation);
+
+        simulation.interactParticles();
+        const after = totals(simulation);
+        const p = simulation.particles;
+
+        expect(simulation.getPhaseDistribution()).toEqual({ liquid: 1, gas: 1 });
+        expect(after.px).toBeCloseTo(before.px, 4);
+        expect(after.py).toBeCloseTo(before.py, 4);
+        expect(after.energy).toBeCloseTo(before.energy, 4);
+        // Now separating and no longer overlapping
+        expect((p.vx[1] - p.vx[0]) * (p.x[1] - p.x[0]) + (p.vy[1] - p.vy[0]) * (p.y[1] - p.y[0])).toBeGreaterThan(0);
+        expect(simulation.toPixels(Math.hypot(p.x[1] - p.x[0], p.y[1] - p.y[0])))
+            .toBeCloseTo(simulation.toPixels(p.size[0] + p.size[1]), 3);
+    });
+
+    test('large fast particles break up above the critical Weber number', () => {
+        const simulation = createWith([
+            { x: 100, y: 100, vx: 5, vy: 0, baseSize: 10, phase: 'liquid' },
+            { x: 20, y: 20, vx: 0.5, vy: 0, baseSize: 3, phase: 'liquid' }
+        ], { coalescence: false });
+        const before = totals(simulation);
+
+        expect(simulation.getWeberNumber(0)).toBeGreaterThan(12);
+        expect(simulation.getWeberNumber(1)).toBeLessThan(12);
+
+        simulation.interactParticles();
+        const after = totals(simulation);
+
+        expect(simulation.getPhaseDistribution()).toEqual({ liquid: 3 });
+        expect(simulation.toPixels(simulation.particles.size[0])).toBeCloseTo(simulation.toPixels(simulation.particles.size[2]), 5);
+        expect(after.mass).toBeCloseTo(before.mass, 3);
+        expect(after.px).toBeCloseTo(before.px, 3);
+        expect(after.py).toBeCloseTo(before.py, 3);
+    });
+
+    test.each([
+        ['without', false],
+        ['with', { cellSize: 20 }]
+    ])('keeps the default population at particleCount %s the solver', (name, solver) => {
+        const simulation = new FlowSimulation(null, { seed: 3, particleCount: 1000, solver });
+        for (let n = 0; n < 10; n++) {
+            simulation.run(6);
+            expect(simulation.getParticleCount()).toBeGreaterThanOrEqual(1000);
+            expect(simulation.getParticleCount()).toBeLessThan(1100);
+        }
+    });
+
+    test('samples the fluid for the Weber number without allocating', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, particleCount: 5, solver: { cellSize: 20 } });
+        const sample = jest.spyOn(simulation.solver, 'sampleVelocity');
+
+        simulation.getWeberNumber(0);
+        expect(sample).toHaveBeenCalledTimes(5);
+        sample.mock.calls.forEach((call, n) => expect(call[2]).toBe(simulation.weberSamples[n]));
+    });
+
+    test('interactions can be switched off', () => {
+        const simulation = createWith([
+            { x: 100, y: 100, vx: 5, vy: 0, baseSize: 10, phase: 'liquid' },
+            { x: 104, y: 100, vx: 0, vy: 0, baseSize: 3, phase: 'liquid' }
+        ], { coalescence: false, breakup: false, collisions: false });
+
+        simulation.interactParticles();
+        expect(simulation.getParticleCount()).toBe(2);
+        expect(simulation.particles.x[1]).toBe(Math.fround(simulation.toMetres(104)));
+    });
+});
+
+describe('FlowSimulation in a container', () => {
+    beforeAll(installMockDom);
+
+    afterAll(() => {
+        delete global.document;
+        delete global.window;
+        delete global.requestAnimationFrame;
+        delete global.cancelAnimationFrame;
+    });
+
+    test('sizes to the container and attaches a canvas renderer', () => {
+        const container = createMockContainer(400, 300);
+        const simulation = new FlowSimulation(container, { seed: 1 });
+
+        expect(simulation.width).toBe(400);
+        expect(simulation.height).toBe(300);
+        expect(simulation.renderer).toBeInstanceOf(require('../assets/js/canvas-renderer'));
+        expect(simulation.canvas.width).toBe(400);
+        expect(container.children).toContain(simulation.canvas);
+    });
+
+    test('gives every instance its own control ids', () => {
+        const first = new FlowSimulation(createMockContainer(), { seed: 1 });
+        const second = new FlowSimulation(createMockContainer(), { seed: 1 });
+
+        expect(first.instanceId).not.toBe(second.instanceId);
+        expect(first.controls.innerHTML).toContain(`id="${first.instanceId}-flowSpeed"`);
+        expect(first.controls.innerHTML).toContain(`for="${first.instanceId}-flowSpeed"`);
+        expect(second.controls.innerHTML).not.toContain(first.instanceId);
+        expect(first.controls.innerHTML).not.toMatch(/id="(flowSpeed|startSim)"/);
+    });
+
+    test('starts with the defaults when the scenario link is broken', () => {
+        window.location = { hash: '#scenario=%%%' };
+        const onError = jest.fn();
+        let simulation;
+        expect(() => {
+            simulation = new FlowSimulation(createMockContainer(), { seed: 1, urlState: true, onError });
+        }).not.toThrow();
+
+        expect(simulation.getSeed()).toBe(1);
+        expect(simulation.options.fluid).toBe('water');
+        expect(onError).toHaveBeenCalledTimes(1);
+        delete window.location;
+    });
+
+    test('can leave the control panel out', () => {
+        const container = createMockContainer();
+        const simulation = new FlowSimulation(container, { seed: 1, controls: false });
+
+        expect(simulation.controls).toBeNull();
+        expect(container.children).toEqual([simulation.canvas]);
+        expect(() => simulation.syncControls()).not.toThrow();
+    });
+
+    test('follows the container size through a ResizeObserver', () => {
+        const observers = [];
+        global.ResizeObserver = class {
+            constructor(callback) {
+                this.callback = callback;
+                this.observe = jest.fn();
+                this.disconnect = jest.fn();
+                observers.push(this);
+            }
+        };
+        const container = createMockContainer(400, 300);
+        const simulation = new FlowSimulation(container, { seed: 1, solver: { cellSize: 10 } });
+        const [observer] = observers;
+        expect(observer.observe).toHaveBeenCalledWith(container);
+
+        container.offsetWidth = 200;
+        observer.callback();
+        expect(simulation.width).toBe(200);
+        expect(simulation.solver.width).toBe(200);
+
+        simulation.destroy();
+        expect(observer.disconnect).toHaveBeenCalled();
+        delete global.ResizeObserver;
+    });
+
+    test('removes its elements and listeners on destroy', () => {
+        const container = createMockContainer();
+        window.addEventListener = jest.fn();
+        window.removeEventListener = jest.fn();
+        const simulation = new FlowSimulation(container, { seed: 1 });
+        const [[type, onResize]] = window.addEventListener.mock.calls;
+        const plugin = { name: 'probe', uninstall: jest.fn() };
+        simulation.use(plugin).on('step', () => {});
+        simulation.requestFrame = () => 1;
+        simulation.start();
+
+        simulation.destroy();
+        expect(simulation.isRunning).toBe(false);
+        expect(container.children).toHaveLength(0);
+        expect(simulation.renderer).toBeNull();
+        expect(window.removeEventListener).toHaveBeenCalledWith(type, onResize);
+        expect(plugin.uninstall).toHaveBeenCalledWith(simulation);
+        expect(simulation.hasListeners('step')).toBe(false);
+    });
+});
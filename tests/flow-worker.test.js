@@ -0,0 +1,307 @@
+const { installMockDom, createMockContainer } = require('./setup');
+const { FlowWorkerHost, WORKER_PARTICLE_STRIDE } = require('../assets/js/flow-worker');
+const WorkerFlowSimulation = require('../assets/js/flow-worker-client');
+
+function createHost() {
+    const messages = [];
+    const host = new FlowWorkerHost((message, transfer) => messages.push({ message, transfer }));
+    return { host, messages };
+}
+
+describe('FlowWorkerHost', () => {
+    test('posts packed particle state as a transferable buffer', () => {
+        const { host, messages } = createHost();
+        host.handleMessage({ type: 'init', options: { seed: 5, particleCount: 20 }, width: 200, height: 100 });
+
+        const { message, transfer } = messages[0];
+        expect(message.type).toBe('state');
+        expect(message.particleCount).toBe(20);
+        expect(message.particles).toBeInstanceOf(Float32Array);
+        expect(message.particles.length).toBe(20 * WORKER_PARTICLE_STRIDE);
+        expect(transfer).toEqual([message.particles.buffer]);
+        expect(message.particles[0]).toBe(host.simulation.particles.x[0]);
+        expect(message.diagnostics).toEqual(host.simulation.getDiagnostics());
+        expect(message.sizeHistogram).toEqual(host.simulation.getSizeHistogram());
+        expect(message.conservation).toEqual(host.simulation.getConservation());
+    });
+
+    test('forwards whitelisted calls to the simulation and answers each one', () => {
+        const { host, messages } = createHost();
+        host.handleMessage({ type: 'init', options: { seed: 5 }, width: 200, height: 100 });
+        messages.length = 0;
+        host.handleMessage({ type: 'call', id: 1, method: 'setTemperature', args: [400] });
+        host.handleMessage({ type: 'call', id: 2, method: 'addProbe', args: [1, 0.5, { id: 7 }] });
+
+        expect(host.simulation.options.temperature).toBe(400);
+        // The state showing the change goes first
+        expect(messages.map(({ message }) => message.type)).toEqual(['state', 'result', 'state', 'result']);
+        expect(messages[1].message).toEqual({ type: 'result', id: 1, result: undefined });
+        expect(messages[3].message).toEqual({ type: 'result', id: 2, result: 7 });
+    });
+
+    test('posts the errors of calls back instead of throwing', () => {
+        const { host, messages } = createHost();
+        host.handleMessage({ type: 'init', options: { seed: 5 }, width: 200, height: 100 });
+        messages.length = 0;
+
+        expect(() => host.handleMessage({ type: 'call', id: 3, method: 'createParticles' })).not.toThrow();
+        host.handleMessage({ type: 'call', id: 4, method: 'setBoundaries', args: [{ left: 'sticky' }] });
+
+        expect(messages.map(({ message }) => message)).toEqual([
+            { type: 'error', id: 3, message: 'FlowSimulation method not available in worker: createParticles' },
+            { type: 'error', id: 4, message: 'Unknown boundary type for left edge: sticky' }
+        ]);
+    });
+
+    test('reuses recycled buffers', () => {
+        const { host, messages } = createHost();
+        host.handleMessage({ type: 'init', options: { seed: 5, particleCount: 10 }, width: 200, height: 100 });
+        const first = messages[0].message.particles.buffer;
+
+        host.handleMessage({ type: 'recycle', buffer: first });
+        host.handleMessage({ type: 'call', method: 'setFlowSpeed', args: [2] });
+        expect(messages[1].message.particles.buffer).toBe(first);
+    });
+
+    test('sends the statistics only every statsInterval ms while running', () => {
+        const { host, messages } = createHost();
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+        host.handleMessage({ type: 'init', options: { seed: 5, particleCount: 10, statsInterval: 200 }, width: 200, height: 100 });
+        host.simulation.requestFrame = () => 1;
+        host.simulation.cancelFrame = () => {};
+        const conservation = jest.spyOn(host.simulation, 'getConservation');
+
+        host.handleMessage({ type: 'start' });
+        now.mockReturnValue(1100);
+        host.frame(16);
+        now.mockReturnValue(1250);
+        host.frame(32);
+        host.handleMessage({ type: 'stop' });
+        now.mockRestore();
+
+        const stats = messages.map(({ message }) => message.diagnostics !== undefined);
+        expect(stats).toEqual([true, false, false, true, true]);
+        expect(conservation).toHaveBeenCalledTimes(2);
+        expect(messages[1].message.particles).toBeInstanceOf(Float32Array);
+        expect(host.simulation.options).not.toHaveProperty('statsInterval');
+    });
+
+    test('forwards the events the client listens for with the next state', () => {
+        const { host, messages } = createHost();
+        host.handleMessage({ type: 'init', options: { seed: 5, particleCount: 10 }, width: 200, height: 100 });
+        host.handleMessage({ type: 'listen', events: ['step'] });
+        host.simulation.run(2);
+        host.handleMessage({ type: 'call', method: 'setFlowSpeed', args: [2] });
+
+        expect(messages[0].message.events).toBeUndefined();
+        expect(messages[1].message.events).toEqual([
+            { type: 'step', step: 1, time: 1 / 60 },
+            { type: 'step', step: 2, time: 2 / 60 }
+        ]);
+
+        host.handleMessage({ type: 'listen', events: [] });
+        host.simulation.run(2);
+        host.handleMessage({ type: 'call', method: 'setFlowSpeed', args: [1] });
+        expect(messages[2].message.events).toBeUndefined();
+        expect(host.simulation.hasListeners('step')).toBe(false);
+    });
+
+    test('matches a main-thread simulation with the same seed', () => {
+        const FlowSimulation = require('../assets/js/flow-simulation');
+        const { host } = createHost();
+        const options = { seed: 11, particleCount: 15 };
+        host.handleMessage({ type: 'init', options, width: 300, height: 200 });
+        const local = new FlowSimulation(null, { ...options, width: 300, height: 200 });
+
+        host.simulation.run(10);
+        local.run(10);
+        expect(host.simulation.getPhaseDistribution()).toEqual(local.getPhaseDistribution());
+        expect(host.simulation.particles.x).toEqual(local.particles.x);
+    });
+});
+
+describe('WorkerFlowSimulation', () => {
+    let worker;
+
+    beforeAll(() => {
+        installMockDom();
+        global.Worker = jest.fn(function(url) {
+            this.url = url;
+            this.postMessage = jest.fn();
+            this.terminate = jest.fn();
+            worker = this;
+        });
+    });
+
+    afterAll(() => {
+        delete global.document;
+        delete global.window;
+        delete global.Worker;
+    });
+
+    function createClient(options = {}) {
+        return new WorkerFlowSimulation(createMockContainer(320, 240), options);
+    }
+
+    test('transfers an offscreen canvas to the worker on init', () => {
+        createClient({ seed: 3, prng: () => Math.random });
+
+        const [message, transfer] = worker.postMessage.mock.calls[0];
+        expect(message.type).toBe('init');
+        expect(message.width).toBe(320);
+        expect(message.options.seed).toBe(3);
+        expect(message.options.prng).toBeUndefined();
+        expect(transfer).toEqual([message.canvas]);
+    });
+
+    test('keeps the FlowSimulation API by messaging the worker', () => {
+        const client = createClient();
+        client.start();
+        client.setTemperature(380);
+        client.stop();
+
+        const types = worker.postMessage.mock.calls.map(([message]) => message.type);
+        expect(types).toEqual(['init', 'start', 'call', 'stop']);
+        expect(worker.postMessage.mock.calls[2][0]).toEqual({ type: 'call', id: expect.any(Number), method: 'setTemperature', args: [380] });
+    });
+
+    test('names probes and injectors before the worker creates them', () => {
+        const client = createClient();
+        const probe = client.addProbe(10, 20);
+        const injector = client.addInjector({ x: 5, y: 5, phase: 'vapor' });
+
+        expect(injector).not.toBe(probe);
+        const calls = worker.postMessage.mock.calls.map(([message]) => message).filter(message => message.type === 'call');
+        expect(calls).toEqual([
+            { type: 'call', id: expect.any(Number), method: 'addProbe', args: [10, 20, { id: probe }] },
+            { type: 'call', id: expect.any(Number), method: 'addInjector', args: [{ x: 5, y: 5, phase: 'vapor', id: injector }] }
+        ]);
+    });
+
+    test('settles each call with the result or the error the worker sends back', async () => {
+        const client = createClient();
+        const applied = client.setTemperature(380);
+        const failed = client.setFluid('mercury');
+        const [first, second] = worker.postMessage.mock.calls.map(([message]) => message).filter(message => message.type === 'call');
+        expect(first.id).not.toBe(second.id);
+
+        client.handleMessage({ type: 'error', id: second.id, message: 'Unknown fluid: mercury' });
+        client.handleMessage({ type: 'result', id: first.id });
+        await expect(applied).resolves.toBeUndefined();
+        await expect(failed).rejects.toThrow('Unknown fluid: mercury');
+        expect(client.pendingCalls.size).toBe(0);
+    });
+
+    test('changes boundaries and obstacles in the worker and keeps them for export', async () => {
+        const { host } = createHost();
+        const client = createClient({ seed: 2, particleCount: 10 });
+        const { canvas, ...init } = worker.postMessage.mock.calls[0][0];
+        // Connect the client to a real host in place of the worker, which
+        // has no use for the mock canvas
+        host.post = message => client.handleMessage(message);
+        worker.postMessage.mockImplementation(message => host.handleMessage(message));
+        host.handleMessage(init);
+
+        await client.setBoundaries({ top: 'wall', bottom: 'wall' });
+        await client.setObstacles([{ type: 'circle', x: 100, y: 60, radius: 15 }]);
+        await client.addObstacle({ type: 'rect', x: 10, y: 10, width: 20, height: 20 });
+
+        expect(host.simulation.boundaries.top.type).toBe('wall');
+        expect(host.simulation.obstacles.map(obstacle => obstacle.type)).toEqual(['circle', 'rect']);
+        const scenario = client.exportScenario();
+        expect(scenario.boundaries).toEqual({ top: 'wall', bottom: 'wall' });
+        expect(scenario.obstacles).toEqual([
+            { type: 'circle', x: 100, y: 60, radius: 15 },
+            { type: 'rect', x: 10, y: 10, width: 20, height: 20 }
+        ]);
+
+        await expect(client.setBoundaries({ left: 'wall' }))
+            .rejects.toThrow('Periodic boundaries must be set on both the left and right edges');
+        worker.postMessage.mockReset();
+    });
+
+    test('answers getters from the latest worker state and recycles old buffers', () => {
+        const client = createClient();
+        const first = new Float32Array(8);
+        const second = new Float32Array(8);
+
+        client.handleMessage({ type: 'state', particles: first, particleCount: 2, distribution: { gas: 2 }, time: 1, seed: 4 });
+        client.handleMessage({ type: 'state', particles: second, particleCount: 2, distribution: { liquid: 2 }, diagnostics: {}, time: 2, seed: 4, conservation: { units: { mass: 'kg', energy: 'J' } } });
+
+        expect(client.getPhaseDistribution()).toEqual({ liquid: 2 });
+        expect(client.getParticleCount()).toBe(2);
+        expect(client.getParticleData()).toBe(second);
+        expect(client.getSeed()).toBe(4);
+        expect(client.getConservation().units.mass).toBe('kg');
+
+        // Without statistics the last ones stand
+        client.handleMessage({ type: 'state', particles: new Float32Array(8), particleCount: 2, time: 3, seed: 4 });
+        expect(client.getPhaseDistribution()).toEqual({ liquid: 2 });
+        expect(client.getConservation().units.mass).toBe('kg');
+        expect(client.time).toBe(3);
+
+        const recycle = worker.postMessage.mock.calls.find(([message]) => message.type === 'recycle');
+        expect(recycle[0].buffer).toBe(first.buffer);
+    });
+
+    test('asks the worker for the events it has listeners for', () => {
+        const client = createClient();
+        const steps = [];
+        const onStep = event => steps.push(event);
+        const listens = () => worker.postMessage.mock.calls.map(([message]) => message).filter(message => message.type === 'listen');
+
+        client.on('step', onStep);
+        client.on('step', () => {});
+        client.once('phaseChange', () => {});
+        client.on('start', () => {});
+        expect(listens()).toEqual([
+            { type: 'listen', events: ['step'] },
+            { type: 'listen', events: ['phaseChange', 'step'] }
+        ]);
+
+        client.handleMessage({
+            type: 'state',
+            particles: new Float32Array(0),
+            particleCount: 0,
+            time: 2,
+            seed: 1,
+            events: [{ type: 'step', step: 1, time: 1 / 60 }, { type: 'phaseChange', cause: 'evaporation' }, { type: 'step', step: 2, time: 2 / 60 }]
+        });
+        expect(steps).toEqual([
+            { type: 'step', simulation: client, step: 1, time: 1 / 60 },
+            { type: 'step', simulation: client, step: 2, time: 2 / 60 }
+        ]);
+
+        // The once listener is gone, so the worker stops forwarding phase changes
+        expect(listens()[2]).toEqual({ type: 'listen', events: ['step'] });
+    });
+
+    test('emits start and stop itself', () => {
+        const client = createClient();
+        const events = [];
+        client.on('start', event => events.push(event.type)).on('stop', event => events.push(event.type));
+
+        client.start();
+        client.start();
+        client.stop();
+        client.stop();
+
+        expect(events).toEqual(['start', 'stop']);
+        expect(worker.postMessage.mock.calls.some(([message]) => message.type === 'listen')).toBe(false);
+    });
+
+    test('says plugins need the main thread', () => {
+        const client = createClient();
+        expect(() => client.use({ name: 'probe' })).toThrow('Plugin probe cannot be used in worker mode');
+    });
+
+    test('scopes its controls and terminates the worker on destroy', () => {
+        const container = createMockContainer(320, 240);
+        const client = new WorkerFlowSimulation(container);
+        expect(client.controls.innerHTML).toContain(`id="${client.instanceId}-turbulence"`);
+
+        client.destroy();
+        expect(worker.terminate).toHaveBeenCalled();
+        expect(container.children).toHaveLength(0);
+    });
+});
@@ -0,0 +1,175 @@
+const FluidProperties = require('../assets/js/fluid-properties');
+const FlowSimulation = require('../assets/js/flow-simulation');
+
+describe('FluidProperties', () => {
+    test('boils each fluid at its normal boiling point', () => {
+        // The fit is good to about half a kelvin at its upper end
+        expect(Math.abs(FluidProperties.saturationTemperature('water', 101325) - 373.15)).toBeLessThan(1);
+        expect(FluidProperties.saturationTemperature('r134a', 101325)).toBeCloseTo(247.08, 5);
+        expect(FluidProperties.saturationTemperature('nitrogen', 101325)).toBeCloseTo(77.3, 0);
+    });
+
+    test('has saturation pressure and temperature as inverses', () => {
+        ['water', 'r134a', 'nitrogen'].forEach(name => {
+            [20000, 101325, 500000].forEach(pressure => {
+                const temperature = FluidProperties.saturationTemperature(name, pressure);
+                expect(FluidProperties.saturationPressure(name, temperature) / pressure).toBeCloseTo(1, 6);
+            });
+        });
+    });
+
+    test('raises the saturation temperature with pressure', () => {
+        const low = FluidProperties.saturationTemperature('water', 50000);
+        const high = FluidProperties.saturationTemperature('water', 200000);
+        expect(low).toBeLessThan(373);
+        expect(high).toBeGreaterThan(373);
+        expect(FluidProperties.saturationPressure('water', 293.15)).toBeCloseTo(2339, -2);
+    });
+
+    test('stops at the critical point', () => {
+        expect(FluidProperties.saturationTemperature('water', 30e6)).toBe(647.1);
+        expect(FluidProperties.saturationTemperature('r134a', 4.059e6)).toBe(374.21);
+    });
+
+    test('names an unknown fluid', () => {
+        expect(() => FluidProperties.get('mercury')).toThrow('Unknown fluid: mercury');
+        expect(() => FluidProperties.saturationTemperature('mercury', 101325)).toThrow('Unknown fluid: mercury');
+    });
+
+    test('checks a registered fluid for its properties and a saturation fit', () => {
+        const ethanol = {
+            name: 'Ethanol',
+            antoine: { A: 10.2418, B: 1598.673, C: -46.424 },
+            latentHeat: 8.46e5,
+            cpLiquid: 2440,
+            cpVapor: 1420,
+            liquidDensity: 789,
+            criticalTemperature: 514,
+            criticalPressure: 6.137e6
+        };
+        const { latentHeat, ...withoutLatentHeat } = ethanol;
+        const { antoine, ...withoutFit } = ethanol;
+
+        expect(() => FluidProperties.register('ethanol', withoutLatentHeat)).toThrow('Fluid ethanol is missing latentHeat');
+        expect(() => FluidProperties.register('ethanol', withoutFit))
+            .toThrow('Fluid ethanol needs an Antoine fit or a Clausius-Clapeyron reference with molarMass');
+
+        try {
+            expect(FluidProperties.register('ethanol', ethanol)).toBe(ethanol);
+            expect(FluidProperties.saturationTemperature('ethanol', 101325)).toBeCloseTo(351.4, 0);
+        } finally {
+            delete FluidProperties.fluids.ethanol;
+        }
+    });
+});
+
+describe('FlowSimulation phase change', () => {
+    function liquid(options = {}) {
+        const simulation = new FlowSimulation(null, {
+            seed: 1,
+            particleCount: 2,
+            phaseTypes: ['liquid', 'vapor'],
+            ...options
+        });
+        const p = simulation.particles;
+        for (let i = 0; i < p.count; i++) {
+            simulation.setPhase(i, 1);
+            p.quality[i] = 0;
+            p.cavity[i] = 0;
+        }
+        return simulation;
+    }
+
+    test('follows the pressure and the fluid to their saturation temperature', () => {
+        const simulation = liquid();
+        expect(simulation.saturationTemperature).toBe(FluidProperties.saturationTemperature('water', 101325));
+
+        simulation.setPressure(200000);
+        expect(simulation.saturationTemperature).toBeCloseTo(FluidProperties.saturationTemperature('water', 200000));
+
+        simulation.setFluid('r134a');
+        expect(simulation.saturationTemperature).toBeCloseTo(FluidProperties.saturationTemperature('r134a', 200000));
+        expect(() => simulation.setFluid('mercury')).toThrow('Unknown fluid: mercury');
+        expect(simulation.options.fluid).toBe('r134a');
+    });
+
+    test('turns superheat into latent heat while boiling', () => {
+        const simulation = liquid();
+        const p = simulation.particles;
+        const saturation = simulation.saturationTemperature;
+        p.temperature[0] = saturation + 10;
+
+        simulation.checkPhaseChange(0);
+
+        expect(p.temperature[0]).toBe(saturation);
+        expect(p.quality[0]).toBeCloseTo(4186 * 10 / 2.257e6);
+        expect(p.phase[0]).toBe(1);
+    });
+
+    test('evaporates fully and superheats the vapor with what is left over', () => {
+        const simulation = liquid();
+        const p = simulation.particles;
+        const events = [];
+        simulation.on('phaseChange', event => events.push(event));
+        const saturation = simulation.saturationTemperature;
+        p.quality[0] = 0.999;
+        p.temperature[0] = saturation + 1;
+
+        simulation.checkPhaseChange(0);
+
+        expect(p.phase[0]).toBe(2);
+        expect(p.quality[0]).toBe(1);
+        const leftOver = 4186 * 1 / 2.257e6 - 0.001;
+        expect(p.temperature[0]).toBeCloseTo(saturation + leftOver * 2.257e6 / 2010);
+        expect(simulation.phaseChanges.evaporation).toBe(1);
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ index: 0, from: 'liquid', to: 'vapor', cause: 'evaporation' });
+    });
+
+    test('condenses vapor below saturation', () => {
+        const simulation = liquid();
+        const p = simulation.particles;
+        const saturation = simulation.saturationTemperature;
+        simulation.setPhase(0, 2);
+        p.quality[0] = 1;
+        p.temperature[0] = saturation - 5;
+
+        simulation.checkPhaseChange(0);
+
+        expect(p.temperature[0]).toBe(saturation);
+        expect(p.quality[0]).toBeCloseTo(1 - 2010 * 5 / 2.257e6);
+        expect(p.phase[0]).toBe(2);
+    });
+
+    test('leaves subcooled liquid alone', () => {
+        const simulation = liquid();
+        const p = simulation.particles;
+        p.temperature[0] = 300;
+
+        simulation.checkPhaseChange(0);
+
+        expect([p.temperature[0], p.quality[0], p.phase[0]]).toEqual([300, 0, 1]);
+    });
+
+    test('passes heat between neighbours without creating any', () => {
+        const simulation = liquid({ temperature: 320, heatExchangeRadius: 30 });
+        const p = simulation.particles;
+        p.x[0] = 100;
+        p.y[0] = 100;
+        p.x[1] = 110;
+        p.y[1] = 100;
+        p.temperature[0] = 300;
+        p.temperature[1] = 340;
+        const capacity = i => p.density[i] * p.size[i] * p.size[i] * simulation.getHeatCapacity(i);
+        const before = capacity(0) * p.temperature[0] + capacity(1) * p.temperature[1];
+
+        simulation.exchangeHeat();
+
+        expect(p.temperature[0]).toBeGreaterThan(300);
+        expect(p.temperature[1]).toBeLessThan(340);
+        // Undo the pull towards the surroundings, which follows the exchange
+        const total = capacity(0) + capacity(1);
+        const after = capacity(0) * p.temperature[0] + capacity(1) * p.temperature[1];
+        expect((after - 0.02 * 320 * total) / 0.98).toBeCloseTo(before, 6);
+    });
+});
@@ -0,0 +1,147 @@
+const FluidSolver = require('../assets/js/fluid-solver');
+const FlowSimulation = require('../assets/js/flow-simulation');
+
+// Largest central-difference divergence over the fluid cells
+function maxDivergence(solver) {
+    const stride = solver.nx + 2;
+    let max = 0;
+    for (let j = 1; j <= solver.ny; j++) {
+        for (let i = 1; i <= solver.nx; i++) {
+            const k = solver.index(i, j);
+            if (solver.solid[k]) continue;
+            const divergence = 0.5 * (solver.u[k + 1] - solver.u[k - 1] + solver.v[k + stride] - solver.v[k - stride]);
+            max = Math.max(max, Math.abs(divergence));
+        }
+    }
+    return max;
+}
+
+describe('FluidSolver', () => {
+    test('sizes its grid from the cell size', () => {
+        const solver = new FluidSolver(200, 100, { cellSize: 10 });
+        expect([solver.nx, solver.ny]).toEqual([20, 10]);
+        expect(solver.u.length).toBe(22 * 12);
+
+        solver.resize(95, 41);
+        expect([solver.nx, solver.ny]).toEqual([10, 5]);
+        expect(solver.cellAt(-5, 500)).toEqual({ i: 1, j: 5 });
+    });
+
+    test('projects away the divergence of a field', () => {
+        const walls = { left: 'wall', right: 'wall', top: 'wall', bottom: 'wall' };
+        const solver = new FluidSolver(200, 200, { cellSize: 10, iterations: 40, boundaries: walls });
+        // A smooth source: everything pushed outwards from the centre
+        for (let j = 1; j <= solver.ny; j++) {
+            for (let i = 1; i <= solver.nx; i++) {
+                const x = (i - 10.5) / 10;
+                const y = (j - 10.5) / 10;
+                const weight = Math.exp(-4 * (x * x + y * y));
+                solver.u[solver.index(i, j)] = x * weight;
+                solver.v[solver.index(i, j)] = y * weight;
+            }
+        }
+        const before = maxDivergence(solver);
+        solver.project(solver.u, solver.v);
+
+        expect(maxDivergence(solver)).toBeLessThan(0.15 * before);
+    });
+
+    test('turns a uniform force in a periodic box into uniform flow', () => {
+        const solver = new FluidSolver(100, 100, { cellSize: 10, dissipation: 1 });
+        solver.addUniformForce(0.5, 0);
+        solver.step(1);
+
+        const mean = solver.getMeanVelocity();
+        expect(mean.x).toBeCloseTo(0.5, 5);
+        expect(mean.y).toBeCloseTo(0, 5);
+        expect(solver.sampleVelocity(13, 77).x).toBeCloseTo(0.5, 5);
+    });
+
+    test('diffuses a velocity spike into its neighbours', () => {
+        const solver = new FluidSolver(100, 100, { cellSize: 10, viscosity: 20 });
+        solver.addForce(55, 55, 0, 4);
+        solver.step(1);
+
+        const centre = solver.v[solver.index(6, 6)];
+        const neighbour = solver.v[solver.index(7, 6)];
+        expect(centre).toBeLessThan(4);
+        expect(Math.abs(neighbour)).toBeGreaterThan(0);
+    });
+
+    test('interpolates bilinearly between cell centres', () => {
+        const solver = new FluidSolver(40, 40, { cellSize: 10, boundaries: { left: 'wall', right: 'wall', top: 'wall', bottom: 'wall' } });
+        for (let j = 0; j <= solver.ny + 1; j++) {
+            for (let i = 0; i <= solver.nx + 1; i++) {
+                solver.u[solver.index(i, j)] = 2 * i + j;
+            }
+        }
+        expect(solver.sampleField(solver.u, 1.5, 2.25)).toBeCloseTo(2 * 1.5 + 2.25);
+        expect(solver.sampleVelocity(15, 25).x).toBeCloseTo(2 * 2 + 3);
+    });
+
+    test('drives a channel from its inlet and slows the flow at the walls', () => {
+        const solver = new FluidSolver(200, 100, {
+            cellSize: 10,
+            boundaries: { left: { type: 'inlet', velocity: 2 }, right: 'outflow', top: 'wall', bottom: 'wall' }
+        });
+        for (let n = 0; n < 200; n++) {
+            solver.step(1);
+        }
+
+        expect(solver.getMeanVelocity().x).toBeGreaterThan(0.5);
+        const centre = solver.sampleVelocity(100, 50).x;
+        expect(centre).toBeGreaterThan(solver.sampleVelocity(100, 5).x);
+        expect(centre).toBeGreaterThan(solver.sampleVelocity(100, 95).x);
+    });
+
+    test('keeps obstacle cells solid and still', () => {
+        const solver = new FluidSolver(100, 100, { cellSize: 10 });
+        solver.setObstacles([{ contains: (x, y) => x > 40 && x < 60 && y > 40 && y < 60 }]);
+        expect(solver.isSolidAt(50, 50)).toBe(true);
+        expect(solver.isSolidAt(10, 10)).toBe(false);
+
+        solver.addUniformForce(1, 0);
+        solver.step(1);
+        const k = solver.index(5, 5);
+        expect([solver.u[k], solver.v[k]]).toEqual([0, 0]);
+        expect(solver.getMeanVelocity().x).toBeGreaterThan(0);
+    });
+});
+
+describe('FlowSimulation with the grid solver', () => {
+    const SETUP = {
+        seed: 'solver',
+        particleCount: 30,
+        width: 200,
+        height: 100,
+        turbulence: 0,
+        boundaries: { left: { type: 'inlet', velocity: 2 }, right: 'outflow', top: 'wall', bottom: 'wall' }
+    };
+
+    test('is off unless asked for', () => {
+        expect(new FlowSimulation(null, SETUP).solver).toBeNull();
+        expect(new FlowSimulation(null, { ...SETUP, solver: { cellSize: 25 } }).solver.options.cellSize).toBe(25);
+    });
+
+    test('carries the particles with the solved flow', () => {
+        const simulation = new FlowSimulation(null, { ...SETUP, solver: { cellSize: 10 } });
+        simulation.run(120);
+
+        // Sampled in m and m/s at the middle of the 2 m x 1 m channel
+        const flow = simulation.getFluidVelocity(1, 0.5);
+        expect(flow.x).toBeGreaterThan(simulation.toMetresPerSecond(0.5));
+        const { vx, count } = simulation.particles;
+        expect(Array.from(vx.subarray(0, count)).reduce((sum, value) => sum + value, 0) / count)
+            .toBeGreaterThan(simulation.toMetresPerSecond(0.1));
+
+        // Arrows of drawFlowField show the solved velocity, in px
+        const arrow = simulation.getFlowVector(100, 50);
+        expect(arrow.flowX).toBeCloseTo(simulation.toPixelsPerStep(flow.x) * 10, 6);
+        expect(arrow.flowY).toBeCloseTo(simulation.toPixelsPerStep(flow.y) * 10, 6);
+    });
+
+    test('has a fluid at rest without it', () => {
+        const simulation = new FlowSimulation(null, SETUP);
+        expect(simulation.getFluidVelocity(100, 50)).toEqual({ x: 0, y: 0 });
+    });
+});
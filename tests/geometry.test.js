@@ -0,0 +1,147 @@
+const { Obstacle } = require('../assets/js/geometry');
+const FlowSimulation = require('../assets/js/flow-simulation');
+
+describe('Obstacle', () => {
+    const circle = Obstacle.create({ type: 'circle', x: 50, y: 50, radius: 10 });
+    const rect = Obstacle.create({ type: 'rect', x: 10, y: 20, width: 30, height: 10 });
+    const triangle = Obstacle.create({ type: 'polygon', points: [[0, 0], [40, 0], [0, 40]] });
+
+    test('creates shapes from plain definitions and back', () => {
+        expect(circle.toJSON()).toEqual({ type: 'circle', x: 50, y: 50, radius: 10 });
+        expect(Obstacle.create({ type: 'rectangle', x: 10, y: 20, width: 30, height: 10 }).toJSON()).toEqual(rect.toJSON());
+        expect(Obstacle.create(circle)).toBe(circle);
+        expect(() => Obstacle.create({ type: 'star' })).toThrow('Unknown obstacle type: star');
+    });
+
+    test('tells inside from outside', () => {
+        expect(circle.contains(55, 55)).toBe(true);
+        expect(circle.contains(60, 60)).toBe(false);
+        expect(rect.contains(39, 29)).toBe(true);
+        expect(rect.contains(41, 25)).toBe(false);
+        expect(triangle.contains(10, 10)).toBe(true);
+        expect(triangle.contains(30, 30)).toBe(false);
+    });
+
+    test('finds the nearest surface point with an outward normal', () => {
+        expect(circle.surface(55, 50)).toEqual({ x: 60, y: 50, nx: 1, ny: 0 });
+
+        // Inside the rectangle, out through the nearest edge
+        expect(rect.surface(20, 21)).toEqual({ x: 20, y: 20, nx: 0, ny: -1 });
+
+        const s = triangle.surface(18, 18);
+        expect(s.x + s.y).toBeCloseTo(40);
+        expect(s.nx).toBeCloseTo(Math.SQRT1_2);
+        expect(s.ny).toBeCloseTo(Math.SQRT1_2);
+    });
+
+    test('bounces a body off its surface', () => {
+        const body = { x: 58, y: 50, vx: -2, vy: 1 };
+        expect(circle.resolveCollision(body, 0.5)).toBe(true);
+
+        expect(body.x).toBeCloseTo(60.5);
+        expect(body.vx).toBeCloseTo(1);
+        expect(body.vy).toBe(1);
+        expect(circle.resolveCollision({ x: 0, y: 0, vx: 1, vy: 1 })).toBe(false);
+    });
+});
+
+// Particles are placed in m and m/s; the domains and obstacles are in px at the
+// default 0.01 m per px
+describe('FlowSimulation boundaries and obstacles', () => {
+    function place(simulation, x, y, vx, vy) {
+        const p = simulation.particles;
+        p.x[0] = x;
+        p.y[0] = y;
+        p.vx[0] = vx;
+        p.vy[0] = vy;
+        return p;
+    }
+
+    test('wraps particles around periodic edges by default', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, particleCount: 5, width: 200, height: 100 });
+        expect(Object.values(simulation.boundaries).map(edge => edge.type)).toEqual(['periodic', 'periodic', 'periodic', 'periodic']);
+
+        const p = place(simulation, 2.05, -0.03, 1, -1);
+        simulation.applyBoundaries(0);
+        expect(p.x[0]).toBeCloseTo(0.05, 6);
+        expect(p.y[0]).toBeCloseTo(0.97, 6);
+    });
+
+    test('reflects particles off walls with the restitution', () => {
+        const simulation = new FlowSimulation(null, {
+            seed: 1,
+            particleCount: 5,
+            width: 200,
+            height: 100,
+            restitution: 0.5,
+            boundaries: { top: 'wall', bottom: 'wall' }
+        });
+
+        const p = place(simulation, 0.5, 1.04, 1, 4);
+        simulation.applyBoundaries(0);
+        expect(p.y[0]).toBeCloseTo(0.96, 6);
+        expect(p.vy[0]).toBe(-2);
+        expect(p.x[0]).toBeCloseTo(0.5, 6);
+    });
+
+    test('lets particles leave through outflows and come back in at an inlet', () => {
+        const simulation = new FlowSimulation(null, {
+            seed: 1,
+            particleCount: 5,
+            width: 200,
+            height: 100,
+            boundaries: { left: { type: 'inlet', velocity: 3 }, right: 'outflow', top: 'wall', bottom: 'wall' }
+        });
+
+        const p = place(simulation, 2.03, 0.5, 2, 0);
+        simulation.applyBoundaries(0);
+        expect(p.x[0]).toBe(0);
+        expect(p.vx[0]).toBeCloseTo(simulation.toMetresPerSecond(3), 6);
+        expect(p.y[0]).toBeGreaterThanOrEqual(0);
+        expect(p.y[0]).toBeLessThanOrEqual(1);
+    });
+
+    test('checks the edges it is given', () => {
+        expect(() => new FlowSimulation(null, { boundaries: { left: 'sticky' } })).toThrow('Unknown boundary type for left edge: sticky');
+        expect(() => new FlowSimulation(null, { boundaries: { left: 'wall' } }))
+            .toThrow('Periodic boundaries must be set on both the left and right edges');
+
+        const simulation = new FlowSimulation(null, { seed: 1, boundaries: { top: 'wall', bottom: 'wall' }, solver: true });
+        simulation.setBoundaries({ left: 'inlet', right: 'outflow' });
+        expect(simulation.boundaries.top.type).toBe('wall');
+        expect(simulation.solver.boundaries.left.type).toBe('inlet');
+    });
+
+    test('keeps particles out of obstacles', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, particleCount: 5, width: 200, height: 100 });
+        simulation.addObstacle({ type: 'circle', x: 100, y: 50, radius: 20 });
+
+        const p = place(simulation, 0.85, 0.5, 3, 0);
+        simulation.applyObstacles(0);
+        expect(simulation.isInsideObstacle(simulation.toPixels(p.x[0]), simulation.toPixels(p.y[0]))).toBe(false);
+        expect(Math.hypot(p.x[0] - 1, p.y[0] - 0.5)).toBeCloseTo(0.205, 6);
+        expect(p.vx[0]).toBeLessThan(0);
+    });
+
+    test('places particles in the fluid around obstacles', () => {
+        const simulation = new FlowSimulation(null, {
+            seed: 2,
+            particleCount: 200,
+            width: 200,
+            height: 100,
+            obstacles: [{ type: 'rect', x: 50, y: 0, width: 100, height: 100 }]
+        });
+        const { x, y, count } = simulation.particles;
+        for (let i = 0; i < count; i++) {
+            expect(simulation.isInsideObstacle(simulation.toPixels(x[i]), simulation.toPixels(y[i]))).toBe(false);
+        }
+    });
+
+    test('gives the grid solver the obstacles as solid cells', () => {
+        const simulation = new FlowSimulation(null, { seed: 1, width: 200, height: 100, solver: { cellSize: 10 } });
+        simulation.setObstacles([{ type: 'rect', x: 100, y: 40, width: 20, height: 20 }]);
+
+        expect(simulation.solver.isSolidAt(110, 50)).toBe(true);
+        expect(simulation.solver.isSolidAt(50, 50)).toBe(false);
+    });
+});
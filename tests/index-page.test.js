@@ -0,0 +1,264 @@
+// index.html as the browser runs it: its site scripts in page order, in one
+// shared global scope, then the DOMContentLoaded start-up of main.js against
+// a stand-in DOM, with the contact form posting to ContactStub.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockElement } = require('./setup');
+const ContactStub = require('../scripts/contact-stub');
+
+const ROOT = path.join(__dirname, '..');
+const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+const scripts = [...html.matchAll(/<script src="(assets\/js\/[^"]+)"><\/script>/g)].map(match => match[1]);
+
+const START = 1760000000000;
+
+function element(props = {}) {
+    const el = createMockElement(props.tagName || 'div');
+    el.remove = () => {};
+    el.focus = () => {};
+    el.closest = () => null;
+    el.contains = child => el.children.includes(child);
+    return Object.assign(el, props);
+}
+
+// The contact form with its fields, as index.html marks it up
+function createForm(values) {
+    const fields = {};
+    Object.keys(values).forEach(name => {
+        const parent = element();
+        parent.querySelector = () => null;
+        fields[name] = parent.appendChild(element({ name, id: name, value: values[name] }));
+    });
+    const zone = element();
+    const attachment = zone.appendChild(element({ tagName: 'input', id: 'attachment', value: '' }));
+    const button = element({ tagName: 'button', innerHTML: 'Send Message' });
+
+    const listeners = {};
+    const form = element({
+        fields,
+        button,
+        listeners,
+        getAttribute: name => (name === 'action' ? 'api/contact.php' : null),
+        addEventListener: (type, listener) => {
+            listeners[type] = listener;
+        },
+        reset: () => {},
+        querySelector: selector => {
+            const named = /^\[name="(\w+)"\]$/.exec(selector);
+            if (named) return fields[named[1]] || null;
+            if (selector === '#name') return fields.name;
+            if (selector === '#attachment') return attachment;
+            if (selector === 'button[type="submit"]') return button;
+            return null;
+        },
+        querySelectorAll: selector => (selector === 'input, textarea, select' ? Object.values(fields) : [])
+    });
+    return form;
+}
+
+// Runs the page's scripts; the clock is in ms and moves with advance(), and
+// the visitor's is skew ms ahead of the server's. Scripts listed in omit are
+// left out, as if they failed to load.
+function loadPage({ search = '', values = {}, stubOptions = {}, skew = 0, omit = [] } = {}) {
+    const clock = { now: START };
+    const stub = new ContactStub({ now: () => clock.now, ...stubOptions });
+    const form = createForm(values);
+    const wizardSection = element();
+    const wizard = element({ closest: () => wizardSection });
+    const documentListeners = {};
+    const body = element();
+
+    const elements = {
+        '.hero': element(),
+        '.header': element(),
+        '.flow-animation': element({ offsetWidth: 400 }),
+        '#contactForm': form,
+        '#scopingWizard': wizard
+    };
+
+    const RealDate = Date;
+    class PageDate extends RealDate {
+        constructor(...args) {
+            super(...(args.length > 0 ? args : [clock.now + skew]));
+        }
+
+        static now() {
+            return clock.now + skew;
+        }
+    }
+
+    const context = vm.createContext({
+        console,
+        Date: PageDate,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        Promise,
+        setTimeout: () => 0, // timers never fire: animations stay put
+        clearTimeout: () => {},
+        setInterval: () => 0,
+        clearInterval: () => {},
+        Image: class {},
+        IntersectionObserver: class {
+            observe() {}
+        },
+        FormData: class {
+            constructor(target) {
+                this.target = target;
+            }
+
+            entries() {
+                return Object.values(this.target.fields).map(field => [field.name, field.value])[Symbol.iterator]();
+            }
+        },
+        fetch: (url, init) => stub.fetch(url, init),
+        location: { search, pathname: '/index.html', hash: '#contact' },
+        history: { replaceState: jest.fn() },
+        innerHeight: 800,
+        scrollY: 0,
+        addEventListener: () => {},
+        document: {
+            head: element(),
+            body,
+            createElement: tag => element({ tagName: tag.toUpperCase() }),
+            querySelector: selector => elements[selector] || null,
+            querySelectorAll: () => [],
+            addEventListener: (type, listener) => {
+                documentListeners[type] = listener;
+            }
+        }
+    });
+    context.window = context;
+
+    scripts.filter(src => !omit.includes(src)).forEach(src => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, src), 'utf8'), context, { filename: src });
+    });
+
+    return {
+        context,
+        stub,
+        form,
+        body,
+        wizardSection,
+        advance: ms => {
+            clock.now += ms;
+        },
+        start: () => {
+            documentListeners.DOMContentLoaded();
+            return context.multiFlowsApp;
+        }
+    };
+}
+
+describe('index.html', () => {
+    test('loads every site script it needs, each after the ones it uses', () => {
+        expect(scripts[scripts.length - 1]).toBe('assets/js/main.js');
+
+        scripts.forEach((src, index) => {
+            expect(fs.existsSync(path.join(ROOT, src))).toBe(true);
+            const source = fs.readFileSync(path.join(ROOT, src), 'utf8');
+            [...source.matchAll(/require\('\.\/([\w-]+)'\)/g)].forEach(([, dependency]) => {
+                expect(scripts.slice(0, index)).toContain(`assets/js/${dependency}.js`);
+            });
+        });
+
+        // Everything main.js looks for is on the page
+        const main = fs.readFileSync(path.join(ROOT, 'assets/js/main.js'), 'utf8');
+        const globals = new Set([...main.matchAll(/typeof ([A-Z]\w+) [!=]== 'undefined'/g)].map(match => match[1]));
+        const { context } = loadPage();
+        const missing = [...globals].filter(name => vm.runInContext(`typeof ${name}`, context) === 'undefined');
+        expect(globals.size).toBeGreaterThan(5);
+        expect(missing).toEqual([]);
+    });
+
+    test('has a field for every schema field in the contact form', () => {
+        const { context } = loadPage();
+        const form = /<form id="contactForm"[\s\S]*?<\/form>/.exec(html)[0];
+        vm.runInContext('Object.keys(ContactForm.SCHEMA.fields)', context).forEach(name => {
+            expect(form).toMatch(new RegExp(`name="${name}"`));
+        });
+        expect(form).toMatch(/action="api\/contact\.php"/);
+    });
+
+    test('sends the contact form to the endpoint from the page', async () => {
+        const page = loadPage({
+            values: {
+                name: 'Ada Lovelace',
+                email: 'ada@example.com',
+                company: '',
+                industry: 'Marine',
+                message: 'Sloshing in a ballast tank',
+                website: ''
+            }
+        });
+        const app = page.start();
+        expect(app.contactClient.options.endpoint).toBe('api/contact.php');
+        expect(page.wizardSection.hidden).toBe(false);
+
+        // The server's start token, fetched as the page opened
+        await new Promise(resolve => setImmediate(resolve));
+        expect(page.stub.startTime(app.contactStartToken, START)).toBe(START);
+
+        // Filled in at a human pace
+        page.advance(20000);
+        const submit = jest.spyOn(app, 'submitContactForm');
+        page.form.listeners.submit({ preventDefault: () => {}, target: page.form });
+        const result = await submit.mock.results[0].value;
+
+        expect(result.status).toBe('success');
+        expect(page.stub.submissions).toHaveLength(1);
+        expect(page.stub.submissions[0].data.name).toBe('Ada Lovelace');
+        expect(page.form.button.innerHTML).toContain('Message Sent!');
+    }, 20000);
+
+    test('dates the proof by the server\'s clock when the visitor\'s is off', async () => {
+        const page = loadPage({
+            values: { name: 'Ada Lovelace', email: 'ada@example.com', message: 'Sloshing in a ballast tank', website: '' },
+            skew: -3 * 3600000
+        });
+        const app = page.start();
+        await new Promise(resolve => setImmediate(resolve));
+
+        page.advance(20000);
+        const submit = jest.spyOn(app, 'submitContactForm');
+        page.form.listeners.submit({ preventDefault: () => {}, target: page.form });
+
+        expect((await submit.mock.results[0].value).status).toBe('success');
+        expect(page.stub.submissions).toHaveLength(1);
+    }, 20000);
+
+    test('leaves the form to post itself when the contact scripts are missing', () => {
+        ['assets/js/contact-form.js', 'assets/js/contact-proof.js'].forEach(missing => {
+            const page = loadPage({ omit: [missing] });
+            const app = page.start();
+            expect(app.contactClient).toBeNull();
+
+            const preventDefault = jest.fn();
+            page.form.listeners.submit({ preventDefault, target: page.form });
+            expect(preventDefault).not.toHaveBeenCalled();
+        });
+    });
+
+    test('shows the result of a plain form post', () => {
+        const sent = loadPage({ search: '?contact=success' });
+        sent.start();
+        const notice = sent.body.children.find(child => /alert-success/.test(child.className));
+        expect(notice.innerHTML).toContain('Your message has been sent');
+        expect(sent.context.history.replaceState).toHaveBeenCalledWith(null, '', '/index.html#contact');
+
+        const failed = loadPage({ search: '?contact=error&ref=mail' });
+        failed.start();
+        expect(failed.body.children.some(child => /alert-danger/.test(child.className))).toBe(true);
+        expect(failed.context.history.replaceState).toHaveBeenCalledWith(null, '', '/index.html?ref=mail#contact');
+
+        const held = loadPage({ search: '?contact=held' });
+        held.start();
+        const heldNotice = held.body.children.find(child => /alert-success/.test(child.className));
+        expect(heldNotice.innerHTML).toContain('We will check it before we reply');
+
+        const plain = loadPage();
+        plain.start();
+        expect(plain.body.children.some(child => /alert/.test(child.className))).toBe(false);
+    });
+});
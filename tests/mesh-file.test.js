@@ -0,0 +1,86 @@
+const MeshFile = require('../assets/js/mesh-file');
+
+const encode = text => new TextEncoder().encode(text).buffer;
+
+// Binary STL of the given triangles, each [x, y, z] x 3
+function binaryStl(triangles, header = 'binary') {
+    const buffer = new ArrayBuffer(84 + triangles.length * 50);
+    const view = new DataView(buffer);
+    new Uint8Array(buffer).set(new TextEncoder().encode(header));
+    view.setUint32(80, triangles.length, true);
+    triangles.forEach((triangle, i) => {
+        triangle.flat().forEach((value, j) => view.setFloat32(84 + i * 50 + 12 + j * 4, value, true));
+    });
+    return buffer;
+}
+
+const asciiStl = `solid block
+  facet normal 0 0 1
+    outer loop
+      vertex 0 0 0
+      vertex 10 0 0
+      vertex 10 4 2.5
+    endloop
+  endfacet
+endsolid block
+`;
+
+describe('MeshFile', () => {
+    test('reads extensions', () => {
+        expect(MeshFile.extension('Riser.STL')).toBe('stl');
+        expect(MeshFile.extension('pump.v2.step')).toBe('step');
+        expect(MeshFile.extension('README')).toBe('');
+        expect(MeshFile.extension('dir.d/file')).toBe('');
+    });
+
+    test('reads ASCII STL', () => {
+        const mesh = MeshFile.parse('block.stl', encode(asciiStl));
+        expect(mesh.triangleCount).toBe(1);
+        expect(Array.from(mesh.positions)).toEqual([0, 0, 0, 10, 0, 0, 10, 4, 2.5]);
+        expect(mesh.bounds).toEqual({ min: [0, 0, 0], max: [10, 4, 2.5], size: [10, 4, 2.5] });
+    });
+
+    test('reads binary STL, even with a header starting with solid', () => {
+        const triangles = [
+            [[0, 0, 0], [1, 0, 0], [0, 2, 0]],
+            [[0, 0, 0], [0, 2, 0], [0, 0, -3]]
+        ];
+        [binaryStl(triangles), binaryStl(triangles, 'solid exported by CAD')].forEach(buffer => {
+            const mesh = MeshFile.parse('part.stl', buffer);
+            expect(mesh.triangleCount).toBe(2);
+            expect(mesh.bounds.min).toEqual([0, 0, -3]);
+            expect(mesh.bounds.size).toEqual([1, 2, 3]);
+        });
+    });
+
+    test('reads OBJ polygons as triangle fans', () => {
+        const obj = [
+            '# unit square, then a triangle by relative indices',
+            'v 0 0 0',
+            'v 1 0 0',
+            'v 1 1 0',
+            'v 0 1 0',
+            'vn 0 0 1',
+            'f 1//1 2//1 3//1 4//1',
+            'v 0 0 5',
+            'f -1 1 2'
+        ].join('\r\n');
+        const mesh = MeshFile.parse('plate.obj', encode(obj));
+        expect(mesh.triangleCount).toBe(3);
+        expect(Array.from(mesh.positions.slice(9, 18))).toEqual([0, 0, 0, 1, 1, 0, 0, 1, 0]);
+        expect(mesh.bounds.size).toEqual([1, 1, 5]);
+    });
+
+    test('rejects files it cannot read', () => {
+        expect(() => MeshFile.parse('empty.stl', encode(''))).toThrow('This is not an STL file');
+        expect(() => MeshFile.parse('broken.stl', encode('solid x\nvertex 1 2\nendsolid'))).toThrow('no readable triangles');
+        expect(() => MeshFile.parse('none.stl', binaryStl([]))).toThrow('no triangles');
+        expect(() => MeshFile.parse('faces.obj', encode('v 0 0 0\nf 1 2 3'))).toThrow('Line 2 of the OBJ file refers to a missing vertex');
+        expect(() => MeshFile.parse('points.obj', encode('v 0 0 0'))).toThrow('no faces');
+        expect(() => MeshFile.parse('pump.step', encode('ISO-10303-21;'))).toThrow('No preview for .step files');
+    });
+
+    test('formats the bounding box', () => {
+        expect(MeshFile.formatSize({ size: [120, 45.2, 1 / 3] })).toBe('120 × 45.2 × 0.3333');
+    });
+});
@@ -0,0 +1,84 @@
+const ParticleStore = require('../assets/js/particle-store');
+const SpatialHash = require('../assets/js/spatial-hash');
+
+describe('ParticleStore', () => {
+    test('adds particles and reads them back as plain objects', () => {
+        const store = new ParticleStore(4);
+        const index = store.add({ x: 10, y: 20, phase: 'liquid', temperature: 300.5 });
+
+        expect(index).toBe(0);
+        expect(store.count).toBe(1);
+        expect(store.get(0)).toMatchObject({ id: 0, x: 10, y: 20, phase: 'liquid', temperature: 300.5 });
+    });
+
+    test('grows past its initial capacity and keeps existing values', () => {
+        const store = new ParticleStore(2);
+        for (let i = 0; i < 5; i++) {
+            store.add({ x: i, phase: 'gas' });
+        }
+
+        expect(store.capacity).toBeGreaterThanOrEqual(5);
+        expect(Array.from(store.x.subarray(0, 5))).toEqual([0, 1, 2, 3, 4]);
+        expect(Array.from(store.id.subarray(0, 5))).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    test('remove moves the last particle into the gap', () => {
+        const store = new ParticleStore();
+        store.add({ x: 1, phase: 'gas' });
+        store.add({ x: 2, phase: 'liquid' });
+        store.add({ x: 3, phase: 'vapor' });
+
+        store.remove(0);
+
+        expect(store.count).toBe(2);
+        expect(store.get(0)).toMatchObject({ id: 2, x: 3, phase: 'vapor' });
+    });
+
+    test('duplicate appends a copy under a new id', () => {
+        const store = new ParticleStore(1);
+        store.add({ x: 7, vx: 2, phase: 'liquid' });
+
+        const copy = store.duplicate(0);
+
+        expect(copy).toBe(1);
+        expect(store.get(copy)).toMatchObject({ id: 1, x: 7, vx: 2, phase: 'liquid' });
+        expect(store.add({ phase: 'gas' })).toBe(2);
+        expect(store.id[2]).toBe(2);
+    });
+
+    test('counts particles by phase code', () => {
+        const store = new ParticleStore();
+        ['gas', 'liquid', 'liquid', 'vapor'].forEach(phase => store.add({ phase }));
+
+        expect(store.countByPhase()).toEqual([1, 2, 1]);
+    });
+
+    test('rejects unknown phases', () => {
+        expect(() => new ParticleStore().add({ phase: 'plasma' })).toThrow('Unknown phase');
+    });
+});
+
+describe('SpatialHash', () => {
+    const xs = new Float32Array([5, 15, 55, 95]);
+    const ys = new Float32Array([5, 5, 5, 95]);
+
+    test('forEachNear visits points in overlapping cells', () => {
+        const hash = new SpatialHash(20);
+        hash.build(4, xs, ys, 100, 100);
+
+        const found = [];
+        hash.forEachNear(10, 5, 10, index => { found.push(index); });
+
+        expect(found.sort()).toEqual([0, 1]);
+    });
+
+    test('forEachPair visits each neighbouring pair once', () => {
+        const hash = new SpatialHash(20);
+        hash.build(4, xs, ys, 100, 100);
+
+        const pairs = [];
+        hash.forEachPair((i, j) => { pairs.push([Math.min(i, j), Math.max(i, j)]); });
+
+        expect(pairs).toEqual([[0, 1]]);
+    });
+});
@@ -0,0 +1,26 @@
+const SeededRandom = require('../assets/js/random');
+
+describe('SeededRandom', () => {
+    test('mulberry32 is deterministic for a seed', () => {
+        const a = SeededRandom.mulberry32(123);
+        const b = SeededRandom.mulberry32(123);
+        const sequence = Array.from({ length: 10 }, () => a());
+
+        expect(Array.from({ length: 10 }, () => b())).toEqual(sequence);
+    });
+
+    test('values are within [0, 1)', () => {
+        const random = SeededRandom.mulberry32('bounds');
+        for (let i = 0; i < 1000; i++) {
+            const value = random();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+
+    test('string seeds hash to stable 32-bit integers', () => {
+        expect(SeededRandom.normalizeSeed('pool-boiling')).toBe(SeededRandom.normalizeSeed('pool-boiling'));
+        expect(SeededRandom.normalizeSeed('a')).not.toBe(SeededRandom.normalizeSeed('b'));
+        expect(SeededRandom.normalizeSeed(-1)).toBe(4294967295);
+    });
+});
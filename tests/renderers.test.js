@@ -0,0 +1,342 @@
+const FlowSimulation = require('../assets/js/flow-simulation');
+const CanvasRenderer = require('../assets/js/canvas-renderer');
+const WebGLRenderer = require('../assets/js/webgl-renderer');
+
+// Pixel summaries. Each scene is drawn by every backend there is and held to
+// one committed snapshot: Canvas 2D (on @napi-rs/canvas, a dev dependency
+// with prebuilt binaries) gives the snapshot and WebGL has to come within a
+// shade of it per block. WebGL needs headless-gl, an optional dependency that
+// compiles against the system's GL libraries; where it did not build, the
+// WebGL tests are skipped and say so.
+const { createCanvas } = require('@napi-rs/canvas');
+
+function optionalRequire(name) {
+    try {
+        return require(name);
+    } catch (error) {
+        return null;
+    }
+}
+
+const createGL = optionalRequire('gl');
+const webglTest = createGL ? test : test.skip;
+const WEBGL_SKIPPED = createGL ? '' : ' (skipped: the optional gl package is not installed)';
+
+const WIDTH = 160;
+const HEIGHT = 120;
+
+const CANVAS_BACKEND = {
+    name: 'canvas',
+    create: () => new CanvasRenderer(createCanvas(WIDTH, HEIGHT))
+};
+const WEBGL_BACKEND = {
+    name: 'webgl',
+    create: (options = {}) => new WebGLRenderer({ width: WIDTH, height: HEIGHT }, {
+        context: createGL(WIDTH, HEIGHT, { preserveDrawingBuffer: true }),
+        ...options
+    })
+};
+
+const SCENES = {
+    'mixed phases': { seed: 'renderer', particleCount: 60 },
+    'solver with walls and an obstacle': {
+        seed: 'renderer',
+        particleCount: 60,
+        solver: { cellSize: 10 },
+        boundaries: { left: { type: 'inlet', velocity: 2 }, right: 'outflow', top: 'wall', bottom: 'wall' },
+        obstacles: [{ type: 'circle', x: 80, y: 60, radius: 20 }]
+    },
+    boiling: { seed: 'renderer', particleCount: 60, temperature: 390, phaseTypes: ['liquid'] }
+};
+
+function renderScene(backend, options) {
+    const simulation = new FlowSimulation(null, { ...options, width: WIDTH, height: HEIGHT });
+    simulation.run(20);
+    simulation.attachRenderer(backend.create());
+    simulation.render();
+    return simulation;
+}
+
+// Mean colour of an 8x6 grid of blocks, quantised so the summary tolerates
+// rasterisation differences between drivers
+function summarize(pixels) {
+    const blockWidth = WIDTH / 8;
+    const blockHeight = HEIGHT / 6;
+    const rows = [];
+
+    for (let by = 0; by < 6; by++) {
+        const row = [];
+        for (let bx = 0; bx < 8; bx++) {
+            const sum = [0, 0, 0, 0];
+            for (let y = by * blockHeight; y < (by + 1) * blockHeight; y++) {
+                for (let x = bx * blockWidth; x < (bx + 1) * blockWidth; x++) {
+                    const k = (x + y * WIDTH) * 4;
+                    for (let c = 0; c < 4; c++) sum[c] += pixels[k + c];
+                }
+            }
+            row.push(sum.map(value => Math.round(value / (blockWidth * blockHeight) / 32).toString(16)).join(''));
+        }
+        rows.push(row.join(' '));
+    }
+    return rows;
+}
+
+// Blocks of summary more than one quantisation step from expected in any channel
+function blockDifferences(summary, expected) {
+    const differences = [];
+    summary.forEach((row, by) => {
+        row.split(' ').forEach((block, bx) => {
+            const other = expected[by].split(' ')[bx];
+            const far = [...block].some((digit, c) => Math.abs(parseInt(digit, 16) - parseInt(other[c], 16)) > 1);
+            if (far) {
+                differences.push(`${bx},${by}: ${block} instead of ${other}`);
+            }
+        });
+    });
+    return differences;
+}
+
+describe('renderer pixel summaries', () => {
+    Object.keys(SCENES).forEach(name => {
+        test(name, () => {
+            const pixels = renderScene(CANVAS_BACKEND, SCENES[name]).renderer.readPixels();
+            expect(pixels.length).toBe(WIDTH * HEIGHT * 4);
+            expect(summarize(pixels)).toMatchSnapshot();
+        });
+
+        webglTest(`${name} in WebGL comes within a shade of Canvas 2D${WEBGL_SKIPPED}`, () => {
+            const pixels = renderScene(WEBGL_BACKEND, SCENES[name]).renderer.readPixels();
+            expect(pixels.length).toBe(WIDTH * HEIGHT * 4);
+            const reference = summarize(renderScene(CANVAS_BACKEND, SCENES[name]).renderer.readPixels());
+            expect(blockDifferences(summarize(pixels), reference)).toEqual([]);
+        });
+    });
+
+    [[CANVAS_BACKEND, test, ''], [WEBGL_BACKEND, webglTest, WEBGL_SKIPPED]].forEach(([backend, backendTest, skipped]) => {
+        backendTest(`${backend.name} draws something under every particle${skipped}`, () => {
+            const simulation = renderScene(backend, SCENES['mixed phases']);
+            const pixels = simulation.renderer.readPixels();
+            const { x, y, count } = simulation.particles;
+
+            for (let i = 0; i < count; i++) {
+                const px = Math.min(WIDTH - 1, Math.max(0, Math.round(simulation.toPixels(x[i]))));
+                const py = Math.min(HEIGHT - 1, Math.max(0, Math.round(simulation.toPixels(y[i]))));
+                expect(pixels[(px + py * WIDTH) * 4 + 3]).toBeGreaterThan(0);
+            }
+        });
+    });
+
+    test('finds blocks that differ by more than a shade', () => {
+        const expected = ['0000 1234', '8888 ffff'];
+        expect(blockDifferences(['0000 2345', '8888 ffff'], expected)).toEqual([]);
+        expect(blockDifferences(['0000 1234', '8a88 ffff'], expected)).toEqual(['0,1: 8a88 instead of 8888']);
+    });
+});
+
+// One pass at a time on real WebGL. The particles are placed by hand; the
+// expected colours are the shader constants blended over a clear frame, so
+// RGB comes out multiplied by alpha.
+function renderWebGLPass(options, particles, rendererOptions) {
+    const simulation = new FlowSimulation(null, { seed: 'passes', particleCount: 1, width: WIDTH, height: HEIGHT, ...options });
+    const p = simulation.particles;
+    p.count = 0;
+    particles.forEach(({ x, y, size, phase }) => {
+        const i = simulation.addParticle();
+        p.x[i] = x;
+        p.y[i] = y;
+        p.size[i] = size;
+        p.life[i] = 1;
+        p.phase[i] = phase;
+    });
+    simulation.attachRenderer(WEBGL_BACKEND.create({ flowField: false, metaballs: false, ...rendererOptions }));
+    simulation.render();
+
+    const pixels = simulation.renderer.readPixels();
+    return (x, y) => Array.from(pixels.subarray((x + y * WIDTH) * 4, (x + y * WIDTH) * 4 + 4));
+}
+
+describe(`WebGL passes${WEBGL_SKIPPED}`, () => {
+    webglTest('the field pass shades obstacles and walls solid and inlets blue', () => {
+        const pixel = renderWebGLPass({
+            boundaries: { left: { type: 'inlet', velocity: 2 }, right: 'outflow', top: 'wall', bottom: 'wall' },
+            obstacles: [{ type: 'circle', x: 80, y: 60, radius: 20 }]
+        }, [], { flowField: true });
+
+        // SOLID is rgb(60, 70, 90) at 0.85 and INLET rgb(0, 170, 255) at 0.6
+        [pixel(80, 60), pixel(120, 0), pixel(120, HEIGHT - 1)].forEach(solid => {
+            expect(solid[3]).toBeGreaterThanOrEqual(214);
+            expect(solid[3]).toBeLessThanOrEqual(220);
+            expect(solid[2]).toBeGreaterThan(solid[1]);
+            expect(solid[1]).toBeGreaterThan(solid[0]);
+        });
+        const inlet = pixel(0, 30);
+        expect(inlet[0]).toBeLessThanOrEqual(2);
+        expect(inlet[3]).toBeGreaterThanOrEqual(150);
+        expect(inlet[3]).toBeLessThanOrEqual(156);
+        // Open flow stays under fieldOpacity
+        expect(pixel(140, 60)[3]).toBeLessThanOrEqual(Math.ceil(0.35 * 255));
+    });
+
+    webglTest('the metaball pass fills only where splats add up past the threshold', () => {
+        // Splats are 0.35 strong, so one particle stays under the 0.5
+        // isosurface and two on the same spot rise over it
+        const liquid = { y: 60, size: 6, phase: 1 };
+        const pixel = renderWebGLPass({}, [
+            { ...liquid, x: 40 },
+            { ...liquid, x: 110 },
+            { ...liquid, x: 110 }
+        ], { metaballs: true, pointScale: 0.05 });
+
+        expect(pixel(40, 64)[3]).toBe(0);
+        const filled = pixel(110, 64);
+        expect(filled[3]).toBeGreaterThan(60);
+        expect(filled[2]).toBeGreaterThan(filled[1]);
+        expect(filled[0]).toBe(0);
+        expect(pixel(110, 100)[3]).toBe(0);
+    });
+
+    webglTest('the sprite pass draws hard discs and a wider soft halo for vapor', () => {
+        const pixel = renderWebGLPass({}, [
+            { x: 40, y: 60, size: 5, phase: 0 },
+            { x: 110, y: 60, size: 5, phase: 2 }
+        ], {});
+
+        // Gas is rgb(0, 170, 255) at 0.23
+        const gas = pixel(40, 60);
+        expect(gas[0]).toBe(0);
+        expect(gas[3]).toBeGreaterThanOrEqual(56);
+        expect(gas[3]).toBeLessThanOrEqual(62);
+        expect(pixel(40, 66)[3]).toBe(0);
+        // 6 px out is past the gas disc but inside the vapor halo, which has faded
+        const halo = pixel(110, 66)[3];
+        expect(halo).toBeGreaterThan(0);
+        expect(halo).toBeLessThan(pixel(110, 60)[3]);
+    });
+});
+
+// Records calls on a fake WebGL context; constants resolve to their names
+function createMockWebGLContext({ compiles = true } = {}) {
+    const calls = [];
+    const overrides = {
+        getShaderParameter: () => compiles,
+        getProgramParameter: () => true,
+        getShaderInfoLog: () => 'syntax error',
+        getUniformLocation: (program, name) => name,
+        getAttribLocation: (program, name) => name,
+        isContextLost: () => false,
+        createShader: () => ({}),
+        createProgram: () => ({}),
+        createBuffer: () => ({}),
+        createTexture: () => ({}),
+        createFramebuffer: () => ({})
+    };
+
+    const gl = new Proxy({}, {
+        get: (target, key) => {
+            if (typeof key !== 'string') return undefined;
+            if (/^[A-Z0-9_]+$/.test(key)) return key;
+            return (...args) => {
+                calls.push([key, ...args]);
+                return overrides[key] ? overrides[key](...args) : undefined;
+            };
+        }
+    });
+    return { gl, calls };
+}
+
+function createWebGLSimulation(options = {}) {
+    const { gl, calls } = createMockWebGLContext();
+    const simulation = new FlowSimulation(null, { seed: 3, particleCount: 12, width: 200, height: 100, ...options });
+    simulation.attachRenderer(new WebGLRenderer({ width: 0, height: 0 }, { context: gl, ...options.rendererOptions }));
+    calls.length = 0;
+    return { simulation, calls };
+}
+
+describe('WebGLRenderer', () => {
+    test('uploads particles as [x, y, radius, phase] records in px', () => {
+        const { simulation, calls } = createWebGLSimulation();
+        simulation.render();
+
+        const upload = calls.find(call => call[0] === 'bufferData' && call[3] === 'DYNAMIC_DRAW');
+        const data = upload[2];
+        const p = simulation.particles;
+        expect(data.length).toBe(12 * 4);
+        expect(data[0]).toBeCloseTo(simulation.toPixels(p.x[0]), 3);
+        expect(data[1]).toBeCloseTo(simulation.toPixels(p.y[0]), 3);
+        expect(data[2]).toBeCloseTo(simulation.toPixels(p.size[0] * p.life[0]), 3);
+        expect(data[3]).toBe(p.phase[0]);
+    });
+
+    test('draws the field, the metaball interfaces and the point sprites', () => {
+        const { simulation, calls } = createWebGLSimulation();
+        simulation.render();
+
+        const draws = calls.filter(call => call[0] === 'drawArrays').map(call => [call[1], call[3]]);
+        expect(draws).toEqual([
+            ['TRIANGLE_STRIP', 4], // field
+            ['POINTS', 12], // density splats
+            ['TRIANGLE_STRIP', 4], // isosurface composite
+            ['POINTS', 12] // sprites
+        ]);
+    });
+
+    test('passes can be switched off', () => {
+        const { simulation, calls } = createWebGLSimulation({ rendererOptions: { metaballs: false, flowField: false } });
+        simulation.render();
+
+        const draws = calls.filter(call => call[0] === 'drawArrays').map(call => call[1]);
+        expect(draws).toEqual(['POINTS']);
+    });
+
+    test('encodes obstacles and flow speed in the field texture', () => {
+        const { simulation } = createWebGLSimulation({ obstacles: [{ type: 'rect', x: 0, y: 0, width: 50, height: 100 }] });
+        simulation.render();
+
+        const { fieldData, fieldSize } = simulation.renderer;
+        expect(fieldSize).toEqual({ cols: 20, rows: 10 });
+        expect(fieldData[1]).toBe(255); // texel (0, 0) is inside the obstacle
+        expect(fieldData[(19 + 9 * 20) * 4 + 1]).toBe(0);
+        expect(fieldData[(19 + 9 * 20) * 4]).toBeGreaterThan(0);
+    });
+
+    test('draws rings where cavitation bubbles collapsed', () => {
+        const { simulation, calls } = createWebGLSimulation();
+        // At (10, 20) px
+        simulation.shocks.push({ x: 0.1, y: 0.2, age: 5 });
+        simulation.render();
+
+        const uploads = calls.filter(call => call[0] === 'bufferData' && call[3] === 'DYNAMIC_DRAW');
+        expect(Array.from(uploads[1][2])).toEqual([10, 20, 2 + 5 / 20 * 15, 0.75]);
+        const draws = calls.filter(call => call[0] === 'drawArrays');
+        expect(draws[draws.length - 1]).toEqual(['drawArrays', 'POINTS', 0, 1]);
+    });
+
+    test('reports shader compile errors', () => {
+        const { gl } = createMockWebGLContext({ compiles: false });
+        expect(() => new WebGLRenderer({}, { context: gl })).toThrow('WebGL shader failed to compile: syntax error');
+    });
+
+    test('throws when the canvas has no WebGL context', () => {
+        expect(() => new WebGLRenderer({ getContext: () => null })).toThrow('WebGL is not available');
+    });
+});
+
+describe('FlowSimulation.createRenderer', () => {
+    const canvas = { getContext: () => ({}) };
+
+    test('falls back to Canvas 2D when WebGL is unavailable', () => {
+        expect(WebGLRenderer.isSupported()).toBe(false);
+        expect(FlowSimulation.createRenderer(canvas)).toBeInstanceOf(CanvasRenderer);
+        expect(FlowSimulation.createRenderer(canvas, 'canvas')).toBeInstanceOf(CanvasRenderer);
+        expect(() => FlowSimulation.createRenderer(canvas, 'webgl')).toThrow('WebGL is not available');
+    });
+
+    test('accepts a renderer factory', () => {
+        const renderer = { attach() {}, detach() {}, resize() {}, render() {} };
+        expect(FlowSimulation.createRenderer(canvas, () => renderer)).toBe(renderer);
+    });
+
+    test('rejects unknown renderer types', () => {
+        expect(() => FlowSimulation.createRenderer(canvas, 'svg')).toThrow('Unknown renderer: svg');
+    });
+});
@@ -0,0 +1,283 @@
+const FlowSimulation = require('../assets/js/flow-simulation');
+const Scenario = require('../assets/js/scenario');
+const FluidSolver = require('../assets/js/fluid-solver');
+
+const SETUP = {
+    seed: 'scenario',
+    particleCount: 40,
+    width: 200,
+    height: 120,
+    solver: { cellSize: 10 },
+    boundaries: { left: { type: 'inlet', velocity: 2 }, right: 'outflow', top: 'wall', bottom: 'wall' },
+    obstacles: [
+        { type: 'circle', x: 100, y: 60, radius: 15 },
+        { type: 'polygon', points: [[20, 20], [40, 20], [30, 40]] }
+    ]
+};
+
+function positions(simulation) {
+    const { x, y, count } = simulation.particles;
+    return Array.from(x.subarray(0, count)).concat(Array.from(y.subarray(0, count)));
+}
+
+describe('Scenario', () => {
+    const scenario = new FlowSimulation(null, SETUP).exportScenario();
+
+    test('saves every option of the simulation setup', () => {
+        // Saved in sections of their own, or about the page rather than the flow
+        const notOptions = ['boundaries', 'obstacles', 'seed', 'prng', 'renderer', 'urlState', 'onError', 'controls'];
+        const options = Object.keys(new FlowSimulation(null, { seed: 1 }).options).filter(key => !notOptions.includes(key));
+
+        expect(options.filter(key => !Scenario.OPTION_KEYS.includes(key))).toEqual([]);
+    });
+
+    test('restores damping and the probe and stir settings', () => {
+        const tuned = { damping: 0.4, probeRadius: 12, probeInterval: 2, probeHistory: 50, stirStrength: 0.8, stirRadius: 40 };
+        const saved = new FlowSimulation(null, { ...SETUP, ...tuned }).exportScenario();
+        const restored = new FlowSimulation(null, { seed: 9 });
+        restored.importScenario(saved);
+
+        expect(restored.options).toMatchObject(tuned);
+        expect(() => Scenario.validate({ ...saved, options: { probeInterval: 0.5 } })).toThrow('options.probeInterval');
+    });
+
+    test('exports options, boundaries, obstacles and seed', () => {
+        expect(scenario.version).toBe(Scenario.VERSION);
+        expect(scenario.seed).toBe('scenario');
+        expect(scenario.options.particleCount).toBe(40);
+        expect(scenario.options).not.toHaveProperty('prng');
+        expect(scenario.boundaries.left).toEqual({ type: 'inlet', velocity: 2 });
+        expect(scenario.obstacles).toEqual([
+            { type: 'circle', x: 100, y: 60, radius: 15 },
+            { type: 'polygon', points: [[20, 20], [40, 20], [30, 40]] }
+        ]);
+        expect(scenario).not.toHaveProperty('particles');
+    });
+
+    test('validates its own JSON', () => {
+        expect(Scenario.validate(JSON.stringify(scenario))).toEqual(scenario);
+    });
+
+    test('lists every problem in an invalid scenario', () => {
+        const invalid = {
+            ...scenario,
+            options: { particleCount: 2.5, colour: 'red', restitution: 3 },
+            boundaries: { left: 'sticky', middle: 'wall' },
+            obstacles: [{ type: 'circle', x: 1, y: 2 }, { type: 'star' }]
+        };
+
+        let message = '';
+        try {
+            Scenario.validate(invalid);
+        } catch (error) {
+            message = error.message;
+        }
+        expect(message).toMatch(/^Invalid scenario: /);
+        expect(message).toContain('options.particleCount must be of type integer');
+        expect(message).toContain('options.colour is not a known option');
+        expect(message).toContain('options.restitution must be at most 1');
+        expect(message).toContain('boundaries.left must be one of periodic, wall, inlet, outflow');
+        expect(message).toContain('boundaries.middle is not an edge');
+        expect(message).toContain('obstacles[0].radius must be of type number');
+        expect(message).toContain('obstacles[1].type must be one of');
+    });
+
+    test('caps the size of the setup and checks the solver settings', () => {
+        const oversized = { version: 1, seed: 1, options: { particleCount: 2e9, solver: { cellSize: 0.0001, iterations: 1e9 } } };
+        let message = '';
+        try {
+            Scenario.validate(oversized);
+        } catch (error) {
+            message = error.message;
+        }
+        expect(message).toContain('options.particleCount must be at most 200000');
+        expect(message).toContain('options.solver.cellSize must be at least 2');
+        expect(message).toContain('options.solver.iterations must be at most 200');
+
+        expect(() => Scenario.validate({ ...scenario, options: { width: 1e6, maxSubSteps: 1e6 } }))
+            .toThrow('options.width must be at most 8192; options.maxSubSteps must be at most 100');
+        expect(() => Scenario.validate({ ...scenario, options: { solver: { cellSize: 10, relaxation: 2 } } }))
+            .toThrow('options.solver.relaxation is not a known option');
+        expect(Scenario.validate({ ...scenario, options: { solver: true } }).options.solver).toBe(true);
+    });
+
+    test('rejects malformed text and newer versions', () => {
+        expect(() => Scenario.validate('{not json')).toThrow(/^Invalid scenario: /);
+        expect(() => Scenario.validate({ ...scenario, version: 0 })).toThrow('version must be a positive integer');
+        expect(() => Scenario.validate({ ...scenario, version: Scenario.VERSION + 1 }))
+            .toThrow(`version ${Scenario.VERSION + 1} is newer than the supported version`);
+    });
+
+    test('upgrades version 1 particle state from px and px/step to SI', () => {
+        const saved = new FlowSimulation(null, { ...SETUP, particleCount: 3, timeStep: 1 / 50 }).exportScenario({ particles: true });
+        const fields = saved.particles.fields;
+        const toPixels = (values, scale) => values.map(value => value / scale);
+        const old = {
+            ...saved,
+            version: 1,
+            particles: {
+                ...saved.particles,
+                fields: {
+                    ...fields,
+                    x: toPixels(fields.x, 0.01),
+                    size: toPixels(fields.size, 0.01),
+                    vx: toPixels(fields.vx, 0.01 * 50),
+                    buoyancy: toPixels(fields.buoyancy, 0.01 * 50 * 50)
+                }
+            }
+        };
+
+        const upgraded = Scenario.validate(old);
+        expect(upgraded.version).toBe(Scenario.VERSION);
+        ['x', 'size', 'vx', 'buoyancy'].forEach(field => {
+            upgraded.particles.fields[field].forEach((value, i) => expect(value).toBeCloseTo(fields[field][i], 9));
+        });
+        expect(upgraded.particles.fields.id).toEqual(fields.id);
+    });
+
+    test('round trips through URL-safe text', () => {
+        const encoded = Scenario.encode(scenario);
+        expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(Scenario.decode(encoded)).toEqual(scenario);
+        expect(() => Scenario.decode('!!!')).toThrow('not base64');
+    });
+
+    test('shares the URL hash with other parameters', () => {
+        const hash = Scenario.toHash(scenario, '#tab=results');
+        expect(hash).toMatch(/^#tab=results&scenario=/);
+        expect(Scenario.fromHash(hash)).toEqual(scenario);
+        expect(Scenario.fromHash('#tab=results')).toBeNull();
+        expect(Scenario.fromHash('')).toBeNull();
+    });
+});
+
+describe('FlowSimulation scenarios', () => {
+    test('an imported scenario replays the run from its seed', () => {
+        const original = new FlowSimulation(null, SETUP);
+        const json = JSON.stringify(original.exportScenario());
+        original.run(30);
+
+        const copy = new FlowSimulation(null, { seed: 'other', particleCount: 5 });
+        copy.importScenario(json);
+        copy.run(30);
+
+        expect(copy.getSeed()).toBe('scenario');
+        expect(copy.obstacles).toHaveLength(2);
+        expect(positions(copy)).toEqual(positions(original));
+    });
+
+    test('a scenario with particles resumes where it was saved', () => {
+        const options = { ...SETUP, solver: false };
+        const original = new FlowSimulation(null, options);
+        original.run(20);
+        const saved = JSON.stringify(original.exportScenario({ particles: true }));
+        original.run(20);
+
+        const copy = new FlowSimulation(null, { seed: 1 });
+        copy.importScenario(saved);
+        expect(copy.time).toBe(20);
+        copy.run(20);
+
+        expect(copy.getParticleCount()).toBe(original.getParticleCount());
+        expect(positions(copy)).toEqual(positions(original));
+    });
+
+    test('rejects particle state that does not match its count', () => {
+        const scenario = new FlowSimulation(null, { seed: 2, particleCount: 5 }).exportScenario({ particles: true });
+        scenario.particles.fields.x.pop();
+        scenario.particles.fields.phase[0] = 7;
+
+        expect(() => Scenario.validate(scenario)).toThrow('particles.fields.x must be an array of 5 values');
+        expect(() => Scenario.validate(scenario)).toThrow('particles.fields.phase must contain phase codes 0-2');
+    });
+
+    test('an invalid import leaves the simulation untouched', () => {
+        const simulation = new FlowSimulation(null, { seed: 3, particleCount: 10 });
+        const before = positions(simulation);
+        const scenario = simulation.exportScenario();
+
+        expect(() => simulation.importScenario({ ...scenario, options: { particleCount: -1 } })).toThrow('particleCount');
+        expect(() => simulation.importScenario({ ...scenario, options: { fluid: 'mercury' } })).toThrow('Unknown fluid');
+        expect(simulation.options.fluid).toBe('water');
+        expect(positions(simulation)).toEqual(before);
+    });
+
+    test('puts the old setup back when the new one fails to start', () => {
+        const simulation = new FlowSimulation(null, { ...SETUP, solver: false });
+        simulation.run(10);
+        const before = positions(simulation);
+        const options = simulation.options;
+        jest.spyOn(FluidSolver.prototype, 'resize').mockImplementationOnce(() => {
+            throw new RangeError('Array buffer allocation failed');
+        });
+
+        expect(() => simulation.importScenario({ ...simulation.exportScenario(), seed: 8, options: { solver: true, width: 400 } }))
+            .toThrow('Array buffer allocation failed');
+        expect(simulation.options).toBe(options);
+        expect([simulation.getSeed(), simulation.time, simulation.width, simulation.solver]).toEqual(['scenario', 10, 200, null]);
+        expect(positions(simulation)).toEqual(before);
+
+        const original = new FlowSimulation(null, { ...SETUP, solver: false });
+        original.run(20);
+        simulation.run(10);
+        expect(positions(simulation)).toEqual(positions(original));
+    });
+
+    describe('URL hash', () => {
+        beforeEach(() => {
+            global.window = { location: { origin: 'https://example.com', pathname: '/services.html', search: '', hash: '#tab=flow' } };
+            global.history = {
+                replaceState: jest.fn((state, title, hash) => {
+                    window.location.hash = hash;
+                })
+            };
+        });
+
+        afterEach(() => {
+            delete global.window;
+            delete global.history;
+        });
+
+        test('saves the setup to the hash and restores it', () => {
+            const simulation = new FlowSimulation(null, { ...SETUP, temperature: 350 });
+            simulation.saveUrlHash();
+            expect(window.location.hash).toMatch(/^#tab=flow&scenario=/);
+
+            const restored = new FlowSimulation(null, { seed: 9 });
+            expect(restored.loadUrlHash()).toBe(true);
+            expect(restored.getSeed()).toBe('scenario');
+            expect(restored.options.temperature).toBe(350);
+        });
+
+        test('builds a share link for the current page', () => {
+            const simulation = new FlowSimulation(null, SETUP);
+            const url = simulation.getShareUrl();
+
+            expect(url).toMatch(/^https:\/\/example\.com\/services\.html#tab=flow&scenario=/);
+            expect(Scenario.fromHash(url.slice(url.indexOf('#')))).toEqual(simulation.exportScenario());
+        });
+
+        test('keeps the defaults and reports a scenario link it cannot read', () => {
+            const onError = jest.fn();
+            window.location.hash = '#scenario=not-a-scenario';
+            const simulation = new FlowSimulation(null, { seed: 4, onError });
+
+            expect(simulation.loadUrlHash()).toBe(false);
+            expect(simulation.getSeed()).toBe(4);
+            expect(onError).toHaveBeenCalledWith(expect.any(Error));
+
+            // Readable, but not a setup the simulation can take
+            const scenario = new FlowSimulation(null, SETUP).exportScenario();
+            window.location.hash = Scenario.toHash({ ...scenario, options: { fluid: 'mercury' } });
+            expect(simulation.loadUrlHash()).toBe(false);
+            expect(simulation.options.fluid).toBe('water');
+            expect(onError).toHaveBeenLastCalledWith(expect.objectContaining({ message: expect.stringContaining('Unknown fluid') }));
+        });
+
+        test('leaves the simulation alone without a scenario in the hash', () => {
+            const simulation = new FlowSimulation(null, { seed: 4 });
+            expect(simulation.loadUrlHash()).toBe(false);
+            expect(simulation.getSeed()).toBe(4);
+        });
+    });
+});
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const { installMockDom } = require('./setup');
+const ContactForm = require('../assets/js/contact-form');
+const ContactProof = require('../assets/js/contact-proof');
+const FlowPresets = require('../assets/js/flow-presets');
+const ProjectScope = require('../assets/js/project-scope');
+const ScopingWizard = require('../assets/js/scoping-wizard');
+const ContactStub = require('../scripts/contact-stub');
+
+const { scoping } = ContactForm.SCHEMA;
+
+const answers = {
+    flowType: 'cavitation-analysis',
+    phases: 'two',
+    geometry: 'moderate',
+    timeDependence: 'transient',
+    deliverables: ['parametric', 'report']
+};
+
+// localStorage stand-in
+function createStorage(items = {}) {
+    return {
+        items,
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => {
+            items[key] = String(value);
+        },
+        removeItem: key => {
+            delete items[key];
+        }
+    };
+}
+
+describe('ProjectScope', () => {
+    const scope = new ProjectScope();
+
+    test('offers a flow type for each service card', () => {
+        const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+        const cards = [...html.matchAll(/class="service-card[^"]*" data-preset="([^"]+)"/g)].map(match => match[1]);
+        const services = cards.map(slug => FlowPresets.get(slug).service);
+        const flowTypes = scope.question('flowType').options.map(option => option.value);
+
+        expect(services).toHaveLength(4);
+        services.forEach(service => expect(flowTypes).toContain(service));
+    });
+
+    test('validates and cleans complete answers', () => {
+        expect(scope.validate(answers)).toEqual({ ...answers, deliverables: ['report', 'parametric'] });
+        expect(scope.validate({ ...answers, deliverables: undefined })).toEqual({ ...answers, deliverables: [] });
+
+        expect(scope.validate({ ...answers, phases: undefined })).toBeNull();
+        expect(scope.validate({ ...answers, phases: 'four' })).toBeNull();
+        expect(scope.validate({ ...answers, deliverables: 'report' })).toBeNull();
+        expect(scope.validate({ ...answers, deliverables: ['report', 'lunch'] })).toBeNull();
+        expect(scope.validate({ ...answers, budget: 'unlimited' })).toBeNull();
+        expect(scope.validate(['two'])).toBeNull();
+        expect(scope.isComplete({ flowType: 'other' })).toBe(false);
+    });
+
+    test('estimates effort and price from the rules table', () => {
+        // (8 + 2 + 8 days) x 1.2 cavitation x 1.5 transient = 32.4 days, +/- 25 %
+        expect(scope.estimate(scope.validate(answers))).toEqual({
+            days: { low: 24, high: 41 },
+            price: { low: 23000, high: 38500 },
+            currency: 'EUR'
+        });
+
+        const simplest = scope.estimate({ flowType: 'gas-liquid-flow', phases: 'two', geometry: 'simple', timeDependence: 'steady', deliverables: [] });
+        expect(simplest.days).toEqual({ low: 4, high: 7 });
+        expect(ProjectScope.formatEstimate(simplest)).toBe('4–7 engineer-days, about €4,000–€6,500');
+    });
+
+    test('takes another rules table', () => {
+        const custom = new ProjectScope({
+            ...scoping,
+            estimate: { baseDays: 10, spread: 0, dayRate: 100, currency: 'USD', priceStep: 1, rules: [{ question: 'phases', value: 'two', add: 5, factor: 2 }] }
+        });
+        expect(custom.estimate(answers)).toEqual({ days: { low: 30, high: 30 }, price: { low: 3000, high: 3000 }, currency: 'USD' });
+    });
+
+    test('describes the answers with their labels', () => {
+        const rows = scope.describe(scope.validate({ ...answers, deliverables: [] }));
+        expect(rows[0]).toEqual({ question: 'Which flow is your project about?', answer: 'Cavitation in pumps, valves or turbines' });
+        expect(rows[4].answer).toBe('None');
+    });
+});
+
+describe('ScopingWizard', () => {
+    beforeEach(() => {
+        installMockDom();
+    });
+
+    function createWizard(storage = createStorage(), options = {}) {
+        const container = document.createElement('div');
+        return { wizard: new ScopingWizard(container, { storage, ...options }), container, storage };
+    }
+
+    function answerAll(wizard) {
+        Object.keys(answers).forEach(name => {
+            [].concat(answers[name]).forEach(value => wizard.setAnswer(name, value));
+            wizard.next();
+        });
+    }
+
+    test('asks one question per step', () => {
+        const { wizard, container } = createWizard();
+        expect(container.innerHTML).toContain('Step 1 of 5');
+        expect(container.innerHTML).toContain('Which flow is your project about?');
+        expect(container.innerHTML).toContain('type="radio"');
+
+        // Not past an unanswered question
+        expect(wizard.next()).toBe(false);
+        expect(container.innerHTML).toContain(scoping.messages.required);
+        expect(wizard.step).toBe(0);
+
+        wizard.handleChange({ target: { dataset: { question: 'flowType' }, type: 'radio', value: 'droplet-dynamics' } });
+        expect(wizard.next()).toBe(true);
+        expect(container.innerHTML).toContain('Step 2 of 5');
+        expect(container.innerHTML).toContain('data-wizard-action="back"');
+    });
+
+    test('collects several deliverables and sums up with an estimate', () => {
+        const { wizard, container } = createWizard();
+        answerAll(wizard);
+        wizard.back();
+        expect(container.innerHTML).toContain('type="checkbox"');
+        wizard.handleChange({ target: { dataset: { question: 'deliverables' }, type: 'checkbox', value: 'parametric', checked: false } });
+        wizard.next();
+
+        expect(wizard.step).toBe(wizard.summaryStep);
+        expect(wizard.getScope()).toEqual({ ...answers, deliverables: ['report'] });
+        expect(container.innerHTML).toContain('Summary');
+        expect(container.innerHTML).toContain(ProjectScope.formatEstimate(wizard.getEstimate()));
+    });
+
+    test('picks up where it was left after a reload', () => {
+        const storage = createStorage();
+        const { wizard } = createWizard(storage);
+        wizard.setAnswer('flowType', 'boiling-condensation');
+        wizard.next();
+        wizard.setAnswer('phases', 'three');
+
+        const reloaded = createWizard(storage).wizard;
+        expect(reloaded.step).toBe(1);
+        expect(reloaded.answers).toEqual({ flowType: 'boiling-condensation', phases: 'three' });
+        expect(reloaded.container.innerHTML).toContain('checked');
+    });
+
+    test('ignores stored progress it cannot trust', () => {
+        const key = 'multi-flows-scoping';
+
+        const outdated = createStorage({ [key]: JSON.stringify({ version: 0, step: 3, answers }) });
+        expect(createWizard(outdated).wizard.answers).toEqual({});
+
+        // Unknown values are dropped and the step goes back to the first gap
+        const tampered = createStorage({ [key]: JSON.stringify({ version: ContactForm.SCHEMA.version, step: 5, answers: { ...answers, phases: 'four' } }) });
+        const { wizard } = createWizard(tampered);
+        expect(wizard.answers.phases).toBeUndefined();
+        expect(wizard.step).toBe(1);
+
+        expect(createWizard(createStorage({ [key]: 'not json' })).wizard.step).toBe(0);
+    });
+
+    test('works without storage', () => {
+        const broken = { getItem: () => { throw new Error('blocked'); }, setItem: () => { throw new Error('blocked'); } };
+        const { wizard } = createWizard(broken);
+        expect(() => answerAll(wizard)).not.toThrow();
+        expect(wizard.getScope()).not.toBeNull();
+        expect(createWizard(null).wizard.step).toBe(0);
+    });
+
+    test('starts over and continues to the form', () => {
+        const onComplete = jest.fn();
+        const { wizard, storage } = createWizard(createStorage(), { onComplete });
+        answerAll(wizard);
+
+        const click = action => wizard.handleClick({ target: { closest: () => ({ dataset: { wizardAction: action } }) } });
+        click('continue');
+        expect(onComplete).toHaveBeenCalledWith(wizard.getScope());
+
+        click('back');
+        expect(wizard.step).toBe(wizard.summaryStep - 1);
+
+        click('restart');
+        expect(wizard.step).toBe(0);
+        expect(wizard.getScope()).toBeNull();
+        expect(JSON.parse(storage.getItem('multi-flows-scoping')).answers).toEqual({});
+    });
+
+    test('escapes what it shows', () => {
+        expect(ScopingWizard.escape('<b>"Oil & Gas"</b>')).toBe('&#60;b&#62;&#34;Oil &#38; Gas&#34;&#60;/b&#62;');
+    });
+});
+
+describe('Submitting with a project scope', () => {
+    const schema = {
+        ...ContactForm.SCHEMA,
+        protection: { ...ContactForm.SCHEMA.protection, proofDifficulty: 8 }
+    };
+    const proof = new ContactProof({ schema, worker: false });
+    const NOW = 1760000000000;
+    const form = {
+        name: 'Ada Lovelace',
+        email: 'ada@example.com',
+        company: '',
+        industry: 'Marine',
+        message: 'Cavitation at a pump inlet',
+        website: '',
+        start: new ContactStub({ schema }).issueStart(NOW - 12000)
+    };
+
+    test('records the answers and the estimate', async () => {
+        const log = jest.fn();
+        const stub = new ContactStub({ schema, now: () => NOW, log });
+        const answer = stub.handle({ method: 'POST', body: await proof.sign({ ...form, scope: answers }, NOW) });
+
+        expect(answer.status).toBe(200);
+        expect(stub.submissions[0].scope).toEqual(new ProjectScope().validate(answers));
+        expect(stub.submissions[0].estimate.days).toEqual({ low: 24, high: 41 });
+        expect(log.mock.calls[0][0]).toContain('Indicative effort: 24–41 engineer-days');
+    });
+
+    test('turns away answers that do not fit the questions', async () => {
+        const stub = new ContactStub({ schema, now: () => NOW });
+        const answer = stub.handle({ method: 'POST', body: await proof.sign({ ...form, scope: { ...answers, geometry: 'huge' } }, NOW) });
+
+        expect(answer.status).toBe(422);
+        expect(answer.body.errors).toEqual({ scope: scoping.messages.invalid });
+    });
+});
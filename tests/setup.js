@@ -0,0 +1,81 @@
+// Shared test helpers
+// Jest runs in Node, so FlowSimulation gets a minimal stand-in for the DOM:
+// elements that accept children, listeners, styles and classes, and a 2D
+// context that records nothing.
+
+function createMockContext() {
+    return new Proxy({}, {
+        get: (target, key) => (key in target ? target[key] : () => {}),
+        set: (target, key, value) => {
+            target[key] = value;
+            return true;
+        }
+    });
+}
+
+function createMockClassList() {
+    const names = new Set();
+    return {
+        add: (...added) => added.forEach(name => names.add(name)),
+        remove: (...removed) => removed.forEach(name => names.delete(name)),
+        contains: name => names.has(name),
+        toggle: (name, force = !names.has(name)) => {
+            if (force) {
+                names.add(name);
+            } else {
+                names.delete(name);
+            }
+            return force;
+        }
+    };
+}
+
+function createMockElement(tag = 'div') {
+    const context = createMockContext();
+    return {
+        tagName: tag.toUpperCase(),
+        style: {},
+        children: [],
+        classList: createMockClassList(),
+        innerHTML: '',
+        attributes: {},
+        setAttribute(name, value) {
+            this.attributes[name] = String(value);
+        },
+        getAttribute(name) {
+            return name in this.attributes ? this.attributes[name] : null;
+        },
+        appendChild(child) {
+            this.children.push(child);
+            child.parentNode = this;
+            return child;
+        },
+        removeChild(child) {
+            this.children = this.children.filter(other => other !== child);
+            child.parentNode = null;
+            return child;
+        },
+        addEventListener() {},
+        removeEventListener() {},
+        querySelector: () => createMockElement(),
+        querySelectorAll: () => [],
+        getContext: () => context,
+        transferControlToOffscreen: () => ({ offscreen: true })
+    };
+}
+
+function installMockDom() {
+    global.document = { createElement: createMockElement };
+    global.window = { addEventListener() {}, removeEventListener() {} };
+    global.requestAnimationFrame = () => 1;
+    global.cancelAnimationFrame = () => {};
+}
+
+function createMockContainer(width = 400, height = 300) {
+    const container = createMockElement();
+    container.offsetWidth = width;
+    container.offsetHeight = height;
+    return container;
+}
+
+module.exports = { installMockDom, createMockContainer, createMockContext, createMockElement };
@@ -0,0 +1,231 @@
+const FlowSimulation = require('../assets/js/flow-simulation');
+const SimulationRecorder = require('../assets/js/simulation-recorder');
+
+function createRecorder(options = {}) {
+    const simulation = new FlowSimulation(null, { seed: 'recorder', particleCount: 20 });
+    const recorder = new SimulationRecorder(simulation, options);
+    return { simulation, recorder };
+}
+
+describe('SimulationRecorder', () => {
+    test('samples every interval steps while recording', () => {
+        const { simulation, recorder } = createRecorder({ interval: 5 });
+
+        recorder.start();
+        simulation.run(12);
+        recorder.stop();
+        simulation.run(10);
+
+        expect(recorder.samples.map(sample => sample.step)).toEqual([0, 5, 10]);
+        expect(recorder.samples[2].time).toBeCloseTo(10 / 60);
+        expect(simulation.stepListeners).toHaveLength(0);
+    });
+
+    test('copies particle state rather than keeping views of the store', () => {
+        const { simulation, recorder } = createRecorder();
+
+        recorder.sample();
+        const x = Array.from(simulation.particles.x.subarray(0, simulation.getParticleCount()));
+        simulation.run(5);
+
+        expect(Array.from(recorder.samples[0].particles.x)).toEqual(x);
+    });
+
+    test('writes metrics as CSV, one row per sample', () => {
+        const { simulation, recorder } = createRecorder({ interval: 10 });
+
+        recorder.start();
+        simulation.run(20);
+        const lines = recorder.toCSV().trim().split('\n');
+
+        expect(lines[0]).toBe('step,time,particleCount,voidFraction,meanTemperatureGas,meanTemperatureLiquid,' +
+            'meanTemperatureVapor,kineticEnergy,evaporation,condensation,cavitationNumber,cavitationInception,' +
+            'cavitationCollapse');
+        expect(lines).toHaveLength(4);
+        const row = lines[3].split(',');
+        expect(row[0]).toBe('20');
+        expect(Number(row[2])).toBe(simulation.getParticleCount());
+        expect(Number(row[3])).toBeCloseTo(simulation.getDiagnostics().voidFraction);
+    });
+
+    test('writes particles as CSV with phase names', () => {
+        const { simulation, recorder } = createRecorder({ fields: ['id', 'x', 'phase'] });
+
+        recorder.sample();
+        const lines = recorder.toCSV('particles').trim().split('\n');
+
+        expect(lines[0]).toBe('step,time,id,x,phase');
+        expect(lines).toHaveLength(simulation.getParticleCount() + 1);
+        const particle = simulation.getParticle(0);
+        expect(lines[1]).toBe(`0,0,${particle.id},${simulation.particles.x[0]},${particle.phase}`);
+        expect(() => recorder.toCSV('frames')).toThrow('Unknown CSV table: frames');
+    });
+
+    test('writes one JSON object per line', () => {
+        const { simulation, recorder } = createRecorder({ interval: 3 });
+
+        recorder.start();
+        simulation.run(6);
+        const lines = recorder.toJSONLines().trim().split('\n').map(line => JSON.parse(line));
+
+        expect(lines.map(line => line.step)).toEqual([0, 3, 6]);
+        expect(lines[2].metrics.particleCount).toBe(simulation.getParticleCount());
+        expect(lines[2].particles.x).toHaveLength(simulation.getParticleCount());
+        expect(lines[2].particles.phase[0]).toBe(simulation.getParticle(0).phase);
+    });
+
+    test('can leave out particles or metrics', () => {
+        const { recorder } = createRecorder({ particles: false });
+
+        recorder.sample();
+        expect(recorder.samples[0]).not.toHaveProperty('particles');
+        expect(recorder.toCSV('particles')).toBe('step,time,id,x,y,vx,vy,size,phase,temperature,quality\n');
+    });
+
+    test('stops at maxSamples', () => {
+        const { simulation, recorder } = createRecorder({ interval: 1, maxSamples: 4 });
+
+        recorder.start();
+        simulation.run(10);
+
+        expect(recorder.samples).toHaveLength(4);
+        expect(recorder.recording).toBe(false);
+    });
+
+    test('quotes CSV cells that need it', () => {
+        expect(SimulationRecorder.formatCSV(['a', 'b'], [['x,y', 'say "hi"'], [null, 1]]))
+            .toBe('a,b\n"x,y","say ""hi"""\n,1\n');
+    });
+
+    test('needs a simulation on this thread', () => {
+        expect(() => new SimulationRecorder({})).toThrow('needs a FlowSimulation running on this thread');
+        expect(() => new SimulationRecorder({ on() {}, off() {} })).toThrow('needs a FlowSimulation running on this thread');
+    });
+});
+
+describe('SimulationRecorder video', () => {
+    afterEach(() => {
+        delete global.MediaRecorder;
+    });
+
+    function createCanvas() {
+        return {
+            captureStream: jest.fn(fps => ({ fps })),
+            toBlob: jest.fn(callback => callback({ type: 'image/png' }))
+        };
+    }
+
+    test('records WebM through MediaRecorder', async () => {
+        global.MediaRecorder = class {
+            static isTypeSupported(type) {
+                return type === 'video/webm;codecs=vp8';
+            }
+
+            constructor(stream, options) {
+                this.stream = stream;
+                this.options = options;
+            }
+
+            start() {
+                this.ondataavailable({ data: { size: 3 } });
+            }
+
+            stop() {
+                this.onstop();
+            }
+        };
+        const canvas = createCanvas();
+        const { recorder } = createRecorder({ canvas, fps: 24 });
+
+        expect(recorder.startVideo()).toBe('webm');
+        expect(canvas.captureStream).toHaveBeenCalledWith(24);
+        expect(recorder.video.recorder.options.mimeType).toBe('video/webm;codecs=vp8');
+
+        const result = await recorder.stopVideo();
+        expect(result.type).toBe('webm');
+        expect(result.blob.type).toBe('video/webm');
+    });
+
+    test('falls back to PNG frames without MediaRecorder', async () => {
+        const canvas = createCanvas();
+        const { simulation, recorder } = createRecorder({ canvas, frameInterval: 2 });
+
+        expect(recorder.startVideo()).toBe('png');
+        for (let frame = 0; frame < 6; frame++) {
+            simulation.advance();
+            simulation.render();
+        }
+        const result = await recorder.stopVideo();
+
+        expect(result.type).toBe('png');
+        expect(result.frames).toHaveLength(3);
+        expect(canvas.toBlob).toHaveBeenCalledWith(expect.any(Function), 'image/png');
+        expect(simulation.hasListeners('render')).toBe(false);
+    });
+
+    test('takes PNG frames after the canvas is drawn', async () => {
+        const drawn = [];
+        const canvas = createCanvas();
+        canvas.toBlob = jest.fn(callback => callback({ type: 'image/png', drawn: drawn.length }));
+        const { simulation, recorder } = createRecorder({ canvas, frameInterval: 1 });
+        simulation.renderer = { render: () => drawn.push(simulation.time) };
+
+        recorder.startVideo();
+        simulation.run(5); // headless steps draw nothing
+        simulation.render();
+        const { frames } = await recorder.stopVideo();
+
+        expect(frames).toEqual([{ type: 'image/png', drawn: 1 }]);
+        expect(drawn).toEqual([5]);
+    });
+
+    test('saves PNG frames as one ZIP archive', async () => {
+        const canvas = createCanvas();
+        canvas.toBlob = jest.fn(callback => callback(new Blob(['hello'], { type: 'image/png' })));
+        const { simulation, recorder } = createRecorder({ canvas });
+        const saveBlob = jest.spyOn(SimulationRecorder, 'saveBlob').mockImplementation(() => {});
+
+        recorder.startVideo();
+        simulation.render();
+        simulation.run(2);
+        simulation.render();
+        const { archive } = await recorder.downloadVideo('run');
+
+        expect(saveBlob).toHaveBeenCalledTimes(1);
+        expect(saveBlob).toHaveBeenCalledWith(archive, 'run-frames.zip');
+        saveBlob.mockRestore();
+        expect(archive.type).toBe('application/zip');
+
+        const bytes = new Uint8Array(await archive.arrayBuffer());
+        const view = new DataView(bytes.buffer);
+        const end = bytes.length - 22;
+        expect(view.getUint32(end, true)).toBe(0x06054b50);
+        expect(view.getUint16(end + 10, true)).toBe(2);
+
+        // Walk the central directory to each stored file
+        let entry = view.getUint32(end + 16, true);
+        const names = [];
+        for (let n = 0; n < 2; n++) {
+            expect(view.getUint32(entry, true)).toBe(0x02014b50);
+            const nameLength = view.getUint16(entry + 28, true);
+            const name = new TextDecoder().decode(bytes.subarray(entry + 46, entry + 46 + nameLength));
+            const local = view.getUint32(entry + 42, true);
+            const size = view.getUint32(local + 22, true);
+            const start = local + 30 + view.getUint16(local + 26, true);
+
+            expect(view.getUint32(local, true)).toBe(0x04034b50);
+            expect(view.getUint32(local + 14, true)).toBe(0x3610a686); // CRC-32 of 'hello'
+            expect(new TextDecoder().decode(bytes.subarray(start, start + size))).toBe('hello');
+            names.push(name);
+            entry += 46 + nameLength;
+        }
+        expect(names).toEqual(['run-0001.png', 'run-0002.png']);
+    });
+
+    test('needs a canvas and a video in progress', async () => {
+        const { recorder } = createRecorder();
+
+        expect(() => recorder.startVideo()).toThrow('Video capture needs a canvas');
+        await expect(recorder.stopVideo()).rejects.toThrow('No video is being recorded');
+    });
+});